@@ -0,0 +1,114 @@
+// @ts-check
+
+import crypto from 'crypto';
+
+/** Header of the API requests with the access token */
+const ACCESS_TOKEN_HEADER = 'x-access-token';
+
+/**
+ * Access rules of the web server
+ * @typedef {Object} AccessOptions
+ * @property {string} token Access token required by the API
+ * @property {string} [host] Address the server listens on, which is allowed in the Host header
+ * @property {boolean} [allowRemote] True if the server may be reached from other machines.
+ * Host names are not checked then, only the token protects the API.
+ */
+
+/**
+ * Creates a random access token for a server session.
+ * @returns {string}
+ */
+export function createAccessToken() {
+    return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Checks whether a bind address only accepts connections from this machine.
+ * @param {string} host
+ * @returns {boolean}
+ */
+export function isLoopbackHost(host) {
+    return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Returns the host of an address as written in URLs and in the Host header,
+ * with IPv6 literals in brackets, e.g. "[::1]".
+ * @param {string} host
+ * @returns {string}
+ */
+export function formatUrlHost(host) {
+    return host.includes(':') && !host.startsWith('[') ? `[${host}]` : host;
+}
+
+/**
+ * Returns the values of the Host header under which a local server may be reached:
+ * the bind address and the names of this machine. Other names point to the server
+ * through DNS rebinding.
+ * @param {string|undefined} host Address the server listens on
+ * @param {number|undefined} port
+ * @returns {string[]}
+ */
+function getLocalHostNames(host, port) {
+    let names = ['localhost', '127.0.0.1', '[::1]'];
+    if (host) names.push(formatUrlHost(host.toLowerCase()));
+    return names.map(name => `${name}:${port}`);
+}
+
+/**
+ * Compares the access token of a request with the token of the server in constant time.
+ * @param {string} token Token of the server
+ * @param {unknown} value Token sent by the client
+ * @returns {boolean}
+ */
+function isValidToken(token, value) {
+    if (typeof value !== 'string') return false;
+    const expected = Buffer.from(token);
+    const actual = Buffer.from(value);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Rejects requests with a foreign Host header (DNS rebinding) or a cross-site Origin.
+ * Requests without an Origin header, e.g. from curl, are accepted.
+ * @param {AccessOptions} options
+ * @returns {import("express").RequestHandler}
+ */
+export function checkRequestOrigin(options) {
+    return (req, res, next) => {
+        const host = String(req.headers.host || '').toLowerCase();
+        if (
+            !options.allowRemote &&
+            !getLocalHostNames(options.host, req.socket.localPort).includes(host)
+        ) {
+            res.status(403).json({ result: null, error: `Host '${host}' is not allowed` });
+            return;
+        }
+        const origin = req.headers.origin;
+        if (origin !== undefined && origin !== `${req.protocol}://${req.headers.host}`) {
+            res.status(403).json({ result: null, error: `Origin '${origin}' is not allowed` });
+            return;
+        }
+        next();
+    };
+}
+
+/**
+ * Rejects API requests without the access token. The token is sent in the
+ * X-Access-Token header or, by form posts that cannot set headers, in the "token" field.
+ * @param {AccessOptions} options
+ * @returns {import("express").RequestHandler}
+ */
+export function checkAccessToken(options) {
+    return (req, res, next) => {
+        const token = req.headers[ACCESS_TOKEN_HEADER] || req.body?.token;
+        if (!isValidToken(options.token, token)) {
+            res.status(403).json({
+                result: null,
+                error: 'Invalid access token, open the URL printed at startup',
+            });
+            return;
+        }
+        next();
+    };
+}
@@ -0,0 +1,89 @@
+import test from 'ava';
+import { checkAccessToken, checkRequestOrigin, formatUrlHost } from './access.js';
+
+const TOKEN = 'secret-token';
+
+/**
+ * Runs a request handler with a fake request and returns the response or "next"
+ * @param {import("express").RequestHandler} handler
+ * @param {Object} request
+ * @param {Object<string, string>} [request.headers]
+ * @param {Object<string, any>} [request.body]
+ * @returns {{status: number, body: any}|'next'}
+ */
+function run(handler, { headers = {}, body } = {}) {
+    let req = { headers, body, protocol: 'http', socket: { localPort: 3000 } };
+    /** @type {{status: number, body: any}|'next'|null} */
+    let result = null;
+    let res = {
+        statusCode: 200,
+        /** @param {number} code */
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        /** @param {any} value */
+        json(value) {
+            result = { status: this.statusCode, body: value };
+        },
+    };
+    handler(/** @type {any} */ (req), /** @type {any} */ (res), () => (result = 'next'));
+    if (result === null) throw new Error('The handler did not respond');
+    return result;
+}
+
+test('accepts the names of this machine and the bind address as Host', t => {
+    let check = checkRequestOrigin({ token: TOKEN, host: '127.0.0.2' });
+    for (let host of ['localhost:3000', '127.0.0.1:3000', '[::1]:3000', '127.0.0.2:3000']) {
+        t.is(run(check, { headers: { host } }), 'next', host);
+    }
+    t.is(
+        run(checkRequestOrigin({ token: TOKEN, host: '::1' }), { headers: { host: '[::1]:3000' } }),
+        'next'
+    );
+});
+
+test('rejects a foreign Host unless remote access is allowed', t => {
+    let headers = { host: 'evil.example.com:3000' };
+    t.deepEqual(run(checkRequestOrigin({ token: TOKEN, host: '127.0.0.1' }), { headers }), {
+        status: 403,
+        body: { result: null, error: "Host 'evil.example.com:3000' is not allowed" },
+    });
+    t.is(run(checkRequestOrigin({ token: TOKEN, allowRemote: true }), { headers }), 'next');
+});
+
+test('rejects a cross-site Origin and accepts a missing one', t => {
+    let check = checkRequestOrigin({ token: TOKEN });
+    t.deepEqual(
+        run(check, { headers: { host: 'localhost:3000', origin: 'http://evil.example.com' } }),
+        {
+            status: 403,
+            body: { result: null, error: "Origin 'http://evil.example.com' is not allowed" },
+        }
+    );
+    t.is(
+        run(check, { headers: { host: 'localhost:3000', origin: 'http://localhost:3000' } }),
+        'next'
+    );
+    t.is(run(check, { headers: { host: 'localhost:3000' } }), 'next');
+});
+
+test('requires the access token in the header or the form field', t => {
+    let check = checkAccessToken({ token: TOKEN });
+    let rejected = {
+        status: 403,
+        body: { result: null, error: 'Invalid access token, open the URL printed at startup' },
+    };
+    t.is(run(check, { headers: { 'x-access-token': TOKEN } }), 'next');
+    t.is(run(check, { body: { token: TOKEN } }), 'next');
+    t.deepEqual(run(check), rejected);
+    t.deepEqual(run(check, { headers: { 'x-access-token': 'secret-tokex' } }), rejected);
+    t.deepEqual(run(check, { headers: { 'x-access-token': 'secret' } }), rejected);
+    t.deepEqual(run(check, { body: { token: [TOKEN] } }), rejected);
+});
+
+test('brackets IPv6 literals of URLs', t => {
+    t.is(formatUrlHost('::1'), '[::1]');
+    t.is(formatUrlHost('[::1]'), '[::1]');
+    t.is(formatUrlHost('127.0.0.2'), '127.0.0.2');
+});
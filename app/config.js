@@ -0,0 +1,227 @@
+// @ts-check
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { assertConnectionsConfig } from './db.js';
+import { pickConnectionSettings } from './credentials.js';
+import { assertTableFilter } from '../src/frontend/table_filter.js';
+import { assertTypeMapping } from '../src/frontend/type_mapping.js';
+import { assertNamingOptions } from '../src/frontend/naming.js';
+
+/** Names of the project config file, looked up in the working directory and its parents */
+export const CONFIG_FILE_NAMES = ['mysql-to-json.config.json', 'mysql-to-json.config.js'];
+
+/**
+ * File written by the generate command
+ * @typedef {Object} ProjectOutput
+ * @property {string} format Export format, e.g. "ts"
+ * @property {string} out Output file or directory, relative to the config file
+ * @property {boolean} [split] Write one file per table into the out directory
+ */
+
+/**
+ * Project config file. Paths are relative to the directory of the file.
+ * @typedef {Object} ProjectConfig
+ * @property {string|import("./credentials.js").ConnectionSettings} [connection] Name of a
+ * profile of "connections", or the settings of the default connection
+ * @property {Object<string, import("./credentials.js").ConnectionSettings>} [connections] Connection profiles by name
+ * @property {string} [database] Default database
+ * @property {import("../src/frontend/table_filter.js").TableFilter} [tables] Tables to work with
+ * @property {import("../src/frontend/type_mapping.js").TypeMappingOptions} [typeMapping] Type overrides of the code generators
+ * @property {import("../src/frontend/naming.js").NamingOptions} [naming] Names of classes, properties and files of the code generators
+ * @property {{immutable?: boolean}} [jsClass] Options of the js-class format
+ * @property {ProjectOutput[]} [outputs] Files written by the generate command
+ * @property {string[]} [plugins] Modules with output formats, see app/plugins.js
+ * @property {string[]} [templates] Code template files, see src/frontend/templates.js
+ */
+
+/** Keys of the project config */
+const CONFIG_KEYS = [
+    'connection',
+    'connections',
+    'database',
+    'tables',
+    'typeMapping',
+    'naming',
+    'jsClass',
+    'outputs',
+    'plugins',
+    'templates',
+];
+
+/**
+ * Validates a project config
+ * @param {any} obj
+ * @returns {ProjectConfig}
+ * @throws {Error} If the config is invalid
+ */
+export function assertProjectConfig(obj) {
+    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+        throw new Error('Config must be an object');
+    }
+    for (const key of Object.keys(obj)) {
+        if (!CONFIG_KEYS.includes(key)) throw new Error(`Unknown config option "${key}"`);
+    }
+
+    if (obj.connections !== undefined) {
+        if (obj.connection !== undefined && typeof obj.connection !== 'string') {
+            throw new Error('"connection" must be a profile name when "connections" is set');
+        }
+        assertConnectionsConfig({ default: obj.connection, connections: obj.connections });
+        for (const profile of Object.values(obj.connections)) pickConnectionSettings(profile);
+    } else if (obj.connection !== undefined) {
+        if (typeof obj.connection !== 'object' || obj.connection === null) {
+            throw new Error('"connection" must be an object of connection settings');
+        }
+        pickConnectionSettings(obj.connection);
+    }
+
+    if (obj.database !== undefined && (typeof obj.database !== 'string' || obj.database === '')) {
+        throw new Error('"database" must be a non-empty string');
+    }
+    if (obj.tables !== undefined) assertTableFilter(obj.tables);
+    if (obj.typeMapping !== undefined) assertTypeMapping(obj.typeMapping);
+    if (obj.naming !== undefined) assertNamingOptions(obj.naming);
+    if (obj.jsClass !== undefined) {
+        if (typeof obj.jsClass !== 'object' || obj.jsClass === null || Array.isArray(obj.jsClass)) {
+            throw new Error('"jsClass" must be an object');
+        }
+        for (const [key, value] of Object.entries(obj.jsClass)) {
+            if (key !== 'immutable') throw new Error(`Unknown jsClass option "${key}"`);
+            if (typeof value !== 'boolean')
+                throw new Error('"jsClass.immutable" must be a boolean');
+        }
+    }
+
+    if (obj.outputs !== undefined) {
+        if (!Array.isArray(obj.outputs)) throw new Error('"outputs" must be an array');
+        obj.outputs.forEach((output, i) => {
+            if (typeof output !== 'object' || output === null) {
+                throw new Error(`outputs[${i}] must be an object`);
+            }
+            if (typeof output.format !== 'string' || typeof output.out !== 'string') {
+                throw new Error(`outputs[${i}] must have "format" and "out" strings`);
+            }
+            if (output.split !== undefined && typeof output.split !== 'boolean') {
+                throw new Error(`outputs[${i}].split must be a boolean`);
+            }
+        });
+    }
+
+    if (obj.plugins !== undefined) {
+        if (!Array.isArray(obj.plugins) || obj.plugins.some(file => typeof file !== 'string')) {
+            throw new Error('"plugins" must be an array of module paths');
+        }
+    }
+
+    if (obj.templates !== undefined) {
+        if (!Array.isArray(obj.templates) || obj.templates.some(file => typeof file !== 'string')) {
+            throw new Error('"templates" must be an array of template file paths');
+        }
+    }
+
+    return obj;
+}
+
+/**
+ * Looks for a project config file in the directory and its parents.
+ * @param {string} [dir] Directory to start from, default is the working directory
+ * @returns {string|null} Path of the file, null if there is none
+ */
+export function findConfigFile(dir = process.cwd()) {
+    let current = path.resolve(dir);
+    while (true) {
+        for (const name of CONFIG_FILE_NAMES) {
+            const file = path.join(current, name);
+            if (fs.existsSync(file)) return file;
+        }
+        const parent = path.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+}
+
+/**
+ * Resolves the certificate files of connection settings against a directory
+ * @param {import("./credentials.js").ConnectionSettings} settings
+ * @param {string} dir
+ * @returns {import("./credentials.js").ConnectionSettings}
+ */
+function resolveCertificatePaths(settings, dir) {
+    const result = { ...settings };
+    for (const key of ['ssl-ca', 'ssl-cert', 'ssl-key']) {
+        if (result[key]) result[key] = path.resolve(dir, result[key]);
+    }
+    return result;
+}
+
+/**
+ * Loads a project config file. JavaScript files must export the config as default export.
+ * Output paths, plugins, templates and certificate files are resolved against the directory
+ * of the file.
+ * @param {string} file
+ * @returns {Promise<ProjectConfig>}
+ * @throws {Error} If the file cannot be read or the config is invalid
+ */
+export async function loadProjectConfig(file) {
+    let obj;
+    if (path.extname(file) === '.json') {
+        obj = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } else {
+        obj = (await import(pathToFileURL(path.resolve(file)).href)).default;
+    }
+
+    const config = assertProjectConfig(obj);
+    const dir = path.dirname(path.resolve(file));
+    if (typeof config.connection === 'object') {
+        config.connection = resolveCertificatePaths(config.connection, dir);
+    }
+    if (config.connections) {
+        for (const [name, profile] of Object.entries(config.connections)) {
+            config.connections[name] = resolveCertificatePaths(profile, dir);
+        }
+    }
+    if (config.outputs) {
+        config.outputs = config.outputs.map(output => ({
+            ...output,
+            out: path.resolve(dir, output.out),
+        }));
+    }
+    if (config.plugins) {
+        config.plugins = config.plugins.map(file => path.resolve(dir, file));
+    }
+    if (config.templates) {
+        config.templates = config.templates.map(file => path.resolve(dir, file));
+    }
+    return config;
+}
+
+/** @type {ProjectConfig} */
+let projectConfig = {};
+
+/**
+ * Sets the project config used by the commands and the server.
+ * @param {ProjectConfig} config
+ */
+export function setProjectConfig(config) {
+    projectConfig = config;
+}
+
+/**
+ * Returns the project config, an empty object if there is no config file.
+ * @returns {ProjectConfig}
+ */
+export function getProjectConfig() {
+    return projectConfig;
+}
+
+/**
+ * Returns the part of the project config the web interface uses. Connection settings
+ * are left out, as they may contain passwords.
+ * @returns {{database?: string, tables?: import("../src/frontend/table_filter.js").TableFilter, typeMapping?: import("../src/frontend/type_mapping.js").TypeMappingOptions, naming?: import("../src/frontend/naming.js").NamingOptions, jsClass?: {immutable?: boolean}}}
+ */
+export function getPublicProjectConfig() {
+    const { database, tables, typeMapping, naming, jsClass } = projectConfig;
+    return { database, tables, typeMapping, naming, jsClass };
+}
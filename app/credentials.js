@@ -0,0 +1,257 @@
+// @ts-check
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Connection settings with the names of the MySQL client options
+ * @typedef {Object} ConnectionSettings
+ * @property {string} [host]
+ * @property {number} [port]
+ * @property {string} [user]
+ * @property {string} [password]
+ * @property {string} [socket] Unix socket file, used instead of host and port
+ * @property {string} [ssl-ca] File with the CA certificate(s)
+ * @property {string} [ssl-cert] File with the client certificate
+ * @property {string} [ssl-key] File with the client key
+ * @property {string} [ssl-mode] DISABLED, PREFERRED, REQUIRED, VERIFY_CA or VERIFY_IDENTITY
+ */
+
+/** Names of the connection settings */
+export const CONNECTION_SETTINGS = [
+    'host',
+    'port',
+    'user',
+    'password',
+    'socket',
+    'ssl-ca',
+    'ssl-cert',
+    'ssl-key',
+    'ssl-mode',
+];
+
+/** Values of the ssl-mode setting */
+const SSL_MODES = ['DISABLED', 'PREFERRED', 'REQUIRED', 'VERIFY_CA', 'VERIFY_IDENTITY'];
+
+/** Option files read when --defaults-file is not given, later files override earlier ones */
+const DEFAULT_OPTION_FILES = [
+    '/etc/my.cnf',
+    '/etc/mysql/my.cnf',
+    path.join(os.homedir(), '.my.cnf'),
+];
+
+/** Sections of the option files with settings for this tool */
+const OPTION_FILE_SECTIONS = ['client', 'mysql-to-json'];
+
+/**
+ * Parses a MySQL option file (my.cnf). Option names are returned with dashes, as MySQL
+ * treats "ssl_ca" and "ssl-ca" the same way. "!include" directives are ignored.
+ * @param {string} text
+ * @returns {Object<string, Object<string, string>>} Options by section name
+ */
+export function parseOptionFile(text) {
+    /** @type {Object<string, Object<string, string>>} */
+    const sections = {};
+    let section = null;
+
+    for (let line of text.split(/\r?\n/)) {
+        line = line.trim();
+        if (line === '' || line.startsWith('#') || line.startsWith(';') || line.startsWith('!')) {
+            continue;
+        }
+
+        const header = line.match(/^\[\s*([^\]]+?)\s*\]$/);
+        if (header) {
+            section = header[1].toLowerCase();
+            sections[section] = sections[section] || {};
+            continue;
+        }
+        if (section === null) continue;
+
+        const match = line.match(/^([^=]+?)\s*(?:=\s*(.*))?$/);
+        if (!match) continue;
+        const name = match[1].toLowerCase().replace(/_/g, '-');
+        sections[section][name] = unquoteOptionValue(match[2] || '');
+    }
+
+    return sections;
+}
+
+/**
+ * Removes the quotes and the trailing comment of an option value
+ * @param {string} value
+ * @returns {string}
+ */
+function unquoteOptionValue(value) {
+    const quoted = value.match(/^(['"])(.*)\1(\s*#.*)?$/);
+    if (quoted) {
+        return quoted[2].replace(/\\(.)/g, (_, char) => ({ n: '\n', t: '\t' })[char] ?? char);
+    }
+    return value.replace(/\s+#.*$/, '').trim();
+}
+
+/**
+ * Reads the connection settings of the [client] and [mysql-to-json] sections of the
+ * option files.
+ * @param {string} [defaults_file] The only file to read. By default /etc/my.cnf,
+ * /etc/mysql/my.cnf and ~/.my.cnf are read if they exist.
+ * @returns {ConnectionSettings}
+ * @throws {Error} If the defaults file cannot be read
+ */
+export function readOptionFiles(defaults_file) {
+    const files = defaults_file ? [defaults_file] : DEFAULT_OPTION_FILES;
+    /** @type {Object<string, string>} */
+    const options = {};
+
+    for (const file of files) {
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            if (defaults_file) throw new Error(`Cannot read ${file}: ${err.message}`);
+            continue;
+        }
+        const sections = parseOptionFile(text);
+        for (const section of OPTION_FILE_SECTIONS) Object.assign(options, sections[section]);
+    }
+
+    return pickConnectionSettings(options);
+}
+
+/**
+ * Reads the connection settings of the environment variables of the MySQL clients:
+ * MYSQL_HOST, MYSQL_TCP_PORT, MYSQL_PWD, MYSQL_UNIX_PORT (socket) and MYSQL_USER.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {ConnectionSettings}
+ */
+export function readEnvironment(env = process.env) {
+    return pickConnectionSettings({
+        host: env.MYSQL_HOST,
+        port: env.MYSQL_TCP_PORT,
+        user: env.MYSQL_USER,
+        password: env.MYSQL_PWD,
+        socket: env.MYSQL_UNIX_PORT,
+    });
+}
+
+/**
+ * Returns the connection settings of an object, skipping unknown and missing values.
+ * @param {Object<string, any>} options
+ * @returns {ConnectionSettings}
+ * @throws {Error} If a value is invalid
+ */
+export function pickConnectionSettings(options) {
+    /** @type {ConnectionSettings} */
+    const settings = {};
+    for (const name of CONNECTION_SETTINGS) {
+        const value = options[name];
+        if (value === undefined || value === null || value === '') {
+            // An empty password is a password
+            if (name === 'password' && value === '') settings.password = '';
+            continue;
+        }
+        if (name === 'port') {
+            const port = Number(value);
+            if (!Number.isInteger(port) || port <= 0) throw new Error(`Invalid port '${value}'`);
+            settings.port = port;
+        } else if (name === 'ssl-mode') {
+            const mode = String(value).toUpperCase();
+            if (!SSL_MODES.includes(mode)) {
+                throw new Error(`ssl-mode must be one of: ${SSL_MODES.join(', ')}`);
+            }
+            settings[name] = mode;
+        } else {
+            settings[name] = String(value);
+        }
+    }
+    return settings;
+}
+
+/**
+ * Converts connection settings to the connection options of mysql2. The certificate
+ * files are read here, so that a wrong path is reported at startup.
+ *
+ * Without ssl-mode, TLS is used when ssl-ca, ssl-cert or ssl-key is set; with ssl-ca the
+ * server certificate is verified (VERIFY_CA), like the MySQL client does.
+ * PREFERRED connects without TLS, mysql2 cannot fall back from TLS to plain connections.
+ *
+ * @param {ConnectionSettings} settings
+ * @returns {import("./db.js").ConnectionProfile}
+ * @throws {Error} If a certificate file cannot be read
+ */
+export function createConnectionOptions(settings) {
+    /** @type {import("./db.js").ConnectionProfile} */
+    const options = {};
+    if (settings.host !== undefined) options.host = settings.host;
+    if (settings.port !== undefined) options.port = settings.port;
+    if (settings.user !== undefined) options.user = settings.user;
+    if (settings.password !== undefined) options.password = settings.password;
+    if (settings.socket !== undefined) options.socketPath = settings.socket;
+
+    const has_files = Boolean(settings['ssl-ca'] || settings['ssl-cert'] || settings['ssl-key']);
+    let mode = settings['ssl-mode'];
+    if (!mode) mode = settings['ssl-ca'] ? 'VERIFY_CA' : has_files ? 'REQUIRED' : 'PREFERRED';
+    if (mode === 'DISABLED' || mode === 'PREFERRED') return options;
+
+    /** @type {import("./db.js").ConnectionProfile["ssl"]} */
+    const ssl = { rejectUnauthorized: mode !== 'REQUIRED' };
+    if (mode === 'VERIFY_CA') {
+        // The certificate chain is verified, the host name is not
+        ssl.checkServerIdentity = () => undefined;
+    }
+    for (const [name, key] of [
+        ['ssl-ca', 'ca'],
+        ['ssl-cert', 'cert'],
+        ['ssl-key', 'key'],
+    ]) {
+        if (!settings[name]) continue;
+        try {
+            ssl[key] = fs.readFileSync(settings[name], 'utf8');
+        } catch (err) {
+            throw new Error(`Cannot read ${name} ${settings[name]}: ${err.message}`);
+        }
+    }
+    options.ssl = ssl;
+    return options;
+}
+
+/**
+ * Asks for a password on the terminal without echoing it.
+ * @param {string} question
+ * @returns {Promise<string>}
+ * @throws {Error} If the prompt is cancelled with Ctrl+C
+ */
+export function promptPassword(question) {
+    const stdin = process.stdin;
+    process.stderr.write(question);
+
+    return new Promise((resolve, reject) => {
+        let password = '';
+
+        /** @param {Error|null} err */
+        const finish = err => {
+            stdin.off('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            process.stderr.write('\n');
+            if (err) reject(err);
+            else resolve(password);
+        };
+
+        /** @param {string} chunk */
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') return finish(null);
+                if (char === '\u0003') return finish(new Error('Password prompt cancelled'));
+                if (char === '\u007f' || char === '\b') password = password.slice(0, -1);
+                else password += char;
+            }
+        };
+
+        stdin.setRawMode(true);
+        stdin.setEncoding('utf8');
+        stdin.on('data', onData);
+        stdin.resume();
+    });
+}
@@ -0,0 +1,90 @@
+import test from 'ava';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    createConnectionOptions,
+    parseOptionFile,
+    pickConnectionSettings,
+    readEnvironment,
+    readOptionFiles,
+} from './credentials.js';
+
+const OPTION_FILE = `
+# Options before the first section are ignored
+user = nobody
+
+[client]
+host = db.example.com
+port=3307
+ssl_ca = /etc/ssl/ca.pem   # the CA of the server
+!includedir /etc/mysql/conf.d/
+
+[mysql]
+user = shell
+
+[ mysql-to-json ]
+user = "export"
+password = 'p#ss\\'word'
+; comment
+skip-ssl
+`;
+
+test('parses sections, quoted values and comments of an option file', t => {
+    t.deepEqual(parseOptionFile(OPTION_FILE), {
+        client: { host: 'db.example.com', port: '3307', 'ssl-ca': '/etc/ssl/ca.pem' },
+        mysql: { user: 'shell' },
+        'mysql-to-json': { user: 'export', password: "p#ss'word", 'skip-ssl': '' },
+    });
+});
+
+test('reads the client and mysql-to-json sections of a defaults file', t => {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mysql-to-json-'));
+    let file = path.join(dir, 'my.cnf');
+    fs.writeFileSync(file, OPTION_FILE);
+    try {
+        t.deepEqual(readOptionFiles(file), {
+            host: 'db.example.com',
+            port: 3307,
+            user: 'export',
+            password: "p#ss'word",
+            'ssl-ca': '/etc/ssl/ca.pem',
+        });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    t.throws(() => readOptionFiles(path.join(dir, 'missing.cnf')), {
+        message: /^Cannot read .*missing\.cnf/,
+    });
+});
+
+test('reads the environment variables of the MySQL clients', t => {
+    t.deepEqual(readEnvironment({ MYSQL_HOST: 'db', MYSQL_TCP_PORT: '3308', MYSQL_PWD: '' }), {
+        host: 'db',
+        port: 3308,
+        password: '',
+    });
+});
+
+test('validates connection settings', t => {
+    t.deepEqual(pickConnectionSettings({ 'ssl-mode': 'required', unknown: 'x' }), {
+        'ssl-mode': 'REQUIRED',
+    });
+    t.throws(() => pickConnectionSettings({ port: 'abc' }), { message: "Invalid port 'abc'" });
+    t.throws(() => pickConnectionSettings({ 'ssl-mode': 'ON' }), {
+        message: /^ssl-mode must be one of/,
+    });
+});
+
+test('converts settings to mysql2 options', t => {
+    t.deepEqual(createConnectionOptions({ host: 'db', socket: '/tmp/mysql.sock' }), {
+        host: 'db',
+        socketPath: '/tmp/mysql.sock',
+    });
+    t.deepEqual(createConnectionOptions({ 'ssl-mode': 'REQUIRED' }), {
+        ssl: { rejectUnauthorized: false },
+    });
+    t.throws(() => createConnectionOptions({ 'ssl-ca': '/nonexistent/ca.pem' }), {
+        message: /^Cannot read ssl-ca \/nonexistent\/ca\.pem/,
+    });
+});
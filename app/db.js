@@ -1,4 +1,5 @@
 // @ts-check
+import mysql from 'mysql2/promise';
 
 export const dbUserCredentials = {
     host: 'localhost',
@@ -20,3 +21,184 @@ export function setCredentials(credentials) {
         dbUserCredentials[key] = credentials[key];
     }
 }
+
+/**
+ * MySQL connection settings of a named profile
+ * @typedef {Object} ConnectionProfile
+ * @property {string} [host]
+ * @property {number} [port]
+ * @property {string} [user]
+ * @property {string} [password]
+ * @property {string} [socketPath] Unix socket, used instead of host and port
+ * @property {import("mysql2").SslOptions & {checkServerIdentity?: () => undefined}} [ssl] TLS options
+ */
+
+/** Name of the profile made of the command line options */
+export const DEFAULT_CONNECTION = 'default';
+
+/** @type {Map<string, ConnectionProfile>} */
+let connectionProfiles = new Map([[DEFAULT_CONNECTION, dbUserCredentials]]);
+let defaultConnectionName = DEFAULT_CONNECTION;
+
+/**
+ * Validates a connection profiles file:
+ * `{"default": "local", "connections": {"local": {"host": "localhost", ...}, ...}}`
+ * @param {any} obj
+ * @returns {{default: string, connections: Object<string, ConnectionProfile>}}
+ * @throws {Error} If the object is invalid
+ */
+export function assertConnectionsConfig(obj) {
+    if (typeof obj !== 'object' || obj === null) {
+        throw new Error('Connections config must be an object');
+    }
+    let connections = obj.connections;
+    if (typeof connections !== 'object' || connections === null || Array.isArray(connections)) {
+        throw new Error('"connections" must be an object of profiles');
+    }
+    let names = Object.keys(connections);
+    if (names.length === 0) throw new Error('No connection profiles defined');
+
+    for (const [name, profile] of Object.entries(connections)) {
+        if (typeof profile !== 'object' || profile === null) {
+            throw new Error(`Connection profile "${name}" must be an object`);
+        }
+        for (const key of [
+            'host',
+            'user',
+            'password',
+            'socket',
+            'ssl-ca',
+            'ssl-cert',
+            'ssl-key',
+            'ssl-mode',
+        ]) {
+            if (profile[key] !== undefined && typeof profile[key] !== 'string') {
+                throw new Error(`Connection profile "${name}": ${key} must be a string`);
+            }
+        }
+        if (profile.port !== undefined && !Number.isInteger(profile.port)) {
+            throw new Error(`Connection profile "${name}": port must be an integer`);
+        }
+    }
+
+    let default_name = obj.default === undefined ? names[0] : obj.default;
+    if (!names.includes(default_name)) {
+        throw new Error(`Default connection "${default_name}" is not defined`);
+    }
+    return { default: default_name, connections };
+}
+
+/**
+ * Replaces the connection profiles, e.g. with the profiles of a config file. The pools of
+ * the previous profiles are closed first.
+ * @param {Object<string, ConnectionProfile>} profiles Profiles by name
+ * @param {string} default_name Profile used when a call does not name one
+ * @returns {Promise<void>}
+ */
+export async function setConnectionProfiles(profiles, default_name) {
+    await closePools();
+    connectionProfiles = new Map();
+    for (const [name, profile] of Object.entries(profiles)) {
+        connectionProfiles.set(name, { host: 'localhost', port: 3306, user: 'root', ...profile });
+    }
+    setDefaultConnection(default_name);
+}
+
+/**
+ * Sets the profile used when a call does not name one.
+ * @param {string} name
+ * @throws {Error} If there is no such profile
+ */
+export function setDefaultConnection(name) {
+    if (!connectionProfiles.has(name)) throw new Error(`Unknown connection profile '${name}'`);
+    defaultConnectionName = name;
+}
+
+/**
+ * Returns the name of the profile used when a call does not name one.
+ * @returns {string}
+ */
+export function getDefaultConnection() {
+    return defaultConnectionName;
+}
+
+/**
+ * Returns the connection profiles without passwords.
+ * @returns {{name: string, host: string|undefined, port: number|undefined, user: string|undefined}[]}
+ */
+export function getConnectionProfiles() {
+    return Array.from(connectionProfiles, ([name, profile]) => ({
+        name,
+        host: profile.host,
+        port: profile.port,
+        user: profile.user,
+    }));
+}
+
+/**
+ * Returns the credentials of a connection profile.
+ * @param {string} [name] Profile name, default is the default profile
+ * @returns {ConnectionProfile}
+ * @throws {Error} If there is no such profile
+ */
+export function getCredentials(name) {
+    const profile = connectionProfiles.get(name || defaultConnectionName);
+    if (!profile) throw new Error(`Unknown connection profile '${name}'`);
+    return profile;
+}
+
+/** Maximum number of connections a profile pool opens */
+const POOL_CONNECTION_LIMIT = 10;
+
+/** @type {Map<string, import("mysql2/promise").Pool>} */
+const connectionPools = new Map();
+
+/**
+ * Returns the connection pool of a profile. The pool is created on first use and shared
+ * by all calls with this profile.
+ * @param {string} [name] Profile name, default is the default profile
+ * @returns {import("mysql2/promise").Pool}
+ * @throws {Error} If there is no such profile
+ */
+export function getPool(name) {
+    const profile_name = name || defaultConnectionName;
+    let pool = connectionPools.get(profile_name);
+    if (!pool) {
+        pool = mysql.createPool({
+            ...getCredentials(profile_name),
+            connectionLimit: POOL_CONNECTION_LIMIT,
+        });
+        connectionPools.set(profile_name, pool);
+    }
+    return pool;
+}
+
+/**
+ * Closes the connection pools of all profiles.
+ * @returns {Promise<void>}
+ */
+export async function closePools() {
+    const pools = Array.from(connectionPools.values());
+    connectionPools.clear();
+    await Promise.all(pools.map(pool => pool.end()));
+}
+
+/** @type {import("../src/frontend/snapshot.js").Snapshot|null} */
+let schemaSnapshot = null;
+
+/**
+ * Sets the schema snapshot to serve instead of connecting to the MySQL server.
+ * Pass null to go back to the live database.
+ * @param {import("../src/frontend/snapshot.js").Snapshot|null} snapshot
+ */
+export function setSnapshot(snapshot) {
+    schemaSnapshot = snapshot;
+}
+
+/**
+ * Returns the schema snapshot the server works with, or null when connected to MySQL.
+ * @returns {import("../src/frontend/snapshot.js").Snapshot|null}
+ */
+export function getSnapshot() {
+    return schemaSnapshot;
+}
@@ -0,0 +1,858 @@
+// @ts-check
+
+import fs from 'fs';
+import path from 'path';
+import {
+    api_foreign_keys_list,
+    api_indexes_list,
+    api_snapshot_create,
+    api_tables_info,
+    api_tables_list,
+    api_tables_show_create,
+} from './server.js';
+import { createDatabaseModel } from '../src/frontend/tools.js';
+import { NameMapper } from '../src/frontend/naming.js';
+import {
+    diffDatabases,
+    generateMigrationSql,
+    serializeSchemaDiff,
+} from '../src/frontend/schema_diff.js';
+import {
+    assertOutputFileNames,
+    generateFormatFiles,
+    getFormat,
+    getFormats,
+} from '../src/frontend/format_registry.js';
+import { assertSnapshot } from '../src/frontend/snapshot.js';
+import { assertTypeMapping } from '../src/frontend/type_mapping.js';
+import {
+    checkCreateTableStatements,
+    formatCreateTableChecks,
+} from '../src/frontend/create_table_check.js';
+import { filterTableNames } from '../src/frontend/table_filter.js';
+import { DATABASE_OBJECT_TYPES, createDatabaseObjects } from '../src/frontend/database_objects.js';
+import { MIGRATION_FORMATS, createMigrationFiles } from '../src/frontend/migrations.js';
+import { exportRows, rowFormats } from './rows.js';
+import { getProjectConfig } from './config.js';
+
+/** Exit codes returned by the export command */
+export const EXIT_OK = 0;
+export const EXIT_ERROR = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_CHECK_FAILED = 3;
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {import("../src/frontend/type_mapping.js").TypeMappingOptions} [typeMapping] Overrides of the default type mapping
+ * @property {import("../src/frontend/naming.js").NamingOptions} [naming] Overrides of the default naming
+ * @property {{immutable?: boolean}} [jsClass] Options of the js-class format
+ */
+
+export const exportHelp = `Usage: mysql-to-json export --database NAME [--tables LIST] [--format FORMAT] [--out PATH] [--split] [--type-mapping FILE] [--immutable] [--check]
+
+Options:
+--database NAME   The database to export. Default is "database" of the config file.
+--tables LIST     Comma-separated list of tables. Default is "tables" of the config file,
+                  or all tables.
+--format FORMAT   Output format: ${getFormatNames().join(', ')},
+                  or a format of a --plugin module or --template file. Default is json.
+--out PATH        Output file or directory. Default is stdout.
+--split           Write one file per table into the --out directory.
+--type-mapping FILE
+                  JSON file that overrides how MySQL types are mapped in the js-class, ts,
+                  repository and json-schema formats, e.g. {"bigint": "bigint", "columns": {"users.settings": "UserSettings"}}.
+                  Default is "typeMapping" of the config file.
+--immutable       With --format js-class: freeze the instances and add a with() method.
+                  Default is "jsClass.immutable" of the config file.
+--check           With --format sql: compare the generated statements with SHOW CREATE TABLE
+                  and write a report instead of the statements.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments,
+3 - generated statements differ from SHOW CREATE TABLE (--check).`;
+
+export const snapshotHelp = `Usage: mysql-to-json snapshot --database NAME[,NAME...] [--out FILE]
+
+Saves columns, indexes, foreign keys, table metadata, views, routines, triggers and events
+of the databases to a snapshot file, which can be used later with --snapshot FILE instead of a MySQL connection.
+
+Options:
+--database NAME   Comma-separated list of databases. Default is "database" of the config file.
+--out FILE        Output file. Default is stdout.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments.`;
+
+export const diffHelp = `Usage: mysql-to-json diff --from NAME --to NAME [--from-snapshot FILE] [--to-snapshot FILE] [--from-connection NAME] [--to-connection NAME] [--format FORMAT] [--out FILE]
+
+Compares two schemas and prints the statements that turn the --from schema into the --to schema.
+Each side is a database on a server or a database of a snapshot file.
+
+Options:
+--from NAME             Source database. May be omitted if --from-snapshot has a single database.
+--to NAME               Target database. May be omitted if --to-snapshot has a single database.
+--from-snapshot FILE    Read the source database from a snapshot file.
+--to-snapshot FILE      Read the target database from a snapshot file.
+--from-connection NAME  Connection profile of the source database. Default is --connection.
+--to-connection NAME    Connection profile of the target database. Default is --connection.
+--format FORMAT         Output format: sql (migration statements) or json (structured diff). Default is sql.
+--out FILE              Output file. Default is stdout.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments.`;
+
+export const rowsHelp = `Usage: mysql-to-json rows --database NAME [--tables LIST] [--format FORMAT] [--columns LIST] [--where SQL] [--limit N] [--out PATH]
+
+Exports the rows of tables. Rows are streamed, so tables larger than the available memory can be exported.
+
+Options:
+--database NAME   The database to export. Default is "database" of the config file.
+--tables LIST     Comma-separated list of tables. Default is "tables" of the config file,
+                  or all tables.
+--format FORMAT   Output format: ${Object.keys(rowFormats).join(', ')}. Default is json.
+--columns LIST    Comma-separated list of columns. Default is all columns.
+--where SQL       Condition to filter the rows, e.g. "created_at >= '2024-01-01'".
+--limit N         Maximum number of rows per table.
+--out PATH        Output file or directory. Default is stdout for a single table.
+                  Several tables are written to one file per table in the directory.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments.`;
+
+export const objectsHelp = `Usage: mysql-to-json objects --database NAME [--type LIST] [--out FILE]
+
+Writes the views, stored procedures and functions (with their parameters), triggers and
+events of a database as JSON, with their definitions and metadata.
+
+Options:
+--database NAME   The database to read. Default is "database" of the config file.
+--type LIST       Comma-separated list of: ${DATABASE_OBJECT_TYPES.join(', ')}. Default is all.
+--out FILE        Output file. Default is stdout.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments.`;
+
+export const migrationsHelp = `Usage: mysql-to-json migrations --database NAME [--tables LIST] [--format FORMAT] [--name NAME] [--out DIR]
+
+Writes the initial migration of tables that already exist, e.g. to start a migrations folder
+for a database that was created by hand. Tables are created after the tables they reference
+and dropped before them.
+
+Options:
+--database NAME   The database to read. Default is "database" of the config file.
+--tables LIST     Comma-separated list of tables. Default is "tables" of the config file,
+                  or all tables.
+--format FORMAT   knex (a Knex migration with createTable builders) or sql (timestamped
+                  .up.sql and .down.sql files). Default is knex.
+--name NAME       Name of the migration, after the timestamp. Default is initial_schema.
+--out DIR         Output directory. Default is migrations.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments.`;
+
+export const generateHelp = `Usage: mysql-to-json generate [--database NAME] [--tables LIST] [--type-mapping FILE] [--immutable]
+
+Writes every file of the "outputs" of the config file, e.g.
+{"database": "shop", "outputs": [{"format": "ts", "out": "src/db/schema.ts"},
+{"format": "js-class", "out": "src/db/models", "split": true}]}.
+Output paths are relative to the config file.
+
+Options:
+--database NAME   The database to export. Default is "database" of the config file.
+--tables LIST     Comma-separated list of tables. Default is "tables" of the config file,
+                  or all tables.
+--type-mapping FILE
+                  JSON file that overrides how MySQL types are mapped in every output.
+                  Default is "typeMapping" of the config file.
+--immutable       Freeze the instances of js-class outputs and add a with() method.
+
+Exit codes: 0 - success, 1 - database or file error, 2 - invalid arguments.`;
+
+/**
+ * Returns the names of the output formats
+ * @returns {string[]}
+ */
+function getFormatNames() {
+    return getFormats().map(format => format.name);
+}
+
+/**
+ * Splits a comma-separated list of names.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+    if (!value) return [];
+    let list = Array.isArray(value) ? value : String(value).split(',');
+    return list.map(s => String(s).trim()).filter(s => s !== '');
+}
+
+/**
+ * Writes the content to the file, creating parent directories if needed.
+ * @param {string} file_path
+ * @param {string} content
+ */
+function writeFile(file_path, content) {
+    fs.mkdirSync(path.dirname(file_path), { recursive: true });
+    fs.writeFileSync(file_path, content);
+    console.error(`Written ${file_path}`);
+}
+
+/**
+ * Resolves the file path for single-file output. If the path points to a directory
+ * (existing or without extension), the file is named after the database.
+ * @param {string} out
+ * @param {string} database_name
+ * @param {string} extension
+ * @returns {string}
+ */
+function resolveSingleFilePath(out, database_name, extension) {
+    let is_directory = fs.existsSync(out)
+        ? fs.statSync(out).isDirectory()
+        : path.extname(out) === '';
+    return is_directory ? path.join(out, database_name + extension) : out;
+}
+
+/**
+ * Schema of the tables of a database, as returned by the API
+ * @typedef {Object} TablesSchema
+ * @property {string[]} table_names
+ * @property {any[]} columns Rows of INFORMATION_SCHEMA.COLUMNS
+ * @property {any[]} indexes Rows of INFORMATION_SCHEMA.STATISTICS
+ * @property {any[]} foreign_keys Foreign key column rows
+ * @property {any[]} tables Rows of INFORMATION_SCHEMA.TABLES
+ */
+
+/**
+ * Loads the columns, indexes, foreign keys and table metadata of tables.
+ * @param {string} database_name
+ * @param {string[]} table_names Tables to load, empty for the "tables" of the config file or all tables
+ * @returns {Promise<{result: TablesSchema, error: false}|{result: null, error: string}>}
+ */
+async function loadTablesSchema(database_name, table_names) {
+    let tables_response = await api_tables_list({ database_name });
+    if (tables_response.error !== false) {
+        return { result: null, error: tables_response.error };
+    }
+
+    /** @type {any[]} */
+    let columns = tables_response.result;
+    let available_tables = Array.from(new Set(columns.map(column => column.TABLE_NAME)));
+
+    if (table_names.length === 0) {
+        table_names = filterTableNames(available_tables, getProjectConfig().tables);
+        columns = columns.filter(column => table_names.includes(column.TABLE_NAME));
+    } else {
+        let missing = table_names.filter(name => !available_tables.includes(name));
+        if (missing.length > 0) {
+            return {
+                result: null,
+                error: `table(s) not found in ${database_name}: ${missing.join(', ')}`,
+            };
+        }
+        columns = columns.filter(column => table_names.includes(column.TABLE_NAME));
+    }
+
+    if (table_names.length === 0) {
+        return { result: null, error: `database ${database_name} has no tables to export` };
+    }
+
+    let indexes_response = await api_indexes_list({ database_name, table_names });
+    if (indexes_response.error !== false) {
+        return { result: null, error: indexes_response.error };
+    }
+
+    /** @type {any[]} */
+    let indexes = indexes_response.result;
+
+    let foreign_keys_response = await api_foreign_keys_list({ database_name, table_names });
+    if (foreign_keys_response.error !== false) {
+        return { result: null, error: foreign_keys_response.error };
+    }
+
+    /** @type {any[]} */
+    let foreign_keys = foreign_keys_response.result;
+
+    let tables_info_response = await api_tables_info({ database_name, table_names });
+    if (tables_info_response.error !== false) {
+        return { result: null, error: tables_info_response.error };
+    }
+
+    /** @type {any[]} */
+    let tables = tables_info_response.result;
+
+    return { result: { table_names, columns, indexes, foreign_keys, tables }, error: false };
+}
+
+/**
+ * Builds the model of the tables and runs the output format on it.
+ * @param {import("../src/frontend/format_registry.js").FormatPlugin} format
+ * @param {string} database_name
+ * @param {ExportOptions} options
+ * @param {import("../src/frontend/format_registry.js").SchemaRows} rows
+ * @returns {import("../src/frontend/format_registry.js").OutputFile[]}
+ */
+function generateExportFiles(format, database_name, options, rows) {
+    let db = createDatabaseModel(database_name, rows);
+    return generateFormatFiles(format, db, {
+        typeMapping: options.typeMapping,
+        naming: options.naming,
+        jsClass: options.jsClass,
+        rows,
+    });
+}
+
+/**
+ * Checks whether the output of a format is the content of a single file, which is named
+ * after the database or the table, or written to the --out file
+ * @param {import("../src/frontend/format_registry.js").OutputFile[]} files
+ * @param {string} database_name
+ * @param {import("../src/frontend/format_registry.js").FormatPlugin} format
+ * @returns {boolean}
+ */
+function isSingleFile(files, database_name, format) {
+    return files.length === 1 && files[0].name === database_name + format.extension;
+}
+
+/**
+ * Command line arguments of the export command
+ * @typedef {Object} ExportArgs
+ * @property {string} [database] Database name
+ * @property {string} [tables] Comma-separated table names
+ * @property {string} [format] Output format
+ * @property {string} [out] Output file or directory
+ * @property {boolean} [split] Write one file per table
+ * @property {boolean} [immutable] Freeze the instances of the js-class format
+ * @property {boolean} [check] Compare CREATE TABLE statements with the server
+ */
+
+/**
+ * Exports the schema of the given tables without starting the web server.
+ *
+ * @param {ExportArgs & {'type-mapping'?: string}} argv Parsed command line arguments,
+ * "type-mapping" is the type mapping file
+ * @returns {Promise<number>} Exit code
+ */
+export async function runExport(argv) {
+    let config = getProjectConfig();
+    let database_name = argv.database ? String(argv.database) : config.database || '';
+    let format_name = argv.format ? String(argv.format) : 'json';
+    let format = getFormat(format_name);
+
+    if (!database_name) {
+        console.error('Error: --database is required, or "database" in the config file\n');
+        console.error(exportHelp);
+        return EXIT_USAGE;
+    }
+
+    if (!format) {
+        console.error(
+            `Error: unknown format "${format_name}". Available formats: ${getFormatNames().join(', ')}`
+        );
+        return EXIT_USAGE;
+    }
+
+    if (argv.split && !argv.out) {
+        console.error('Error: --split requires --out DIRECTORY');
+        return EXIT_USAGE;
+    }
+
+    if (argv.check && (format_name !== 'sql' || argv.split)) {
+        console.error('Error: --check requires --format sql and cannot be used with --split');
+        return EXIT_USAGE;
+    }
+
+    /** @type {ExportOptions} */
+    let options = {
+        typeMapping: config.typeMapping,
+        naming: config.naming,
+        jsClass: config.jsClass,
+    };
+    if (argv.immutable) options.jsClass = { ...options.jsClass, immutable: true };
+    if (argv['type-mapping']) {
+        let file_path = String(argv['type-mapping']);
+        try {
+            options.typeMapping = assertTypeMapping(JSON.parse(fs.readFileSync(file_path, 'utf8')));
+        } catch (err) {
+            console.error(`Error: cannot load type mapping ${file_path}: ${err.message}`);
+            return EXIT_ERROR;
+        }
+    }
+
+    let schema_response = await loadTablesSchema(database_name, parseList(argv.tables));
+    if (schema_response.error !== false) {
+        console.error(`Error: ${schema_response.error}`);
+        return EXIT_ERROR;
+    }
+    let { table_names, columns, indexes, foreign_keys, tables } = schema_response.result;
+
+    if (argv.check) {
+        let show_create_response = await api_tables_show_create({ database_name, table_names });
+        if (show_create_response.error !== false) {
+            console.error(`Error: ${show_create_response.error}`);
+            return EXIT_ERROR;
+        }
+
+        let db = createDatabaseModel(database_name, {
+            columns,
+            indexes,
+            foreignKeys: foreign_keys,
+            tables,
+        });
+        let checks = checkCreateTableStatements(db, show_create_response.result);
+        let report = formatCreateTableChecks(checks);
+        try {
+            if (argv.out) writeFile(String(argv.out), report);
+            else process.stdout.write(report + '\n');
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            return EXIT_ERROR;
+        }
+        return checks.every(check => check.ok) ? EXIT_OK : EXIT_CHECK_FAILED;
+    }
+
+    try {
+        if (argv.split) {
+            let out = String(argv.out);
+            for (let table_name of table_names) {
+                let files = generateExportFiles(format, database_name, options, {
+                    columns: columns.filter(column => column.TABLE_NAME === table_name),
+                    indexes: indexes.filter(index => index.TABLE_NAME === table_name),
+                    foreignKeys: foreign_keys.filter(
+                        row =>
+                            row.TABLE_NAME === table_name ||
+                            row.REFERENCED_TABLE_NAME === table_name
+                    ),
+                    tables: tables.filter(table => table.TABLE_NAME === table_name),
+                });
+                if (isSingleFile(files, database_name, format)) {
+                    let file_name = new NameMapper(options.naming).getFileName(table_name);
+                    writeFile(path.join(out, file_name + format.extension), files[0].content);
+                } else {
+                    for (let file of files) writeFile(path.join(out, file.name), file.content);
+                }
+            }
+        } else {
+            let files = generateExportFiles(format, database_name, options, {
+                columns,
+                indexes,
+                foreignKeys: foreign_keys,
+                tables,
+            });
+            if (argv.out && isSingleFile(files, database_name, format)) {
+                writeFile(
+                    resolveSingleFilePath(String(argv.out), database_name, format.extension),
+                    files[0].content
+                );
+            } else if (!argv.out && files.length === 1) {
+                process.stdout.write(files[0].content + '\n');
+            } else if (argv.out) {
+                for (let file of files) {
+                    writeFile(path.join(String(argv.out), file.name), file.content);
+                }
+            } else {
+                console.error(
+                    `Error: format ${format.name} writes several files, use --out DIRECTORY`
+                );
+                return EXIT_USAGE;
+            }
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return EXIT_ERROR;
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Streams the rows of a table to a file or to stdout
+ * @param {import("./rows.js").RowsExportParams} params
+ * @param {string} file_path Output file, empty for stdout
+ * @returns {Promise<{result: {rows: number}, error:false}|{result: null,error: string}>}
+ */
+async function writeRows(params, file_path) {
+    if (!file_path) return exportRows(params, process.stdout);
+
+    fs.mkdirSync(path.dirname(file_path), { recursive: true });
+    let output = fs.createWriteStream(file_path);
+    let response = await exportRows(params, output);
+    await new Promise((resolve, reject) => {
+        output.on('error', reject);
+        output.end(resolve);
+    });
+    if (response.error === false) {
+        console.error(`Written ${file_path} (${response.result.rows} rows)`);
+    } else {
+        fs.rmSync(file_path, { force: true });
+    }
+    return response;
+}
+
+/**
+ * Exports the rows of the given tables.
+ *
+ * @param {Object} argv Parsed command line arguments
+ * @param {string} [argv.database] Database name
+ * @param {string} [argv.tables] Comma-separated table names
+ * @param {string} [argv.format] Output format
+ * @param {string} [argv.columns] Comma-separated column names
+ * @param {string} [argv.where] SQL condition to filter the rows
+ * @param {number} [argv.limit] Maximum number of rows per table
+ * @param {string} [argv.out] Output file or directory
+ * @returns {Promise<number>} Exit code
+ */
+export async function runRows(argv) {
+    let config = getProjectConfig();
+    let database_name = argv.database ? String(argv.database) : config.database || '';
+    let format_name = argv.format ? String(argv.format) : 'json';
+    let format = rowFormats[format_name];
+
+    if (!database_name) {
+        console.error('Error: --database is required, or "database" in the config file\n');
+        console.error(rowsHelp);
+        return EXIT_USAGE;
+    }
+
+    if (!format) {
+        console.error(
+            `Error: unknown format "${format_name}". Available formats: ${Object.keys(rowFormats).join(', ')}`
+        );
+        return EXIT_USAGE;
+    }
+
+    if (argv.limit !== undefined && !/^\d+$/.test(String(argv.limit))) {
+        console.error('Error: --limit must be a non-negative integer');
+        return EXIT_USAGE;
+    }
+
+    let table_names = parseList(argv.tables);
+    if (table_names.length === 0) {
+        let tables_response = await api_tables_list({ database_name });
+        if (tables_response.error !== false) {
+            console.error(`Error: ${tables_response.error}`);
+            return EXIT_ERROR;
+        }
+        table_names = filterTableNames(
+            Array.from(new Set(tables_response.result.map(c => c.TABLE_NAME))),
+            config.tables
+        );
+        if (table_names.length === 0) {
+            console.error(`Error: database ${database_name} has no tables to export`);
+            return EXIT_ERROR;
+        }
+    }
+
+    let out = argv.out ? String(argv.out) : '';
+    if (table_names.length > 1 && !out) {
+        console.error('Error: exporting several tables requires --out DIRECTORY');
+        return EXIT_USAGE;
+    }
+
+    for (let table_name of table_names) {
+        let file_path = '';
+        if (table_names.length > 1) {
+            file_path = path.join(out, table_name + format.extension);
+        } else if (out) {
+            file_path = resolveSingleFilePath(out, table_name, format.extension);
+        }
+
+        let response = await writeRows(
+            {
+                database_name,
+                table_name,
+                format: format_name,
+                column_names: parseList(argv.columns),
+                where: argv.where ? String(argv.where) : '',
+                limit: argv.limit,
+            },
+            file_path
+        );
+        if (response.error !== false) {
+            console.error(`Error: ${table_name}: ${response.error}`);
+            return EXIT_ERROR;
+        }
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Saves the introspection result of the given databases to a snapshot file.
+ *
+ * @param {Object} argv Parsed command line arguments
+ * @param {string} [argv.database] Comma-separated database names
+ * @param {string} [argv.out] Output file
+ * @returns {Promise<number>} Exit code
+ */
+export async function runSnapshot(argv) {
+    let database_names = parseList(argv.database || getProjectConfig().database);
+    if (database_names.length === 0) {
+        console.error('Error: --database is required, or "database" in the config file\n');
+        console.error(snapshotHelp);
+        return EXIT_USAGE;
+    }
+
+    let snapshot_response = await api_snapshot_create({ database_names });
+    if (snapshot_response.error !== false) {
+        console.error(`Error: ${snapshot_response.error}`);
+        return EXIT_ERROR;
+    }
+
+    let content = JSON.stringify(snapshot_response.result, null, '  ');
+    try {
+        if (argv.out) {
+            writeFile(String(argv.out), content);
+        } else {
+            process.stdout.write(content + '\n');
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return EXIT_ERROR;
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Writes the views, routines, triggers and events of a database as JSON.
+ *
+ * @param {Object} argv Parsed command line arguments
+ * @param {string} [argv.database] Database name
+ * @param {string} [argv.type] Comma-separated object types
+ * @param {string} [argv.out] Output file
+ * @returns {Promise<number>} Exit code
+ */
+export async function runObjects(argv) {
+    let database_name = argv.database ? String(argv.database) : getProjectConfig().database || '';
+    if (!database_name) {
+        console.error('Error: --database is required, or "database" in the config file\n');
+        console.error(objectsHelp);
+        return EXIT_USAGE;
+    }
+
+    let types = parseList(argv.type);
+    if (types.length === 0) types = DATABASE_OBJECT_TYPES;
+    let unknown = types.filter(type => !DATABASE_OBJECT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        console.error(
+            `Error: unknown type(s) ${unknown.join(', ')}. Available types: ${DATABASE_OBJECT_TYPES.join(', ')}`
+        );
+        return EXIT_USAGE;
+    }
+
+    let snapshot_response = await api_snapshot_create({ database_names: [database_name] });
+    if (snapshot_response.error !== false) {
+        console.error(`Error: ${snapshot_response.error}`);
+        return EXIT_ERROR;
+    }
+
+    let objects = createDatabaseObjects(snapshot_response.result.databases[database_name]);
+    let result = {};
+    for (let type of types) result[type] = objects[type];
+
+    let content = JSON.stringify(result, null, '  ');
+    try {
+        if (argv.out) {
+            writeFile(String(argv.out), content);
+        } else {
+            process.stdout.write(content + '\n');
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return EXIT_ERROR;
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Writes the initial migration of the given tables.
+ * @param {Object} argv Parsed command line arguments
+ * @param {string} [argv.database] Database name
+ * @param {string} [argv.tables] Comma-separated table names
+ * @param {string} [argv.format] knex or sql
+ * @param {string} [argv.name] Name of the migration
+ * @param {string} [argv.out] Output directory
+ * @returns {Promise<number>} Exit code
+ */
+export async function runMigrations(argv) {
+    let database_name = argv.database ? String(argv.database) : getProjectConfig().database || '';
+    let format = argv.format ? String(argv.format) : 'knex';
+    let name = argv.name ? String(argv.name) : 'initial_schema';
+
+    if (!database_name) {
+        console.error('Error: --database is required, or "database" in the config file\n');
+        console.error(migrationsHelp);
+        return EXIT_USAGE;
+    }
+    if (!MIGRATION_FORMATS.includes(format)) {
+        console.error(
+            `Error: unknown format "${format}". Available formats: ${MIGRATION_FORMATS.join(', ')}`
+        );
+        return EXIT_USAGE;
+    }
+    if (!/^\w+$/.test(name)) {
+        console.error('Error: --name may contain letters, digits and underscores only');
+        return EXIT_USAGE;
+    }
+
+    let schema_response = await loadTablesSchema(database_name, parseList(argv.tables));
+    if (schema_response.error !== false) {
+        console.error(`Error: ${schema_response.error}`);
+        return EXIT_ERROR;
+    }
+    let { columns, indexes, foreign_keys, tables } = schema_response.result;
+
+    let db = createDatabaseModel(database_name, {
+        columns,
+        indexes,
+        foreignKeys: foreign_keys,
+        tables,
+    });
+    let out = argv.out ? String(argv.out) : 'migrations';
+    try {
+        let files = createMigrationFiles(db, { format, name });
+        for (let file of assertOutputFileNames(files, 'the migrations')) {
+            writeFile(path.join(out, file.name), file.content);
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return EXIT_ERROR;
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Reads one side of a diff from a snapshot file or from the server.
+ * @param {string} database_name Database name, may be empty for a single-database snapshot
+ * @param {string} snapshot_file Snapshot file, empty to read from the server
+ * @param {string} connection Connection profile of the server, empty for the default one
+ * @returns {Promise<import("../src/frontend/tools.js").MySQLDatabase>}
+ * @throws {Error} If the schema cannot be read
+ */
+async function loadDiffSide(database_name, snapshot_file, connection) {
+    if (snapshot_file) {
+        let snapshot = assertSnapshot(JSON.parse(fs.readFileSync(snapshot_file, 'utf8')));
+        let names = Object.keys(snapshot.databases);
+        if (!database_name) {
+            if (names.length !== 1) {
+                throw new Error(
+                    `${snapshot_file} has ${names.length} databases, select one of: ${names.join(', ')}`
+                );
+            }
+            database_name = names[0];
+        }
+        if (!snapshot.databases[database_name]) {
+            throw new Error(`Unknown database '${database_name}' in ${snapshot_file}`);
+        }
+        return createDatabaseModel(database_name, snapshot.databases[database_name]);
+    }
+
+    let snapshot_response = await api_snapshot_create({
+        database_names: [database_name],
+        connection,
+    });
+    if (snapshot_response.error !== false) throw new Error(snapshot_response.error);
+    return createDatabaseModel(database_name, snapshot_response.result.databases[database_name]);
+}
+
+/**
+ * Command line arguments of the diff command. The snapshot files and connection profiles
+ * of the sides are passed as "from-snapshot", "to-snapshot", "from-connection" and
+ * "to-connection".
+ * @typedef {Object} DiffArgs
+ * @property {string} [from] Source database name
+ * @property {string} [to] Target database name
+ * @property {string} [format] Output format: sql or json
+ * @property {string} [out] Output file
+ */
+
+/**
+ * Compares two schemas and writes the migration statements or the structured diff.
+ *
+ * @param {DiffArgs & {'from-snapshot'?: string, 'to-snapshot'?: string, 'from-connection'?: string, 'to-connection'?: string}} argv
+ * Parsed command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+export async function runDiff(argv) {
+    let from_name = argv.from ? String(argv.from) : '';
+    let to_name = argv.to ? String(argv.to) : '';
+    let from_snapshot = argv['from-snapshot'] ? String(argv['from-snapshot']) : '';
+    let to_snapshot = argv['to-snapshot'] ? String(argv['to-snapshot']) : '';
+    let format = argv.format ? String(argv.format) : 'sql';
+
+    if ((!from_name && !from_snapshot) || (!to_name && !to_snapshot)) {
+        console.error('Error: both sides of the diff are required\n');
+        console.error(diffHelp);
+        return EXIT_USAGE;
+    }
+
+    if (format !== 'sql' && format !== 'json') {
+        console.error(`Error: unknown format "${format}". Available formats: sql, json`);
+        return EXIT_USAGE;
+    }
+
+    let content;
+    try {
+        let from = await loadDiffSide(
+            from_name,
+            from_snapshot,
+            argv['from-connection'] ? String(argv['from-connection']) : ''
+        );
+        let to = await loadDiffSide(
+            to_name,
+            to_snapshot,
+            argv['to-connection'] ? String(argv['to-connection']) : ''
+        );
+        let diff = diffDatabases(from, to);
+        content =
+            format === 'json'
+                ? JSON.stringify(serializeSchemaDiff(diff), null, '  ')
+                : generateMigrationSql(diff);
+
+        if (argv.out) {
+            writeFile(String(argv.out), content);
+        } else {
+            process.stdout.write(content + '\n');
+        }
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return EXIT_ERROR;
+    }
+
+    return EXIT_OK;
+}
+
+/**
+ * Writes the outputs of the project config file.
+ *
+ * @param {Pick<ExportArgs, 'database'|'tables'|'immutable'> & {'type-mapping'?: string}} argv
+ * Parsed command line arguments, "type-mapping" is the type mapping file
+ * @returns {Promise<number>} Exit code
+ */
+export async function runGenerate(argv) {
+    let outputs = getProjectConfig().outputs || [];
+    if (outputs.length === 0) {
+        console.error('Error: the config file has no "outputs"\n');
+        console.error(generateHelp);
+        return EXIT_USAGE;
+    }
+
+    let unknown = outputs.filter(output => !getFormat(output.format));
+    if (unknown.length > 0) {
+        console.error(
+            `Error: unknown format(s) in "outputs": ${unknown.map(output => output.format).join(', ')}`
+        );
+        return EXIT_USAGE;
+    }
+
+    for (let output of outputs) {
+        let code = await runExport({
+            database: argv.database,
+            tables: argv.tables,
+            format: output.format,
+            out: output.out,
+            split: output.split,
+            'type-mapping': argv['type-mapping'],
+            immutable: argv.immutable,
+        });
+        if (code !== EXIT_OK) return code;
+    }
+    return EXIT_OK;
+}
@@ -1,32 +1,98 @@
 // @ts-check
 
+import fs from 'fs';
 import minimist from 'minimist';
-import { setCredentials } from './db.js';
+import {
+    assertConnectionsConfig,
+    setConnectionProfiles,
+    setCredentials,
+    setDefaultConnection,
+    setSnapshot,
+} from './db.js';
 import { startServer } from './server.js';
+import { createAccessToken, formatUrlHost, isLoopbackHost } from './access.js';
+import {
+    createConnectionOptions,
+    pickConnectionSettings,
+    promptPassword,
+    readEnvironment,
+    readOptionFiles,
+} from './credentials.js';
 import { openBrowser } from './open-browser.js';
+import {
+    diffHelp,
+    exportHelp,
+    generateHelp,
+    migrationsHelp,
+    objectsHelp,
+    rowsHelp,
+    runDiff,
+    runExport,
+    runGenerate,
+    runMigrations,
+    runObjects,
+    runRows,
+    runSnapshot,
+    snapshotHelp,
+} from './export.js';
+import { findConfigFile, loadProjectConfig, setProjectConfig } from './config.js';
+import { loadFormatPlugins, loadTemplateFormats } from './plugins.js';
+import { assertSnapshot } from '../src/frontend/snapshot.js';
 
 /**
  * Initializes the application by parsing command line arguments,
  * setting database credentials, and starting the server.
+ * When called with a command (`export`, `generate`, `snapshot`, `objects`, `migrations`, `rows` or `diff`), writes the schema
+ * or the data to files without starting the server and exits with the status code.
  *
  * Command line options:
  * --port PORT       The port number to listen on. Default is 3000.
+ * --host HOST       The address to listen on. Default is 127.0.0.1.
+ * --allow-remote    Allow listening on an address reachable from other machines.
  * --db_port PORT    The port number of the MySQL database. Default is 3306.
  * --db_host HOST    The host of the MySQL database. Default is localhost.
  * --user USER       The user of the MySQL database. Default is root.
- * --password PASS   The password of the MySQL database. Default is empty.
+ * --password PASS   The password of the MySQL database. Asked for if not set anywhere.
+ * --socket FILE     Connect through a Unix socket instead of host and port.
+ * --ssl-ca FILE, --ssl-cert FILE, --ssl-key FILE, --ssl-mode MODE  TLS options.
+ * --defaults-file FILE  Read the [client] options from this file instead of ~/.my.cnf.
+ * --connections FILE  Load named connection profiles from a JSON file.
+ * --connection NAME   The connection profile to use by default.
+ * --snapshot FILE   Serve the schema from a snapshot file instead of MySQL.
+ * --config FILE     Project config file. Default is mysql-to-json.config.json or .js found in
+ *                   the working directory or its parents, --no-config skips it.
+ * --plugin FILE     Load output formats from a module; may be repeated.
+ * --template FILE   Load a code template as output format; may be repeated.
  * --help            Show this help message.
  */
 export async function startApp() {
-    var argv = minimist(process.argv.slice(2));
+    var argv = minimist(process.argv.slice(2), {
+        boolean: ['split', 'check', 'immutable', 'open', 'help', 'allow-remote'],
+        string: [
+            'where',
+            'db_host',
+            'user',
+            'password',
+            'socket',
+            'ssl-ca',
+            'ssl-cert',
+            'ssl-key',
+            'ssl-mode',
+            'defaults-file',
+            'plugin',
+            'template',
+        ],
+    });
+    var command = argv._[0];
 
     var args = {
         /** @type {number|undefined} */
         port: undefined,
-        db_port: 3306,
-        db_host: 'localhost',
-        user: 'root',
-        password: '',
+        host: '127.0.0.1',
+        'allow-remote': false,
+        connections: '',
+        connection: '',
+        snapshot: '',
         open: false,
         help: false,
     };
@@ -37,29 +103,269 @@ export async function startApp() {
         }
     }
 
-    setCredentials({
-        host: args.db_host,
-        user: args.user,
-        port: args.db_port,
-        password: args.password,
-    });
+    // "--no-config" skips the lookup of the project config file
+    let config_file = argv.config === false ? null : argv.config || findConfigFile();
+    /** @type {import("./config.js").ProjectConfig} */
+    let project_config = {};
+    if (config_file) {
+        try {
+            project_config = await loadProjectConfig(String(config_file));
+            setProjectConfig(project_config);
+        } catch (err) {
+            console.error(`Error: cannot load config ${config_file}: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    // Formats of plugins and templates are available to the commands and, through the API,
+    // to the UI
+    let plugin_files = [
+        ...(project_config.plugins || []),
+        ...[].concat(argv.plugin || []).filter(file => file !== ''),
+    ];
+    let template_files = [
+        ...(project_config.templates || []),
+        ...[].concat(argv.template || []).filter(file => file !== ''),
+    ];
+    try {
+        await loadFormatPlugins(plugin_files);
+        loadTemplateFormats(template_files);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+
+    // Command line options take precedence over environment variables, the project config
+    // and option files
+    let settings;
+    try {
+        settings = {
+            ...readOptionFiles(argv['defaults-file']),
+            ...(typeof project_config.connection === 'object'
+                ? pickConnectionSettings(project_config.connection)
+                : {}),
+            ...readEnvironment(),
+            ...pickConnectionSettings({
+                host: argv.db_host,
+                port: argv.db_port,
+                user: argv.user,
+                password: argv.password,
+                socket: argv.socket,
+                'ssl-ca': argv['ssl-ca'],
+                'ssl-cert': argv['ssl-cert'],
+                'ssl-key': argv['ssl-key'],
+                'ssl-mode': argv['ssl-mode'],
+            }),
+        };
+        if (argv.password) {
+            console.error('Warning: a password on the command line can be seen by other users.');
+        }
+
+        // "--password" without a value asks for the password, like "mysql -p"
+        let ask_password = argv.password === '' || settings.password === undefined;
+        let uses_database =
+            !args.help &&
+            !args.snapshot &&
+            !args.connections &&
+            !project_config.connections &&
+            !(command == 'diff' && argv['from-snapshot'] && argv['to-snapshot']);
+        if (ask_password && uses_database && process.stdin.isTTY) {
+            settings.password = await promptPassword('Enter MySQL password: ');
+        }
+        setCredentials(createConnectionOptions(settings));
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        process.exit(1);
+    }
+
+    let connections_config = null;
+    if (args.connections) {
+        try {
+            let content = fs.readFileSync(String(args.connections), 'utf8');
+            connections_config = assertConnectionsConfig(JSON.parse(content));
+        } catch (err) {
+            console.error(`Error: cannot load connections ${args.connections}: ${err.message}`);
+            process.exit(1);
+        }
+    } else if (project_config.connections) {
+        connections_config = assertConnectionsConfig({
+            default: project_config.connection,
+            connections: project_config.connections,
+        });
+    }
+
+    if (connections_config) {
+        try {
+            /** @type {Object<string, import("./db.js").ConnectionProfile>} */
+            let profiles = {};
+            for (const [name, profile] of Object.entries(connections_config.connections)) {
+                profiles[name] = createConnectionOptions(pickConnectionSettings(profile));
+            }
+            await setConnectionProfiles(profiles, connections_config.default);
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (args.connection) {
+        try {
+            setDefaultConnection(String(args.connection));
+        } catch (err) {
+            console.error(`Error: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (args.snapshot) {
+        try {
+            let content = fs.readFileSync(String(args.snapshot), 'utf8');
+            setSnapshot(assertSnapshot(JSON.parse(content)));
+        } catch (err) {
+            console.error(`Error: cannot load snapshot ${args.snapshot}: ${err.message}`);
+            process.exit(1);
+        }
+    }
+
+    if (command == 'snapshot') {
+        if (args.help) {
+            console.log(snapshotHelp);
+            process.exit(0);
+        }
+        process.exit(await runSnapshot(argv));
+    }
+
+    if (command == 'export') {
+        if (args.help) {
+            console.log(exportHelp);
+            process.exit(0);
+        }
+        process.exit(await runExport(argv));
+    }
+
+    if (command == 'generate') {
+        if (args.help) {
+            console.log(generateHelp);
+            process.exit(0);
+        }
+        process.exit(await runGenerate(argv));
+    }
+
+    if (command == 'objects') {
+        if (args.help) {
+            console.log(objectsHelp);
+            process.exit(0);
+        }
+        process.exit(await runObjects(argv));
+    }
+
+    if (command == 'migrations') {
+        if (args.help) {
+            console.log(migrationsHelp);
+            process.exit(0);
+        }
+        process.exit(await runMigrations(argv));
+    }
+
+    if (command == 'rows') {
+        if (args.help) {
+            console.log(rowsHelp);
+            process.exit(0);
+        }
+        process.exit(await runRows(argv));
+    }
+
+    if (command == 'diff') {
+        if (args.help) {
+            console.log(diffHelp);
+            process.exit(0);
+        }
+        process.exit(await runDiff(argv));
+    }
 
     if (args.help) {
         console.log(
-            `Usage: node index.js [--port PORT] [--db_port PORT] [--db_host HOST] [--user USER] [--password PASSWORD] [--open] [--help]
+            `Usage: node index.js [--port PORT] [--host HOST] [--allow-remote] [--db_port PORT] [--db_host HOST] [--user USER] [--password [PASSWORD]] [--socket FILE] [--ssl-ca FILE] [--ssl-cert FILE] [--ssl-key FILE] [--ssl-mode MODE] [--defaults-file FILE] [--connections FILE] [--connection NAME] [--snapshot FILE] [--config FILE] [--no-config] [--plugin FILE] [--template FILE] [--open] [--help]
 
 Options:
 --port PORT       The port number to listen on. Default is 3000.
+--host HOST       The address to listen on. Default is 127.0.0.1, reachable from this machine only.
+--allow-remote    Allow a --host reachable from other machines, e.g. 0.0.0.0. The API is still
+                  protected by the access token of the printed URL.
 --db_port PORT     The port number of the MySQL database. Default is 3306.
 --db_host HOST    The host of the MySQL database. Default is localhost.
 --user USER       The user of the MySQL database. Default is root.
---password PASS   The password of the MySQL database. Default is empty.
---help            Show this help message.`
+--password [PASS] The password of the MySQL database. Without a value, or when no password is set
+                  anywhere, it is asked for on the terminal. Prefer the prompt, MYSQL_PWD or an
+                  option file: passwords on the command line are visible to other users.
+--socket FILE     Connect through a Unix socket instead of host and port.
+--ssl-ca FILE     CA certificate to verify the server with. Turns on TLS.
+--ssl-cert FILE   Client certificate.
+--ssl-key FILE    Client key.
+--ssl-mode MODE   DISABLED, PREFERRED, REQUIRED (TLS without verification), VERIFY_CA or
+                  VERIFY_IDENTITY. Default is VERIFY_CA with --ssl-ca, otherwise PREFERRED.
+--defaults-file FILE
+                  Read the [client] and [mysql-to-json] sections of this option file only.
+                  By default /etc/my.cnf, /etc/mysql/my.cnf and ~/.my.cnf are read.
+--connections FILE
+                  Load named connection profiles from a JSON file instead of the options above:
+                  {"default": "local", "connections": {"local": {"host": "localhost", "port": 3306,
+                  "user": "root", "password": ""}, "staging": {...}}}
+--connection NAME Connection profile used by the commands and selected first in the UI.
+--snapshot FILE   Serve the schema from a snapshot file instead of MySQL.
+--config FILE     Project config file with the connection, database, tables, type mapping and
+                  outputs. Default is mysql-to-json.config.json or mysql-to-json.config.js in
+                  the working directory or its parents. --no-config ignores config files.
+--plugin FILE     Load output formats from a module, in addition to the "plugins" of the config
+                  file. May be repeated. The formats are available to export --format, the
+                  "outputs" of the config file and the web interface.
+--template FILE   Load a code template as output format, in addition to the "templates" of the
+                  config file. May be repeated. The web interface also offers the templates
+                  for editing with a live preview.
+--help            Show this help message.
+
+Connection settings are taken from the command line, then from the MYSQL_HOST, MYSQL_TCP_PORT,
+MYSQL_USER, MYSQL_PWD and MYSQL_UNIX_PORT environment variables, then from the "connection" of
+the config file, then from the option files.
+
+Commands:
+export            Write the schema to files without starting the server.
+                  See "mysql-to-json export --help".
+snapshot          Save the schema of databases to a snapshot file.
+                  See "mysql-to-json snapshot --help".
+objects           Write the views, routines, triggers and events of a database as JSON.
+                  See "mysql-to-json objects --help".
+migrations        Write the initial Knex or SQL migration of existing tables.
+                  See "mysql-to-json migrations --help".
+rows              Export table rows to JSON, NDJSON or CSV.
+                  See "mysql-to-json rows --help".
+diff              Compare two schemas and generate migration statements.
+                  See "mysql-to-json diff --help".
+generate          Write the outputs of the config file.
+                  See "mysql-to-json generate --help".`
         );
         process.exit(0);
     }
 
-    let port = await startServer(argv.port);
-    console.log(`Server started at http://localhost:${port}`);
-    openBrowser(`http://localhost:${port}`);
+    let host = String(args.host);
+    let allow_remote = Boolean(args['allow-remote']);
+    if (!isLoopbackHost(host) && !allow_remote) {
+        console.error(
+            `Error: --host ${host} makes the server reachable from other machines, add --allow-remote to confirm`
+        );
+        process.exit(1);
+    }
+
+    // The token is passed in the URL fragment, which the browser does not send to servers
+    let token = createAccessToken();
+    let port = await startServer(argv.port, {
+        host,
+        access: { token, allowRemote: allow_remote, host },
+    });
+    let url_host = isLoopbackHost(host) ? formatUrlHost(host) : 'localhost';
+    let url = `http://${url_host}:${port}/#token=${token}`;
+    console.log(`Server started at ${url}`);
+    if (config_file) console.log(`Using config ${config_file}`);
+    if (args.snapshot) console.log(`Serving schema from snapshot ${args.snapshot}`);
+    openBrowser(url);
 }
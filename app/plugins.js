@@ -0,0 +1,81 @@
+// @ts-check
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { registerFormat } from '../src/frontend/format_registry.js';
+import { createTemplateFormat, parseTemplateFile } from '../src/frontend/templates.js';
+
+/**
+ * Template files loaded by loadTemplateFormats, sent to the web interface for editing
+ * @type {{file: string, source: string}[]}
+ */
+const loadedTemplates = [];
+
+/**
+ * Loads output format plugins and registers their formats. A plugin module exports a
+ * format or an array of formats as default export, e.g.
+ * `export default { name: 'laravel', label: 'Laravel models', extension: '.php', generate(db, options) { ... } }`.
+ * @param {string[]} files Paths of the modules, relative to the working directory
+ * @returns {Promise<string[]>} Names of the registered formats
+ * @throws {Error} If a module cannot be loaded or exports an invalid format
+ */
+export async function loadFormatPlugins(files) {
+    const names = [];
+    for (const file of files) {
+        let exported;
+        try {
+            exported = (await import(pathToFileURL(path.resolve(file)).href)).default;
+        } catch (err) {
+            throw new Error(`cannot load plugin ${file}: ${err.message}`);
+        }
+
+        const formats = Array.isArray(exported) ? exported : [exported];
+        for (const format of formats) {
+            try {
+                registerFormat(format);
+            } catch (err) {
+                throw new Error(`invalid plugin ${file}: ${err.message}`);
+            }
+            names.push(format.name);
+        }
+    }
+    return names;
+}
+
+/**
+ * Loads code templates and registers a format per template. The web interface gets the
+ * sources with getLoadedTemplates.
+ * @param {string[]} files Paths of the template files, relative to the working directory
+ * @returns {string[]} Names of the registered formats
+ * @throws {Error} If a file cannot be read or the template is invalid
+ */
+export function loadTemplateFormats(files) {
+    const names = [];
+    for (const file of files) {
+        let source;
+        try {
+            source = fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            throw new Error(`cannot read template ${file}: ${err.message}`);
+        }
+
+        try {
+            const template = parseTemplateFile(source, path.basename(file));
+            registerFormat(createTemplateFormat(template));
+            names.push(template.name);
+        } catch (err) {
+            throw new Error(`invalid template ${file}: ${err.message}`);
+        }
+        loadedTemplates.push({ file: path.basename(file), source });
+    }
+    return names;
+}
+
+/**
+ * Returns the loaded template files
+ * @returns {{file: string, source: string}[]}
+ */
+export function getLoadedTemplates() {
+    return loadedTemplates;
+}
@@ -0,0 +1,286 @@
+// @ts-check
+
+import { getPool, getSnapshot } from './db.js';
+import { quoteIdentifier } from '../src/frontend/tools.js';
+
+/** Serialized rows are collected up to this size before they are written to the output */
+const CHUNK_SIZE = 64 * 1024;
+
+/** Options of the row queries: exact BIGINT/DECIMAL values and dates without conversion */
+const ROW_QUERY_OPTIONS = {
+    supportBigNumbers: true,
+    bigNumberStrings: true,
+    dateStrings: true,
+};
+
+/**
+ * Column of an exported table
+ * @typedef {Object} RowColumn
+ * @property {string} name Column name
+ * @property {string} dataType Lowercase DATA_TYPE, e.g. "bigint"
+ * @property {number|null} precision NUMERIC_PRECISION, the number of bits of BIT columns
+ */
+
+/**
+ * Serializes an exported table. All functions return text to be written to the output.
+ * @typedef {Object} RowFormat
+ * @property {string} extension File extension including the leading dot
+ * @property {string} contentType MIME type of the output
+ * @property {(columns: RowColumn[]) => string} begin Text written before the first row
+ * @property {(row: Object, columns: RowColumn[], index: number) => string} row Text of a row
+ * @property {(count: number) => string} end Text written after the last row
+ */
+
+/** BIT columns wider than this are written as strings, JavaScript numbers are not exact */
+const MAX_SAFE_BITS = 53;
+
+/**
+ * Converts a value of a row to JSON text. Values that JavaScript numbers cannot hold exactly
+ * are strings of their digits: BIGINT and DECIMAL values, and BIT values of columns wider
+ * than 53 bits; narrower BIT values are numbers. BLOBs are base64 strings and DATETIME
+ * values "YYYY-MM-DDTHH:MM:SS" strings without time zone conversion.
+ * @param {any} value Value as returned by a query with ROW_QUERY_OPTIONS
+ * @param {RowColumn} column
+ * @returns {string}
+ */
+function toJsonValue(value, column) {
+    if (value === null || value === undefined) return 'null';
+
+    switch (column.dataType) {
+        case 'bigint':
+        case 'decimal':
+        case 'numeric':
+            return JSON.stringify(String(value));
+        case 'datetime':
+        case 'timestamp':
+            return JSON.stringify(String(value).replace(' ', 'T'));
+        case 'bit': {
+            let digits = bitToDigits(value);
+            return (column.precision || 0) > MAX_SAFE_BITS ? JSON.stringify(digits) : digits;
+        }
+        case 'json':
+            return JSON.stringify(value);
+    }
+
+    if (Buffer.isBuffer(value)) return JSON.stringify(value.toString('base64'));
+    return JSON.stringify(value);
+}
+
+/**
+ * Converts a value of a row to a CSV field. NULL is an empty field, an empty string
+ * is written as "" to tell them apart.
+ * @param {any} value
+ * @param {RowColumn} column
+ * @returns {string}
+ */
+function toCsvValue(value, column) {
+    if (value === null || value === undefined) return '';
+
+    let text;
+    if (column.dataType === 'bit') {
+        text = bitToDigits(value);
+    } else if (column.dataType === 'json') {
+        text = JSON.stringify(value);
+    } else if (Buffer.isBuffer(value)) {
+        text = value.toString('base64');
+    } else {
+        text = String(value);
+    }
+
+    return quoteCsvField(text);
+}
+
+/**
+ * Quotes a CSV field if needed
+ * @param {string} text
+ * @returns {string}
+ */
+function quoteCsvField(text) {
+    return text === '' || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Returns the decimal digits of a BIT value, exact for BIT(64) as well
+ * @param {Buffer|number} value
+ * @returns {string}
+ */
+function bitToDigits(value) {
+    if (!Buffer.isBuffer(value)) return String(value);
+    return value.reduce((result, byte) => result * 256n + BigInt(byte), 0n).toString();
+}
+
+/**
+ * Converts a row to a JSON object text
+ * @param {Object} row
+ * @param {RowColumn[]} columns
+ * @returns {string}
+ */
+function rowToJson(row, columns) {
+    let fields = columns.map(
+        column => `${JSON.stringify(column.name)}:${toJsonValue(row[column.name], column)}`
+    );
+    return `{${fields.join(',')}}`;
+}
+
+/** @type {Object<string, RowFormat>} */
+export const rowFormats = {
+    json: {
+        extension: '.json',
+        contentType: 'application/json',
+        begin: () => '[',
+        row: (row, columns, index) => (index === 0 ? '\n' : ',\n') + rowToJson(row, columns),
+        end: count => (count === 0 ? ']\n' : '\n]\n'),
+    },
+    ndjson: {
+        extension: '.ndjson',
+        contentType: 'application/x-ndjson',
+        begin: () => '',
+        row: (row, columns) => rowToJson(row, columns) + '\n',
+        end: () => '',
+    },
+    csv: {
+        extension: '.csv',
+        contentType: 'text/csv',
+        begin: columns => columns.map(column => quoteCsvField(column.name)).join(',') + '\r\n',
+        row: (row, columns) =>
+            columns.map(column => toCsvValue(row[column.name], column)).join(',') + '\r\n',
+        end: () => '',
+    },
+};
+
+/**
+ * Parameters of a row export
+ * @typedef {Object} RowsExportParams
+ * @property {string} database_name
+ * @property {string} table_name
+ * @property {string} [connection] Connection profile, default is the default profile
+ * @property {string} [format] One of rowFormats, default is json
+ * @property {string[]} [column_names] Columns to export, default is all columns
+ * @property {string} [where] SQL condition to filter the rows
+ * @property {number|string} [limit] Maximum number of rows
+ */
+
+/**
+ * Waits until the output can take more data
+ * @param {import("stream").Writable} output
+ * @returns {Promise<void>}
+ * @throws {Error} If the output is closed first, e.g. the client disconnected
+ */
+function waitForDrain(output) {
+    return new Promise((resolve, reject) => {
+        const onDrain = () => {
+            output.off('close', onClose);
+            resolve();
+        };
+        const onClose = () => {
+            output.off('drain', onDrain);
+            reject(new Error('Output closed before the export finished'));
+        };
+        // A closed output emits neither event again
+        if (output.destroyed) return onClose();
+        output.once('drain', onDrain);
+        output.once('close', onClose);
+    });
+}
+
+/**
+ * Streams the rows of a table to the output in the requested format. Rows are read with a
+ * query stream and written in chunks, waiting for the output to drain, so that tables larger
+ * than the available memory can be exported.
+ *
+ * `onStart` is called once the query is validated, before anything is written, so that
+ * callers can still report errors in their own way (e.g. as a JSON response) until then.
+ *
+ * @param {RowsExportParams} params
+ * @param {import("stream").Writable} output
+ * @param {(format: RowFormat) => void} [onStart]
+ * @returns {Promise<{result: {rows: number}, error:false}|{result: null,error: string}>}
+ */
+export async function exportRows(params, output, onStart) {
+    if (getSnapshot()) {
+        return { result: null, error: 'Row export needs a database connection' };
+    }
+
+    let format = rowFormats[params.format || 'json'];
+    if (!format) return { result: null, error: `Unknown rows format '${params.format}'` };
+
+    let limit = params.limit === undefined || params.limit === '' ? null : Number(params.limit);
+    if (limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+        return { result: null, error: 'Limit must be a non-negative integer' };
+    }
+
+    /** @type {import("stream").Readable|null} */
+    let stream = null;
+    // A client that disconnects ends the query, the rest of the result set is discarded
+    const onClose = () => {
+        if (stream) stream.destroy(new Error('Output closed before the export finished'));
+    };
+
+    try {
+        const pool = getPool(params.connection);
+
+        const [rows] = await pool.query(
+            `SELECT COLUMN_NAME, DATA_TYPE, NUMERIC_PRECISION FROM INFORMATION_SCHEMA.COLUMNS
+             WHERE TABLE_SCHEMA = ? AND TABLE_NAME = ?
+             ORDER BY ORDINAL_POSITION`,
+            [params.database_name, params.table_name]
+        );
+
+        /** @type {RowColumn[]} */
+        let columns = /** @type {any[]} */ (rows).map(row => ({
+            name: row.COLUMN_NAME,
+            dataType: String(row.DATA_TYPE).toLowerCase(),
+            precision: row.NUMERIC_PRECISION === null ? null : Number(row.NUMERIC_PRECISION),
+        }));
+        if (columns.length === 0) {
+            return {
+                result: null,
+                error: `Table '${params.database_name}.${params.table_name}' not found`,
+            };
+        }
+
+        let column_names = params.column_names || [];
+        if (column_names.length > 0) {
+            let missing = column_names.filter(name => !columns.some(c => c.name === name));
+            if (missing.length > 0) {
+                return { result: null, error: `Unknown column(s): ${missing.join(', ')}` };
+            }
+            columns = column_names.map(name => columns.find(c => c.name === name));
+        }
+
+        let sql =
+            `SELECT ${columns.map(c => quoteIdentifier(c.name)).join(', ')}` +
+            ` FROM ${quoteIdentifier(params.database_name)}.${quoteIdentifier(params.table_name)}`;
+        if (params.where) sql += ` WHERE ${params.where}`;
+        if (limit !== null) sql += ` LIMIT ${limit}`;
+
+        // Validates the query (e.g. the WHERE condition) before the output is started
+        await pool.query(`EXPLAIN ${sql}`);
+
+        if (onStart) onStart(format);
+
+        let chunk = format.begin(columns);
+        let count = 0;
+        // The stream of the callback pool, which gives the connection back once the
+        // result set is read or discarded
+        stream = pool.pool.query({ sql, ...ROW_QUERY_OPTIONS }).stream();
+        output.once('close', onClose);
+        for await (const row of stream) {
+            chunk += format.row(row, columns, count++);
+            if (chunk.length >= CHUNK_SIZE) {
+                if (!output.write(chunk)) await waitForDrain(output);
+                chunk = '';
+            }
+        }
+        chunk += format.end(count);
+        if (!output.write(chunk)) await waitForDrain(output);
+
+        return { result: { rows: count }, error: false };
+    } catch (err) {
+        console.error(err);
+        if (stream) stream.destroy();
+        return { error: err.message, result: null };
+    } finally {
+        output.off('close', onClose);
+    }
+}
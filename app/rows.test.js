@@ -0,0 +1,52 @@
+import test from 'ava';
+import { rowFormats } from './rows.js';
+
+/** @type {import("./rows.js").RowColumn[]} */
+const COLUMNS = [
+    { name: 'id', dataType: 'bigint', precision: 20 },
+    { name: 'price', dataType: 'decimal', precision: 22 },
+    { name: 'flags', dataType: 'bit', precision: 8 },
+    { name: 'mask', dataType: 'bit', precision: 64 },
+    { name: 'seen_at', dataType: 'datetime', precision: null },
+    { name: 'note', dataType: 'varchar', precision: null },
+];
+
+/** A row as returned with bigNumberStrings and dateStrings */
+const ROW = {
+    id: '18446744073709551615',
+    price: '12345678901234567890.12',
+    flags: Buffer.from([5]),
+    mask: Buffer.from('ffffffffffffffff', 'hex'),
+    seen_at: '2024-01-31 12:00:00',
+    note: 'a, "b"',
+};
+
+test('JSON keeps the digits of BIGINT, DECIMAL and BIT(64) values', t => {
+    let { json } = rowFormats;
+    let text = json.begin(COLUMNS) + json.row(ROW, COLUMNS, 0) + json.end(1);
+    t.deepEqual(JSON.parse(text), [
+        {
+            id: '18446744073709551615',
+            price: '12345678901234567890.12',
+            flags: 5,
+            mask: '18446744073709551615',
+            seen_at: '2024-01-31T12:00:00',
+            note: 'a, "b"',
+        },
+    ]);
+    t.is(JSON.parse(rowFormats.ndjson.row({ ...ROW, id: '7', price: null }, COLUMNS, 0)).id, '7');
+});
+
+test('CSV quotes fields and writes BIT values as digits', t => {
+    let { csv } = rowFormats;
+    t.is(csv.begin(COLUMNS), 'id,price,flags,mask,seen_at,note\r\n');
+    t.is(
+        csv.row(ROW, COLUMNS, 0),
+        '18446744073709551615,12345678901234567890.12,5,18446744073709551615,2024-01-31 12:00:00,"a, ""b"""\r\n'
+    );
+    // NULL is an empty field, an empty string is quoted
+    t.is(
+        csv.row({ ...ROW, mask: null, note: '' }, COLUMNS, 1),
+        '18446744073709551615,12345678901234567890.12,5,,2024-01-31 12:00:00,""\r\n'
+    );
+});
@@ -0,0 +1,105 @@
+// @ts-check
+import { getDefaultConnection, getPool } from './db.js';
+
+/**
+ * Cached introspection result of a database
+ * @typedef {Object} SchemaCacheEntry
+ * @property {string} fingerprint State of the database tables when the schema was loaded
+ * @property {Promise<import("../src/frontend/snapshot.js").SnapshotDatabase>} database
+ */
+
+/**
+ * How a call was answered, sent to the client with the response
+ * @typedef {Object} SchemaCacheInfo
+ * @property {boolean} hit True if the schema was taken from the cache
+ * @property {number} ms Milliseconds spent on the cache check and, on a miss, on loading
+ */
+
+/** @type {Map<string, SchemaCacheEntry>} */
+const schemaCache = new Map();
+
+/**
+ * @param {string} connection_name
+ * @param {string} database_name
+ * @returns {string}
+ */
+function getCacheKey(connection_name, database_name) {
+    return JSON.stringify([connection_name, database_name]);
+}
+
+/**
+ * Returns a value that changes when tables of the database are created, dropped, renamed,
+ * altered or written to, or when routines, triggers and events change. The queries read
+ * no columns and no definitions, which is much cheaper than loading the schema.
+ * MySQL 8 caches UPDATE_TIME (see information_schema_stats_expiry), and a replaced view
+ * changes none of the values, so some changes are only seen after schema.refresh.
+ * @param {import("mysql2/promise").Pool} pool
+ * @param {string} database_name
+ * @returns {Promise<string>}
+ */
+async function getDatabaseFingerprint(pool, database_name) {
+    const [rows] = await pool.query(
+        `SELECT COUNT(*) AS table_count, SUM(CRC32(TABLE_NAME)) AS names_checksum,
+            MAX(CREATE_TIME) AS create_time, MAX(UPDATE_TIME) AS update_time,
+            (SELECT CONCAT_WS('/', COUNT(*), MAX(LAST_ALTERED))
+             FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_SCHEMA = ?) AS routines,
+            (SELECT CONCAT_WS('/', COUNT(*), SUM(CRC32(TRIGGER_NAME)), MAX(CREATED))
+             FROM INFORMATION_SCHEMA.TRIGGERS WHERE TRIGGER_SCHEMA = ?) AS triggers,
+            (SELECT CONCAT_WS('/', COUNT(*), MAX(LAST_ALTERED))
+             FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA = ?) AS events
+         FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = ?`,
+        [database_name, database_name, database_name, database_name]
+    );
+    return JSON.stringify(rows[0]);
+}
+
+/**
+ * Returns the introspection result of a database from the cache, or loads it if the
+ * database has changed since it was cached. Concurrent calls share a single load.
+ * @param {string|undefined} connection Connection profile, default is the default profile
+ * @param {string} database_name
+ * @param {(pool: import("mysql2/promise").Pool) => Promise<import("../src/frontend/snapshot.js").SnapshotDatabase>} load
+ * @returns {Promise<{database: import("../src/frontend/snapshot.js").SnapshotDatabase, cache: SchemaCacheInfo}>}
+ * @throws {Error} If the schema cannot be read
+ */
+export async function getCachedDatabase(connection, database_name, load) {
+    const started = Date.now();
+    const pool = getPool(connection);
+    const key = getCacheKey(connection || getDefaultConnection(), database_name);
+
+    const fingerprint = await getDatabaseFingerprint(pool, database_name);
+    let entry = schemaCache.get(key);
+    const hit = entry !== undefined && entry.fingerprint === fingerprint;
+    if (!entry || !hit) {
+        const new_entry = { fingerprint, database: load(pool) };
+        schemaCache.set(key, new_entry);
+        // A failed load must not be served to the next calls
+        new_entry.database.catch(() => {
+            if (schemaCache.get(key) === new_entry) schemaCache.delete(key);
+        });
+        entry = new_entry;
+    }
+
+    const database = await entry.database;
+    return { database, cache: { hit, ms: Date.now() - started } };
+}
+
+/**
+ * Removes cached schemas, so that the next calls read them from the server.
+ * @param {string} [connection] Connection profile, default is the default profile
+ * @param {string} [database_name] Database to remove, all databases of the profile if omitted
+ * @returns {number} Number of removed databases
+ */
+export function clearSchemaCache(connection, database_name) {
+    const connection_name = connection || getDefaultConnection();
+    let cleared = 0;
+    for (const key of Array.from(schemaCache.keys())) {
+        const [entry_connection, entry_database] = JSON.parse(key);
+        if (entry_connection !== connection_name) continue;
+        if (database_name && entry_database !== database_name) continue;
+        schemaCache.delete(key);
+        cleared++;
+    }
+    return cleared;
+}
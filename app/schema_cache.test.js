@@ -0,0 +1,108 @@
+import test from 'ava';
+import { closePools, getPool, setConnectionProfiles } from './db.js';
+import { clearSchemaCache, getCachedDatabase } from './schema_cache.js';
+
+/**
+ * Replaces the queries of the pool of a profile, which answer the fingerprint query
+ * with the current state of the fake database
+ * @param {string} name
+ */
+function stubPool(name) {
+    let state = {
+        fingerprint: { table_count: 1, update_time: '2024-01-31 12:00:00' },
+        /** @type {any[][]} */
+        values: [],
+    };
+    let pool = getPool(name);
+    pool.query = /** @type {any} */ (
+        async (/** @type {string} */ sql, /** @type {any[]} */ values) => {
+            state.values.push(values);
+            return [[state.fingerprint]];
+        }
+    );
+    return state;
+}
+
+/**
+ * Returns a load function that counts its calls
+ * @param {() => Promise<any>} [load]
+ */
+function countingLoad(load = async () => ({ columns: [] })) {
+    let counter = { calls: 0, load: () => (counter.calls++, load()) };
+    return counter;
+}
+
+test.before(async () => {
+    await setConnectionProfiles({ local: {}, staging: {} }, 'local');
+});
+
+test.after.always(async () => {
+    await closePools();
+});
+
+test.serial('loads again when the fingerprint changes', async t => {
+    let state = stubPool('local');
+    let counter = countingLoad();
+
+    let first = await getCachedDatabase(undefined, 'shop', counter.load);
+    let second = await getCachedDatabase('local', 'shop', counter.load);
+    t.false(first.cache.hit);
+    t.true(second.cache.hit);
+    t.is(second.database, first.database);
+    t.is(counter.calls, 1);
+
+    state.fingerprint = { ...state.fingerprint, update_time: '2024-01-31 12:00:01' };
+    let third = await getCachedDatabase('local', 'shop', counter.load);
+    t.false(third.cache.hit);
+    t.is(counter.calls, 2);
+    // Every call checks the fingerprint of the database, hits as well
+    t.is(state.values.length, 3);
+    t.deepEqual(state.values[0], ['shop', 'shop', 'shop', 'shop']);
+    clearSchemaCache('local');
+});
+
+test.serial('concurrent calls share a single load', async t => {
+    stubPool('local');
+    let counter = countingLoad();
+
+    let results = await Promise.all([
+        getCachedDatabase('local', 'shop', counter.load),
+        getCachedDatabase('local', 'shop', counter.load),
+    ]);
+    t.is(counter.calls, 1);
+    t.is(results[0].database, results[1].database);
+    clearSchemaCache('local');
+});
+
+test.serial('a failed load is not served to later calls', async t => {
+    stubPool('local');
+    let failing = countingLoad(async () => {
+        throw new Error('Lost connection');
+    });
+    await t.throwsAsync(() => getCachedDatabase('local', 'shop', failing.load), {
+        message: 'Lost connection',
+    });
+
+    let counter = countingLoad();
+    let { cache } = await getCachedDatabase('local', 'shop', counter.load);
+    t.false(cache.hit);
+    t.is(counter.calls, 1);
+    clearSchemaCache('local');
+});
+
+test.serial('caches databases per profile and clears them', async t => {
+    stubPool('local');
+    stubPool('staging');
+    let counter = countingLoad();
+
+    await getCachedDatabase('local', 'shop', counter.load);
+    await getCachedDatabase('local', 'blog', counter.load);
+    await getCachedDatabase('staging', 'shop', counter.load);
+    t.is(counter.calls, 3);
+
+    t.is(clearSchemaCache('local', 'shop'), 1);
+    t.is(clearSchemaCache('local'), 1);
+    t.is(clearSchemaCache('local'), 0);
+    t.true((await getCachedDatabase('staging', 'shop', counter.load)).cache.hit);
+    t.is(clearSchemaCache('staging'), 1);
+});
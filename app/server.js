@@ -1,6 +1,18 @@
 // @ts-check
-import mysql from 'mysql2/promise';
-import { dbUserCredentials } from './db.js';
+import { checkAccessToken, checkRequestOrigin } from './access.js';
+import { getProjectConfig, getPublicProjectConfig } from './config.js';
+import { getConnectionProfiles, getDefaultConnection, getPool, getSnapshot } from './db.js';
+import { getLoadedTemplates } from './plugins.js';
+import { exportRows } from './rows.js';
+import { clearSchemaCache, getCachedDatabase } from './schema_cache.js';
+import {
+    createEmptySnapshot,
+    parseNameList,
+    querySnapshot,
+    querySnapshotDatabase,
+} from '../src/frontend/snapshot.js';
+import { generateFormatFiles, getFormat, getFormats } from '../src/frontend/format_registry.js';
+import { createDatabaseModel } from '../src/frontend/tools.js';
 
 import bodyParser from 'body-parser';
 import express from 'express';
@@ -15,21 +27,28 @@ const __dirname = path.dirname(__filename);
 /**
  * Starts an express server.
  * @param {number} [port]
+ * @param {Object} [options]
+ * @param {string} [options.host] Address to listen on, default is 127.0.0.1
+ * @param {import("./access.js").AccessOptions} [options.access] Access rules of the API
  * @returns {Promise<number>}
  */
-export async function startServer(port) {
+export async function startServer(port, options = {}) {
     const app = express();
     const upload = multer();
+    const host = options.host || '127.0.0.1';
 
+    if (options.access) app.use(checkRequestOrigin(options.access));
     app.use(bodyParser.json());
     app.use(bodyParser.urlencoded({ extended: true }));
     app.use(express.static(__dirname + '/../dist/public'));
 
-    app.post('/api', upload.none(), async (req, res) => {
+    /** @type {import("express").RequestHandler[]} */
+    const guards = options.access ? [checkAccessToken(options.access)] : [];
+
+    app.post('/api', upload.none(), ...guards, async (req, res) => {
         try {
             let data = req.body;
             let { method, params } = data;
-            res.header('Access-Control-Allow-Origin', '*');
 
             if (method == 'tables.list') {
                 let tables_response = await api_tables_list(params);
@@ -37,6 +56,7 @@ export async function startServer(port) {
                     result: tables_response.result,
                     error: tables_response.error,
                     method,
+                    cache: tables_response.cache,
                 });
             } else if (method == 'database.list') {
                 let databases_response = await api_database_list(params);
@@ -51,7 +71,137 @@ export async function startServer(port) {
                     result: indexes_response.result,
                     error: indexes_response.error,
                     method,
+                    cache: indexes_response.cache,
+                });
+            } else if (method == 'foreign_keys.list') {
+                let foreign_keys_response = await api_foreign_keys_list(params);
+                res.json({
+                    result: foreign_keys_response.result,
+                    error: foreign_keys_response.error,
+                    method,
+                    cache: foreign_keys_response.cache,
+                });
+            } else if (method == 'tables.info') {
+                let tables_info_response = await api_tables_info(params);
+                res.json({
+                    result: tables_info_response.result,
+                    error: tables_info_response.error,
+                    method,
+                    cache: tables_info_response.cache,
+                });
+            } else if (method == 'views.list') {
+                let views_response = await api_views_list(params);
+                res.json({
+                    result: views_response.result,
+                    error: views_response.error,
+                    method,
+                    cache: views_response.cache,
+                });
+            } else if (method == 'routines.list') {
+                let routines_response = await api_routines_list(params);
+                res.json({
+                    result: routines_response.result,
+                    error: routines_response.error,
+                    method,
+                    cache: routines_response.cache,
                 });
+            } else if (method == 'parameters.list') {
+                let parameters_response = await api_parameters_list(params);
+                res.json({
+                    result: parameters_response.result,
+                    error: parameters_response.error,
+                    method,
+                    cache: parameters_response.cache,
+                });
+            } else if (method == 'triggers.list') {
+                let triggers_response = await api_triggers_list(params);
+                res.json({
+                    result: triggers_response.result,
+                    error: triggers_response.error,
+                    method,
+                    cache: triggers_response.cache,
+                });
+            } else if (method == 'events.list') {
+                let events_response = await api_events_list(params);
+                res.json({
+                    result: events_response.result,
+                    error: events_response.error,
+                    method,
+                    cache: events_response.cache,
+                });
+            } else if (method == 'tables.show_create') {
+                let show_create_response = await api_tables_show_create(params);
+                res.json({
+                    result: show_create_response.result,
+                    error: show_create_response.error,
+                    method,
+                });
+            } else if (method == 'connections.list') {
+                let connections_response = api_connections_list();
+                res.json({
+                    result: connections_response.result,
+                    error: connections_response.error,
+                    method,
+                });
+            } else if (method == 'connections.select') {
+                let select_response = await api_connections_select(params);
+                res.json({
+                    result: select_response.result,
+                    error: select_response.error,
+                    method,
+                });
+            } else if (method == 'config.get') {
+                let config_response = api_config_get();
+                res.json({
+                    result: config_response.result,
+                    error: config_response.error,
+                    method,
+                });
+            } else if (method == 'formats.list') {
+                let formats_response = api_formats_list();
+                res.json({
+                    result: formats_response.result,
+                    error: formats_response.error,
+                    method,
+                });
+            } else if (method == 'formats.generate') {
+                let generate_response = await api_formats_generate(params);
+                res.json({
+                    result: generate_response.result,
+                    error: generate_response.error,
+                    method,
+                });
+            } else if (method == 'templates.list') {
+                let templates_response = api_templates_list();
+                res.json({
+                    result: templates_response.result,
+                    error: templates_response.error,
+                    method,
+                });
+            } else if (method == 'schema.refresh') {
+                let refresh_response = api_schema_refresh(params);
+                res.json({
+                    result: refresh_response.result,
+                    error: refresh_response.error,
+                    method,
+                });
+            } else if (method == 'snapshot.create') {
+                let snapshot_response = await api_snapshot_create(params);
+                res.json({
+                    result: snapshot_response.result,
+                    error: snapshot_response.error,
+                    method,
+                });
+            } else if (method == 'rows.export') {
+                let rows_response = await api_rows_export(params, res);
+                if (rows_response.error === false) {
+                    res.end();
+                } else if (res.headersSent) {
+                    // The rows are already being sent, the client sees a truncated file
+                    res.destroy();
+                } else {
+                    res.json({ result: null, error: rows_response.error, method });
+                }
             } else {
                 res.json({ error: 'Unknown method', result: null, method });
             }
@@ -62,14 +212,14 @@ export async function startServer(port) {
     });
 
     if (port) {
-        app.listen(port);
+        app.listen(port, host);
     } else {
         port = 8080;
         let running = false;
         for (let i = 0; i < 100; i++) {
             port += i;
             try {
-                app.listen(port);
+                app.listen(port, host);
                 running = true;
                 break;
             } catch (err) {
@@ -82,42 +232,125 @@ export async function startServer(port) {
 }
 
 /**
- * Returns list of databases.
- * @param {Object} params
- * @returns {Promise<{result: string[], error:false}|{result: null,error: string}>}
+ * Returns the settings of the project config file used by the web interface.
+ * @returns {{result: ReturnType<typeof getPublicProjectConfig>, error: false}}
+ */
+export function api_config_get() {
+    return { result: getPublicProjectConfig(), error: false };
+}
+
+/**
+ * Returns the output formats: the built-in ones and those of the loaded plugins.
+ * @returns {{result: {name: string, label: string, extension: string, download: boolean}[], error: false}}
+ */
+export function api_formats_list() {
+    return {
+        result: getFormats().map(format => ({
+            name: format.name,
+            label: format.label,
+            extension: format.extension,
+            download: Boolean(format.download),
+        })),
+        error: false,
+    };
+}
+
+/**
+ * Returns the code template files loaded with --template or the "templates" of the config.
+ * @returns {{result: {file: string, source: string}[], error: false}}
+ */
+export function api_templates_list() {
+    return { result: getLoadedTemplates(), error: false };
+}
+
+/**
+ * Runs an output format on tables of a database. The web interface uses it for formats of
+ * plugins, which are only loaded on the server.
+ * @param {{database_name: string, table_names: string[]|string, format: string, connection?: string}} params
+ * @returns {Promise<{result: import("../src/frontend/format_registry.js").OutputFile[], error:false}|{result: null,error: string}>}
  */
-export async function api_database_list(params) {
+export async function api_formats_generate(params) {
+    const format = getFormat(params.format);
+    if (!format) return { result: null, error: `Unknown format "${params.format}"` };
+
+    const table_names = parseNameList(params.table_names);
+    const responses = await Promise.all([
+        api_tables_list(params),
+        api_indexes_list({ ...params, table_names }),
+        api_foreign_keys_list({ ...params, table_names }),
+        api_tables_info({ ...params, table_names }),
+    ]);
+    for (const response of responses) {
+        if (response.error !== false) return { result: null, error: response.error };
+    }
+    const [columns, indexes, foreign_keys, tables] = responses.map(response => response.result);
+
     try {
-        const connection = await mysql.createConnection(dbUserCredentials);
-        await connection.connect();
-        const [rows] = await connection.query('SHOW DATABASES');
-        let result = [];
+        const rows = {
+            columns: columns.filter(column => table_names.includes(column.TABLE_NAME)),
+            indexes,
+            foreignKeys: foreign_keys,
+            tables,
+        };
+        const db = createDatabaseModel(params.database_name, rows);
+        const files = generateFormatFiles(format, db, {
+            typeMapping: getProjectConfig().typeMapping,
+            naming: getProjectConfig().naming,
+            jsClass: getProjectConfig().jsClass,
+            rows,
+        });
+        return { result: files, error: false };
+    } catch (err) {
+        console.error(err);
+        return { result: null, error: err.message };
+    }
+}
+
+/**
+ * Returns the connection profiles (without passwords) and the name of the default one.
+ * @returns {{result: {default: string, connections: {name: string, host?: string, port?: number, user?: string}[]}, error: false}}
+ */
+export function api_connections_list() {
+    return {
+        result: { default: getDefaultConnection(), connections: getConnectionProfiles() },
+        error: false,
+    };
+}
+
+/**
+ * Checks that the server of a connection profile is reachable. The profile is not stored
+ * on the server: the client sends its name with every call, so that browser tabs can work
+ * with different servers.
+ * @param {{connection?: string}} params
+ * @returns {Promise<{result: {name: string, version: string}, error:false}|{result: null,error: string}>}
+ */
+export async function api_connections_select(params) {
+    try {
+        const name = params.connection || getDefaultConnection();
+        const [rows] = await getPool(name).query('SELECT VERSION() AS version');
         // @ts-ignore
-        rows.forEach(row => result.push(row.Database));
-        await connection.end();
-        return { result, error: false };
+        return { result: { name, version: rows[0].version }, error: false };
     } catch (err) {
-        console.log(err);
+        console.error(err);
         return { error: err.message, result: null };
     }
 }
 
 /**
- * Returns column schema for a given database.
- * @param {{database_name: string}} params
- * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ * Returns list of databases.
+ * @param {{connection?: string}} [params]
+ * @returns {Promise<{result: string[], error:false}|{result: null,error: string}>}
  */
-export async function api_tables_list(params) {
+export async function api_database_list(params = {}) {
+    const snapshot = getSnapshot();
+    if (snapshot) return querySnapshot(snapshot, 'database.list', params);
+
     try {
-        const connection = await mysql.createConnection(dbUserCredentials);
-        let database_name = params.database_name;
-        await connection.connect();
-        let sql_database_name = connection.escape(database_name);
-        const [rows] = await connection.query(
-            `SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE table_schema = ${sql_database_name} ORDER BY table_name, ordinal_position;`
-        );
-        await connection.end();
-        return { result: rows, error: false };
+        const [rows] = await getPool(params.connection).query('SHOW DATABASES');
+        let result = [];
+        // @ts-ignore
+        rows.forEach(row => result.push(row.Database));
+        return { result, error: false };
     } catch (err) {
         console.log(err);
         return { error: err.message, result: null };
@@ -125,34 +358,17 @@ export async function api_tables_list(params) {
 }
 
 /**
- * Returns detailed index statistics for selected tables.
- * @param {{database_name: string, table_names?: string[]}} params
- * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ * Reads the columns, indexes, foreign keys, table metadata, views, routines, triggers and
+ * events of a database.
+ * The foreign keys include the constraints of other databases that reference its tables.
+ * @param {import("mysql2/promise").Pool} pool
+ * @param {string} database_name
+ * @returns {Promise<import("../src/frontend/snapshot.js").SnapshotDatabase>}
  */
-export async function api_indexes_list(params) {
-    try {
-        const connection = await mysql.createConnection(dbUserCredentials);
-        const dbName = params.database_name;
-
-        // Parse table_names if it was sent as a JSON string
-        /** @type {string[]|string} */
-        let tableNamesArray = params.table_names || '';
-        if (typeof tableNamesArray === 'string') {
-            try {
-                tableNamesArray = JSON.parse(tableNamesArray);
-            } catch (e) {
-                // fallback: treat as comma-separated string
-
-                tableNamesArray = tableNamesArray.split(',').map(s => s.trim());
-            }
-        }
-
-        // Ensure we have an array for the SQL IN clause
-        let tableFilter = '';
-        if (tableNamesArray && Array.isArray(tableNamesArray) && tableNamesArray.length > 0) {
-            const escapedTables = tableNamesArray.map(t => connection.escape(t)).join(',');
-            tableFilter = `AND table_name IN (${escapedTables})`;
-        }
+async function loadDatabaseSchema(pool, database_name) {
+    const dbName = pool.escape(database_name);
+    const queries = [
+        `SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE table_schema = ${dbName} ORDER BY table_name, ordinal_position;`,
 
         /*
         TABLE_SCHEMA,
@@ -166,19 +382,325 @@ export async function api_indexes_list(params) {
                 NULLABLE,
                 COLLATION
         */
-
-        const query = `
+        `
             SELECT 
                 *
             FROM INFORMATION_SCHEMA.STATISTICS
-            WHERE TABLE_SCHEMA = ${connection.escape(dbName)} ${tableFilter}
+            WHERE TABLE_SCHEMA = ${dbName}
             ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX
-        `;
-        const [rows] = await connection.query(query);
-        await connection.end();
-        return { result: rows, error: false };
+        `,
+
+        // Composite keys are returned as several rows ordered by ORDINAL_POSITION
+        `
+            SELECT
+                k.CONSTRAINT_SCHEMA,
+                k.CONSTRAINT_NAME,
+                k.TABLE_SCHEMA,
+                k.TABLE_NAME,
+                k.COLUMN_NAME,
+                k.ORDINAL_POSITION,
+                k.REFERENCED_TABLE_SCHEMA,
+                k.REFERENCED_TABLE_NAME,
+                k.REFERENCED_COLUMN_NAME,
+                r.UPDATE_RULE,
+                r.DELETE_RULE
+            FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE k
+            JOIN INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS r
+                ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA
+                AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+                AND r.TABLE_NAME = k.TABLE_NAME
+            WHERE k.REFERENCED_TABLE_NAME IS NOT NULL
+                AND (k.TABLE_SCHEMA = ${dbName} OR k.REFERENCED_TABLE_SCHEMA = ${dbName})
+            ORDER BY k.TABLE_SCHEMA, k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+        `,
+
+        `
+            SELECT *
+            FROM INFORMATION_SCHEMA.TABLES
+            WHERE TABLE_SCHEMA = ${dbName}
+            ORDER BY TABLE_NAME
+        `,
+
+        // Definitions of views and routines are NULL for users without the privileges
+        // to see them (SHOW VIEW, SHOW_ROUTINE or being the definer)
+        `SELECT * FROM INFORMATION_SCHEMA.VIEWS WHERE TABLE_SCHEMA = ${dbName} ORDER BY TABLE_NAME;`,
+
+        `SELECT * FROM INFORMATION_SCHEMA.ROUTINES WHERE ROUTINE_SCHEMA = ${dbName} ORDER BY ROUTINE_TYPE, ROUTINE_NAME;`,
+
+        // The return value of a function is the parameter with ORDINAL_POSITION 0
+        `
+            SELECT *
+            FROM INFORMATION_SCHEMA.PARAMETERS
+            WHERE SPECIFIC_SCHEMA = ${dbName}
+            ORDER BY SPECIFIC_NAME, ROUTINE_TYPE, ORDINAL_POSITION
+        `,
+
+        `
+            SELECT *
+            FROM INFORMATION_SCHEMA.TRIGGERS
+            WHERE TRIGGER_SCHEMA = ${dbName}
+            ORDER BY EVENT_OBJECT_TABLE, ACTION_TIMING, EVENT_MANIPULATION, ACTION_ORDER
+        `,
+
+        `SELECT * FROM INFORMATION_SCHEMA.EVENTS WHERE EVENT_SCHEMA = ${dbName} ORDER BY EVENT_NAME;`,
+    ];
+
+    const results = await Promise.all(queries.map(query => pool.query(query)));
+    const [columns, indexes, foreignKeys, tables, views, routines, parameters, triggers, events] =
+        results.map(([rows]) => /** @type {any[]} */ (rows));
+    return { columns, indexes, foreignKeys, tables, views, routines, parameters, triggers, events };
+}
+
+/**
+ * Response of a schema method. `cache` tells whether the schema came from the cache, also
+ * on errors of the method such as an unknown method. Failed loads of the schema have none.
+ * @typedef {{result: any[], error: false, cache?: import("./schema_cache.js").SchemaCacheInfo}|{result: null, error: string, cache?: import("./schema_cache.js").SchemaCacheInfo}} SchemaResponse
+ */
+
+/**
+ * Answers a schema method from the cached introspection result of the database.
+ * @param {string} method API method, e.g. "indexes.list"
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+async function querySchema(method, params) {
+    const snapshot = getSnapshot();
+    if (snapshot) return querySnapshot(snapshot, method, params);
+
+    try {
+        const { database, cache } = await getCachedDatabase(
+            params.connection,
+            params.database_name,
+            pool => loadDatabaseSchema(pool, params.database_name)
+        );
+        return { ...querySnapshotDatabase(database, method, params), cache };
+    } catch (err) {
+        console.error(err);
+        return { error: err.message, result: null };
+    }
+}
+
+/**
+ * Returns column schema for a given database.
+ * @param {{database_name: string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_tables_list(params) {
+    return querySchema('tables.list', params);
+}
+
+/**
+ * Returns detailed index statistics for selected tables.
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_indexes_list(params) {
+    return querySchema('indexes.list', params);
+}
+
+/**
+ * Returns foreign key columns of a database: constraints declared in its tables (outgoing)
+ * and constraints of other tables that reference its tables (incoming). Composite keys
+ * are returned as several rows ordered by ORDINAL_POSITION.
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_foreign_keys_list(params) {
+    return querySchema('foreign_keys.list', params);
+}
+
+/**
+ * Returns the views of a database with their definitions. The columns of the views are
+ * returned by tables.list.
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_views_list(params) {
+    return querySchema('views.list', params);
+}
+
+/**
+ * Returns the stored procedures and functions of a database with their definitions.
+ * @param {{database_name: string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_routines_list(params) {
+    return querySchema('routines.list', params);
+}
+
+/**
+ * Returns the parameters of the stored procedures and functions of a database, ordered by
+ * routine and position. The return value of a function has ORDINAL_POSITION 0.
+ * @param {{database_name: string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_parameters_list(params) {
+    return querySchema('parameters.list', params);
+}
+
+/**
+ * Returns the triggers of a database. With table_names, only the triggers of these tables.
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_triggers_list(params) {
+    return querySchema('triggers.list', params);
+}
+
+/**
+ * Returns the scheduled events of a database.
+ * @param {{database_name: string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_events_list(params) {
+    return querySchema('events.list', params);
+}
+
+/**
+ * Streams the rows of a table to the response as a file download.
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string} params.table_name
+ * @param {string} [params.connection] Connection profile
+ * @param {string} [params.format] json, ndjson or csv
+ * @param {string[]|string} [params.column_names] Columns to export, default is all columns
+ * @param {string} [params.where] SQL condition to filter the rows
+ * @param {string} [params.limit] Maximum number of rows
+ * @param {import("express").Response} res
+ * @returns {Promise<{result: {rows: number}, error:false}|{result: null,error: string}>}
+ */
+export async function api_rows_export(params, res) {
+    return exportRows(
+        { ...params, column_names: parseNameList(params.column_names) },
+        res,
+        format => {
+            res.setHeader('Content-Type', `${format.contentType}; charset=utf-8`);
+            res.setHeader(
+                'Content-Disposition',
+                `attachment; filename="${encodeURIComponent(params.table_name + format.extension)}"`
+            );
+        }
+    );
+}
+
+/**
+ * Returns table metadata (engine, row estimates, sizes, collation, comment) of a database.
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<SchemaResponse>}
+ */
+export async function api_tables_info(params) {
+    return querySchema('tables.info', params);
+}
+
+/**
+ * Removes cached schemas of a connection profile, so that the next calls read them from
+ * the server.
+ * @param {{database_name?: string, connection?: string}} [params] Without database_name,
+ * all databases of the profile are removed
+ * @returns {{result: {cleared: number}, error:false}|{result: null,error: string}}
+ */
+export function api_schema_refresh(params = {}) {
+    try {
+        return {
+            result: { cleared: clearSchemaCache(params.connection, params.database_name) },
+            error: false,
+        };
     } catch (err) {
         console.error(err);
         return { error: err.message, result: null };
     }
 }
+
+/**
+ * Returns the output of SHOW CREATE TABLE for the tables of a database.
+ * @param {{database_name: string, table_names?: string[]|string, connection?: string}} params
+ * @returns {Promise<{result: {TABLE_NAME: string, CREATE_TABLE: string}[], error:false}|{result: null,error: string}>}
+ */
+export async function api_tables_show_create(params) {
+    const snapshot = getSnapshot();
+    if (snapshot) return querySnapshot(snapshot, 'tables.show_create', params);
+
+    try {
+        const pool = getPool(params.connection);
+        let tableNamesArray = parseNameList(params.table_names);
+
+        if (tableNamesArray.length === 0) {
+            const [rows] = await pool.query(
+                `SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES
+                 WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE'
+                 ORDER BY TABLE_NAME`,
+                [params.database_name]
+            );
+            // @ts-ignore
+            tableNamesArray = rows.map(row => row.TABLE_NAME);
+        }
+
+        const result = [];
+        for (const table_name of tableNamesArray) {
+            const [rows] = await pool.query(
+                `SHOW CREATE TABLE ${pool.escapeId(params.database_name)}.${pool.escapeId(table_name)}`
+            );
+            // @ts-ignore
+            result.push({ TABLE_NAME: table_name, CREATE_TABLE: rows[0]['Create Table'] });
+        }
+        return { result, error: false };
+    } catch (err) {
+        console.error(err);
+        return { error: err.message, result: null };
+    }
+}
+
+/**
+ * Returns a snapshot of the full introspection result (columns, indexes, foreign keys,
+ * table metadata, views, routines, triggers and events) of the given databases.
+ * @param {{database_names: string[]|string, connection?: string}} params
+ * @returns {Promise<{result: import("../src/frontend/snapshot.js").Snapshot, error:false}|{result: null,error: string}>}
+ */
+export async function api_snapshot_create(params) {
+    const database_names = parseNameList(params.database_names);
+    const connection = params.connection;
+    if (database_names.length === 0) {
+        return { error: 'No databases selected', result: null };
+    }
+
+    const snapshot = createEmptySnapshot();
+    for (const database_name of database_names) {
+        const responses = await Promise.all([
+            api_tables_list({ database_name, connection }),
+            api_indexes_list({ database_name, connection }),
+            api_foreign_keys_list({ database_name, connection }),
+            api_tables_info({ database_name, connection }),
+            api_views_list({ database_name, connection }),
+            api_routines_list({ database_name, connection }),
+            api_parameters_list({ database_name, connection }),
+            api_triggers_list({ database_name, connection }),
+            api_events_list({ database_name, connection }),
+        ]);
+        for (const response of responses) {
+            if (response.error !== false) return { error: response.error, result: null };
+        }
+        const [
+            columns,
+            indexes,
+            foreignKeys,
+            tables,
+            views,
+            routines,
+            parameters,
+            triggers,
+            events,
+        ] = responses.map(r => r.result || []);
+        snapshot.databases[database_name] = {
+            columns,
+            indexes,
+            foreignKeys,
+            tables,
+            views,
+            routines,
+            parameters,
+            triggers,
+            events,
+        };
+    }
+    return { result: snapshot, error: false };
+}
@@ -1,5 +1,89 @@
 // @ts-check
 import { request } from './inet.js';
+import { parseNameList, querySnapshot } from './snapshot.js';
+
+/**
+ * Snapshot dropped into the page. While it is set, the schema is read from it
+ * instead of the server.
+ * @type {import("./snapshot.js").Snapshot|null}
+ */
+let local_snapshot = null;
+
+/**
+ * Sets the snapshot to read the schema from. Pass null to use the server again.
+ * @param {import("./snapshot.js").Snapshot|null} snapshot
+ */
+export function setLocalSnapshot(snapshot) {
+    local_snapshot = snapshot;
+}
+
+/**
+ * Returns the snapshot the schema is read from, or null when the server is used.
+ * @returns {import("./snapshot.js").Snapshot|null}
+ */
+export function getLocalSnapshot() {
+    return local_snapshot;
+}
+
+/**
+ * Connection profile of the server calls. It is kept per page, so every browser tab
+ * can work with its own server.
+ * @type {string}
+ */
+let current_connection = '';
+
+/**
+ * Sets the connection profile used by the server calls. Pass an empty string to use
+ * the default profile of the server.
+ * @param {string} name
+ */
+export function setConnection(name) {
+    current_connection = name;
+}
+
+/**
+ * Returns the connection profile used by the server calls, empty for the default one.
+ * @returns {string}
+ */
+export function getConnection() {
+    return current_connection;
+}
+
+/**
+ * Calls the API method on the server, or answers it from the local snapshot if one is set.
+ * Server calls are scoped to the selected connection profile.
+ * @param {string} method
+ * @param {Object} params
+ * @returns {Promise<any>}
+ */
+async function call(method, params) {
+    if (local_snapshot) {
+        if (method == 'snapshot.create') return snapshot_from_local(params);
+        return querySnapshot(local_snapshot, method, params);
+    }
+    if (current_connection && params.connection === undefined) {
+        params = { ...params, connection: current_connection };
+    }
+    return request(method, params);
+}
+
+/**
+ * Returns the part of the local snapshot with the given databases.
+ * @param {{database_names: string[]|string}} params
+ * @returns {{result: import("./snapshot.js").Snapshot, error:false}|{result: null,error: string}}
+ */
+function snapshot_from_local(params) {
+    if (!local_snapshot) return { result: null, error: 'No snapshot loaded' };
+    /** @type {Object<string, import("./snapshot.js").SnapshotDatabase>} */
+    let databases = {};
+    for (let name of parseNameList(params.database_names)) {
+        if (!local_snapshot.databases[name]) {
+            return { result: null, error: `Unknown database '${name}' in snapshot` };
+        }
+        databases[name] = local_snapshot.databases[name];
+    }
+    return { result: { ...local_snapshot, databases }, error: false };
+}
 
 /**
  * @typedef {Object} ApiResponse
@@ -13,7 +97,7 @@ import { request } from './inet.js';
  * @returns {Promise<{result: string[], error:false}|{result: null,error: string}>}
  */
 export async function database_list(params = {}) {
-    return request('database.list', params);
+    return call('database.list', params);
 }
 
 /**
@@ -22,15 +106,172 @@ export async function database_list(params = {}) {
  * @returns {Promise<{result: import("@supercat1337/mysql-schema-parser").ColumnMetadataRaw[], error:false}|{result: null,error: string}>}
  */
 export async function tables_list(params) {
-    return request('tables.list', params);
+    return call('tables.list', params);
 }
 
 /**
  * @param {Object} params
  * @param {string} params.database_name
- * @param {string[]} [params.table_names]
+ * @param {string[]|string} [params.table_names]
  * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
  */
 export async function indexes_list(params) {
-    return request('indexes.list', params);
+    return call('indexes.list', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string[]|string} [params.table_names]
+ * @returns {Promise<{result: import("./tools.js").ForeignKeyColumnRaw[], error:false}|{result: null,error: string}>}
+ */
+export async function foreign_keys_list(params) {
+    return call('foreign_keys.list', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string[]|string} [params.table_names]
+ * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ */
+export async function tables_info(params) {
+    return call('tables.info', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string[]|string} [params.table_names]
+ * @returns {Promise<{result: {TABLE_NAME: string, CREATE_TABLE: string}[], error:false}|{result: null,error: string}>}
+ */
+export async function tables_show_create(params) {
+    return call('tables.show_create', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string[]|string} [params.table_names]
+ * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ */
+export async function views_list(params) {
+    return call('views.list', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ */
+export async function routines_list(params) {
+    return call('routines.list', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ */
+export async function parameters_list(params) {
+    return call('parameters.list', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string[]|string} [params.table_names]
+ * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ */
+export async function triggers_list(params) {
+    return call('triggers.list', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @returns {Promise<{result: any[], error:false}|{result: null,error: string}>}
+ */
+export async function events_list(params) {
+    return call('events.list', params);
+}
+
+/**
+ * Makes the server read the schema of the database again instead of using its cache
+ * @param {Object} params
+ * @param {string} [params.database_name] Database, all databases if omitted
+ * @returns {Promise<{result: {cleared: number}, error:false}|{result: null,error: string}>}
+ */
+export async function schema_refresh(params) {
+    if (local_snapshot) return { result: { cleared: 0 }, error: false };
+    return call('schema.refresh', params);
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.database_names JSON array of database names
+ * @returns {Promise<{result: import("./snapshot.js").Snapshot, error:false}|{result: null,error: string}>}
+ */
+export async function snapshot_create(params) {
+    return call('snapshot.create', params);
+}
+
+/**
+ * Returns the output formats of the server, including those of its plugins
+ * @returns {Promise<{result: {name: string, label: string, extension: string, download: boolean}[], error:false}|{result: null,error: string}>}
+ */
+export async function formats_list() {
+    return request('formats.list', {});
+}
+
+/**
+ * Returns the code template files loaded on the server
+ * @returns {Promise<{result: {file: string, source: string}[], error:false}|{result: null,error: string}>}
+ */
+export async function templates_list() {
+    return request('templates.list', {});
+}
+
+/**
+ * Runs an output format of the server on tables. The server reads the schema itself, so
+ * this is not available while a dropped snapshot is used.
+ * @param {Object} params
+ * @param {string} params.database_name
+ * @param {string} params.table_names JSON array of table names
+ * @param {string} params.format
+ * @returns {Promise<{result: import("./format_registry.js").OutputFile[], error:false}|{result: null,error: string}>}
+ */
+export async function formats_generate(params) {
+    if (local_snapshot) {
+        return {
+            result: null,
+            error: 'Formats of server plugins cannot be used with a dropped snapshot',
+        };
+    }
+    return call('formats.generate', params);
+}
+
+/**
+ * @returns {Promise<{result: {default: string, connections: {name: string, host: string, port: number, user: string}[]}, error:false}|{result: null,error: string}>}
+ */
+export async function connections_list() {
+    return request('connections.list', {});
+}
+
+/**
+ * Checks that the server of the connection profile can be reached
+ * @param {Object} params
+ * @param {string} params.connection
+ * @returns {Promise<{result: {name: string, version: string}, error:false}|{result: null,error: string}>}
+ */
+export async function connections_select(params) {
+    return request('connections.select', params);
+}
+
+/**
+ * Returns the settings of the project config file the server was started with
+ * @returns {Promise<{result: {database?: string, tables?: import("./table_filter.js").TableFilter, typeMapping?: import("./type_mapping.js").TypeMappingOptions}, error:false}|{result: null,error: string}>}
+ */
+export async function config_get() {
+    return request('config.get', {});
 }
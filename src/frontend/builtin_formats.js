@@ -0,0 +1,163 @@
+// @ts-check
+
+import {
+    generateCreateTableSql,
+    generateJsClassCode,
+    generateJsObjectsCode,
+    generateTsCode,
+} from './tools.js';
+import { generateJsonSchema } from './json_schema.js';
+import {
+    createErDiagram,
+    renderDotErDiagram,
+    renderMermaidErDiagram,
+    renderSvgErDiagram,
+} from './er_diagram.js';
+import {
+    createDataDictionary,
+    renderHtmlDataDictionary,
+    renderMarkdownDataDictionary,
+} from './data_dictionary.js';
+import { generatePrismaSchema } from './prisma.js';
+import { createMigrationFiles } from './migrations.js';
+import { createRepositoryFiles } from './repository.js';
+
+/**
+ * Output formats that come with the package
+ * @type {import("./format_registry.js").FormatPlugin[]}
+ */
+export const BUILTIN_FORMATS = [
+    {
+        name: 'json',
+        label: '🗂️ Raw JSON',
+        extension: '.json',
+        generate: (db, options) => {
+            let tables = {};
+            for (let table of db.tables.values()) {
+                tables[table.tableName] = {
+                    columns: options.rows.columns.filter(row => row.TABLE_NAME === table.tableName),
+                    foreignKeys: table.foreignKeys,
+                    referencedBy: table.referencedBy,
+                };
+            }
+            return JSON.stringify(tables, null, '  ');
+        },
+    },
+    {
+        name: 'json-schema',
+        label: '📐 JSON Schema',
+        extension: '.schema.json',
+        generate: (db, options) => generateJsonSchema(db, { typeMapping: options.typeMapping }),
+    },
+    {
+        name: 'js',
+        label: '🧩 JS Objects',
+        extension: '.js',
+        generate: (db, options) => generateJsObjectsCode(db, { naming: options.naming }),
+    },
+    {
+        name: 'js-class',
+        label: '🏗️ JS Class',
+        extension: '.js',
+        generate: (db, options) =>
+            generateJsClassCode(db, {
+                typeMapping: options.typeMapping,
+                naming: options.naming,
+                immutable: options.jsClass?.immutable,
+            }),
+    },
+    {
+        name: 'ts',
+        label: '🔷 TS Interfaces',
+        extension: '.ts',
+        generate: (db, options) =>
+            generateTsCode(db, { typeMapping: options.typeMapping, naming: options.naming }),
+    },
+    {
+        name: 'sql',
+        label: '🧱 CREATE TABLE',
+        extension: '.sql',
+        generate: db => generateCreateTableSql(db),
+    },
+    {
+        name: 'mermaid',
+        label: '🧜 ER Mermaid',
+        extension: '.mmd',
+        generate: db => renderMermaidErDiagram(createErDiagram(db)),
+    },
+    {
+        name: 'dot',
+        label: '🕸️ ER DOT',
+        extension: '.dot',
+        generate: db => renderDotErDiagram(createErDiagram(db)),
+    },
+    {
+        name: 'svg',
+        label: '🖼️ ER SVG',
+        extension: '.svg',
+        generate: db => renderSvgErDiagram(createErDiagram(db)),
+    },
+    {
+        name: 'markdown',
+        label: '📖 Markdown',
+        extension: '.md',
+        generate: db => renderMarkdownDataDictionary(createDataDictionary(db)),
+    },
+    {
+        name: 'html',
+        label: '📖 HTML',
+        extension: '.html',
+        // The page is self-contained, so it is offered as a file as well
+        download: true,
+        generate: db => renderHtmlDataDictionary(createDataDictionary(db)),
+    },
+    {
+        name: 'prisma',
+        label: '🔷 Prisma',
+        extension: '.prisma',
+        generate: (db, options) => generatePrismaSchema(db, { naming: options.naming }),
+    },
+    {
+        name: 'knex',
+        label: '⬇️ Knex migration',
+        extension: '.js',
+        download: true,
+        generate: db => createMigrationFiles(db, { format: 'knex' }),
+    },
+    {
+        name: 'sql-migration',
+        label: '⬇️ SQL migration',
+        extension: '.sql',
+        download: true,
+        generate: db => createMigrationFiles(db, { format: 'sql' }),
+    },
+    {
+        name: 'repository',
+        label: '🗄️ Repositories',
+        extension: '.repository.js',
+        download: true,
+        generate: (db, options) =>
+            createRepositoryFiles(db, { typeMapping: options.typeMapping, naming: options.naming }),
+    },
+    {
+        name: 'indexes',
+        label: '🔑 Indexes',
+        extension: '.json',
+        generate: (db, options) => JSON.stringify(options.rows.indexes, null, '  '),
+    },
+    {
+        name: 'foreign-keys',
+        label: '🔗 Foreign keys',
+        extension: '.json',
+        generate: db => {
+            let relations = {};
+            for (let table of db.tables.values()) {
+                relations[table.tableName] = {
+                    foreignKeys: table.foreignKeys,
+                    referencedBy: table.referencedBy,
+                };
+            }
+            return JSON.stringify(relations, null, '  ');
+        },
+    },
+];
@@ -0,0 +1,29 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { BUILTIN_FORMATS } from './builtin_formats.js';
+import { columnRow, foreignKeyRow, idColumnRow } from '../../test/_schema_rows.js';
+
+/** @param {string} name */
+const getFormat = name => BUILTIN_FORMATS.find(format => format.name === name);
+
+test('json format writes the columns and relations of every table', t => {
+    let rows = {
+        columns: [
+            idColumnRow('users'),
+            idColumnRow('orders'),
+            columnRow('orders', 'user_id', { COLUMN_TYPE: 'int unsigned' }),
+        ],
+        indexes: [],
+        foreignKeys: [foreignKeyRow('orders', 'user_id', 'users')],
+        tables: [],
+    };
+    let db = createDatabaseModel('shop', rows);
+
+    let output = JSON.parse(String(getFormat('json')?.generate(db, { rows })));
+    t.deepEqual(Object.keys(output), ['users', 'orders']);
+    t.deepEqual(output.orders.columns, [rows.columns[1], rows.columns[2]]);
+    t.deepEqual(output.users.foreignKeys, []);
+    t.is(output.users.referencedBy[0].tableName, 'orders');
+    t.deepEqual(output.orders.foreignKeys[0].columnNames, ['user_id']);
+    t.deepEqual(output.orders.referencedBy, []);
+});
@@ -0,0 +1,184 @@
+// @ts-check
+
+/**
+ * Parts of a CREATE TABLE statement, normalized for comparison
+ * @typedef {Object} CreateTableParts
+ * @property {string[]} columns Column definitions in order
+ * @property {string[]} keys Key and constraint definitions
+ * @property {string[]} options Table options, e.g. "ENGINE=InnoDB"
+ */
+
+/**
+ * Result of the comparison of a generated statement with the server one
+ * @typedef {Object} CreateTableCheck
+ * @property {string} tableName
+ * @property {boolean} ok True if the statements are equivalent
+ * @property {string[]} differences Human readable differences
+ */
+
+/** Table options that reflect the data, not the schema */
+const IGNORED_TABLE_OPTIONS = ['AUTO_INCREMENT'];
+
+/**
+ * Removes differences of notation between the statements of MySQL and the generator:
+ * version comments and spaces in key part lists.
+ * @param {string} line
+ * @returns {string}
+ */
+function normalizeDefinition(line) {
+    return line
+        .replace(/\/\*!\d+\s+(.*?)\s*\*\//g, '$1')
+        .replace(/,\s+(?=[`(])/g, ',')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalizes a column definition: "DEFAULT NULL" and the explicit NULL of nullable
+ * columns are removed and numeric defaults are unquoted
+ * @param {string} definition
+ * @returns {string}
+ */
+function normalizeColumnDefinition(definition) {
+    return definition
+        .replace(/ DEFAULT NULL\b/g, '')
+        .replace(/(?<!NOT)(?<!DEFAULT) NULL\b/g, '')
+        .replace(/ DEFAULT '(-?\d+(?:\.\d+)?)'/g, ' DEFAULT $1');
+}
+
+/**
+ * Normalizes a key or constraint definition: the default referential actions are removed
+ * @param {string} definition
+ * @returns {string}
+ */
+function normalizeKeyDefinition(definition) {
+    return definition.replace(/ ON (DELETE|UPDATE) (RESTRICT|NO ACTION)\b/g, '');
+}
+
+/**
+ * Splits the table options of a CREATE TABLE statement,
+ * e.g. "ENGINE=InnoDB DEFAULT CHARSET=utf8mb4"
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitTableOptions(text) {
+    let options = [];
+    let re = /(DEFAULT )?([A-Z_ ]+?)=('(?:[^']|'')*'|\S+)/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        let name = match[2].trim();
+        if (IGNORED_TABLE_OPTIONS.includes(name)) continue;
+        options.push(`${name}=${match[3]}`);
+    }
+    return options;
+}
+
+/**
+ * Parses a CREATE TABLE statement as printed by SHOW CREATE TABLE or by
+ * MySQLTable.generateCreateTableQuery (one definition per line).
+ * @param {string} sql
+ * @returns {CreateTableParts}
+ */
+export function parseCreateTableStatement(sql) {
+    let lines = sql.trim().replace(/;$/, '').split('\n');
+    let last_line = lines.pop() || '';
+
+    /** @type {CreateTableParts} */
+    let parts = {
+        columns: [],
+        keys: [],
+        options: splitTableOptions(last_line.replace(/^\)\s*/, '')),
+    };
+
+    for (let line of lines.slice(1)) {
+        let definition = normalizeDefinition(line.replace(/,\s*$/, ''));
+        if (definition.startsWith('`')) {
+            parts.columns.push(normalizeColumnDefinition(definition));
+        } else if (definition) {
+            parts.keys.push(normalizeKeyDefinition(definition));
+        }
+    }
+
+    return parts;
+}
+
+/**
+ * Compares a generated CREATE TABLE statement with the output of SHOW CREATE TABLE.
+ * Columns are compared in order, keys and table options regardless of their order.
+ * @param {string} tableName
+ * @param {string} generated Statement of the generator
+ * @param {string} actual Statement of SHOW CREATE TABLE
+ * @returns {CreateTableCheck}
+ */
+export function checkCreateTableStatement(tableName, generated, actual) {
+    let expected_parts = parseCreateTableStatement(actual);
+    let generated_parts = parseCreateTableStatement(generated);
+    let differences = [];
+
+    let count = Math.max(expected_parts.columns.length, generated_parts.columns.length);
+    for (let i = 0; i < count; i++) {
+        let expected = expected_parts.columns[i];
+        let result = generated_parts.columns[i];
+        if (expected === result) continue;
+        if (result === undefined) differences.push(`missing column: ${expected}`);
+        else if (expected === undefined) differences.push(`unexpected column: ${result}`);
+        else differences.push(`column ${i + 1}: expected ${expected}, generated ${result}`);
+    }
+
+    for (let key of ['keys', 'options']) {
+        let label = key === 'keys' ? 'key' : 'table option';
+        for (let item of expected_parts[key]) {
+            if (!generated_parts[key].includes(item)) differences.push(`missing ${label}: ${item}`);
+        }
+        for (let item of generated_parts[key]) {
+            if (!expected_parts[key].includes(item)) {
+                differences.push(`unexpected ${label}: ${item}`);
+            }
+        }
+    }
+
+    return { tableName, ok: differences.length === 0, differences };
+}
+
+/**
+ * Compares the CREATE TABLE statements generated from the database model with the output
+ * of SHOW CREATE TABLE of the tables
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {{TABLE_NAME: string, CREATE_TABLE: string}[]} rows Result of the tables.show_create method
+ * @returns {CreateTableCheck[]}
+ */
+export function checkCreateTableStatements(db, rows) {
+    return rows.map(row =>
+        checkCreateTableStatement(
+            row.TABLE_NAME,
+            db.tables.get(row.TABLE_NAME)?.generateCreateTableQuery() || '',
+            row.CREATE_TABLE
+        )
+    );
+}
+
+/**
+ * Formats the results of checkCreateTableStatement as a text report
+ * @param {CreateTableCheck[]} checks
+ * @returns {string}
+ */
+export function formatCreateTableChecks(checks) {
+    let output = [];
+    for (let check of checks) {
+        if (check.ok) {
+            output.push(`✓ ${check.tableName}`);
+            continue;
+        }
+        output.push(`✗ ${check.tableName}`);
+        for (let difference of check.differences) output.push(`    ${difference}`);
+    }
+
+    let failed = checks.filter(check => !check.ok).length;
+    output.push('');
+    output.push(
+        failed === 0
+            ? `All ${checks.length} table(s) match SHOW CREATE TABLE`
+            : `${failed} of ${checks.length} table(s) differ from SHOW CREATE TABLE`
+    );
+    return output.join('\n');
+}
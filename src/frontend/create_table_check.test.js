@@ -0,0 +1,92 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import {
+    checkCreateTableStatement,
+    checkCreateTableStatements,
+    parseCreateTableStatement,
+} from './create_table_check.js';
+import { columnRow, idColumnRow, indexRows } from '../../test/_schema_rows.js';
+
+const TABLE_ROW = {
+    TABLE_NAME: 'users',
+    TABLE_TYPE: 'BASE TABLE',
+    ENGINE: 'InnoDB',
+    TABLE_COLLATION: 'utf8mb4_0900_ai_ci',
+    TABLE_COMMENT: '',
+};
+
+const SHOW_CREATE_TABLE = `CREATE TABLE \`users\` (
+  \`id\` int unsigned NOT NULL AUTO_INCREMENT,
+  \`birth\` date NOT NULL DEFAULT '2000-01-01',
+  \`seen_at\` datetime DEFAULT '2020-01-01 00:00:00',
+  \`age\` int NOT NULL DEFAULT '18',
+  PRIMARY KEY (\`id\`),
+  KEY \`idx_age\` (\`age\`)
+) ENGINE=InnoDB AUTO_INCREMENT=42 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci`;
+
+/** Introspection of the table of SHOW_CREATE_TABLE */
+function introspectUsers() {
+    return createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('users'),
+            columnRow('users', 'birth', {
+                DATA_TYPE: 'date',
+                COLUMN_TYPE: 'date',
+                COLUMN_DEFAULT: '2000-01-01',
+            }),
+            columnRow('users', 'seen_at', {
+                DATA_TYPE: 'datetime',
+                COLUMN_TYPE: 'datetime',
+                IS_NULLABLE: 'YES',
+                COLUMN_DEFAULT: '2020-01-01 00:00:00',
+            }),
+            columnRow('users', 'age', { COLUMN_DEFAULT: '18' }),
+        ],
+        indexes: [
+            ...indexRows('users', 'PRIMARY', ['id']),
+            ...indexRows('users', 'idx_age', ['age']),
+        ],
+        tables: [TABLE_ROW],
+    });
+}
+
+test('parses and normalizes the definitions of SHOW CREATE TABLE', t => {
+    let parts = parseCreateTableStatement(SHOW_CREATE_TABLE);
+    t.deepEqual(parts.columns, [
+        '`id` int unsigned NOT NULL AUTO_INCREMENT',
+        "`birth` date NOT NULL DEFAULT '2000-01-01'",
+        "`seen_at` datetime DEFAULT '2020-01-01 00:00:00'",
+        '`age` int NOT NULL DEFAULT 18',
+    ]);
+    t.deepEqual(parts.keys, ['PRIMARY KEY (`id`)', 'KEY `idx_age` (`age`)']);
+    t.deepEqual(parts.options, [
+        'ENGINE=InnoDB',
+        'DEFAULT CHARSET=utf8mb4',
+        'COLLATE=utf8mb4_0900_ai_ci',
+    ]);
+});
+
+test('the generated statement of a table with date and datetime defaults matches', t => {
+    let [check] = checkCreateTableStatements(introspectUsers(), [
+        { TABLE_NAME: 'users', CREATE_TABLE: SHOW_CREATE_TABLE },
+    ]);
+    t.deepEqual(check.differences, []);
+    t.true(check.ok);
+});
+
+test('reports the differences of columns, keys and options', t => {
+    let generated = introspectUsers().tables.get('users')?.generateCreateTableQuery() || '';
+    let actual = SHOW_CREATE_TABLE.replace("DEFAULT '2000-01-01'", "DEFAULT '1999-12-31'")
+        .replace('  KEY `idx_age` (`age`)', '  UNIQUE KEY `idx_age` (`age`)')
+        .replace('ENGINE=InnoDB', 'ENGINE=MyISAM');
+
+    let check = checkCreateTableStatement('users', generated, actual);
+    t.false(check.ok);
+    t.deepEqual(check.differences, [
+        "column 2: expected `birth` date NOT NULL DEFAULT '1999-12-31', generated `birth` date NOT NULL DEFAULT '2000-01-01'",
+        'missing key: UNIQUE KEY `idx_age` (`age`)',
+        'unexpected key: KEY `idx_age` (`age`)',
+        'missing table option: ENGINE=MyISAM',
+        'unexpected table option: ENGINE=InnoDB',
+    ]);
+});
@@ -0,0 +1,502 @@
+// @ts-check
+
+import { escapeHtml } from './dom-helper.js';
+import { createDatabaseModel } from './tools.js';
+
+/**
+ * @typedef {Object} DictionaryColumn
+ * @property {string} name Column name
+ * @property {string} type Column type, e.g. "varchar(255)"
+ * @property {boolean} nullable
+ * @property {string|null} default Default value, null if the column has none
+ * @property {string} key Key markers, e.g. "PK, FK"
+ * @property {string} extra E.g. "auto_increment"
+ * @property {string} comment Column comment
+ */
+
+/**
+ * @typedef {Object} DictionaryIndex
+ * @property {string} name Index name
+ * @property {string} kind PRIMARY, UNIQUE, INDEX, FULLTEXT or SPATIAL
+ * @property {string[]} columns Key parts, e.g. "email(50)" or "created_at DESC"
+ * @property {string} comment Index comment
+ */
+
+/**
+ * @typedef {Object} DictionaryRelation
+ * @property {string} name Constraint name
+ * @property {string} table The other table, qualified with its database if it is in another one
+ * @property {string[]} columns Columns of this table
+ * @property {string[]} otherColumns Columns of the other table
+ * @property {string} onDelete ON DELETE rule
+ * @property {string} onUpdate ON UPDATE rule
+ */
+
+/**
+ * @typedef {Object} DictionaryTable
+ * @property {string} name Table name
+ * @property {boolean} view True for views
+ * @property {string} comment Table comment
+ * @property {string[]} details Table metadata, e.g. "Engine: InnoDB"
+ * @property {DictionaryColumn[]} columns
+ * @property {DictionaryIndex[]} indexes
+ * @property {DictionaryRelation[]} references Foreign keys of this table
+ * @property {DictionaryRelation[]} referencedBy Foreign keys of other tables that reference this table
+ */
+
+/**
+ * @typedef {Object} DataDictionary
+ * @property {string} databaseName
+ * @property {DictionaryTable[]} tables
+ */
+
+/**
+ * Formats a size in bytes, e.g. "1.5 MB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+    let units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return `${i === 0 ? bytes : bytes.toFixed(1).replace(/\.0$/, '')} ${units[i]}`;
+}
+
+/**
+ * Returns the metadata lines of a table
+ * @param {import("./tools.js").MySQLTable} table
+ * @returns {string[]}
+ */
+function getTableDetails(table) {
+    let details = [];
+    if (table.engine) details.push(`Engine: ${table.engine}`);
+    if (table.tableCollation) details.push(`Collation: ${table.tableCollation}`);
+    if (table.rowEstimate !== null) {
+        let estimate = table.engine === 'InnoDB' ? '~' : '';
+        details.push(`Rows: ${estimate}${table.rowEstimate.toLocaleString('en-US')}`);
+    }
+    if (table.dataLength !== null) details.push(`Data: ${formatBytes(table.dataLength)}`);
+    if (table.indexLength !== null) details.push(`Indexes: ${formatBytes(table.indexLength)}`);
+    return details;
+}
+
+/**
+ * Converts a foreign key to a relation seen from one of its tables
+ * @param {import("./tools.js").MySQLForeignKey} foreign_key
+ * @param {string} database_name
+ * @param {boolean} outgoing True for the referencing table, false for the referenced one
+ * @returns {DictionaryRelation}
+ */
+function createRelation(foreign_key, database_name, outgoing) {
+    let schema = outgoing ? foreign_key.referencedTableSchema : foreign_key.tableSchema;
+    let table = outgoing ? foreign_key.referencedTableName : foreign_key.tableName;
+    return {
+        name: foreign_key.constraintName,
+        table: schema && schema !== database_name ? `${schema}.${table}` : table,
+        columns: outgoing ? foreign_key.columnNames : foreign_key.referencedColumnNames,
+        otherColumns: outgoing ? foreign_key.referencedColumnNames : foreign_key.columnNames,
+        onDelete: foreign_key.deleteRule || '',
+        onUpdate: foreign_key.updateRule || '',
+    };
+}
+
+/**
+ * Builds the data dictionary of the tables of a database
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @returns {DataDictionary}
+ */
+export function createDataDictionary(db) {
+    /** @type {DictionaryTable[]} */
+    let tables = [];
+
+    for (let table of db.tables.values()) {
+        let fk_columns = new Set(table.foreignKeys.flatMap(foreign_key => foreign_key.columnNames));
+
+        let columns = table.getColumns().map(column => {
+            let keys = [];
+            if (column.columnKey === 'PRI') keys.push('PK');
+            if (column.columnKey === 'UNI') keys.push('UNIQUE');
+            if (column.columnKey === 'MUL') keys.push('INDEX');
+            if (fk_columns.has(column.columnName)) keys.push('FK');
+            return {
+                name: column.columnName,
+                type: column.columnType,
+                nullable: column.allowsNull(),
+                default: column.columnDefault,
+                key: keys.join(', '),
+                extra: column.extra || '',
+                comment: column.columnComment || '',
+            };
+        });
+
+        let indexes = table.indexes.map(index => {
+            let kind = index.unique ? 'UNIQUE' : 'INDEX';
+            if (index.isPrimary()) kind = 'PRIMARY';
+            else if (index.indexType === 'FULLTEXT' || index.indexType === 'SPATIAL') {
+                kind = index.indexType;
+            }
+            return {
+                name: index.indexName,
+                kind,
+                columns: index.columns.map(part => {
+                    let name = part.columnName !== null ? part.columnName : `(${part.expression})`;
+                    if (part.subPart) name += `(${part.subPart})`;
+                    if (part.descending) name += ' DESC';
+                    return name;
+                }),
+                comment: index.comment,
+            };
+        });
+
+        tables.push({
+            name: table.tableName,
+            view: table.isView(),
+            comment: table.tableComment,
+            details: getTableDetails(table),
+            columns,
+            indexes,
+            references: table.foreignKeys.map(fk => createRelation(fk, db.databaseName, true)),
+            referencedBy: table.referencedBy.map(fk => createRelation(fk, db.databaseName, false)),
+        });
+    }
+
+    return { databaseName: db.databaseName, tables };
+}
+
+/**
+ * Returns the anchor GitHub generates for a heading
+ * @param {string} heading
+ * @returns {string}
+ */
+function getMarkdownAnchor(heading) {
+    return heading
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+        .replace(/\s/g, '-');
+}
+
+/**
+ * Escapes text for a cell of a Markdown table, or for a paragraph of text that may contain
+ * HTML or line breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdownCell(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Formats a code span, with longer backtick fences if the text contains backticks
+ * @param {string} text
+ * @returns {string}
+ */
+function formatMarkdownCode(text) {
+    let fence = '`';
+    while (text.includes(fence)) fence += '`';
+    let padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+}
+
+/**
+ * Formats a code span for a cell of a Markdown table. The table parser removes the
+ * backslash of an escaped pipe even inside code spans.
+ * @param {string} text
+ * @returns {string}
+ */
+function formatMarkdownCellCode(text) {
+    return formatMarkdownCode(text.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|'));
+}
+
+/**
+ * Renders a Markdown table
+ * @param {string[]} header
+ * @param {string[][]} rows Cells, already formatted
+ * @returns {string}
+ */
+function renderMarkdownTable(header, rows) {
+    let lines = [`| ${header.join(' | ')} |`, `| ${header.map(() => '---').join(' | ')} |`];
+    for (let row of rows) lines.push(`| ${row.join(' | ')} |`);
+    return lines.join('\n');
+}
+
+/**
+ * Describes a relation, e.g. "`user_id` → `users`.`id` (ON DELETE CASCADE)"
+ * @param {DictionaryRelation} relation
+ * @param {string} arrow
+ * @param {(text: string) => string} code Formats a name as code
+ * @returns {string}
+ */
+function describeRelation(relation, arrow, code) {
+    let rules = [];
+    if (
+        relation.onDelete &&
+        relation.onDelete !== 'RESTRICT' &&
+        relation.onDelete !== 'NO ACTION'
+    ) {
+        rules.push(`ON DELETE ${relation.onDelete}`);
+    }
+    if (
+        relation.onUpdate &&
+        relation.onUpdate !== 'RESTRICT' &&
+        relation.onUpdate !== 'NO ACTION'
+    ) {
+        rules.push(`ON UPDATE ${relation.onUpdate}`);
+    }
+    let columns = relation.columns.map(code).join(', ');
+    let other_columns = relation.otherColumns.map(code).join(', ');
+    let text = `${columns} ${arrow} ${code(relation.table)} (${other_columns})`;
+    return rules.length ? `${text}, ${rules.join(', ')}` : text;
+}
+
+/**
+ * Renders the data dictionary as GitHub Markdown
+ * @param {DataDictionary} dictionary
+ * @returns {string}
+ */
+export function renderMarkdownDataDictionary(dictionary) {
+    let output = [`# Data dictionary: ${dictionary.databaseName}`, ''];
+
+    output.push('## Tables', '');
+    for (let table of dictionary.tables) {
+        let summary = table.comment
+            ? ` – ${escapeMarkdownCell(table.comment.replace(/\r?\n/g, ' '))}`
+            : '';
+        let view = table.view ? ' (view)' : '';
+        output.push(`- [${table.name}](#${getMarkdownAnchor(table.name)})${view}${summary}`);
+    }
+
+    for (let table of dictionary.tables) {
+        output.push('', `## ${table.name}`, '');
+        if (table.view) output.push('_View_', '');
+        if (table.comment) output.push(escapeMarkdownCell(table.comment), '');
+        if (table.details.length) output.push(table.details.join(' · '), '');
+
+        output.push(
+            renderMarkdownTable(
+                ['Column', 'Type', 'Null', 'Default', 'Key', 'Extra', 'Comment'],
+                table.columns.map(column => [
+                    formatMarkdownCellCode(column.name),
+                    escapeMarkdownCell(column.type),
+                    column.nullable ? 'YES' : 'NO',
+                    column.default === null
+                        ? column.nullable
+                            ? '_NULL_'
+                            : ''
+                        : formatMarkdownCellCode(column.default),
+                    column.key,
+                    escapeMarkdownCell(column.extra),
+                    escapeMarkdownCell(column.comment),
+                ])
+            )
+        );
+
+        if (table.indexes.length) {
+            output.push('', '### Indexes', '');
+            output.push(
+                renderMarkdownTable(
+                    ['Name', 'Kind', 'Columns', 'Comment'],
+                    table.indexes.map(index => [
+                        formatMarkdownCellCode(index.name),
+                        index.kind,
+                        index.columns.map(formatMarkdownCellCode).join(', '),
+                        escapeMarkdownCell(index.comment),
+                    ])
+                )
+            );
+        }
+
+        if (table.references.length || table.referencedBy.length) {
+            output.push('', '### Relations', '');
+            for (let relation of table.references) {
+                output.push(`- ${describeRelation(relation, '→', formatMarkdownCode)}`);
+            }
+            for (let relation of table.referencedBy) {
+                output.push(`- ${describeRelation(relation, '←', formatMarkdownCode)}`);
+            }
+        }
+    }
+
+    return output.join('\n') + '\n';
+}
+
+/** Styles of the HTML data dictionary, which has no external resources */
+const HTML_STYLE = `
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 72rem; padding: 0 1rem; color: #1f3a4b; }
+h1 { font-size: 1.6rem; }
+h2 { margin-top: 2.5rem; padding-bottom: 0.3rem; border-bottom: 1px solid #d6e2ec; }
+h3 { font-size: 1rem; margin-top: 1.5rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border: 1px solid #d6e2ec; padding: 0.35rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f1f6fa; }
+code { font-family: ui-monospace, monospace; font-size: 0.85rem; }
+nav ul { columns: 3 14rem; }
+.details, .view { color: #6f8faa; }
+.comment { white-space: pre-wrap; }`;
+
+/**
+ * Renders an HTML table
+ * @param {string[]} header
+ * @param {string[][]} rows Cells, already escaped
+ * @returns {string}
+ */
+function renderHtmlTable(header, rows) {
+    let head = header.map(cell => `<th>${cell}</th>`).join('');
+    let body = rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`);
+    return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body.join('\n')}\n</tbody>\n</table>`;
+}
+
+/**
+ * Formats a name as HTML code
+ * @param {string} text
+ * @returns {string}
+ */
+function formatHtmlCode(text) {
+    return `<code>${escapeHtml(text)}</code>`;
+}
+
+/**
+ * Renders the data dictionary as a self-contained HTML page with a table of contents
+ * @param {DataDictionary} dictionary
+ * @returns {string}
+ */
+export function renderHtmlDataDictionary(dictionary) {
+    let title = escapeHtml(`Data dictionary: ${dictionary.databaseName}`);
+    /** @param {string} name */
+    let getId = name => escapeHtml(`table-${name}`);
+
+    let toc = dictionary.tables.map(table => {
+        let view = table.view ? ' <span class="view">(view)</span>' : '';
+        return `<li><a href="#${getId(table.name)}">${escapeHtml(table.name)}</a>${view}</li>`;
+    });
+
+    let sections = dictionary.tables.map(table => {
+        let parts = [`<section id="${getId(table.name)}">`, `<h2>${escapeHtml(table.name)}</h2>`];
+        if (table.view) parts.push('<p class="view">View</p>');
+        if (table.comment) parts.push(`<p class="comment">${escapeHtml(table.comment)}</p>`);
+        if (table.details.length) {
+            parts.push(`<p class="details">${escapeHtml(table.details.join(' · '))}</p>`);
+        }
+
+        parts.push(
+            renderHtmlTable(
+                ['Column', 'Type', 'Null', 'Default', 'Key', 'Extra', 'Comment'],
+                table.columns.map(column => [
+                    formatHtmlCode(column.name),
+                    escapeHtml(column.type),
+                    column.nullable ? 'YES' : 'NO',
+                    column.default === null
+                        ? column.nullable
+                            ? '<em>NULL</em>'
+                            : ''
+                        : formatHtmlCode(column.default),
+                    escapeHtml(column.key),
+                    escapeHtml(column.extra),
+                    `<span class="comment">${escapeHtml(column.comment)}</span>`,
+                ])
+            )
+        );
+
+        if (table.indexes.length) {
+            parts.push('<h3>Indexes</h3>');
+            parts.push(
+                renderHtmlTable(
+                    ['Name', 'Kind', 'Columns', 'Comment'],
+                    table.indexes.map(index => [
+                        formatHtmlCode(index.name),
+                        escapeHtml(index.kind),
+                        index.columns.map(formatHtmlCode).join(', '),
+                        escapeHtml(index.comment),
+                    ])
+                )
+            );
+        }
+
+        if (table.references.length || table.referencedBy.length) {
+            parts.push('<h3>Relations</h3>', '<ul>');
+            for (let relation of table.references) {
+                parts.push(`<li>${describeRelation(relation, '→', formatHtmlCode)}</li>`);
+            }
+            for (let relation of table.referencedBy) {
+                parts.push(`<li>${describeRelation(relation, '←', formatHtmlCode)}</li>`);
+            }
+            parts.push('</ul>');
+        }
+
+        parts.push('</section>');
+        return parts.join('\n');
+    });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<nav>
+<h2>Tables</h2>
+<ul>
+${toc.join('\n')}
+</ul>
+</nav>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Builds the data dictionary model of the introspection result of some tables
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").IndexColumnRaw[]} indexes Rows of INFORMATION_SCHEMA.STATISTICS
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} foreignKeys Foreign key column rows
+ * @param {Object[]} tables Rows of INFORMATION_SCHEMA.TABLES
+ * @returns {DataDictionary}
+ */
+function createDataDictionaryFromMetadata(data, indexes, foreignKeys, tables) {
+    return createDataDictionary(
+        createDatabaseModel(data[0].TABLE_SCHEMA, { columns: data, indexes, foreignKeys, tables })
+    );
+}
+
+/**
+ * Converts column metadata, indexes, foreign keys and table metadata to a Markdown
+ * data dictionary
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").IndexColumnRaw[]} [indexes=[]] Rows of INFORMATION_SCHEMA.STATISTICS
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} [foreignKeys=[]] Foreign key column rows
+ * @param {Object[]} [tables=[]] Rows of INFORMATION_SCHEMA.TABLES
+ * @returns {string}
+ */
+export function convertColumnMetadataToMarkdown(data, indexes = [], foreignKeys = [], tables = []) {
+    if (data.length === 0) return '';
+    return renderMarkdownDataDictionary(
+        createDataDictionaryFromMetadata(data, indexes, foreignKeys, tables)
+    );
+}
+
+/**
+ * Converts column metadata, indexes, foreign keys and table metadata to an HTML
+ * data dictionary
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").IndexColumnRaw[]} [indexes=[]] Rows of INFORMATION_SCHEMA.STATISTICS
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} [foreignKeys=[]] Foreign key column rows
+ * @param {Object[]} [tables=[]] Rows of INFORMATION_SCHEMA.TABLES
+ * @returns {string}
+ */
+export function convertColumnMetadataToHtml(data, indexes = [], foreignKeys = [], tables = []) {
+    if (data.length === 0) return '';
+    return renderHtmlDataDictionary(
+        createDataDictionaryFromMetadata(data, indexes, foreignKeys, tables)
+    );
+}
@@ -0,0 +1,71 @@
+import test from 'ava';
+import { convertColumnMetadataToHtml, convertColumnMetadataToMarkdown } from './data_dictionary.js';
+import { columnRow, foreignKeyRow, idColumnRow, indexRows } from '../../test/_schema_rows.js';
+
+/** Users with comments that are Markdown and HTML, and orders referencing them */
+function introspectDocumentedTables() {
+    return [
+        [
+            idColumnRow('users'),
+            columnRow('users', 'name', {
+                DATA_TYPE: 'varchar',
+                COLUMN_TYPE: 'varchar(50)',
+                COLUMN_DEFAULT: 'a|b',
+                COLUMN_COMMENT: 'Full <name> | nick\nsecond line',
+            }),
+            idColumnRow('orders'),
+            columnRow('orders', 'user_id', { IS_NULLABLE: 'YES' }),
+        ],
+        [
+            ...indexRows('users', 'PRIMARY', ['id']),
+            ...indexRows('orders', 'PRIMARY', ['id']),
+            ...indexRows('orders', 'idx_user', ['user_id']),
+        ],
+        [foreignKeyRow('orders', 'user_id', 'users')],
+        [
+            {
+                TABLE_NAME: 'users',
+                TABLE_TYPE: 'BASE TABLE',
+                ENGINE: 'InnoDB',
+                TABLE_COMMENT: 'Users & <b>\nall | of them',
+            },
+            { TABLE_NAME: 'orders', TABLE_TYPE: 'BASE TABLE', ENGINE: 'InnoDB', TABLE_COMMENT: '' },
+        ],
+    ];
+}
+
+test('Markdown escapes table and column comments', t => {
+    let lines = convertColumnMetadataToMarkdown(...introspectDocumentedTables()).split('\n');
+    t.true(lines.includes('- [users](#users) – Users &amp; &lt;b> all \\| of them'));
+    t.true(lines.includes('Users &amp; &lt;b><br>all \\| of them'));
+    t.true(
+        lines.includes(
+            '| `name` | varchar(50) | NO | `a\\|b` |  |  | Full &lt;name> \\| nick<br>second line |'
+        )
+    );
+});
+
+test('Markdown lists the columns, indexes and relations of every table', t => {
+    let markdown = convertColumnMetadataToMarkdown(...introspectDocumentedTables());
+    t.true(markdown.startsWith('# Data dictionary: shop\n\n## Tables\n\n'));
+    t.true(markdown.includes('| `user_id` | int | YES | _NULL_ | FK |  |  |'));
+    t.true(markdown.includes('| `idx_user` | INDEX | `user_id` |  |'));
+    t.true(markdown.includes('- `id` ← `orders` (`user_id`), ON DELETE CASCADE'));
+    t.true(markdown.includes('- `user_id` → `users` (`id`), ON DELETE CASCADE'));
+});
+
+test('HTML escapes names and comments', t => {
+    let html = convertColumnMetadataToHtml(...introspectDocumentedTables());
+    t.true(html.includes('<p class="comment">Users &amp; &lt;b&gt;\nall | of them</p>'));
+    t.true(html.includes('<span class="comment">Full &lt;name&gt; | nick\nsecond line</span>'));
+    t.true(html.includes('<li><a href="#table-users">users</a></li>'));
+    t.true(
+        html.includes('<td><code>user_id</code></td><td>int</td><td>YES</td><td><em>NULL</em></td>')
+    );
+    t.false(html.includes('<b>\n'));
+});
+
+test('an empty column list is an empty dictionary', t => {
+    t.is(convertColumnMetadataToMarkdown([]), '');
+    t.is(convertColumnMetadataToHtml([]), '');
+});
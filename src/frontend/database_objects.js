@@ -0,0 +1,53 @@
+// @ts-check
+
+/**
+ * Stored procedure or function with its parameters
+ * @typedef {Object<string, any> & {PARAMETERS: any[]}} RoutineWithParameters
+ */
+
+/**
+ * Views, routines, triggers and events of a database
+ * @typedef {Object} DatabaseObjects
+ * @property {any[]} views Rows of INFORMATION_SCHEMA.VIEWS
+ * @property {RoutineWithParameters[]} routines Rows of INFORMATION_SCHEMA.ROUTINES, each
+ * with the rows of INFORMATION_SCHEMA.PARAMETERS in PARAMETERS
+ * @property {any[]} triggers Rows of INFORMATION_SCHEMA.TRIGGERS
+ * @property {any[]} events Rows of INFORMATION_SCHEMA.EVENTS
+ */
+
+/** Kinds of database objects other than tables */
+export const DATABASE_OBJECT_TYPES = ['views', 'routines', 'triggers', 'events'];
+
+/**
+ * Adds the parameters to their routines. A procedure and a function may have the same
+ * name, so parameters are matched by name and routine type.
+ * @param {any[]} routines Rows of INFORMATION_SCHEMA.ROUTINES
+ * @param {any[]} parameters Rows of INFORMATION_SCHEMA.PARAMETERS
+ * @returns {RoutineWithParameters[]}
+ */
+export function attachRoutineParameters(routines, parameters) {
+    return routines.map(routine => ({
+        ...routine,
+        PARAMETERS: parameters
+            .filter(
+                parameter =>
+                    parameter.SPECIFIC_NAME === routine.SPECIFIC_NAME &&
+                    parameter.ROUTINE_TYPE === routine.ROUTINE_TYPE
+            )
+            .sort((a, b) => a.ORDINAL_POSITION - b.ORDINAL_POSITION),
+    }));
+}
+
+/**
+ * Collects the views, routines, triggers and events of an introspection result
+ * @param {import("./snapshot.js").SnapshotDatabase} database
+ * @returns {DatabaseObjects}
+ */
+export function createDatabaseObjects(database) {
+    return {
+        views: database.views || [],
+        routines: attachRoutineParameters(database.routines || [], database.parameters || []),
+        triggers: database.triggers || [],
+        events: database.events || [],
+    };
+}
@@ -0,0 +1,432 @@
+// @ts-check
+
+import { createDatabaseFromColumnMetadata } from './tools.js';
+
+/**
+ * @typedef {Object} ErAttribute
+ * @property {string} name Column name
+ * @property {string} type Column data type
+ * @property {('PK'|'FK'|'UK')[]} keys Key markers
+ * @property {string} comment Column comment
+ */
+
+/**
+ * @typedef {Object} ErEntity
+ * @property {string} name Table name
+ * @property {ErAttribute[]} attributes Table columns
+ */
+
+/**
+ * @typedef {Object} ErRelation
+ * @property {string} name Constraint name, or the column name for inferred relations
+ * @property {string} from Referencing (child) table
+ * @property {string} to Referenced (parent) table
+ * @property {string[]} columns Referencing columns
+ * @property {string[]} referencedColumns Referenced columns
+ * @property {boolean} optional True if the referencing columns are nullable
+ * @property {boolean} unique True if the referencing columns are unique (one-to-one)
+ * @property {boolean} inferred True if the relation was guessed from the `*_id` naming
+ */
+
+/**
+ * @typedef {Object} ErDiagram
+ * @property {ErEntity[]} entities
+ * @property {ErRelation[]} relations
+ */
+
+/**
+ * Returns the names of tables a `*_id` column may point to, e.g. `category_id` →
+ * `category`, `categorys`, `categories`, `categoryes`.
+ * @param {string} column_name
+ * @returns {string[]}
+ */
+function getCandidateTableNames(column_name) {
+    let match = /^(.+)_id$/i.exec(column_name);
+    if (!match) return [];
+    let base = match[1];
+    let candidates = [base, base + 's', base + 'es'];
+    if (/y$/i.test(base)) candidates.push(base.slice(0, -1) + 'ies');
+    return candidates;
+}
+
+/**
+ * Guesses relations from `*_id` column names. A column `user_id` is considered a reference
+ * to the single-column primary key of the table `user` or `users`.
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @returns {ErRelation[]}
+ */
+function inferRelations(db) {
+    /** @type {ErRelation[]} */
+    let relations = [];
+    let table_names = Array.from(db.tables.keys());
+
+    for (let table of db.tables.values()) {
+        for (let column of table.getColumns()) {
+            let candidates = getCandidateTableNames(column.columnName);
+            let parent_name = table_names.find(name =>
+                candidates.some(c => c.toLowerCase() === name.toLowerCase())
+            );
+            if (!parent_name || parent_name === table.tableName) continue;
+
+            let parent = db.tables.get(parent_name);
+            let primary_keys = parent ? parent.getColumns().filter(c => c.isPrimaryKey()) : [];
+            if (primary_keys.length !== 1) continue;
+
+            relations.push({
+                name: column.columnName,
+                from: table.tableName,
+                to: parent_name,
+                columns: [column.columnName],
+                referencedColumns: [primary_keys[0].columnName],
+                optional: column.allowsNull(),
+                unique: column.columnKey === 'UNI',
+                inferred: true,
+            });
+        }
+    }
+
+    return relations;
+}
+
+/**
+ * Builds the entity-relationship diagram of the database. Relations come from foreign keys;
+ * if there are no foreign keys between the tables, they are guessed from `*_id` column names.
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @returns {ErDiagram}
+ */
+export function createErDiagram(db) {
+    /** @type {ErRelation[]} */
+    let relations = [];
+
+    for (let table of db.tables.values()) {
+        for (let foreign_key of table.foreignKeys) {
+            if (!db.tables.has(foreign_key.referencedTableName)) continue;
+            if (foreign_key.referencedTableSchema !== db.databaseName) continue;
+
+            let columns = foreign_key.columnNames.map(name => table.getColumn(name));
+            relations.push({
+                name: foreign_key.constraintName,
+                from: table.tableName,
+                to: foreign_key.referencedTableName,
+                columns: foreign_key.columnNames,
+                referencedColumns: foreign_key.referencedColumnNames,
+                optional: columns.some(column => column?.allowsNull()),
+                unique: columns.length === 1 && columns[0]?.columnKey === 'UNI',
+                inferred: false,
+            });
+        }
+    }
+
+    if (relations.length === 0) {
+        relations = inferRelations(db);
+    }
+
+    /** @type {ErEntity[]} */
+    let entities = [];
+    for (let table of db.tables.values()) {
+        let fk_columns = new Set(
+            relations.filter(r => r.from === table.tableName).flatMap(r => r.columns)
+        );
+        entities.push({
+            name: table.tableName,
+            attributes: table.getColumns().map(column => {
+                /** @type {('PK'|'FK'|'UK')[]} */
+                let keys = [];
+                if (column.isPrimaryKey()) keys.push('PK');
+                if (fk_columns.has(column.columnName)) keys.push('FK');
+                if (column.columnKey === 'UNI') keys.push('UK');
+                return {
+                    name: column.columnName,
+                    type: column.dataType,
+                    keys,
+                    comment: column.columnComment,
+                };
+            }),
+        });
+    }
+
+    return { entities, relations };
+}
+
+/**
+ * Replaces characters that are not allowed in Mermaid identifiers
+ * @param {string} name
+ * @returns {string}
+ */
+function toMermaidName(name) {
+    let result = name.replace(/[^A-Za-z0-9_-]/g, '_');
+    return /^[A-Za-z_]/.test(result) ? result : '_' + result;
+}
+
+/**
+ * Renders the diagram in Mermaid `erDiagram` syntax
+ * @param {ErDiagram} diagram
+ * @returns {string}
+ */
+export function renderMermaidErDiagram(diagram) {
+    let output = ['erDiagram'];
+
+    for (let entity of diagram.entities) {
+        output.push(`    ${toMermaidName(entity.name)} {`);
+        for (let attribute of entity.attributes) {
+            let line = `        ${toMermaidName(attribute.type)} ${toMermaidName(attribute.name)}`;
+            if (attribute.keys.length) line += ' ' + attribute.keys.join(', ');
+            if (attribute.comment) line += ` "${attribute.comment.replace(/"/g, "'")}"`;
+            output.push(line);
+        }
+        output.push(`    }`);
+    }
+
+    for (let relation of diagram.relations) {
+        let parent = relation.optional ? '|o' : '||';
+        let child = relation.unique ? 'o|' : 'o{';
+        let line = relation.inferred ? '..' : '--';
+        output.push(
+            `    ${toMermaidName(relation.to)} ${parent}${line}${child} ${toMermaidName(relation.from)} : "${relation.columns.join(', ')}"`
+        );
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * Escapes a string for a Graphviz HTML-like label
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeDotHtml(str) {
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Quotes a Graphviz identifier
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteDotId(name) {
+    return `"${name.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Renders the diagram in Graphviz DOT syntax
+ * @param {ErDiagram} diagram
+ * @returns {string}
+ */
+export function renderDotErDiagram(diagram) {
+    let output = [
+        'digraph er {',
+        '    graph [rankdir=LR];',
+        '    node [shape=plaintext, fontname="Helvetica", fontsize=10];',
+        '    edge [fontname="Helvetica", fontsize=9, arrowhead=crow, arrowtail=tee, dir=both];',
+        '',
+    ];
+
+    for (let entity of diagram.entities) {
+        let rows = entity.attributes.map(attribute => {
+            let keys = attribute.keys.length ? ` <b>${attribute.keys.join(', ')}</b>` : '';
+            return `<tr><td port=${quoteDotId(attribute.name)} align="left">${escapeDotHtml(attribute.name)}${keys}</td><td align="left">${escapeDotHtml(attribute.type)}</td></tr>`;
+        });
+        output.push(
+            `    ${quoteDotId(entity.name)} [label=<<table border="0" cellborder="1" cellspacing="0" cellpadding="4">` +
+                `<tr><td colspan="2" bgcolor="#2c6e9e"><font color="white"><b>${escapeDotHtml(entity.name)}</b></font></td></tr>` +
+                `${rows.join('')}</table>>];`
+        );
+    }
+
+    if (diagram.relations.length) output.push('');
+
+    for (let relation of diagram.relations) {
+        let attributes = [`label=${quoteDotId(relation.columns.join(', '))}`];
+        if (relation.inferred) attributes.push('style=dashed');
+        if (relation.optional) attributes.push('arrowtail=teeodot');
+        if (relation.unique) attributes.push('arrowhead=teeodot');
+        output.push(
+            `    ${quoteDotId(relation.to)} -> ${quoteDotId(relation.from)} [${attributes.join(', ')}];`
+        );
+    }
+
+    output.push('}');
+    return output.join('\n');
+}
+
+/**
+ * Escapes a string for SVG text
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Renders the diagram as a standalone SVG image. Tables are laid out on a grid and relations
+ * are drawn as straight lines from the referencing table to the referenced one.
+ * @param {ErDiagram} diagram
+ * @returns {string}
+ */
+export function renderSvgErDiagram(diagram) {
+    const CHAR_WIDTH = 7;
+    const ROW_HEIGHT = 18;
+    const HEADER_HEIGHT = 24;
+    const GAP = 60;
+    const PADDING = 20;
+
+    let boxes = diagram.entities.map(entity => {
+        let lines = entity.attributes.map(attribute => {
+            let keys = attribute.keys.length ? ` [${attribute.keys.join(',')}]` : '';
+            return { name: attribute.name + keys, type: attribute.type };
+        });
+        let name_width = Math.max(entity.name.length, ...lines.map(line => line.name.length));
+        let type_width = Math.max(0, ...lines.map(line => line.type.length));
+        return {
+            entity,
+            lines,
+            name_width: name_width * CHAR_WIDTH + 16,
+            width: (name_width + type_width) * CHAR_WIDTH + 32,
+            height: HEADER_HEIGHT + lines.length * ROW_HEIGHT + 6,
+            x: 0,
+            y: 0,
+        };
+    });
+
+    let columns_count = Math.max(1, Math.ceil(Math.sqrt(boxes.length)));
+    let column_widths = [];
+    let row_heights = [];
+    boxes.forEach((box, i) => {
+        let col = i % columns_count;
+        let row = Math.floor(i / columns_count);
+        column_widths[col] = Math.max(column_widths[col] || 0, box.width);
+        row_heights[row] = Math.max(row_heights[row] || 0, box.height);
+    });
+    boxes.forEach((box, i) => {
+        let col = i % columns_count;
+        let row = Math.floor(i / columns_count);
+        box.x = PADDING + column_widths.slice(0, col).reduce((a, b) => a + b + GAP, 0);
+        box.y = PADDING + row_heights.slice(0, row).reduce((a, b) => a + b + GAP, 0);
+    });
+
+    let width =
+        PADDING * 2 + column_widths.reduce((a, b) => a + b, 0) + GAP * (column_widths.length - 1);
+    let height =
+        PADDING * 2 + row_heights.reduce((a, b) => a + b, 0) + GAP * (row_heights.length - 1);
+
+    let box_by_name = new Map(boxes.map(box => [box.entity.name, box]));
+    let output = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">`,
+        '<defs><marker id="er-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#4a627a"/></marker></defs>',
+    ];
+
+    for (let relation of diagram.relations) {
+        let from = box_by_name.get(relation.from);
+        let to = box_by_name.get(relation.to);
+        if (!from || !to) continue;
+        let dash = relation.inferred ? ' stroke-dasharray="5,4"' : '';
+        let title = `<title>${escapeXml(`${relation.from}(${relation.columns.join(', ')}) → ${relation.to}(${relation.referencedColumns.join(', ')})`)}</title>`;
+        // Parent side "1" or "0..1" and child side "0..1" or "0..*", as in the Mermaid output
+        let cardinality = `${relation.optional ? '0..1' : '1'} : ${relation.unique ? '0..1' : '0..*'}`;
+        let label = '';
+        if (from === to) {
+            // A self-reference is a loop over the top right corner of the box
+            let x = from.x + from.width;
+            let y = from.y;
+            output.push(
+                `<path d="M ${x - 30} ${y} C ${x - 30} ${y - 40}, ${x + 40} ${y + 30}, ${x} ${y + 30}" fill="none" stroke="#4a627a"${dash} marker-end="url(#er-arrow)">${title}</path>`
+            );
+            label = `x="${x - 34}" y="${y - 4}" text-anchor="end"`;
+        } else {
+            let [x1, y1] = getBoxBorderPoint(from, to.x + to.width / 2, to.y + to.height / 2);
+            let [x2, y2] = getBoxBorderPoint(to, from.x + from.width / 2, from.y + from.height / 2);
+            output.push(
+                `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#4a627a"${dash} marker-end="url(#er-arrow)">${title}</line>`
+            );
+            label = `x="${Math.round((x1 + x2) / 2) + 4}" y="${Math.round((y1 + y2) / 2) - 4}"`;
+        }
+        output.push(`<text ${label} fill="#4a627a" font-size="10">${cardinality}</text>`);
+    }
+
+    for (let box of boxes) {
+        output.push(`<g transform="translate(${box.x},${box.y})">`);
+        output.push(
+            `<rect width="${box.width}" height="${box.height}" rx="6" fill="#ffffff" stroke="#2c6e9e"/>`
+        );
+        output.push(`<rect width="${box.width}" height="${HEADER_HEIGHT}" rx="6" fill="#2c6e9e"/>`);
+        output.push(
+            `<text x="8" y="16" fill="#ffffff" font-weight="bold">${escapeXml(box.entity.name)}</text>`
+        );
+        box.lines.forEach((line, i) => {
+            let y = HEADER_HEIGHT + (i + 1) * ROW_HEIGHT - 4;
+            output.push(`<text x="8" y="${y}" fill="#1a2c3e">${escapeXml(line.name)}</text>`);
+            output.push(
+                `<text x="${box.name_width + 8}" y="${y}" fill="#6f8faa">${escapeXml(line.type)}</text>`
+            );
+        });
+        output.push('</g>');
+    }
+
+    output.push('</svg>');
+    return output.join('\n');
+}
+
+/**
+ * Returns the point where the line from the center of the box to the target leaves the box
+ * @param {{x: number, y: number, width: number, height: number}} box
+ * @param {number} target_x
+ * @param {number} target_y
+ * @returns {[number, number]}
+ */
+function getBoxBorderPoint(box, target_x, target_y) {
+    let cx = box.x + box.width / 2;
+    let cy = box.y + box.height / 2;
+    let dx = target_x - cx;
+    let dy = target_y - cy;
+    if (dx === 0 && dy === 0) return [cx, cy];
+    let scale = Math.min(
+        dx !== 0 ? box.width / 2 / Math.abs(dx) : Infinity,
+        dy !== 0 ? box.height / 2 / Math.abs(dy) : Infinity
+    );
+    return [Math.round(cx + dx * scale), Math.round(cy + dy * scale)];
+}
+
+/**
+ * Converts column metadata and foreign keys to a Mermaid ER diagram
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} [foreignKeys=[]]
+ * @returns {string}
+ */
+export function convertColumnMetadataToMermaid(data, foreignKeys = []) {
+    if (data.length === 0) return '';
+    return renderMermaidErDiagram(
+        createErDiagram(createDatabaseFromColumnMetadata(data, foreignKeys))
+    );
+}
+
+/**
+ * Converts column metadata and foreign keys to a Graphviz DOT ER diagram
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} [foreignKeys=[]]
+ * @returns {string}
+ */
+export function convertColumnMetadataToDot(data, foreignKeys = []) {
+    if (data.length === 0) return '';
+    return renderDotErDiagram(createErDiagram(createDatabaseFromColumnMetadata(data, foreignKeys)));
+}
+
+/**
+ * Converts column metadata and foreign keys to an SVG ER diagram
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} [foreignKeys=[]]
+ * @returns {string}
+ */
+export function convertColumnMetadataToSvg(data, foreignKeys = []) {
+    if (data.length === 0) return '';
+    return renderSvgErDiagram(createErDiagram(createDatabaseFromColumnMetadata(data, foreignKeys)));
+}
@@ -0,0 +1,78 @@
+import test from 'ava';
+import {
+    convertColumnMetadataToDot,
+    convertColumnMetadataToMermaid,
+    convertColumnMetadataToSvg,
+} from './er_diagram.js';
+import { columnRow, foreignKeyRow, idColumnRow } from '../../test/_schema_rows.js';
+
+/**
+ * Users with an optional manager, order items that need a user and a table with quotes in
+ * its name that has at most one row per user
+ */
+const COLUMNS = [
+    idColumnRow('users'),
+    columnRow('users', 'manager_id', { IS_NULLABLE: 'YES' }),
+    idColumnRow('order-items'),
+    columnRow('order-items', 'user_id'),
+    idColumnRow('say "hi"'),
+    columnRow('say "hi"', 'user_id', { IS_NULLABLE: 'YES', COLUMN_KEY: 'UNI' }),
+];
+
+const FOREIGN_KEYS = [
+    foreignKeyRow('users', 'manager_id', 'users'),
+    foreignKeyRow('order-items', 'user_id', 'users'),
+    foreignKeyRow('say "hi"', 'user_id', 'users'),
+];
+
+test('Mermaid shows optional and unique keys in the cardinality', t => {
+    let lines = convertColumnMetadataToMermaid(COLUMNS, FOREIGN_KEYS).split('\n');
+    t.true(lines.includes('    users |o--o{ users : "manager_id"'));
+    t.true(lines.includes('    users ||--o{ order-items : "user_id"'));
+    t.true(lines.includes('    users |o--o| say__hi_ : "user_id"'));
+    t.true(lines.includes('    order-items {'));
+    t.true(lines.includes('        int user_id FK, UK'));
+});
+
+test('guessed relations are dashed', t => {
+    let columns = COLUMNS.filter(row => row.TABLE_NAME !== 'say "hi"');
+    let mermaid = convertColumnMetadataToMermaid(columns);
+    t.true(mermaid.includes('    users ||..o{ order-items : "user_id"'));
+    // A `*_id` column is no reference to its own table
+    t.false(mermaid.includes('users |o..o{ users'));
+    t.true(convertColumnMetadataToDot(columns).includes('[label="user_id", style=dashed]'));
+});
+
+test('DOT quotes table names and marks optional and unique ends', t => {
+    let dot = convertColumnMetadataToDot(COLUMNS, FOREIGN_KEYS);
+    t.true(dot.includes('    "users" -> "users" [label="manager_id", arrowtail=teeodot];'));
+    t.true(dot.includes('    "users" -> "order-items" [label="user_id"];'));
+    t.true(
+        dot.includes(
+            '    "users" -> "say \\"hi\\"" [label="user_id", arrowtail=teeodot, arrowhead=teeodot];'
+        )
+    );
+    t.true(dot.includes('<font color="white"><b>say &quot;hi&quot;</b></font>'));
+});
+
+test('SVG labels the cardinality and draws self-references as loops', t => {
+    let svg = convertColumnMetadataToSvg(COLUMNS, FOREIGN_KEYS);
+    t.regex(svg, /<path d="M [^"]+" fill="none"[^>]*><title>users\(manager_id\) → users\(id\)/);
+    t.true(svg.includes('text-anchor="end" fill="#4a627a" font-size="10">0..1 : 0..*</text>'));
+    t.regex(
+        svg,
+        /<line [^>]*><title>order-items\(user_id\) → users\(id\)<\/title><\/line>\n<text [^>]*>1 : 0\.\.\*<\/text>/
+    );
+    t.regex(
+        svg,
+        /<title>say &quot;hi&quot;\(user_id\) → users\(id\)<\/title><\/line>\n<text [^>]*>0\.\.1 : 0\.\.1<\/text>/
+    );
+    t.true(svg.includes('font-weight="bold">say &quot;hi&quot;</text>'));
+    t.false(svg.includes('say "hi"'));
+});
+
+test('an empty column list is an empty diagram', t => {
+    t.is(convertColumnMetadataToMermaid([]), '');
+    t.is(convertColumnMetadataToDot([]), '');
+    t.is(convertColumnMetadataToSvg([]), '');
+});
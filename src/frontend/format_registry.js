@@ -0,0 +1,158 @@
+// @ts-check
+
+import { BUILTIN_FORMATS } from './builtin_formats.js';
+
+/**
+ * File written by an output format
+ * @typedef {Object} OutputFile
+ * @property {string} name File name, e.g. "shop.ts"
+ * @property {string} content
+ */
+
+/**
+ * Introspection rows a database model is built from
+ * @typedef {Object} SchemaRows
+ * @property {import("./tools.js").ColumnMetadataRaw[]} columns Rows of INFORMATION_SCHEMA.COLUMNS
+ * @property {import("./tools.js").IndexColumnRaw[]} indexes Rows of INFORMATION_SCHEMA.STATISTICS
+ * @property {import("./tools.js").ForeignKeyColumnRaw[]} foreignKeys Foreign key column rows
+ * @property {Object[]} tables Rows of INFORMATION_SCHEMA.TABLES
+ */
+
+/**
+ * Options passed to the generate function of an output format
+ * @typedef {Object} FormatOptions
+ * @property {import("./type_mapping.js").TypeMappingOptions} [typeMapping] Type overrides of the project config
+ * @property {import("./naming.js").NamingOptions} [naming] Naming options of the project config
+ * @property {{immutable?: boolean}} [jsClass] Options of the js-class format
+ * @property {SchemaRows} rows Rows the model was built from, for formats that write them as they are
+ */
+
+/**
+ * Output format. Modules loaded with --plugin or the "plugins" of the project config export
+ * a format or an array of formats as default export.
+ * @typedef {Object} FormatPlugin
+ * @property {string} name Name used by --format and the "outputs" of the config, e.g. "ts"
+ * @property {string} label Label of the button in the web interface
+ * @property {string} extension File extension including the leading dot
+ * @property {(db: import("./tools.js").MySQLDatabase, options: FormatOptions) => string|OutputFile[]} generate
+ * Returns the content of a single file named after the database, or the files to write
+ * @property {boolean} [download] Offer the files as downloads in the web interface
+ */
+
+/** @type {Map<string, FormatPlugin>} */
+const formats = new Map(BUILTIN_FORMATS.map(format => [format.name, format]));
+
+/**
+ * Validates an output format
+ * @param {any} obj
+ * @returns {FormatPlugin}
+ * @throws {Error} If the format is invalid
+ */
+export function assertFormatPlugin(obj) {
+    if (typeof obj !== 'object' || obj === null) {
+        throw new Error('Format must be an object');
+    }
+    if (typeof obj.name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(obj.name)) {
+        throw new Error('Format "name" must consist of letters, digits, "-" and "_"');
+    }
+    for (const key of ['label', 'extension']) {
+        if (typeof obj[key] !== 'string' || obj[key] === '') {
+            throw new Error(`Format ${obj.name}: "${key}" must be a non-empty string`);
+        }
+    }
+    if (!obj.extension.startsWith('.')) {
+        throw new Error(`Format ${obj.name}: "extension" must start with a dot`);
+    }
+    if (typeof obj.generate !== 'function') {
+        throw new Error(`Format ${obj.name}: "generate" must be a function`);
+    }
+    if (obj.download !== undefined && typeof obj.download !== 'boolean') {
+        throw new Error(`Format ${obj.name}: "download" must be a boolean`);
+    }
+    return obj;
+}
+
+/**
+ * Adds an output format
+ * @param {FormatPlugin} format
+ * @throws {Error} If the format is invalid or a format with the same name exists
+ */
+export function registerFormat(format) {
+    assertFormatPlugin(format);
+    if (formats.has(format.name)) {
+        throw new Error(`Format "${format.name}" is already registered`);
+    }
+    formats.set(format.name, format);
+}
+
+/**
+ * Returns an output format by name
+ * @param {string} name
+ * @returns {FormatPlugin|undefined}
+ */
+export function getFormat(name) {
+    return formats.get(name);
+}
+
+/**
+ * Returns the output formats in the order they were registered, built-in formats first
+ * @returns {FormatPlugin[]}
+ */
+export function getFormats() {
+    return Array.from(formats.values());
+}
+
+/**
+ * Checks whether a format is one of the formats that come with the package
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isBuiltinFormat(name) {
+    return BUILTIN_FORMATS.some(format => format.name === name);
+}
+
+/**
+ * Runs an output format on a database model
+ * @param {FormatPlugin} format
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {FormatOptions} options
+ * @returns {OutputFile[]}
+ * @throws {Error} If the format does not return a string or an array of files with valid names
+ */
+export function generateFormatFiles(format, db, options) {
+    let output = format.generate(db, options);
+    if (typeof output === 'string') {
+        return [{ name: db.databaseName + format.extension, content: output }];
+    }
+    if (
+        !Array.isArray(output) ||
+        output.some(file => typeof file?.name !== 'string' || typeof file.content !== 'string')
+    ) {
+        throw new Error(
+            `Format ${format.name} must return a string or an array of {name, content}`
+        );
+    }
+    return assertOutputFileNames(output, `format ${format.name}`);
+}
+
+/**
+ * Checks the names of output files, which are joined to the output directory. A name must
+ * not be empty, leave the directory or be used by another file.
+ * @param {OutputFile[]} files
+ * @param {string} source What created the files, for error messages, e.g. "format json"
+ * @returns {OutputFile[]}
+ * @throws {Error} If a name is invalid
+ */
+export function assertOutputFileNames(files, source) {
+    let names = new Set();
+    for (let { name } of files) {
+        if (name === '' || /[\\/]/.test(name) || name.includes('..')) {
+            throw new Error(`Invalid file name "${name}" of ${source}`);
+        }
+        if (names.has(name)) {
+            throw new Error(`File "${name}" of ${source} is written twice`);
+        }
+        names.add(name);
+    }
+    return files;
+}
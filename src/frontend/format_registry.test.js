@@ -0,0 +1,49 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { assertOutputFileNames, generateFormatFiles } from './format_registry.js';
+import { idColumnRow } from '../../test/_schema_rows.js';
+
+/**
+ * Returns a plugin format that writes the given output
+ * @param {any} output
+ * @returns {import("./format_registry.js").FormatPlugin}
+ */
+function pluginReturning(output) {
+    return { name: 'plugin', label: 'Plugin', extension: '.txt', generate: () => output };
+}
+
+const db = createDatabaseModel('shop', { columns: [idColumnRow('users')] });
+const OPTIONS = { rows: { columns: [], indexes: [], foreignKeys: [], tables: [] } };
+
+test('a string is one file named after the database', t => {
+    t.deepEqual(generateFormatFiles(pluginReturning('text'), db, OPTIONS), [
+        { name: 'shop.txt', content: 'text' },
+    ]);
+});
+
+test('rejects file names outside the output directory', t => {
+    for (let name of ['', '../x.txt', '/etc/x.txt', 'sub/x.txt', 'C:\\x.txt', '..']) {
+        t.throws(
+            () => generateFormatFiles(pluginReturning([{ name, content: '' }]), db, OPTIONS),
+            { message: `Invalid file name "${name}" of format plugin` },
+            name
+        );
+    }
+});
+
+test('rejects a file name used twice', t => {
+    let files = [
+        { name: 'a.txt', content: '1' },
+        { name: 'a.txt', content: '2' },
+    ];
+    t.throws(() => assertOutputFileNames(files, 'the migrations'), {
+        message: 'File "a.txt" of the migrations is written twice',
+    });
+    t.is(assertOutputFileNames(files.slice(0, 1), 'the migrations').length, 1);
+});
+
+test('rejects output that is not a list of files', t => {
+    t.throws(() => generateFormatFiles(pluginReturning([{ name: 'a.txt' }]), db, OPTIONS), {
+        message: 'Format plugin must return a string or an array of {name, content}',
+    });
+});
@@ -1,17 +1,87 @@
 // @ts-check
 import * as ServerApi from './api.js';
 import { delegate_event, escapeHtml } from './dom-helper.js';
-import { convertColumnMetadataToJsClassCode, convertColumnMetadataToJsCode } from './tools.js';
+import { getAccessToken, setAccessToken } from './inet.js';
+import { assertSnapshot } from './snapshot.js';
+import { createDatabaseFromColumnMetadata, createDatabaseModel, MySQLTable } from './tools.js';
+import { createErDiagram, renderSvgErDiagram } from './er_diagram.js';
+import { checkCreateTableStatements, formatCreateTableChecks } from './create_table_check.js';
+import { diffDatabases, generateMigrationSql, serializeSchemaDiff } from './schema_diff.js';
+import { filterTableNames } from './table_filter.js';
+import { attachRoutineParameters } from './database_objects.js';
+import { formatBytes } from './data_dictionary.js';
+import { generateFormatFiles, getFormat, getFormats, registerFormat } from './format_registry.js';
+import { createTemplateFormat, parseTemplateFile, renderTemplateFiles } from './templates.js';
 
 /** @type {import("@supercat1337/mysql-schema-parser").ColumnMetadataRaw[]} */
 let table_schema = [];
 
+/** @type {import("./tools.js").ForeignKeyColumnRaw[]} */
+let foreign_keys = [];
+
+/**
+ * Table metadata of the active database (type, row estimate, sizes) by table name
+ * @type {Map<string, MySQLTable>}
+ */
+let table_info = new Map();
+
+/**
+ * Sort order of the table list
+ * @type {{key: string, descending: boolean}}
+ */
+let table_sort = { key: 'name', descending: false };
+
+/**
+ * Settings of the project config file of the server
+ * @type {{database?: string, tables?: import("./table_filter.js").TableFilter, typeMapping?: import("./type_mapping.js").TypeMappingOptions, naming?: import("./naming.js").NamingOptions, jsClass?: {immutable?: boolean}}}
+ */
+let project_config = {};
+
+/**
+ * Output formats of plugins loaded on the server, which run on the server
+ * @type {{name: string, label: string, extension: string, download: boolean}[]}
+ */
+let server_formats = [];
+
+/** Template the editor starts with */
+const EXAMPLE_TEMPLATE = `---
+name: example
+per: table
+file: {{ table.tableName | singularize | pascalCase }}.ts
+---
+// Table {{ table.tableName }}{% if table.tableComment %}: {{ table.tableComment }}{% endif %}
+
+export interface {{ table.tableName | singularize | pascalCase }} {
+{% for column in table.getColumns() %}
+    {{ column.columnName | camelCase }}: {{ column | jsType }}{% if column.allowsNull() %} | null{% endif %};
+{% endfor %}
+}
+`;
+
+/**
+ * Template files of the editor: the example and the templates of the server
+ * @type {{file: string, source: string}[]}
+ */
+let template_files = [{ file: 'example.ts.tpl', source: EXAMPLE_TEMPLATE }];
+
+/**
+ * Indexes and table metadata of the checked tables, kept while the template is edited
+ * @type {{key: string, details: {table_names: string[], indexes: any[], tables: any[]}}|null}
+ */
+let template_details = null;
+
+/**
+ * Databases of snapshot files added to the diff, by option label
+ * @type {Map<string, {name: string, database: import("./snapshot.js").SnapshotDatabase}>}
+ */
+const diff_snapshots = new Map();
+
 // DOM elements
 const reload_db_list_button = document.getElementById('reload_db_list_button');
 const reload_table_list_button = document.getElementById('reload_table_list_button');
-const render_raw_json_button = document.getElementById('render_raw_json_button');
-const render_js_objects_button = document.getElementById('render_js_objects_button');
-const render_js_class_button = document.getElementById('render_js_class_button');
+const format_buttons_area = document.getElementById('format_buttons_area');
+const check_create_table_button = document.getElementById('check_create_table_button');
+const er_preview_area = document.getElementById('er_preview_area');
 const database_list_area = document.getElementById('database_list_area');
 const table_list_area = document.getElementById('table_list_area');
 const output_textarea = /** @type {HTMLTextAreaElement} */ (
@@ -23,6 +93,55 @@ const stats_textarea = /** @type {HTMLTextAreaElement} */ (
 const check_all_button = document.getElementById('check_all_button');
 const uncheck_all_button = document.getElementById('uncheck_all_button');
 const render_stats_button = document.getElementById('render_stats_button');
+const render_foreign_keys_button = document.getElementById('render_foreign_keys_button');
+const save_snapshot_button = document.getElementById('save_snapshot_button');
+const snapshot_status = document.getElementById('snapshot_status');
+const connection_select = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById('connection_select')
+);
+const connection_status = document.getElementById('connection_status');
+const diff_from_select = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById('diff_from_select')
+);
+const diff_to_select = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById('diff_to_select')
+);
+const diff_snapshot_input = /** @type {HTMLInputElement|null} */ (
+    document.getElementById('diff_snapshot_input')
+);
+const export_rows_button = document.getElementById('export_rows_button');
+const rows_format_select = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById('rows_format_select')
+);
+const rows_columns_input = /** @type {HTMLInputElement|null} */ (
+    document.getElementById('rows_columns_input')
+);
+const rows_where_input = /** @type {HTMLInputElement|null} */ (
+    document.getElementById('rows_where_input')
+);
+const rows_limit_input = /** @type {HTMLInputElement|null} */ (
+    document.getElementById('rows_limit_input')
+);
+const render_views_button = document.getElementById('render_views_button');
+const render_routines_button = document.getElementById('render_routines_button');
+const render_triggers_button = document.getElementById('render_triggers_button');
+const render_events_button = document.getElementById('render_events_button');
+const objects_textarea = /** @type {HTMLTextAreaElement|null} */ (
+    document.getElementById('objects_output_textarea')
+);
+const template_select = /** @type {HTMLSelectElement|null} */ (
+    document.getElementById('template_select')
+);
+const template_textarea = /** @type {HTMLTextAreaElement|null} */ (
+    document.getElementById('template_textarea')
+);
+const template_status = document.getElementById('template_status');
+const download_template_button = document.getElementById('download_template_button');
+const diff_sql_button = document.getElementById('diff_sql_button');
+const diff_json_button = document.getElementById('diff_json_button');
+const diff_output_textarea = /** @type {HTMLTextAreaElement|null} */ (
+    document.getElementById('diff_output_textarea')
+);
 
 /**
  * @param {string[]} list
@@ -56,25 +175,121 @@ function getTablesNamesFromDatabaseSchema(schema) {
     return Array.from(names);
 }
 
+/**
+ * Returns a short description of the relations of a table, e.g. "→ users, ← order_items"
+ * @param {string} table_name
+ * @returns {string}
+ */
+function getTableRelationsHint(table_name) {
+    let outgoing = new Set();
+    let incoming = new Set();
+    for (let row of foreign_keys) {
+        if (row.TABLE_NAME === table_name) outgoing.add(row.REFERENCED_TABLE_NAME);
+        if (row.REFERENCED_TABLE_NAME === table_name) incoming.add(row.TABLE_NAME);
+    }
+    let parts = [];
+    if (outgoing.size) parts.push('→ ' + Array.from(outgoing).join(', '));
+    if (incoming.size) parts.push('← ' + Array.from(incoming).join(', '));
+    return parts.join('; ');
+}
+
+/**
+ * Sortable columns of the table list with the metadata they show
+ * @type {{key: string, label: string, title: string, value: (table: MySQLTable|undefined) => number|null, format: (value: number) => string}[]}
+ */
+const TABLE_LIST_COLUMNS = [
+    {
+        key: 'rows',
+        label: 'Rows',
+        title: 'Number of rows, an estimate for InnoDB tables',
+        value: table => table?.rowEstimate ?? null,
+        format: value => value.toLocaleString(),
+    },
+    {
+        key: 'data',
+        label: 'Data',
+        title: 'Size of the data',
+        value: table => table?.dataLength ?? null,
+        format: formatBytes,
+    },
+    {
+        key: 'index',
+        label: 'Index',
+        title: 'Size of the indexes',
+        value: table => table?.indexLength ?? null,
+        format: formatBytes,
+    },
+    {
+        key: 'auto_increment',
+        label: 'Auto inc.',
+        title: 'Next AUTO_INCREMENT value',
+        value: table => table?.autoIncrement ?? null,
+        format: value => value.toLocaleString(),
+    },
+];
+
+/**
+ * Sorts table names by the sort order of the table list. Tables without metadata come last.
+ * @param {string[]} list
+ * @returns {string[]}
+ */
+function sortTableNames(list) {
+    let column = TABLE_LIST_COLUMNS.find(column => column.key === table_sort.key);
+    let direction = table_sort.descending ? -1 : 1;
+    return [...list].sort((a, b) => {
+        if (!column) return direction * a.localeCompare(b);
+        let value_a = column.value(table_info.get(a));
+        let value_b = column.value(table_info.get(b));
+        if (value_a === value_b) return a.localeCompare(b);
+        if (value_a === null) return 1;
+        if (value_b === null) return -1;
+        return direction * (value_a - value_b);
+    });
+}
+
 /**
  * @param {string[]} list
+ * @param {string[]} [checked_names] Checked tables, default is the tables of the project config
  */
-function createTableList(list) {
+function createTableList(list, checked_names) {
+    // The tables of the project config are checked, all tables without a config
+    if (!checked_names) checked_names = filterTableNames(list, project_config.tables);
+
+    let header = [{ key: 'name', label: 'Table', title: 'Table name' }, ...TABLE_LIST_COLUMNS]
+        .map(column => {
+            let arrow = '';
+            if (column.key === table_sort.key) arrow = table_sort.descending ? ' ▼' : ' ▲';
+            return `<button type="button" class="table-sort" data-sort="${column.key}" title="${column.title}">${column.label}${arrow}</button>`;
+        })
+        .join('');
+
     let body = [];
-    for (let i = 0; i < list.length; i++) {
-        let text = escapeHtml(list[i]);
+    for (let name of sortTableNames(list)) {
+        let text = escapeHtml(name);
+        let relations = escapeHtml(getTableRelationsHint(name));
+        let checked = checked_names.includes(name) ? ' checked="checked"' : '';
+        let table = table_info.get(name);
+        let badge = table?.isView() ? '<span class="table-badge">view</span>' : '';
+        let stats = TABLE_LIST_COLUMNS.map(column => {
+            let value = column.value(table);
+            return `<span class="table-stat">${value === null ? '' : column.format(value)}</span>`;
+        }).join('');
         body.push(`
-            <div class="form-check">
+            <div class="form-check table-list-row">
                 <label class="form-check-label">
-                    <input class="form-check-input" type="checkbox" value="${text}" checked="checked">
+                    <input class="form-check-input" type="checkbox" value="${text}"${checked}>
                     ${text}
+                    ${badge}
+                    ${relations ? `<small class="table-relations" title="Foreign keys">${relations}</small>` : ''}
                 </label>
+                ${stats}
             </div>`);
     }
-    return `<div class="list-group">${body.join('\n')}</div>`;
+    return `<div class="list-group"><div class="table-list-row table-list-header">${header}</div>${body.join('\n')}</div>`;
 }
 
 async function loadDatabaseSchema() {
+    template_details = null;
     if (!table_list_area) return [];
     let active_database = getActiveDataBase();
     if (active_database == false) return [];
@@ -87,6 +302,29 @@ async function loadDatabaseSchema() {
         return [];
     }
     if (response.result == null) return [];
+
+    let foreign_keys_response = await ServerApi.foreign_keys_list({
+        database_name: active_database,
+    });
+    if (foreign_keys_response.error) {
+        alert(foreign_keys_response.error);
+        foreign_keys = [];
+    } else {
+        foreign_keys = foreign_keys_response.result || [];
+    }
+
+    let tables_info_response = await ServerApi.tables_info({ database_name: active_database });
+    table_info = new Map();
+    if (tables_info_response.error) {
+        alert(tables_info_response.error);
+    } else {
+        for (let row of tables_info_response.result || []) {
+            let table = new MySQLTable(row.TABLE_NAME);
+            table.setTableInfo(row);
+            table_info.set(row.TABLE_NAME, table);
+        }
+    }
+
     return response.result;
 }
 
@@ -135,8 +373,90 @@ async function loadAndRenderIndexStats() {
     stats_textarea.value = JSON.stringify(response.result, null, 2);
 }
 
+async function loadAndRenderForeignKeys() {
+    if (!stats_textarea) return;
+    const activeDb = getActiveDataBase();
+    if (!activeDb) {
+        stats_textarea.value = '⚠️ Please select a database first.';
+        return;
+    }
+    const tableNames = getCheckedCheckboxes();
+    if (tableNames.length === 0) {
+        stats_textarea.value = 'ℹ️ No tables selected. Please check at least one table.';
+        return;
+    }
+    stats_textarea.value = '⏳ Loading foreign keys...';
+
+    const response = await ServerApi.foreign_keys_list({
+        database_name: activeDb,
+        table_names: JSON.stringify(tableNames),
+    });
+
+    if (response.error) {
+        stats_textarea.value = `❌ Error: ${response.error}`;
+        return;
+    }
+    if (!response.result || response.result.length === 0) {
+        stats_textarea.value = '📭 No foreign keys found for selected tables.';
+        return;
+    }
+
+    let db = createDatabaseFromColumnMetadata(
+        table_schema.filter(col => tableNames.includes(col.TABLE_NAME)),
+        response.result
+    );
+    let relations = {};
+    for (let table of db.tables.values()) {
+        relations[table.tableName] = {
+            foreignKeys: table.foreignKeys,
+            referencedBy: table.referencedBy,
+        };
+    }
+    stats_textarea.value = JSON.stringify(relations, null, 2);
+}
+
+/**
+ * Renders the views, routines, triggers or events of the active database
+ * @param {'views'|'routines'|'triggers'|'events'} type
+ */
+async function loadAndRenderDatabaseObjects(type) {
+    if (!objects_textarea) return;
+    const activeDb = getActiveDataBase();
+    if (!activeDb) {
+        objects_textarea.value = '⚠️ Please select a database first.';
+        return;
+    }
+    objects_textarea.value = `⏳ Loading ${type}...`;
+
+    const params = { database_name: activeDb };
+    const list_methods = {
+        views: [ServerApi.views_list],
+        routines: [ServerApi.routines_list, ServerApi.parameters_list],
+        triggers: [ServerApi.triggers_list],
+        events: [ServerApi.events_list],
+    };
+    const responses = await Promise.all(list_methods[type].map(method => method(params)));
+    for (const response of responses) {
+        if (response.error) {
+            objects_textarea.value = `❌ Error: ${response.error}`;
+            return;
+        }
+    }
+
+    let result = responses[0].result || [];
+    if (type == 'routines') result = attachRoutineParameters(result, responses[1].result || []);
+    if (result.length === 0) {
+        objects_textarea.value = `📭 No ${type} found in ${activeDb}.`;
+        return;
+    }
+    objects_textarea.value = JSON.stringify(result, null, 2);
+}
+
 // Event handlers
-reload_db_list_button?.addEventListener('click', async () => {
+/**
+ * Loads the list of databases
+ */
+async function reloadDatabaseList() {
     if (!database_list_area) return;
     let response = await ServerApi.database_list();
     if (response.error) {
@@ -146,10 +466,15 @@ reload_db_list_button?.addEventListener('click', async () => {
     }
     if (response.result == null) return;
     database_list_area.innerHTML = createDataBaseList(response.result);
-});
+    updateDiffSelects(response.result);
+}
+
+reload_db_list_button?.addEventListener('click', reloadDatabaseList);
 
 reload_table_list_button?.addEventListener('click', async () => {
     if (!table_list_area) return;
+    let active_database = getActiveDataBase();
+    if (active_database) await ServerApi.schema_refresh({ database_name: active_database });
     table_schema = await loadDatabaseSchema();
     let list = getTablesNamesFromDatabaseSchema(table_schema);
     table_list_area.innerHTML = createTableList(list);
@@ -171,24 +496,559 @@ uncheck_all_button?.addEventListener('click', () => {
     });
 });
 
+if (table_list_area) {
+    delegate_event('click', table_list_area, '.table-sort', (event, target) => {
+        let key = target.dataset.sort;
+        table_sort = {
+            key,
+            // Sizes are compared largest first, names alphabetically
+            descending: key === table_sort.key ? !table_sort.descending : key !== 'name',
+        };
+        let list = getTablesNamesFromDatabaseSchema(table_schema);
+        table_list_area.innerHTML = createTableList(list, getCheckedCheckboxes());
+    });
+}
+
 render_stats_button?.addEventListener('click', loadAndRenderIndexStats);
+render_foreign_keys_button?.addEventListener('click', loadAndRenderForeignKeys);
+render_views_button?.addEventListener('click', () => loadAndRenderDatabaseObjects('views'));
+render_routines_button?.addEventListener('click', () => loadAndRenderDatabaseObjects('routines'));
+render_triggers_button?.addEventListener('click', () => loadAndRenderDatabaseObjects('triggers'));
+render_events_button?.addEventListener('click', () => loadAndRenderDatabaseObjects('events'));
+
+/**
+ * Loads the indexes and table metadata of the checked tables, which are not part of the
+ * column schema
+ * @returns {Promise<{table_names: string[], indexes: any[], tables: any[]}|null>}
+ */
+async function loadCheckedTablesDetails() {
+    let active_database = getActiveDataBase();
+    let table_names = getCheckedCheckboxes();
+    if (!active_database || table_names.length === 0) {
+        alert('Please select a database and check at least one table.');
+        return null;
+    }
+
+    let params = { database_name: active_database, table_names: JSON.stringify(table_names) };
+    let [indexes_response, tables_response] = await Promise.all([
+        ServerApi.indexes_list(params),
+        ServerApi.tables_info(params),
+    ]);
+    for (let response of [indexes_response, tables_response]) {
+        if (response.error) {
+            alert(response.error);
+            return null;
+        }
+    }
+    return {
+        table_names,
+        indexes: indexes_response.result || [],
+        tables: tables_response.result || [],
+    };
+}
+
+/**
+ * Builds the model of the checked tables from the loaded schema and their details
+ * @param {{table_names: string[], indexes: any[], tables: any[]}} details
+ * @returns {{db: import("./tools.js").MySQLDatabase, rows: import("./format_registry.js").SchemaRows}}
+ */
+function createCheckedTablesModel(details) {
+    let rows = {
+        columns: table_schema.filter(col => details.table_names.includes(col.TABLE_NAME)),
+        indexes: details.indexes,
+        foreignKeys: foreign_keys,
+        tables: details.tables,
+    };
+    return { db: createDatabaseModel(String(getActiveDataBase()), rows), rows };
+}
+
+/**
+ * Returns the text of output files, with the file names when there are several
+ * @param {import("./format_registry.js").OutputFile[]} files
+ * @returns {string}
+ */
+function formatOutputFiles(files) {
+    return files.length === 1
+        ? files[0].content
+        : files.map(file => `=== ${file.name} ===\n${file.content}`).join('\n');
+}
+
+/** Formats whose output is an ER diagram, which is also shown as a preview */
+const ER_DIAGRAM_FORMATS = ['mermaid', 'dot', 'svg'];
+
+/**
+ * Renders a button per output format: the formats of the registry run in the page,
+ * formats of server plugins run on the server
+ */
+function renderFormatButtons() {
+    if (!format_buttons_area) return;
+    let formats = [...getFormats(), ...server_formats.filter(format => !getFormat(format.name))];
+    format_buttons_area.innerHTML = formats
+        .map(
+            format =>
+                `<button class="btn btn-outline format-button" data-format="${escapeHtml(format.name)}">${escapeHtml(format.label)}</button>`
+        )
+        .join('');
+}
+
+/**
+ * Loads the output formats of the server plugins
+ */
+async function loadServerFormats() {
+    let response = await ServerApi.formats_list();
+    if (response.error || !response.result) return;
+    server_formats = response.result;
+    renderFormatButtons();
+}
+
+/**
+ * Shows the output of a format for the checked tables. Formats that write several files
+ * or ask for it are downloaded as well.
+ * @param {string} name
+ */
+async function renderFormat(name) {
+    let details = await loadCheckedTablesDetails();
+    if (!details || !output_textarea) return;
+    let active_database = String(getActiveDataBase());
+    let { db, rows } = createCheckedTablesModel(details);
+
+    let format = getFormat(name);
+    let download = Boolean(format?.download);
+    /** @type {import("./format_registry.js").OutputFile[]} */
+    let files;
+    if (format) {
+        try {
+            files = generateFormatFiles(format, db, {
+                typeMapping: project_config.typeMapping,
+                naming: project_config.naming,
+                jsClass: project_config.jsClass,
+                rows,
+            });
+        } catch (err) {
+            alert(err.message);
+            return;
+        }
+    } else {
+        let response = await ServerApi.formats_generate({
+            database_name: active_database,
+            table_names: JSON.stringify(details.table_names),
+            format: name,
+        });
+        if (response.error || !response.result) {
+            alert(response.error);
+            return;
+        }
+        files = response.result;
+        download = Boolean(server_formats.find(item => item.name === name)?.download);
+    }
+
+    output_textarea.value = formatOutputFiles(files);
+    if (download || files.length > 1) {
+        for (let file of files) {
+            downloadFile(
+                file.name,
+                file.content,
+                file.name.endsWith('.html') ? 'text/html' : 'text/plain'
+            );
+        }
+    }
+    if (ER_DIAGRAM_FORMATS.includes(name) && er_preview_area) {
+        er_preview_area.innerHTML = renderSvgErDiagram(createErDiagram(db));
+    }
+}
+
+if (format_buttons_area) {
+    delegate_event('click', format_buttons_area, '.format-button', (event, target) => {
+        renderFormat(target.dataset.format);
+    });
+}
+
+/**
+ * Shows a message next to the template select
+ * @param {string} message
+ */
+function setTemplateStatus(message) {
+    if (template_status) template_status.textContent = message;
+}
+
+/**
+ * Fills the template select with the template files
+ */
+function renderTemplateSelect() {
+    if (!template_select) return;
+    let selected = template_select.value;
+    template_select.innerHTML = template_files
+        .map((item, i) => `<option value="${i}">${escapeHtml(item.file)}</option>`)
+        .join('');
+    if (selected !== '') template_select.value = selected;
+}
+
+/**
+ * Loads the template files of the server. Their formats are registered in the page, so
+ * they run on snapshots as well.
+ */
+async function loadServerTemplates() {
+    let response = await ServerApi.templates_list();
+    if (response.error || !response.result) return;
+    for (let item of response.result) {
+        template_files.push(item);
+        try {
+            registerFormat(createTemplateFormat(parseTemplateFile(item.source, item.file)));
+        } catch (err) {
+            console.error(`Template ${item.file}: ${err.message}`);
+        }
+    }
+    renderTemplateSelect();
+    renderFormatButtons();
+}
+
+/**
+ * Renders the edited template on the checked tables
+ * @returns {Promise<import("./format_registry.js").OutputFile[]|null>}
+ */
+async function renderEditedTemplate() {
+    if (!template_textarea || !template_select) return null;
+    let template;
+    try {
+        let file = template_files[Number(template_select.value)]?.file || 'template.txt.tpl';
+        template = parseTemplateFile(template_textarea.value, file);
+    } catch (err) {
+        setTemplateStatus(err.message);
+        return null;
+    }
 
-// Schema output rendering (existing)
-function renderSchemaOutput(transformFn) {
-    if (!output_textarea) return;
     let table_names = getCheckedCheckboxes();
-    let result_schema = table_schema.filter(col => table_names.includes(col.TABLE_NAME));
-    output_textarea.value = transformFn(result_schema);
+    if (!getActiveDataBase() || table_names.length === 0) {
+        setTemplateStatus('Check tables to see the output');
+        return null;
+    }
+    let key = `${getActiveDataBase()}\n${table_names.join('\n')}`;
+    if (template_details?.key !== key) {
+        let details = await loadCheckedTablesDetails();
+        if (!details) return null;
+        template_details = { key, details };
+    }
+
+    try {
+        let { db } = createCheckedTablesModel(template_details.details);
+        let files = renderTemplateFiles(template, db, {
+            typeMapping: project_config.typeMapping,
+            naming: project_config.naming,
+        });
+        setTemplateStatus(files.length === 1 ? files[0].name : `${files.length} files`);
+        return files;
+    } catch (err) {
+        setTemplateStatus(err.message);
+        return null;
+    }
 }
 
-render_raw_json_button?.addEventListener('click', () => {
-    renderSchemaOutput(schema => JSON.stringify(schema, null, '  '));
+/**
+ * Shows the output of the edited template in the output area
+ */
+async function renderTemplatePreview() {
+    let files = await renderEditedTemplate();
+    if (files && output_textarea) output_textarea.value = formatOutputFiles(files);
+}
+
+/** @type {ReturnType<typeof setTimeout>|undefined} */
+let template_preview_timer;
+
+template_textarea?.addEventListener('input', () => {
+    clearTimeout(template_preview_timer);
+    template_preview_timer = setTimeout(renderTemplatePreview, 300);
 });
-render_js_class_button?.addEventListener('click', () => {
-    renderSchemaOutput(convertColumnMetadataToJsClassCode);
+
+template_select?.addEventListener('change', () => {
+    if (!template_textarea) return;
+    template_textarea.value = template_files[Number(template_select.value)]?.source || '';
+    renderTemplatePreview();
+});
+
+download_template_button?.addEventListener('click', async () => {
+    let files = await renderEditedTemplate();
+    if (!files) return;
+    for (let file of files) downloadFile(file.name, file.content, 'text/plain');
 });
-render_js_objects_button?.addEventListener('click', () => {
-    renderSchemaOutput(convertColumnMetadataToJsCode);
+
+check_create_table_button?.addEventListener('click', async () => {
+    let details = await loadCheckedTablesDetails();
+    if (!details) return;
+    let active_database = String(getActiveDataBase());
+    let response = await ServerApi.tables_show_create({
+        database_name: active_database,
+        table_names: JSON.stringify(details.table_names),
+    });
+    if (response.error || !response.result) {
+        alert(response.error);
+        return;
+    }
+
+    let { db } = createCheckedTablesModel(details);
+    let checks = checkCreateTableStatements(db, response.result);
+    output_textarea.value = formatCreateTableChecks(checks);
+});
+
+/**
+ * Offers the content as a file download
+ * @param {string} file_name
+ * @param {string} content
+ * @param {string} [type]
+ */
+function downloadFile(file_name, content, type = 'application/json') {
+    let url = URL.createObjectURL(new Blob([content], { type }));
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = file_name;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+save_snapshot_button?.addEventListener('click', async () => {
+    let active_database = getActiveDataBase();
+    if (!active_database) {
+        alert('Please select a database first.');
+        return;
+    }
+    let response = await ServerApi.snapshot_create({
+        database_names: JSON.stringify([active_database]),
+    });
+    if (response.error || !response.result) {
+        alert(response.error);
+        return;
+    }
+    downloadFile(`${active_database}.snapshot.json`, JSON.stringify(response.result, null, '  '));
+});
+
+/**
+ * Downloads the rows of a table. The form is posted into a hidden frame, so the browser
+ * streams the file to disk instead of keeping it in memory.
+ * @param {Object<string, string>} params Parameters of the rows.export method
+ */
+function downloadRows(params) {
+    let frame = document.createElement('iframe');
+    frame.name = `rows_frame_${params.table_name}_${Date.now()}`;
+    frame.style.display = 'none';
+    document.body.appendChild(frame);
+
+    // A file download does not load the frame, only an error response does
+    frame.addEventListener('load', () => {
+        let text = frame.contentDocument?.body?.textContent || '';
+        try {
+            let response = JSON.parse(text);
+            if (response.error) alert(`${params.table_name}: ${response.error}`);
+        } catch (e) {
+            // not a JSON response
+        }
+        frame.remove();
+    });
+
+    let form = document.createElement('form');
+    form.method = 'POST';
+    form.action = 'api';
+    form.target = frame.name;
+    // A form post cannot set the X-Access-Token header
+    let fields = { method: 'rows.export', token: getAccessToken() };
+    for (let [key, value] of Object.entries(params)) fields[`params[${key}]`] = value;
+    for (let [name, value] of Object.entries(fields)) {
+        let input = document.createElement('input');
+        input.type = 'hidden';
+        input.name = name;
+        input.value = value;
+        form.appendChild(input);
+    }
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+}
+
+export_rows_button?.addEventListener('click', () => {
+    let active_database = getActiveDataBase();
+    let table_names = getCheckedCheckboxes();
+    if (!active_database || table_names.length === 0) {
+        alert('Please select a database and check at least one table.');
+        return;
+    }
+    if (ServerApi.getLocalSnapshot()) {
+        alert('Row export needs a database connection, it is not available in offline mode.');
+        return;
+    }
+    for (let table_name of table_names) {
+        downloadRows({
+            database_name: active_database,
+            table_name,
+            format: rows_format_select?.value || 'json',
+            column_names: rows_columns_input?.value || '',
+            where: rows_where_input?.value || '',
+            limit: rows_limit_input?.value || '',
+            connection: ServerApi.getConnection(),
+        });
+    }
+});
+
+/** @type {string[]} */
+let diff_database_names = [];
+
+/**
+ * Fills the diff selects with the databases and the added snapshot files
+ * @param {string[]} [database_names] Databases of the server, keeps the current list if omitted
+ */
+function updateDiffSelects(database_names) {
+    if (database_names) diff_database_names = database_names;
+    let options = [
+        ...diff_database_names.map(name => {
+            let text = escapeHtml(name);
+            return `<option value="db:${text}">${text}</option>`;
+        }),
+        ...Array.from(diff_snapshots.keys()).map(label => {
+            let text = escapeHtml(label);
+            return `<option value="file:${text}">📦 ${text}</option>`;
+        }),
+    ].join('');
+
+    for (let select of [diff_from_select, diff_to_select]) {
+        if (!select) continue;
+        let value = select.value;
+        select.innerHTML = options;
+        if (value) select.value = value;
+    }
+}
+
+/**
+ * Reads the schema selected in a diff select
+ * @param {string} value Option value, "db:NAME" or "file:LABEL"
+ * @returns {Promise<import("./tools.js").MySQLDatabase>}
+ * @throws {Error} If the schema cannot be read
+ */
+async function loadDiffSide(value) {
+    if (value.startsWith('file:')) {
+        let item = diff_snapshots.get(value.slice(5));
+        if (!item) throw new Error(`Unknown snapshot ${value.slice(5)}`);
+        return createDatabaseModel(item.name, item.database);
+    }
+
+    let database_name = value.slice(3);
+    let response = await ServerApi.snapshot_create({
+        database_names: JSON.stringify([database_name]),
+    });
+    if (response.error || !response.result) throw new Error(String(response.error));
+    return createDatabaseModel(database_name, response.result.databases[database_name]);
+}
+
+/**
+ * Compares the selected schemas and renders the result
+ * @param {'sql'|'json'} format
+ */
+async function renderSchemaDiff(format) {
+    if (!diff_from_select?.value || !diff_to_select?.value || !diff_output_textarea) {
+        alert('Please select both schemas to compare.');
+        return;
+    }
+    try {
+        let from = await loadDiffSide(diff_from_select.value);
+        let to = await loadDiffSide(diff_to_select.value);
+        let diff = diffDatabases(from, to);
+        diff_output_textarea.value =
+            format == 'json'
+                ? JSON.stringify(serializeSchemaDiff(diff), null, '  ')
+                : generateMigrationSql(diff);
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+diff_snapshot_input?.addEventListener('change', async () => {
+    for (let file of Array.from(diff_snapshot_input.files || [])) {
+        try {
+            let snapshot = assertSnapshot(JSON.parse(await file.text()));
+            for (let [name, database] of Object.entries(snapshot.databases)) {
+                diff_snapshots.set(`${file.name}/${name}`, { name, database });
+            }
+        } catch (err) {
+            alert(`Cannot load snapshot ${file.name}: ${err.message}`);
+        }
+    }
+    diff_snapshot_input.value = '';
+    updateDiffSelects();
+});
+
+diff_sql_button?.addEventListener('click', () => renderSchemaDiff('sql'));
+diff_json_button?.addEventListener('click', () => renderSchemaDiff('json'));
+
+// Snapshot files dropped into the page switch the UI to offline mode
+document.addEventListener('dragover', event => {
+    event.preventDefault();
+});
+
+document.addEventListener('drop', async event => {
+    event.preventDefault();
+    let file = event.dataTransfer?.files[0];
+    if (!file) return;
+    try {
+        let snapshot = assertSnapshot(JSON.parse(await file.text()));
+        ServerApi.setLocalSnapshot(snapshot);
+        if (snapshot_status) {
+            snapshot_status.textContent = `📦 Offline: ${file.name} (${snapshot.createdAt})`;
+        }
+    } catch (err) {
+        alert(`Cannot load snapshot ${file.name}: ${err.message}`);
+        return;
+    }
+    if (table_list_area) table_list_area.innerHTML = '';
+    table_schema = [];
+    foreign_keys = [];
+    table_info = new Map();
+    reload_db_list_button?.click();
+});
+
+/** Key of the selected connection profile in the session storage of the tab */
+const CONNECTION_STORAGE_KEY = 'mysql-to-json.connection';
+
+/**
+ * Fills the connection select with the profiles of the server and selects the one of
+ * this tab, or the default profile
+ */
+async function loadConnections() {
+    let response = await ServerApi.connections_list();
+    if (response.error || response.result == null) return;
+    let { connections } = response.result;
+    let name = sessionStorage.getItem(CONNECTION_STORAGE_KEY) || '';
+    if (!connections.some(profile => profile.name === name)) name = response.result.default;
+    ServerApi.setConnection(name);
+
+    if (!connection_select) return;
+    connection_select.innerHTML = connections
+        .map(profile => {
+            let label = `${profile.name} (${profile.user}@${profile.host}:${profile.port})`;
+            return `<option value="${escapeHtml(profile.name)}">${escapeHtml(label)}</option>`;
+        })
+        .join('');
+    connection_select.value = name;
+    connection_select.disabled = connections.length < 2;
+}
+
+connection_select?.addEventListener('change', async () => {
+    let name = connection_select.value;
+    let response = await ServerApi.connections_select({ connection: name });
+    if (response.error || response.result == null) {
+        alert(`Cannot connect to '${name}': ${response.error}`);
+        connection_select.value = ServerApi.getConnection();
+        return;
+    }
+    ServerApi.setConnection(name);
+    sessionStorage.setItem(CONNECTION_STORAGE_KEY, name);
+    if (connection_status) connection_status.textContent = `MySQL ${response.result.version}`;
+    if (table_list_area) table_list_area.innerHTML = '';
+    table_schema = [];
+    foreign_keys = [];
+    table_info = new Map();
+    output_textarea.value = '';
+    stats_textarea.value = '';
+    if (objects_textarea) objects_textarea.value = '';
+    if (er_preview_area) er_preview_area.innerHTML = '';
+    reload_db_list_button?.click();
 });
 
 // Database click delegation to load tables
@@ -200,10 +1060,60 @@ if (database_list_area && table_list_area) {
         target.classList.toggle('active');
         output_textarea.value = '';
         stats_textarea.value = '';
+        if (objects_textarea) objects_textarea.value = '';
+        if (er_preview_area) er_preview_area.innerHTML = '';
         table_schema = await loadDatabaseSchema();
         let list = getTablesNamesFromDatabaseSchema(table_schema);
         table_list_area.innerHTML = createTableList(list);
     });
 }
 
-reload_db_list_button?.click();
+/** Key of the access token in the session storage of the tab */
+const TOKEN_STORAGE_KEY = 'mysql-to-json.token';
+
+/**
+ * Takes the access token from the "#token=..." fragment of the URL the server printed
+ * and removes it from the address bar. The token is kept for reloads of the tab.
+ */
+function initAccessToken() {
+    let match = location.hash.match(/[#&]token=([^&]+)/);
+    if (match) {
+        sessionStorage.setItem(TOKEN_STORAGE_KEY, decodeURIComponent(match[1]));
+        history.replaceState(null, '', location.pathname + location.search);
+    }
+    setAccessToken(sessionStorage.getItem(TOKEN_STORAGE_KEY) || '');
+}
+
+/**
+ * Loads the project config of the server and opens its database, if it has one
+ */
+async function loadProjectConfig() {
+    let response = await ServerApi.config_get();
+    if (response.error || response.result == null) return;
+    project_config = response.result;
+}
+
+/**
+ * Selects the database of the project config once the database list is loaded
+ */
+function selectConfigDatabase() {
+    if (!database_list_area || !project_config.database) return;
+    let items = database_list_area.querySelectorAll('.list-group-item');
+    for (let item of items) {
+        if (/** @type {HTMLElement} */ (item).innerText === project_config.database) {
+            /** @type {HTMLElement} */ (item).click();
+            return;
+        }
+    }
+}
+
+initAccessToken();
+renderFormatButtons();
+renderTemplateSelect();
+if (template_textarea) template_textarea.value = EXAMPLE_TEMPLATE;
+loadServerFormats();
+loadServerTemplates();
+Promise.all([loadConnections(), loadProjectConfig()]).then(async () => {
+    await reloadDatabaseList();
+    selectConfigDatabase();
+});
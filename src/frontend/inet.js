@@ -18,6 +18,28 @@ const uid = function () {
     );
 };
 
+/**
+ * Access token of the server, sent with every request
+ * @type {string}
+ */
+let access_token = '';
+
+/**
+ * Sets the access token that is sent in the X-Access-Token header of the requests.
+ * @param {string} token
+ */
+export function setAccessToken(token) {
+    access_token = token;
+}
+
+/**
+ * Returns the access token sent with the requests.
+ * @returns {string}
+ */
+export function getAccessToken() {
+    return access_token;
+}
+
 /**
  * Creates a FormData object from the given method and parameters.
  * If no parameters are given, one parameter named "value" is added with the value of 1.
@@ -96,6 +118,7 @@ export function request_prepare(response_callback) {
 export function request_send(req, formData) {
     const url = 'api?random=' + uid();
     req.open('POST', url, true);
+    if (access_token) req.setRequestHeader('X-Access-Token', access_token);
 
     try {
         req.send(formData);
@@ -0,0 +1,260 @@
+// @ts-check
+
+import { getEnumValues, isUnsignedColumn } from './mysql_schema_helpers.js';
+import { TypeMapper, getColumnValueKind } from './type_mapping.js';
+import { createDatabaseFromColumnMetadata } from './tools.js';
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+/** Value ranges of MySQL integer types: [signed min, signed max, unsigned max] */
+const INTEGER_RANGES = {
+    tinyint: [-128, 127, 255],
+    smallint: [-32768, 32767, 65535],
+    mediumint: [-8388608, 8388607, 16777215],
+    int: [-2147483648, 2147483647, 4294967295],
+    integer: [-2147483648, 2147483647, 4294967295],
+};
+
+/**
+ * DATETIME and TIMESTAMP values as MySQL prints them ("2024-01-31 12:00:00"), as ISO 8601
+ * local times of the "date": "string" mapping and as RFC 3339 strings of serialized dates
+ */
+const DATETIME_PATTERN =
+    '^\\d{4}-\\d{2}-\\d{2}[ T]\\d{2}:\\d{2}:\\d{2}(\\.\\d{1,6})?(Z|[+-]\\d{2}:\\d{2})?$';
+
+/** TIME values, which MySQL allows from -838:59:59 to 838:59:59 */
+const TIME_PATTERN = '^-?\\d{2,3}:\\d{2}:\\d{2}(\\.\\d{1,6})?$';
+
+/**
+ * Returns the JSON Schema of a DECIMAL/NUMERIC column value: a number with the value
+ * range, or a string of the digits the column holds
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {'string'|'number'} mapping
+ * @returns {Object}
+ */
+function getDecimalSchema(column, mapping) {
+    let precision = column.numericPrecision || 10;
+    let scale = column.numericScale || 0;
+    let sign = isUnsignedColumn(column) ? '' : '-?';
+    if (mapping === 'string') {
+        let integer_part = precision > scale ? `\\d{1,${precision - scale}}` : '0';
+        let fraction = scale > 0 ? `(\\.\\d{1,${scale}})?` : '';
+        return { type: 'string', pattern: `^${sign}${integer_part}${fraction}$` };
+    }
+
+    let integer_part = '9'.repeat(precision - scale) || '0';
+    let maximum = Number(scale > 0 ? `${integer_part}.${'9'.repeat(scale)}` : integer_part);
+    return { type: 'number', minimum: sign ? -maximum : 0, maximum };
+}
+
+/**
+ * Returns the JSON Schema of a single column value, without nullability. BIGINT and
+ * DECIMAL values are strings or numbers as the type mapping says.
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {TypeMapper} mapper
+ * @returns {Object}
+ */
+function getColumnValueSchema(column, mapper) {
+    let data_type = column.dataType.toLowerCase();
+    let unsigned = isUnsignedColumn(column);
+
+    switch (getColumnValueKind(column)) {
+        case 'boolean':
+            return { type: 'boolean' };
+        case 'integer': {
+            let range = INTEGER_RANGES[data_type];
+            if (!range) return { type: 'integer' };
+            return unsigned
+                ? { type: 'integer', minimum: 0, maximum: range[2] }
+                : { type: 'integer', minimum: range[0], maximum: range[1] };
+        }
+        case 'bigint':
+            if (mapper.options.bigint === 'string') {
+                return { type: 'string', pattern: unsigned ? '^\\d+$' : '^-?\\d+$' };
+            }
+            return unsigned ? { type: 'integer', minimum: 0 } : { type: 'integer' };
+        case 'bit':
+            return { type: 'integer', minimum: 0 };
+        case 'decimal':
+            return getDecimalSchema(column, mapper.options.decimal);
+        case 'float':
+            return unsigned ? { type: 'number', minimum: 0 } : { type: 'number' };
+        case 'year':
+            return { type: 'integer', minimum: 1901, maximum: 2155 };
+        case 'date':
+            return data_type === 'date'
+                ? { type: 'string', format: 'date' }
+                : { type: 'string', pattern: DATETIME_PATTERN };
+        case 'time':
+            return { type: 'string', pattern: TIME_PATTERN };
+        case 'enum':
+            return { enum: getEnumValues(column) };
+        case 'set': {
+            let values = getEnumValues(column).map(escapeRegExp).join('|');
+            return {
+                type: 'string',
+                pattern: values ? `^$|^(${values})(,(${values}))*$` : '^$',
+            };
+        }
+        case 'json':
+        case 'geometry':
+            return {};
+        case 'binary':
+            return { type: 'string', contentEncoding: 'base64' };
+        default: {
+            /** @type {Object} */
+            let schema = { type: 'string' };
+            if (column.characterMaximumLength !== null) {
+                schema.maxLength = column.characterMaximumLength;
+            }
+            return schema;
+        }
+    }
+}
+
+/**
+ * Escapes regular expression special characters
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Converts the literal default value of a column to a JSON value.
+ * Returns undefined if the column has no default or the default is an expression.
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {Object} value_schema
+ * @returns {any}
+ */
+function getColumnDefault(column, value_schema) {
+    if (column.columnDefault === null || column.columnDefault === undefined) return undefined;
+    if (/DEFAULT_GENERATED/i.test(column.extra)) return undefined;
+
+    let type = value_schema.type;
+    if (type === 'integer' || type === 'number') {
+        let value = Number(column.columnDefault);
+        return Number.isFinite(value) ? value : undefined;
+    }
+    if (type === 'boolean') return column.columnDefault !== '0';
+    if (type === 'string' || value_schema.enum) return column.columnDefault;
+    return undefined;
+}
+
+/**
+ * Converts a column to a JSON Schema property
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {TypeMapper} mapper
+ * @returns {Object}
+ */
+function convertColumnToJsonSchema(column, mapper) {
+    let value_schema = getColumnValueSchema(column, mapper);
+    /** @type {Object} */
+    let schema = { ...value_schema };
+
+    if (column.allowsNull()) {
+        if (schema.enum) {
+            schema.enum = [...schema.enum, null];
+        } else if (schema.type) {
+            schema.type = [schema.type, 'null'];
+        }
+    }
+
+    if (column.columnComment) schema.description = column.columnComment;
+
+    let default_value = getColumnDefault(column, value_schema);
+    if (default_value !== undefined) schema.default = default_value;
+
+    if (column.isGenerated !== 'NEVER' && column.isGenerated !== undefined) {
+        schema.readOnly = true;
+    }
+
+    return schema;
+}
+
+/**
+ * Converts a table to a JSON Schema document. Columns that must be supplied on insert
+ * (NOT NULL without a default, not auto-increment and not generated) are required.
+ * @param {import("./tools.js").MySQLTable} table
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @returns {Object}
+ */
+export function convertTableToJsonSchema(table, options = {}) {
+    let mapper = new TypeMapper(options.typeMapping);
+    /** @type {Object<string, Object>} */
+    let properties = {};
+    let required = [];
+
+    for (let column of table.getColumns()) {
+        properties[column.columnName] = convertColumnToJsonSchema(column, mapper);
+
+        let is_generated = column.isGenerated !== 'NEVER' && column.isGenerated !== undefined;
+        if (
+            !column.allowsNull() &&
+            column.columnDefault === null &&
+            !column.isAutoIncrement() &&
+            !is_generated
+        ) {
+            required.push(column.columnName);
+        }
+    }
+
+    return {
+        $schema: JSON_SCHEMA_DRAFT,
+        $id: `${table.getColumns()[0]?.tableSchema || 'schema'}/${table.tableName}.schema.json`,
+        title: table.tableName,
+        type: 'object',
+        properties,
+        required,
+        additionalProperties: false,
+    };
+}
+
+/**
+ * Generates the JSON Schema of the tables of a database model. A single table is converted
+ * to its own document, several tables are bundled as `$defs` of one document.
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @returns {string}
+ */
+export function generateJsonSchema(db, options = {}) {
+    let tables = Array.from(db.tables.values());
+
+    if (tables.length === 1) {
+        return JSON.stringify(convertTableToJsonSchema(tables[0], options), null, '  ');
+    }
+
+    /** @type {Object<string, Object>} */
+    let defs = {};
+    for (let table of tables) {
+        let { $schema, ...schema } = convertTableToJsonSchema(table, options);
+        defs[table.tableName] = schema;
+    }
+
+    return JSON.stringify(
+        {
+            $schema: JSON_SCHEMA_DRAFT,
+            $id: `${db.databaseName}.schema.json`,
+            title: db.databaseName,
+            $defs: defs,
+        },
+        null,
+        '  '
+    );
+}
+
+/**
+ * Converts column metadata to JSON Schema
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @returns {string}
+ */
+export function convertColumnMetadataToJsonSchema(data) {
+    if (data.length === 0) {
+        return '';
+    }
+
+    return generateJsonSchema(createDatabaseFromColumnMetadata(data));
+}
@@ -0,0 +1,99 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { convertTableToJsonSchema, generateJsonSchema } from './json_schema.js';
+import { columnRow, idColumnRow } from '../../test/_schema_rows.js';
+
+/** Columns of the types whose values JSON cannot hold as MySQL returns them */
+const ORDER_COLUMNS = [
+    idColumnRow('orders'),
+    columnRow('orders', 'total', {
+        DATA_TYPE: 'decimal',
+        COLUMN_TYPE: 'decimal(5,2)',
+        NUMERIC_PRECISION: 5,
+        NUMERIC_SCALE: 2,
+        COLUMN_DEFAULT: '0.00',
+    }),
+    columnRow('orders', 'external_id', {
+        DATA_TYPE: 'bigint',
+        COLUMN_TYPE: 'bigint unsigned',
+        IS_NULLABLE: 'YES',
+    }),
+    columnRow('orders', 'ordered_at', {
+        DATA_TYPE: 'datetime',
+        COLUMN_TYPE: 'datetime',
+        COLUMN_DEFAULT: '2020-01-01 00:00:00',
+    }),
+    columnRow('orders', 'ordered_on', { DATA_TYPE: 'date', COLUMN_TYPE: 'date' }),
+    columnRow('orders', 'opens', {
+        DATA_TYPE: 'time',
+        COLUMN_TYPE: 'time',
+        COLUMN_DEFAULT: '08:00:00',
+    }),
+    columnRow('orders', 'status', {
+        DATA_TYPE: 'enum',
+        COLUMN_TYPE: "enum('new','paid')",
+        COLUMN_DEFAULT: 'new',
+    }),
+];
+
+/**
+ * Returns the JSON Schema of the orders table
+ * @param {Parameters<typeof convertTableToJsonSchema>[1]} [options]
+ */
+function ordersSchema(options) {
+    let db = createDatabaseModel('shop', { columns: ORDER_COLUMNS });
+    return convertTableToJsonSchema(db.tables.get('orders'), options);
+}
+
+test('BIGINT and DECIMAL values are strings by default', t => {
+    let { properties } = ordersSchema();
+    t.deepEqual(properties.total, {
+        type: 'string',
+        pattern: '^-?\\d{1,3}(\\.\\d{1,2})?$',
+        default: '0.00',
+    });
+    t.deepEqual(properties.external_id, { type: ['string', 'null'], pattern: '^\\d+$' });
+    t.regex(properties.total.default, new RegExp(properties.total.pattern));
+});
+
+test('BIGINT and DECIMAL values are numbers as the type mapping says', t => {
+    let { properties } = ordersSchema({
+        typeMapping: { bigint: 'number', decimal: 'number' },
+    });
+    t.deepEqual(properties.total, {
+        type: 'number',
+        minimum: -999.99,
+        maximum: 999.99,
+        default: 0,
+    });
+    t.deepEqual(properties.external_id, { type: ['integer', 'null'], minimum: 0 });
+});
+
+test('date and time values match the values of MySQL', t => {
+    let { properties, required } = ordersSchema();
+    let { ordered_at, ordered_on, opens } = properties;
+    t.is(ordered_at.default, '2020-01-01 00:00:00');
+    for (let value of [ordered_at.default, '2020-01-01T00:00:00.123', '2020-01-01T00:00:00.000Z']) {
+        t.regex(value, new RegExp(ordered_at.pattern));
+    }
+    t.notRegex('2020-01-01', new RegExp(ordered_at.pattern));
+    t.deepEqual(ordered_on, { type: 'string', format: 'date' });
+    t.regex(opens.default, new RegExp(opens.pattern));
+    t.regex('-838:59:59', new RegExp(opens.pattern));
+    t.deepEqual(required, ['ordered_on']);
+});
+
+test('bundles several tables as $defs', t => {
+    let db = createDatabaseModel('shop', {
+        columns: [idColumnRow('users'), idColumnRow('orders')],
+    });
+    let schema = JSON.parse(generateJsonSchema(db));
+    t.is(schema.$id, 'shop.schema.json');
+    t.deepEqual(Object.keys(schema.$defs), ['users', 'orders']);
+    t.is(schema.$defs.users.$schema, undefined);
+    t.deepEqual(schema.$defs.users.properties.id, {
+        type: 'integer',
+        minimum: 0,
+        maximum: 4294967295,
+    });
+});
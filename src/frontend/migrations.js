@@ -0,0 +1,471 @@
+// @ts-check
+
+import { getEnumValues, isUnsignedColumn } from './mysql_schema_helpers.js';
+import { quoteIdentifier } from './tools.js';
+
+/**
+ * File of a migration
+ * @typedef {Object} MigrationFile
+ * @property {string} name File name, e.g. "20240101120000_initial_schema.js"
+ * @property {string} content
+ */
+
+/**
+ * Tables in the order they can be created in
+ * @typedef {Object} TableCreationOrder
+ * @property {import("./tools.js").MySQLTable[]} tables Referenced tables come before the
+ * tables that reference them
+ * @property {import("./tools.js").MySQLForeignKey[]} deferredForeignKeys Foreign keys of
+ * circular references, which can only be added once all tables exist
+ */
+
+/** Output formats of the migration generator */
+export const MIGRATION_FORMATS = ['knex', 'sql'];
+
+/** Knex column builders of the types they create exactly */
+const KNEX_COLUMN_BUILDERS = {
+    tinyint: 'tinyint',
+    smallint: 'smallint',
+    mediumint: 'mediumint',
+    int: 'integer',
+    bigint: 'bigInteger',
+    text: 'text',
+    date: 'date',
+    json: 'json',
+};
+
+/** Knex referential actions by MySQL rule; RESTRICT is the default and is left out */
+const KNEX_REFERENTIAL_ACTIONS = ['CASCADE', 'SET NULL', 'SET DEFAULT', 'NO ACTION'];
+
+/**
+ * Orders the tables so that every table comes after the tables it references. Tables of a
+ * circular reference are created without the foreign keys that close the circle.
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @returns {TableCreationOrder}
+ */
+export function sortTablesByForeignKeys(db) {
+    let remaining = Array.from(db.tables.values());
+    /** @type {import("./tools.js").MySQLTable[]} */
+    let tables = [];
+    /** @type {import("./tools.js").MySQLForeignKey[]} */
+    let deferred_foreign_keys = [];
+    let created = new Set();
+
+    /**
+     * Returns the foreign keys of a table that reference a table of the set not created yet
+     * @param {import("./tools.js").MySQLTable} table
+     */
+    const getPendingForeignKeys = table =>
+        table.foreignKeys.filter(
+            fk =>
+                fk.referencedTableName !== table.tableName &&
+                fk.referencedTableSchema === db.databaseName &&
+                db.tables.has(fk.referencedTableName) &&
+                !created.has(fk.referencedTableName)
+        );
+
+    while (remaining.length > 0) {
+        let next = remaining.find(table => getPendingForeignKeys(table).length === 0);
+        if (!next) {
+            // Every remaining table waits for another one: break the circle at the first table
+            next = remaining[0];
+            deferred_foreign_keys.push(...getPendingForeignKeys(next));
+        }
+        tables.push(next);
+        created.add(next.tableName);
+        remaining = remaining.filter(table => table !== next);
+    }
+
+    return { tables, deferredForeignKeys: deferred_foreign_keys };
+}
+
+/**
+ * Formats a date as the timestamp prefix of migration files, e.g. "20240101120000"
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatMigrationTimestamp(date) {
+    let pad = (/** @type {number} */ value) => String(value).padStart(2, '0');
+    return (
+        String(date.getFullYear()) +
+        pad(date.getMonth() + 1) +
+        pad(date.getDate()) +
+        pad(date.getHours()) +
+        pad(date.getMinutes()) +
+        pad(date.getSeconds())
+    );
+}
+
+/**
+ * Generates the ALTER TABLE statement that adds a foreign key
+ * @param {import("./tools.js").MySQLForeignKey} fk
+ * @returns {string}
+ */
+function getAddForeignKeySql(fk) {
+    return `ALTER TABLE ${quoteIdentifier(fk.tableName)} ADD ${fk.getConstraintDefinition()};`;
+}
+
+/**
+ * Generates the ALTER TABLE statement that drops a foreign key
+ * @param {import("./tools.js").MySQLForeignKey} fk
+ * @returns {string}
+ */
+function getDropForeignKeySql(fk) {
+    return `ALTER TABLE ${quoteIdentifier(fk.tableName)} DROP FOREIGN KEY ${quoteIdentifier(fk.constraintName)};`;
+}
+
+/**
+ * Generates the up and down SQL of the initial migration of the tables
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @returns {{up: string, down: string}}
+ */
+export function generateSqlMigration(db) {
+    let { tables, deferredForeignKeys } = sortTablesByForeignKeys(db);
+
+    let up = [];
+    for (let table of tables) {
+        let query = table.generateCreateTableQuery({ foreignKeys: false });
+        let constraints = table.foreignKeys
+            .filter(fk => !deferredForeignKeys.includes(fk))
+            .map(fk => fk.getConstraintDefinition());
+        if (constraints.length > 0) {
+            // Insert the constraints after the last key definition
+            let end = query.lastIndexOf('\n)');
+            query = `${query.slice(0, end)},\n  ${constraints.join(',\n  ')}${query.slice(end)}`;
+        }
+        up.push(query);
+    }
+    up.push(...deferredForeignKeys.map(getAddForeignKeySql));
+
+    let down = deferredForeignKeys.map(getDropForeignKeySql);
+    for (let table of [...tables].reverse()) {
+        down.push(`DROP TABLE ${quoteIdentifier(table.tableName)};`);
+    }
+
+    return { up: up.join('\n\n') + '\n', down: down.join('\n') + '\n' };
+}
+
+/**
+ * Returns a JavaScript string literal
+ * @param {string} str
+ * @returns {string}
+ */
+function quoteJsString(str) {
+    return `'${str.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+}
+
+/**
+ * Returns the Knex builder call that creates a column, e.g. "table.string('email', 191)".
+ * Types Knex cannot express exactly are created with specificType.
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {boolean} single_primary Whether the column is the only primary key column
+ * @returns {{call: string, typed: boolean, primary: boolean}} The call, whether the type
+ * accepts unsigned(), and whether the call creates the primary key
+ */
+function getKnexColumnCall(column, single_primary) {
+    let name = quoteJsString(column.columnName);
+    let data_type = column.dataType.toLowerCase();
+    let column_type = column.columnType.toLowerCase();
+    let size = /\((\d+)(?:,\s*(\d+))?\)/.exec(column_type);
+    let unsigned = isUnsignedColumn(column);
+
+    if (column.isAutoIncrement() && single_primary && unsigned) {
+        if (data_type === 'int')
+            return { call: `table.increments(${name})`, typed: false, primary: true };
+        if (data_type === 'bigint')
+            return { call: `table.bigIncrements(${name})`, typed: false, primary: true };
+    }
+    if (column.isAutoIncrement()) {
+        // MySQL requires the key of an AUTO_INCREMENT column in the same statement
+        let type = `${column.columnType} AUTO_INCREMENT${single_primary ? ' PRIMARY KEY' : ''}`;
+        return {
+            call: `table.specificType(${name}, ${quoteJsString(type)})`,
+            typed: false,
+            primary: single_primary,
+        };
+    }
+    if (column.generationExpression && column.isGenerated && column.isGenerated !== 'NEVER') {
+        let storage = /STORED/i.test(column.extra) ? 'STORED' : 'VIRTUAL';
+        let type = `${column.columnType} GENERATED ALWAYS AS (${column.generationExpression}) ${storage}`;
+        return {
+            call: `table.specificType(${name}, ${quoteJsString(type)})`,
+            typed: false,
+            primary: false,
+        };
+    }
+
+    if (column_type.startsWith('tinyint(1)') && !unsigned) {
+        return { call: `table.boolean(${name})`, typed: false, primary: false };
+    }
+    if (KNEX_COLUMN_BUILDERS[data_type]) {
+        return {
+            call: `table.${KNEX_COLUMN_BUILDERS[data_type]}(${name})`,
+            typed: true,
+            primary: false,
+        };
+    }
+    switch (data_type) {
+        case 'varchar':
+            return {
+                call: `table.string(${name}, ${size ? size[1] : 255})`,
+                typed: false,
+                primary: false,
+            };
+        case 'decimal':
+            return {
+                call: `table.decimal(${name}, ${size ? size[1] : 10}, ${size && size[2] ? size[2] : 0})`,
+                typed: true,
+                primary: false,
+            };
+        case 'mediumtext':
+        case 'longtext':
+            return { call: `table.text(${name}, '${data_type}')`, typed: false, primary: false };
+        case 'time':
+            if (size) break;
+            return { call: `table.time(${name})`, typed: false, primary: false };
+        case 'datetime':
+        case 'timestamp': {
+            let precision = size ? `, { precision: ${size[1]} }` : '';
+            return {
+                call: `table.${data_type}(${name}${precision})`,
+                typed: false,
+                primary: false,
+            };
+        }
+        case 'enum': {
+            let values = getEnumValues(column).map(quoteJsString).join(', ');
+            return { call: `table.enu(${name}, [${values}])`, typed: false, primary: false };
+        }
+    }
+    return {
+        call: `table.specificType(${name}, ${quoteJsString(column.columnType)})`,
+        typed: false,
+        primary: false,
+    };
+}
+
+/**
+ * Returns the argument of defaultTo() for the default value of a column
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @returns {string|null} null if the column has no default
+ */
+function getKnexDefault(column) {
+    let value = column.columnDefault;
+    if (value === null) return null;
+    if (/DEFAULT_GENERATED/i.test(column.extra) || /^current_timestamp(\(\d*\))?$/i.test(value)) {
+        let expression = /^current_timestamp/i.test(value) ? value.toUpperCase() : `(${value})`;
+        let on_update = /on update (CURRENT_TIMESTAMP(\(\d*\))?)/i.exec(column.extra);
+        if (on_update) expression += ` ON UPDATE ${on_update[1].toUpperCase()}`;
+        return `knex.raw(${quoteJsString(expression)})`;
+    }
+
+    // MariaDB returns string defaults quoted
+    let quoted = /^'(.*)'$/s.exec(value);
+    if (quoted) value = quoted[1].replace(/''/g, "'");
+
+    let data_type = column.dataType.toLowerCase();
+    if (column.columnType.toLowerCase().startsWith('tinyint(1)')) {
+        return value === '0' ? 'false' : 'true';
+    }
+    if (/int$|^decimal$|^float$|^double$/.test(data_type) && /^-?\d+(\.\d+)?$/.test(value)) {
+        return value;
+    }
+    return quoteJsString(value);
+}
+
+/**
+ * Returns the Knex builder statements of a column
+ * @param {import("./tools.js").MySQLTable} table
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {boolean} single_primary Whether the column is the only primary key column
+ * @returns {{statement: string, primary: boolean}}
+ */
+function getKnexColumnStatement(table, column, single_primary) {
+    let { call, typed, primary } = getKnexColumnCall(column, single_primary);
+    let modifiers = [];
+    if (typed && isUnsignedColumn(column)) modifiers.push('.unsigned()');
+    if (!primary) modifiers.push(column.allowsNull() ? '.nullable()' : '.notNullable()');
+
+    let default_value = getKnexDefault(column);
+    if (default_value !== null) modifiers.push(`.defaultTo(${default_value})`);
+    if (
+        column.collationName &&
+        table.tableCollation &&
+        column.collationName !== table.tableCollation
+    ) {
+        modifiers.push(`.collate(${quoteJsString(column.collationName)})`);
+    }
+    if (column.columnComment) modifiers.push(`.comment(${quoteJsString(column.columnComment)})`);
+
+    return { statement: `${call}${modifiers.join('')};`, primary };
+}
+
+/**
+ * Returns the Knex statement that adds a foreign key inside a table builder
+ * @param {import("./tools.js").MySQLForeignKey} fk
+ * @returns {string}
+ */
+function getKnexForeignKeyStatement(fk) {
+    let columns = fk.columnNames.map(quoteJsString).join(', ');
+    let references = fk.referencedColumnNames.map(quoteJsString).join(', ');
+    let statement = `table.foreign([${columns}], ${quoteJsString(fk.constraintName)}).references([${references}]).inTable(${quoteJsString(fk.referencedTableName)})`;
+    if (KNEX_REFERENTIAL_ACTIONS.includes(fk.deleteRule))
+        statement += `.onDelete('${fk.deleteRule}')`;
+    if (KNEX_REFERENTIAL_ACTIONS.includes(fk.updateRule))
+        statement += `.onUpdate('${fk.updateRule}')`;
+    return statement + ';';
+}
+
+/**
+ * Generates the Knex createTable call of a table. Keys Knex cannot express (prefix,
+ * descending and functional key parts) are added with raw statements.
+ * @param {import("./tools.js").MySQLTable} table
+ * @param {import("./tools.js").MySQLForeignKey[]} deferred_foreign_keys
+ * @returns {string[]} Lines of the up function
+ */
+function generateKnexCreateTable(table, deferred_foreign_keys) {
+    let primary_index = table.indexes.find(index => index.isPrimary());
+    let primary_columns = primary_index
+        ? primary_index.getColumnNames()
+        : table
+              .getColumns()
+              .filter(column => column.isPrimaryKey())
+              .map(column => column.columnName);
+
+    let body = [];
+    let has_primary = false;
+    for (let column of table.getColumns()) {
+        let single_primary =
+            primary_columns.length === 1 && primary_columns[0] === column.columnName;
+        let { statement, primary } = getKnexColumnStatement(table, column, single_primary);
+        body.push(statement);
+        if (primary) has_primary = true;
+    }
+    if (!has_primary && primary_columns.length > 0) {
+        body.push(`table.primary([${primary_columns.map(quoteJsString).join(', ')}]);`);
+    }
+
+    let raw = [];
+    let table_name = quoteIdentifier(table.tableName);
+    for (let index of table.indexes) {
+        if (index.isPrimary()) continue;
+        let plain = index.columns.every(
+            part => part.columnName !== null && !part.subPart && !part.descending
+        );
+        if (!plain || index.comment || !index.visible || index.indexType === 'HASH') {
+            raw.push(
+                `await knex.raw(${quoteJsString(`ALTER TABLE ${table_name} ADD ${index.getIndexDefinition()}`)});`
+            );
+            continue;
+        }
+        let columns = `[${index.getColumnNames().map(quoteJsString).join(', ')}]`;
+        let name = quoteJsString(index.indexName);
+        if (index.indexType === 'FULLTEXT' || index.indexType === 'SPATIAL') {
+            body.push(`table.index(${columns}, ${name}, { indexType: '${index.indexType}' });`);
+        } else if (index.unique) {
+            body.push(`table.unique(${columns}, { indexName: ${name} });`);
+        } else {
+            body.push(`table.index(${columns}, ${name});`);
+        }
+    }
+    if (table.indexes.length === 0) {
+        for (let column of table.getColumns()) {
+            let name = quoteJsString(column.columnName);
+            if (column.columnKey === 'UNI') body.push(`table.unique([${name}]);`);
+            else if (column.columnKey === 'MUL') body.push(`table.index([${name}]);`);
+        }
+    }
+
+    for (let fk of table.foreignKeys) {
+        if (!deferred_foreign_keys.includes(fk)) body.push(getKnexForeignKeyStatement(fk));
+    }
+
+    if (table.engine) body.push(`table.engine(${quoteJsString(table.engine)});`);
+    let charset = table.getTableCharset();
+    if (charset) body.push(`table.charset(${quoteJsString(charset)});`);
+    if (table.tableCollation) body.push(`table.collate(${quoteJsString(table.tableCollation)});`);
+    if (table.tableComment) body.push(`table.comment(${quoteJsString(table.tableComment)});`);
+
+    return [
+        `    await knex.schema.createTable(${quoteJsString(table.tableName)}, table => {`,
+        ...body.map(line => `        ${line}`),
+        '    });',
+        ...raw.map(line => `    ${line}`),
+    ];
+}
+
+/**
+ * Generates a Knex migration that creates the tables, with a down function that drops them
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @returns {string}
+ */
+export function generateKnexMigration(db) {
+    let { tables, deferredForeignKeys } = sortTablesByForeignKeys(db);
+
+    let up = [];
+    for (let table of tables) up.push(...generateKnexCreateTable(table, deferredForeignKeys));
+    for (let fk of deferredForeignKeys) {
+        up.push(`    await knex.schema.alterTable(${quoteJsString(fk.tableName)}, table => {`);
+        up.push(`        ${getKnexForeignKeyStatement(fk)}`);
+        up.push('    });');
+    }
+
+    let down = [];
+    for (let fk of deferredForeignKeys) {
+        down.push(
+            `    await knex.schema.alterTable(${quoteJsString(fk.tableName)}, table => {`,
+            `        table.dropForeign([], ${quoteJsString(fk.constraintName)});`,
+            '    });'
+        );
+    }
+    for (let table of [...tables].reverse()) {
+        down.push(`    await knex.schema.dropTable(${quoteJsString(table.tableName)});`);
+    }
+
+    return [
+        '/**',
+        ' * @param {import("knex").Knex} knex',
+        ' * @returns {Promise<void>}',
+        ' */',
+        'exports.up = async function (knex) {',
+        ...up,
+        '};',
+        '',
+        '/**',
+        ' * @param {import("knex").Knex} knex',
+        ' * @returns {Promise<void>}',
+        ' */',
+        'exports.down = async function (knex) {',
+        ...down,
+        '};',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Creates the files of the initial migration of the tables: a Knex migration, or an up and
+ * a down SQL file. File names start with the timestamp, as migration tools expect.
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {string} [options.format="knex"] One of MIGRATION_FORMATS
+ * @param {string} [options.name="initial_schema"] Name of the migration
+ * @param {Date} [options.date] Time of the migration, default is now
+ * @returns {MigrationFile[]}
+ * @throws {Error} If the format is unknown
+ */
+export function createMigrationFiles(db, options = {}) {
+    let format = options.format || 'knex';
+    let prefix = `${formatMigrationTimestamp(options.date || new Date())}_${options.name || 'initial_schema'}`;
+
+    if (format === 'knex') {
+        return [{ name: `${prefix}.js`, content: generateKnexMigration(db) }];
+    }
+    if (format === 'sql') {
+        let { up, down } = generateSqlMigration(db);
+        return [
+            { name: `${prefix}.up.sql`, content: up },
+            { name: `${prefix}.down.sql`, content: down },
+        ];
+    }
+    throw new Error(`Unknown migration format "${format}"`);
+}
@@ -0,0 +1,113 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import {
+    createMigrationFiles,
+    generateKnexMigration,
+    generateSqlMigration,
+    sortTablesByForeignKeys,
+} from './migrations.js';
+import { columnRow, foreignKeyRow, idColumnRow, indexRows } from '../../test/_schema_rows.js';
+
+/** Orders listed before the users they reference, with the defaults migrations must quote */
+function introspectOrdersAndUsers() {
+    return createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('orders'),
+            columnRow('orders', 'user_id', { COLUMN_TYPE: 'int unsigned' }),
+            columnRow('orders', 'ordered_on', {
+                DATA_TYPE: 'date',
+                COLUMN_TYPE: 'date',
+                COLUMN_DEFAULT: '2000-01-01',
+            }),
+            idColumnRow('users'),
+            columnRow('users', 'email', { DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(100)' }),
+            columnRow('users', 'label', {
+                DATA_TYPE: 'varchar',
+                COLUMN_TYPE: 'varchar(110)',
+                IS_GENERATED: 'ALWAYS',
+                EXTRA: 'STORED GENERATED',
+                GENERATION_EXPRESSION: "concat(`email`,_utf8mb4\\' \\')",
+            }),
+        ],
+        indexes: [
+            ...indexRows('orders', 'PRIMARY', ['id']),
+            ...indexRows('orders', 'fk_orders_user_id', ['user_id']),
+            ...indexRows('users', 'PRIMARY', ['id']),
+        ],
+        foreignKeys: [foreignKeyRow('orders', 'user_id', 'users')],
+    });
+}
+
+test('creates referenced tables first', t => {
+    let { tables, deferredForeignKeys } = sortTablesByForeignKeys(introspectOrdersAndUsers());
+    t.deepEqual(
+        tables.map(table => table.tableName),
+        ['users', 'orders']
+    );
+    t.deepEqual(deferredForeignKeys, []);
+});
+
+test('defers the foreign keys of circular references', t => {
+    let db = createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('a'),
+            columnRow('a', 'b_id', { COLUMN_TYPE: 'int unsigned' }),
+            idColumnRow('b'),
+            columnRow('b', 'a_id', { COLUMN_TYPE: 'int unsigned' }),
+        ],
+        foreignKeys: [foreignKeyRow('a', 'b_id', 'b'), foreignKeyRow('b', 'a_id', 'a')],
+    });
+
+    let { up, down } = generateSqlMigration(db);
+    t.true(
+        up.endsWith(
+            'ALTER TABLE `a` ADD CONSTRAINT `fk_a_b_id` FOREIGN KEY (`b_id`) REFERENCES `b` (`id`) ON DELETE CASCADE;\n'
+        )
+    );
+    t.true(
+        down.startsWith(
+            'ALTER TABLE `a` DROP FOREIGN KEY `fk_a_b_id`;\nDROP TABLE `b`;\nDROP TABLE `a`;'
+        )
+    );
+});
+
+test('SQL migration quotes date defaults and unescapes generation expressions', t => {
+    let { up, down } = generateSqlMigration(introspectOrdersAndUsers());
+    t.regex(up, /`ordered_on` date NOT NULL DEFAULT '2000-01-01'/);
+    t.true(
+        up.includes(
+            "`label` varchar(110) GENERATED ALWAYS AS (concat(`email`,_utf8mb4' ')) STORED NOT NULL"
+        )
+    );
+    t.true(up.indexOf('CREATE TABLE `users`') < up.indexOf('CREATE TABLE `orders`'));
+    t.is(down, 'DROP TABLE `orders`;\nDROP TABLE `users`;\n');
+});
+
+test('Knex migration quotes date defaults and unescapes generation expressions', t => {
+    let migration = generateKnexMigration(introspectOrdersAndUsers());
+    t.true(migration.includes("table.date('ordered_on').notNullable().defaultTo('2000-01-01');"));
+    t.true(
+        migration.includes(
+            "table.specificType('label', 'varchar(110) GENERATED ALWAYS AS (concat(`email`,_utf8mb4\\' \\')) STORED')"
+        )
+    );
+});
+
+test('names the migration files after the timestamp', t => {
+    let date = new Date(2024, 0, 2, 3, 4, 5);
+    t.deepEqual(
+        createMigrationFiles(introspectOrdersAndUsers(), { format: 'sql', date }).map(
+            file => file.name
+        ),
+        ['20240102030405_initial_schema.up.sql', '20240102030405_initial_schema.down.sql']
+    );
+    t.deepEqual(
+        createMigrationFiles(introspectOrdersAndUsers(), { name: 'init', date }).map(
+            file => file.name
+        ),
+        ['20240102030405_init.js']
+    );
+    t.throws(() => createMigrationFiles(introspectOrdersAndUsers(), { format: 'yaml' }), {
+        message: 'Unknown migration format "yaml"',
+    });
+});
@@ -1,8 +1,17 @@
 // @ts-check
 
+/**
+ * Column properties the helpers read. The columns of ./tools.js and of the schema parser
+ * package both have them.
+ * @typedef {Object} ColumnTypeInfo
+ * @property {string} columnName
+ * @property {string} dataType
+ * @property {string} columnType
+ */
+
 /**
  * Detects the type of a column
- * @param {import("@supercat1337/mysql-schema-parser").MySQLTableColumn} column - The column to get the type of
+ * @param {ColumnTypeInfo} column - The column to get the type of
  * @returns {"bit"|"integer"|"string"|"float"} The column type
  */
 export function detectFieldTypeByColumnType(column) {
@@ -17,21 +26,18 @@ export function detectFieldTypeByColumnType(column) {
 
 /**
  * Checks if a column has an integer data type
- * @param {import("@supercat1337/mysql-schema-parser").MySQLTableColumn} column - The column to check
+ * @param {ColumnTypeInfo} column - The column to check
  * @returns {boolean} - True if the column has an integer data type, false otherwise
  */
 export function hasIntegerDataType(column) {
     // INTEGER, INT, SMALLINT, TINYINT, MEDIUMINT, BIGINT
     let dataType = column.dataType.toLowerCase();
-
-    if (/bigint/.test(dataType)) throw new Error('bigint not supported');
-
     return /integer|int|smallint|tinyint|mediumint|bigint/.test(dataType);
 }
 
 /**
  * Checks if a column has a boolean data type
- * @param {import("@supercat1337/mysql-schema-parser").MySQLTableColumn} column - The column to check
+ * @param {ColumnTypeInfo} column - The column to check
  * @returns {boolean} - True if the column has a boolean data type, false otherwise
  */
 export function hasBooleanDataType(column) {
@@ -46,7 +52,7 @@ export function hasBooleanDataType(column) {
 
 /**
  * Checks if a column has a float data type
- * @param {import("@supercat1337/mysql-schema-parser").MySQLTableColumn} column - The column to check
+ * @param {ColumnTypeInfo} column - The column to check
  * @returns {boolean} - True if the column has a float data type, false otherwise
  */
 export function hasFloatDataType(column) {
@@ -56,7 +62,7 @@ export function hasFloatDataType(column) {
 
 /**
  * Checks if a column has a string data type
- * @param {import("@supercat1337/mysql-schema-parser").MySQLTableColumn} column - The column to check
+ * @param {ColumnTypeInfo} column - The column to check
  * @returns {boolean} - True if the column has a string data type, false otherwise
  */
 export function hasStringDataType(column) {
@@ -66,10 +72,37 @@ export function hasStringDataType(column) {
 
 /**
  * Checks if a column has a date-related data type.
- * @param {import("@supercat1337/mysql-schema-parser").MySQLTableColumn} column - The column to check.
+ * @param {ColumnTypeInfo} column - The column to check.
  * @returns {boolean} - True if the column has a date-related data type, false otherwise.
  */
 export function hasDateDataType(column) {
     let dataType = column.dataType.toLowerCase();
     return /date|time|datetime|timestamp/.test(dataType);
 }
+
+/**
+ * Returns the list of values of an ENUM or SET column.
+ * @param {ColumnTypeInfo} column - The column to parse.
+ * @returns {string[]} - The allowed values, or an empty array if the column is not an ENUM or SET.
+ */
+export function getEnumValues(column) {
+    let match = /^(?:enum|set)\((.*)\)$/i.exec(column.columnType);
+    if (!match) return [];
+
+    let values = [];
+    let re = /'((?:[^']|'')*)'/g;
+    let item;
+    while ((item = re.exec(match[1])) !== null) {
+        values.push(item[1].replace(/''/g, "'").replace(/\\\\/g, '\\'));
+    }
+    return values;
+}
+
+/**
+ * Checks if a column is unsigned.
+ * @param {ColumnTypeInfo} column - The column to check.
+ * @returns {boolean} - True if the column type is unsigned, false otherwise.
+ */
+export function isUnsignedColumn(column) {
+    return /\bunsigned\b/i.test(column.columnType);
+}
@@ -0,0 +1,408 @@
+// @ts-check
+
+/**
+ * Splits a name into lower case words at underscores, dashes, spaces, dots and
+ * camelCase humps, e.g. "order_items", "orderItems" and "OrderItems" to ["order", "items"]
+ * @param {string} name
+ * @returns {string[]}
+ */
+export function splitWords(name) {
+    return String(name)
+        .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+        .split(/[^A-Za-z\d]+/)
+        .filter(word => word !== '')
+        .map(word => word.toLowerCase());
+}
+
+/**
+ * Returns the name in camelCase, e.g. "orderItems"
+ * @param {string} name
+ * @returns {string}
+ */
+export function camelCase(name) {
+    return splitWords(name)
+        .map((word, i) => (i === 0 ? word : word.charAt(0).toUpperCase() + word.slice(1)))
+        .join('');
+}
+
+/**
+ * Returns the name in PascalCase, e.g. "OrderItems"
+ * @param {string} name
+ * @returns {string}
+ */
+export function pascalCase(name) {
+    return splitWords(name)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+/**
+ * Returns the name in snake_case, e.g. "order_items"
+ * @param {string} name
+ * @returns {string}
+ */
+export function snakeCase(name) {
+    return splitWords(name).join('_');
+}
+
+/** Irregular English plurals by singular */
+const IRREGULAR_PLURALS = {
+    person: 'people',
+    child: 'children',
+    man: 'men',
+    woman: 'women',
+    mouse: 'mice',
+    goose: 'geese',
+    tooth: 'teeth',
+    foot: 'feet',
+    ox: 'oxen',
+    quiz: 'quizzes',
+    leaf: 'leaves',
+    half: 'halves',
+    shelf: 'shelves',
+    thief: 'thieves',
+    wolf: 'wolves',
+    knife: 'knives',
+    life: 'lives',
+    wife: 'wives',
+    analysis: 'analyses',
+    crisis: 'crises',
+    thesis: 'theses',
+    criterion: 'criteria',
+    phenomenon: 'phenomena',
+};
+
+/** Words ending in "ie", whose plural ends in "ies" like the plural of words ending in "y" */
+const IE_WORDS = [
+    'auntie',
+    'brownie',
+    'calorie',
+    'cookie',
+    'die',
+    'freebie',
+    'goalie',
+    'hoodie',
+    'lie',
+    'movie',
+    'newbie',
+    'pie',
+    'prairie',
+    'rookie',
+    'selfie',
+    'smoothie',
+    'sortie',
+    'tie',
+    'zombie',
+];
+
+/** Words with the same singular and plural */
+const UNCOUNTABLE_WORDS = [
+    'data',
+    'info',
+    'information',
+    'media',
+    'metadata',
+    'news',
+    'series',
+    'settings',
+    'species',
+    'staff',
+];
+
+/**
+ * Applies a word transformation to the last word of a name and keeps the case of the
+ * first letter, so "order_items" gives "order_item" and "Users" gives "User"
+ * @param {string} name
+ * @param {(word: string) => string} transform Transformation of a lower case word
+ * @returns {string}
+ */
+function transformLastWord(name, transform) {
+    let match = /([A-Za-z]+)$/.exec(name);
+    if (!match) return name;
+
+    let word = match[1];
+    // The last hump of a camelCase name, e.g. "Items" of "OrderItems"
+    let hump = /[A-Z]?[a-z]+$/.exec(word);
+    if (hump) word = hump[0];
+
+    let lower = word.toLowerCase();
+    let result = UNCOUNTABLE_WORDS.includes(lower) ? lower : transform(lower);
+    if (word === word.toUpperCase() && word.length > 1) {
+        result = result.toUpperCase();
+    } else if (word.charAt(0) !== lower.charAt(0)) {
+        result = result.charAt(0).toUpperCase() + result.slice(1);
+    }
+    return name.slice(0, name.length - word.length) + result;
+}
+
+/**
+ * Returns the singular of an English name, e.g. "users" to "user", "categories" to
+ * "category", "movies" to "movie" and "order_items" to "order_item". Names that are singular
+ * already stay as they are.
+ * @param {string} name
+ * @returns {string}
+ */
+export function singularize(name) {
+    return transformLastWord(name, word => {
+        for (let [singular, plural] of Object.entries(IRREGULAR_PLURALS)) {
+            if (word === plural) return singular;
+        }
+        if (IE_WORDS.includes(word.slice(0, -1))) return word.slice(0, -1);
+        if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+        if (/(ss|[^aeiou]us|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+        if (/(ss|us|is)$/.test(word)) return word;
+        if (/s$/.test(word) && word.length > 1) return word.slice(0, -1);
+        return word;
+    });
+}
+
+/**
+ * Returns the plural of an English name, e.g. "user" to "users" and "category" to "categories"
+ * @param {string} name
+ * @returns {string}
+ */
+export function pluralize(name) {
+    return transformLastWord(name, word => {
+        if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+        if (Object.values(IRREGULAR_PLURALS).includes(word)) return word;
+        if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+        if (/(s|sh|ch|x|z)$/.test(word)) return word + 'es';
+        return word + 's';
+    });
+}
+
+/**
+ * Case of generated names. "preserve" keeps the database name.
+ * @typedef {'camelCase'|'PascalCase'|'snake_case'|'preserve'} NameCase
+ */
+
+/**
+ * How generated identifiers are derived from table and column names
+ * @typedef {Object} NamingOptions
+ * @property {NameCase} [classes] Class, interface and model names
+ * @property {NameCase} [properties] Property names, and variable names of tables
+ * @property {NameCase} [files] File names of outputs written per table
+ * @property {boolean} [singular] Singular class names, e.g. "users" to "User"
+ * @property {string[]} [stripPrefixes] Table name prefixes left out of the names, e.g. "tbl_"
+ * @property {Object<string, string>} [tables] Class name per table, used as it is
+ * @property {Object<string, string>} [columns] Property name per column, keyed by "table.column"
+ */
+
+/** @type {Required<Omit<NamingOptions, 'tables'|'columns'>>} */
+export const defaultNaming = {
+    classes: 'PascalCase',
+    properties: 'preserve',
+    files: 'preserve',
+    singular: false,
+    stripPrefixes: [],
+};
+
+/** Allowed values of the name cases */
+const NAME_CASES = ['camelCase', 'PascalCase', 'snake_case', 'preserve'];
+
+/**
+ * Reserved words of JavaScript and TypeScript type names, which cannot name a variable,
+ * class or interface
+ */
+const RESERVED_WORDS = new Set(
+    (
+        'arguments await break case catch class const continue debugger default delete do ' +
+        'else enum eval export extends false finally for function if implements import in ' +
+        'instanceof interface let new null package private protected public return static ' +
+        'super switch this throw true try typeof var void while with yield ' +
+        'any bigint boolean never number object string symbol undefined unknown'
+    ).split(' ')
+);
+
+/** Global classes a generated class would shadow, e.g. a table named "date" */
+const GLOBAL_CLASS_NAMES = new Set(
+    (
+        'Array BigInt Boolean Buffer Date Error Function JSON Map Math Number Object ' +
+        'Promise RegExp Set String Symbol'
+    ).split(' ')
+);
+
+/**
+ * Validates naming options, e.g. loaded from a config file
+ * @param {any} obj
+ * @returns {NamingOptions}
+ * @throws {Error} If an option is unknown or has an invalid value
+ */
+export function assertNamingOptions(obj) {
+    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+        throw new Error('Naming options must be an object');
+    }
+    for (const [key, value] of Object.entries(obj)) {
+        if (key === 'classes' || key === 'properties' || key === 'files') {
+            if (!NAME_CASES.includes(value)) {
+                throw new Error(`Naming "${key}" must be one of: ${NAME_CASES.join(', ')}`);
+            }
+        } else if (key === 'singular') {
+            if (typeof value !== 'boolean') throw new Error('Naming "singular" must be a boolean');
+        } else if (key === 'stripPrefixes') {
+            if (!Array.isArray(value) || value.some(prefix => typeof prefix !== 'string')) {
+                throw new Error('Naming "stripPrefixes" must be an array of strings');
+            }
+        } else if (key === 'tables' || key === 'columns') {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                throw new Error(`Naming "${key}" must be an object`);
+            }
+            for (const [name, renamed] of Object.entries(value)) {
+                if (typeof renamed !== 'string' || renamed === '') {
+                    throw new Error(`Naming "${key}.${name}" must be a non-empty string`);
+                }
+            }
+        } else {
+            throw new Error(`Unknown naming option "${key}"`);
+        }
+    }
+    return obj;
+}
+
+/**
+ * Converts a name to a case
+ * @param {string} name
+ * @param {NameCase} name_case
+ * @returns {string}
+ */
+export function convertCase(name, name_case) {
+    switch (name_case) {
+        case 'camelCase':
+            return camelCase(name);
+        case 'PascalCase':
+            return pascalCase(name);
+        case 'snake_case':
+            return snakeCase(name);
+        default:
+            return name;
+    }
+}
+
+/**
+ * Checks whether a name can be used as a JavaScript variable or class name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidIdentifier(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) && !RESERVED_WORDS.has(name);
+}
+
+/**
+ * Turns a name into a valid identifier: other characters become "_", a leading digit
+ * gets a "_" before and reserved words a "_" after it, e.g. "order-id" to "order_id",
+ * "2fa" to "_2fa" and "delete" to "delete_"
+ * @param {string} name
+ * @returns {string}
+ */
+export function toIdentifier(name) {
+    let result = name.replace(/[^\w$]/g, '_');
+    if (result === '' || /^\d/.test(result)) result = '_' + result;
+    return RESERVED_WORDS.has(result) ? result + '_' : result;
+}
+
+/**
+ * Derives the names of generated code from table and column names. All generators use
+ * it, so a table gets the same class name in every output.
+ */
+export class NameMapper {
+    /**
+     * @type {Required<NamingOptions>}
+     */
+    options;
+
+    /**
+     * Column per property name of the columns named so far, by table name
+     * @type {Map<string, Map<string, string>>}
+     */
+    #propertyColumns = new Map();
+
+    /**
+     * @param {NamingOptions} [options] Overrides of the default naming
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...defaultNaming,
+            ...options,
+            tables: { ...options.tables },
+            columns: { ...options.columns },
+        };
+    }
+
+    /**
+     * Returns the table name without the first matching prefix of stripPrefixes
+     * @param {string} table_name
+     * @returns {string}
+     */
+    stripPrefix(table_name) {
+        for (let prefix of this.options.stripPrefixes) {
+            if (prefix !== '' && table_name.startsWith(prefix) && table_name !== prefix) {
+                return table_name.slice(prefix.length);
+            }
+        }
+        return table_name;
+    }
+
+    /**
+     * Returns the class, interface or model name of a table, e.g. "OrderItems"
+     * @param {string} table_name
+     * @returns {string}
+     */
+    getClassName(table_name) {
+        let renamed = this.options.tables[table_name];
+        if (renamed) return renamed;
+
+        let name = this.stripPrefix(table_name);
+        if (this.options.singular) name = singularize(name);
+        name = toIdentifier(convertCase(name, this.options.classes));
+        return GLOBAL_CLASS_NAMES.has(name) ? name + '_' : name;
+    }
+
+    /**
+     * Returns the property name of a column. It is not always an identifier, so code
+     * generators quote it where needed.
+     * @param {string} table_name
+     * @param {string} column_name
+     * @returns {string}
+     * @throws {Error} If another column of the table got the same property name, e.g.
+     * "order_id" and "orderId" in camelCase
+     */
+    getPropertyName(table_name, column_name) {
+        let property =
+            this.options.columns[`${table_name}.${column_name}`] ||
+            convertCase(column_name, this.options.properties);
+
+        let columns = this.#propertyColumns.get(table_name);
+        if (!columns) {
+            columns = new Map();
+            this.#propertyColumns.set(table_name, columns);
+        }
+        let other_column = columns.get(property);
+        if (other_column !== undefined && other_column !== column_name) {
+            throw new Error(
+                `Columns "${other_column}" and "${column_name}" of table "${table_name}" ` +
+                    `both map to the property "${property}", rename one in "naming.columns"`
+            );
+        }
+        columns.set(property, column_name);
+        return property;
+    }
+
+    /**
+     * Returns the name of a variable holding something of a table, e.g. "order_items"
+     * @param {string} table_name
+     * @returns {string}
+     */
+    getVariableName(table_name) {
+        return toIdentifier(convertCase(this.stripPrefix(table_name), this.options.properties));
+    }
+
+    /**
+     * Returns the file name of a table, without extension
+     * @param {string} table_name
+     * @returns {string}
+     */
+    getFileName(table_name) {
+        return convertCase(this.stripPrefix(table_name), this.options.files);
+    }
+}
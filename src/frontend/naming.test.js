@@ -0,0 +1,112 @@
+import test from 'ava';
+import {
+    NameMapper,
+    assertNamingOptions,
+    camelCase,
+    pluralize,
+    singularize,
+    snakeCase,
+    splitWords,
+    toIdentifier,
+} from './naming.js';
+
+test('splits and converts names', t => {
+    t.deepEqual(splitWords('OrderItems'), ['order', 'items']);
+    t.deepEqual(splitWords('HTTPRequests'), ['http', 'requests']);
+    t.is(camelCase('order_items'), 'orderItems');
+    t.is(snakeCase('orderItems'), 'order_items');
+});
+
+test('singularizes regular, irregular and -ie plurals', t => {
+    let cases = {
+        users: 'user',
+        categories: 'category',
+        addresses: 'address',
+        statuses: 'status',
+        boxes: 'box',
+        movies: 'movie',
+        cookies: 'cookie',
+        user_movies: 'user_movie',
+        UserCookies: 'UserCookie',
+        skies: 'sky',
+        people: 'person',
+        children: 'child',
+        wolves: 'wolf',
+        analyses: 'analysis',
+        criteria: 'criterion',
+        quizzes: 'quiz',
+        news: 'news',
+        settings: 'settings',
+        user: 'user',
+    };
+    for (let [plural, singular] of Object.entries(cases)) {
+        t.is(singularize(plural), singular, plural);
+    }
+});
+
+test('pluralizes regular, irregular and -ie words', t => {
+    let cases = {
+        user: 'users',
+        category: 'categories',
+        movie: 'movies',
+        box: 'boxes',
+        person: 'people',
+        leaf: 'leaves',
+    };
+    for (let [singular, plural] of Object.entries(cases)) {
+        t.is(pluralize(singular), plural, singular);
+        t.is(singularize(plural), singular, plural);
+    }
+});
+
+test('escapes identifiers', t => {
+    t.is(toIdentifier('order-id'), 'order_id');
+    t.is(toIdentifier('2fa_codes'), '_2fa_codes');
+    t.is(toIdentifier('delete'), 'delete_');
+});
+
+test('derives class, property, variable and file names', t => {
+    let naming = new NameMapper({
+        properties: 'camelCase',
+        files: 'snake_case',
+        singular: true,
+        stripPrefixes: ['tbl_'],
+        tables: { tbl_people: 'Member' },
+        columns: { 'tbl_orders.user_ref': 'userId' },
+    });
+    t.is(naming.getClassName('tbl_movies'), 'Movie');
+    t.is(naming.getClassName('tbl_people'), 'Member');
+    t.is(naming.getClassName('dates'), 'Date_');
+    t.is(naming.getPropertyName('tbl_orders', 'created_at'), 'createdAt');
+    t.is(naming.getPropertyName('tbl_orders', 'user_ref'), 'userId');
+    t.is(naming.getVariableName('tbl_order_items'), 'orderItems');
+    t.is(naming.getFileName('tbl_OrderItems'), 'order_items');
+});
+
+test('rejects two columns of a table with the same property name', t => {
+    let naming = new NameMapper({ properties: 'camelCase' });
+    t.is(naming.getPropertyName('orders', 'order_id'), 'orderId');
+    t.is(naming.getPropertyName('orders', 'order_id'), 'orderId');
+    t.is(naming.getPropertyName('items', 'orderId'), 'orderId');
+    t.throws(() => naming.getPropertyName('orders', 'orderId'), {
+        message:
+            'Columns "order_id" and "orderId" of table "orders" both map to the property "orderId", rename one in "naming.columns"',
+    });
+
+    let renamed = new NameMapper({
+        properties: 'camelCase',
+        columns: { 'orders.orderId': 'legacyOrderId' },
+    });
+    t.is(renamed.getPropertyName('orders', 'order_id'), 'orderId');
+    t.is(renamed.getPropertyName('orders', 'orderId'), 'legacyOrderId');
+});
+
+test('validates naming options', t => {
+    t.deepEqual(assertNamingOptions({ singular: true }), { singular: true });
+    t.throws(() => assertNamingOptions({ classes: 'kebab-case' }), {
+        message: 'Naming "classes" must be one of: camelCase, PascalCase, snake_case, preserve',
+    });
+    t.throws(() => assertNamingOptions({ prefix: 'tbl_' }), {
+        message: 'Unknown naming option "prefix"',
+    });
+});
@@ -0,0 +1,557 @@
+// @ts-check
+
+import { getEnumValues, isUnsignedColumn } from './mysql_schema_helpers.js';
+import { NameMapper } from './naming.js';
+import { convertTableNameToJsClassName, createDatabaseModel } from './tools.js';
+
+/**
+ * Prisma field type and native type attribute of a column
+ * @typedef {Object} PrismaType
+ * @property {string} type Scalar type, enum name or Unsupported("...")
+ * @property {string} [native] Native type attribute, e.g. "@db.VarChar(255)"
+ */
+
+/**
+ * Field of a Prisma model, rendered as "name type attributes"
+ * @typedef {Object} PrismaField
+ * @property {string} name
+ * @property {string} type Type including the "?" or "[]" modifier
+ * @property {string[]} attributes
+ * @property {string} [comment] Documentation comment
+ */
+
+/** Referential actions of foreign keys by MySQL rule */
+const REFERENTIAL_ACTIONS = {
+    CASCADE: 'Cascade',
+    'SET NULL': 'SetNull',
+    'SET DEFAULT': 'SetDefault',
+    RESTRICT: 'Restrict',
+    'NO ACTION': 'NoAction',
+};
+
+/** Native types of integer columns: [signed, unsigned] */
+const INTEGER_NATIVE_TYPES = {
+    tinyint: ['@db.TinyInt', '@db.UnsignedTinyInt'],
+    smallint: ['@db.SmallInt', '@db.UnsignedSmallInt'],
+    mediumint: ['@db.MediumInt', '@db.UnsignedMediumInt'],
+    int: ['', '@db.UnsignedInt'],
+    integer: ['', '@db.UnsignedInt'],
+    bigint: ['', '@db.UnsignedBigInt'],
+};
+
+/** Native types without arguments, by MySQL data type */
+const PLAIN_NATIVE_TYPES = {
+    tinytext: ['String', '@db.TinyText'],
+    text: ['String', '@db.Text'],
+    mediumtext: ['String', '@db.MediumText'],
+    longtext: ['String', '@db.LongText'],
+    tinyblob: ['Bytes', '@db.TinyBlob'],
+    blob: ['Bytes', '@db.Blob'],
+    mediumblob: ['Bytes', '@db.MediumBlob'],
+    longblob: ['Bytes', '@db.LongBlob'],
+    date: ['DateTime', '@db.Date'],
+    year: ['Int', '@db.Year'],
+    json: ['Json', ''],
+    set: ['String', ''],
+};
+
+/** Native types with a length or precision argument, by MySQL data type */
+const SIZED_NATIVE_TYPES = {
+    char: ['String', 'Char'],
+    varchar: ['String', 'VarChar'],
+    binary: ['Bytes', 'Binary'],
+    varbinary: ['Bytes', 'VarBinary'],
+    datetime: ['DateTime', 'DateTime'],
+    timestamp: ['DateTime', 'Timestamp'],
+    time: ['DateTime', 'Time'],
+};
+
+/**
+ * Converts a name to a Prisma identifier, e.g. "order-id" → "order_id", "2fa" → "f_2fa"
+ * @param {string} name
+ * @param {string} prefix Prepended if the name does not start with a letter
+ * @returns {string}
+ */
+function toPrismaIdentifier(name, prefix) {
+    let result = name.replace(/[^A-Za-z0-9_]/g, '_');
+    return /^[A-Za-z]/.test(result) ? result : prefix + result;
+}
+
+/**
+ * Escapes a string for a Prisma string literal
+ * @param {string} str
+ * @returns {string}
+ */
+function quotePrismaString(str) {
+    return `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Returns the Prisma model name of a table, e.g. "order_items" → "OrderItems"
+ * @param {string} table_name
+ * @returns {string}
+ */
+export function getPrismaModelName(table_name) {
+    return convertTableNameToJsClassName(toPrismaIdentifier(table_name, 'Model_'));
+}
+
+/**
+ * Maps the type of a column to the Prisma scalar type and native type attribute the way
+ * `prisma db pull` does. ENUM columns are mapped by the caller.
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @returns {PrismaType}
+ */
+export function getPrismaType(column) {
+    let data_type = column.dataType.toLowerCase();
+    let column_type = column.columnType.toLowerCase();
+    let size = /\((\d+)(?:,\s*(\d+))?\)/.exec(column_type);
+
+    if (column_type.startsWith('tinyint(1)')) return { type: 'Boolean' };
+    if (INTEGER_NATIVE_TYPES[data_type]) {
+        let native = INTEGER_NATIVE_TYPES[data_type][isUnsignedColumn(column) ? 1 : 0];
+        return { type: data_type === 'bigint' ? 'BigInt' : 'Int', native };
+    }
+    if (data_type === 'decimal' || data_type === 'numeric') {
+        let precision = size ? size[1] : '10';
+        let scale = size && size[2] ? size[2] : '0';
+        return { type: 'Decimal', native: `@db.Decimal(${precision}, ${scale})` };
+    }
+    if (data_type === 'float') return { type: 'Float', native: '@db.Float' };
+    if (data_type === 'double' || data_type === 'real') return { type: 'Float' };
+    if (data_type === 'bit') {
+        let bits = size ? size[1] : '1';
+        return { type: bits === '1' ? 'Boolean' : 'Bytes', native: `@db.Bit(${bits})` };
+    }
+    if (PLAIN_NATIVE_TYPES[data_type]) {
+        let [type, native] = PLAIN_NATIVE_TYPES[data_type];
+        return { type, native };
+    }
+    if (SIZED_NATIVE_TYPES[data_type]) {
+        let [type, native] = SIZED_NATIVE_TYPES[data_type];
+        // DATETIME, TIMESTAMP and TIME without a precision have precision 0
+        let argument = size ? size[1] : type === 'DateTime' ? '0' : '1';
+        return { type, native: `@db.${native}(${argument})` };
+    }
+    return { type: `Unsupported(${quotePrismaString(column.columnType)})` };
+}
+
+/**
+ * Prisma enum of an ENUM column
+ * @typedef {Object} PrismaEnum
+ * @property {string} name
+ * @property {{name: string, value: string}[]} values Identifiers and the MySQL values they map to
+ */
+
+/**
+ * Creates the Prisma enum of an ENUM column. Values that are not identifiers get @map.
+ * @param {string} name
+ * @param {string[]} values
+ * @returns {PrismaEnum}
+ */
+function createPrismaEnum(name, values) {
+    let used = new Set();
+    return {
+        name,
+        values: values.map(value => {
+            let identifier = value === '' ? 'EMPTY_ENUM_VALUE' : toPrismaIdentifier(value, 'v');
+            while (used.has(identifier)) identifier += '_';
+            used.add(identifier);
+            return { name: identifier, value };
+        }),
+    };
+}
+
+/**
+ * Returns the @default attribute of a column, or an empty string if it has no default
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {string} type Prisma scalar type
+ * @param {PrismaEnum|null} prisma_enum Enum of an ENUM column
+ * @returns {string}
+ */
+function getPrismaDefault(column, type, prisma_enum) {
+    if (column.isAutoIncrement()) return '@default(autoincrement())';
+    if (column.columnDefault === null) return '';
+
+    let value = column.columnDefault;
+    if (/^current_timestamp(\(\d*\))?$/i.test(value)) return '@default(now())';
+    if (/DEFAULT_GENERATED/i.test(column.extra)) {
+        return `@default(dbgenerated(${quotePrismaString(`(${value})`)}))`;
+    }
+
+    // MariaDB returns string defaults quoted
+    let quoted = /^'(.*)'$/s.exec(value);
+    if (quoted) value = quoted[1].replace(/''/g, "'");
+
+    if (prisma_enum) {
+        let item = prisma_enum.values.find(item => item.value === value);
+        return item ? `@default(${item.name})` : '';
+    }
+    switch (type) {
+        case 'Boolean':
+            return `@default(${value === '1' || value === "b'1'" ? 'true' : 'false'})`;
+        case 'Int':
+        case 'BigInt':
+        case 'Float':
+        case 'Decimal':
+            return /^-?\d+(\.\d+)?$/.test(value) ? `@default(${value})` : '';
+        case 'String':
+            return `@default(${quotePrismaString(value)})`;
+        default:
+            return `@default(dbgenerated(${quotePrismaString(column.columnDefault)}))`;
+    }
+}
+
+/**
+ * Formats the key parts of an index as Prisma field references, e.g. "[email(length: 50)]"
+ * @param {import("./tools.js").MySQLTableIndex} index
+ * @param {Map<string, string>} field_names Field names by column name
+ * @returns {string}
+ */
+function formatIndexFields(index, field_names) {
+    let parts = index.columns.map(part => {
+        let name = field_names.get(String(part.columnName)) || String(part.columnName);
+        let args = [];
+        if (part.subPart) args.push(`length: ${part.subPart}`);
+        if (part.descending) args.push('sort: Desc');
+        return args.length ? `${name}(${args.join(', ')})` : name;
+    });
+    return `[${parts.join(', ')}]`;
+}
+
+/**
+ * Renders fields with aligned types and attributes, as `prisma format` does
+ * @param {PrismaField[]} fields
+ * @returns {string[]}
+ */
+function renderPrismaFields(fields) {
+    let name_width = Math.max(...fields.map(field => field.name.length));
+    let type_width = Math.max(...fields.map(field => field.type.length));
+    let lines = [];
+    for (let field of fields) {
+        if (field.comment) {
+            for (let line of field.comment.split(/\r?\n/)) lines.push(`  /// ${line}`);
+        }
+        let line = `  ${field.name.padEnd(name_width)} ${field.type.padEnd(type_width)} ${field.attributes.join(' ')}`;
+        lines.push(line.trimEnd());
+    }
+    return lines;
+}
+
+/**
+ * Generates a Prisma schema with a model per table, enums of the ENUM columns and relation
+ * fields of the foreign keys between the tables. Views become `view` blocks. Models and
+ * fields named other than their table or column get `@@map` / `@map`.
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {import("./naming.js").NamingOptions} [options.naming] Overrides of the default naming
+ * @returns {string}
+ */
+export function generatePrismaSchema(db, options = {}) {
+    let naming = new NameMapper(options.naming);
+    let tables = Array.from(db.tables.values());
+
+    /** @type {Map<string, string>} */
+    let model_names = new Map();
+    for (let table of tables) {
+        let name = toPrismaIdentifier(naming.getClassName(table.tableName), 'Model_');
+        while (Array.from(model_names.values()).includes(name)) name += '_';
+        model_names.set(table.tableName, name);
+    }
+
+    /** @type {PrismaEnum[]} */
+    let enums = [];
+    /** @type {Map<string, PrismaField[]>} Relation fields by table name */
+    let relation_fields = new Map(tables.map(table => [table.tableName, []]));
+    /** @type {Map<string, Set<string>>} Used field names by table name */
+    let used_names = new Map();
+    /** @type {Map<string, Map<string, string>>} Field names by table and column name */
+    let column_fields = new Map();
+
+    for (let table of tables) {
+        let names = new Set();
+        let fields = new Map();
+        for (let column of table.getColumns()) {
+            let name = toPrismaIdentifier(
+                naming.getPropertyName(table.tableName, column.columnName),
+                'f_'
+            );
+            while (names.has(name)) name += '_';
+            names.add(name);
+            fields.set(column.columnName, name);
+        }
+        used_names.set(table.tableName, names);
+        column_fields.set(table.tableName, fields);
+    }
+
+    /**
+     * Returns a free field name of a table, based on the variable name of the other table
+     * @param {string} table_name
+     * @param {string} base
+     * @param {string} constraint_name
+     * @returns {string}
+     */
+    const getRelationFieldName = (table_name, base, constraint_name) => {
+        let names = /** @type {Set<string>} */ (used_names.get(table_name));
+        let name = toPrismaIdentifier(base, 'r_');
+        if (names.has(name)) name = toPrismaIdentifier(`${base}_${constraint_name}`, 'r_');
+        while (names.has(name)) name += '_';
+        names.add(name);
+        return name;
+    };
+
+    // Relation fields of both sides of every foreign key between the tables
+    let foreign_keys = tables.flatMap(table =>
+        table.foreignKeys.filter(
+            fk =>
+                fk.referencedTableSchema === db.databaseName &&
+                model_names.has(fk.referencedTableName) &&
+                !db.tables.get(fk.referencedTableName)?.isView()
+        )
+    );
+    for (let fk of foreign_keys) {
+        let child = /** @type {import("./tools.js").MySQLTable} */ (db.tables.get(fk.tableName));
+        let child_fields = /** @type {Map<string, string>} */ (column_fields.get(fk.tableName));
+        let parent_fields = /** @type {Map<string, string>} */ (
+            column_fields.get(fk.referencedTableName)
+        );
+
+        // Several relations between the same tables, and self-relations, need names
+        let ambiguous =
+            fk.tableName === fk.referencedTableName ||
+            foreign_keys.filter(
+                other =>
+                    (other.tableName === fk.tableName &&
+                        other.referencedTableName === fk.referencedTableName) ||
+                    (other.tableName === fk.referencedTableName &&
+                        other.referencedTableName === fk.tableName)
+            ).length > 1;
+        let relation_name = ambiguous ? `${quotePrismaString(fk.constraintName)}, ` : '';
+
+        let optional = fk.columnNames.some(name => child.getColumn(name)?.allowsNull());
+        let args = [
+            `fields: [${fk.columnNames.map(name => child_fields.get(name)).join(', ')}]`,
+            `references: [${fk.referencedColumnNames.map(name => parent_fields.get(name) || name).join(', ')}]`,
+        ];
+        if (REFERENTIAL_ACTIONS[fk.deleteRule]) {
+            args.push(`onDelete: ${REFERENTIAL_ACTIONS[fk.deleteRule]}`);
+        }
+        if (REFERENTIAL_ACTIONS[fk.updateRule]) {
+            args.push(`onUpdate: ${REFERENTIAL_ACTIONS[fk.updateRule]}`);
+        }
+        args.push(`map: ${quotePrismaString(fk.constraintName)}`);
+
+        relation_fields.get(fk.tableName)?.push({
+            name: getRelationFieldName(
+                fk.tableName,
+                naming.getVariableName(fk.referencedTableName),
+                fk.constraintName
+            ),
+            type: String(model_names.get(fk.referencedTableName)) + (optional ? '?' : ''),
+            attributes: [`@relation(${relation_name}${args.join(', ')})`],
+        });
+
+        // A foreign key over unique columns is a one-to-one relation
+        let one_to_one = child.indexes.some(
+            index =>
+                index.unique &&
+                index.columns.length === fk.columnNames.length &&
+                fk.columnNames.every(name => index.getColumnNames().includes(name))
+        );
+        relation_fields.get(fk.referencedTableName)?.push({
+            name: getRelationFieldName(
+                fk.referencedTableName,
+                naming.getVariableName(fk.tableName),
+                fk.constraintName
+            ),
+            type: String(model_names.get(fk.tableName)) + (one_to_one ? '?' : '[]'),
+            attributes: ambiguous ? [`@relation(${quotePrismaString(fk.constraintName)})`] : [],
+        });
+    }
+
+    let blocks = [];
+    let preview_features = new Set();
+
+    for (let table of tables) {
+        let model_name = String(model_names.get(table.tableName));
+        let field_names = /** @type {Map<string, string>} */ (column_fields.get(table.tableName));
+        let primary = table.indexes.find(index => index.isPrimary());
+        let has_primary = primary !== undefined || table.getColumns().some(c => c.isPrimaryKey());
+
+        /** @type {PrismaField[]} */
+        let fields = [];
+        /** @type {string[]} */
+        let block_attributes = [];
+
+        for (let column of table.getColumns()) {
+            let field_name = String(field_names.get(column.columnName));
+            let prisma_type = getPrismaType(column);
+            let prisma_enum = null;
+            if (column.dataType.toLowerCase() === 'enum') {
+                let enum_name = `${model_name}${getPrismaModelName(field_name)}`;
+                prisma_enum = createPrismaEnum(enum_name, getEnumValues(column));
+                enums.push(prisma_enum);
+                prisma_type = { type: enum_name };
+            }
+
+            let attributes = [];
+            let single_primary =
+                (primary &&
+                    primary.columns.length === 1 &&
+                    primary.getColumnNames()[0] === column.columnName) ||
+                (!primary &&
+                    column.isPrimaryKey() &&
+                    table.getColumns().filter(c => c.isPrimaryKey()).length === 1);
+            if (single_primary) attributes.push('@id');
+            let unique_index = table.indexes.find(
+                index =>
+                    index.unique &&
+                    !index.isPrimary() &&
+                    index.columns.length === 1 &&
+                    index.columns[0].columnName === column.columnName &&
+                    !index.columns[0].subPart
+            );
+            if (unique_index) {
+                attributes.push(`@unique(map: ${quotePrismaString(unique_index.indexName)})`);
+            } else if (table.indexes.length === 0 && column.columnKey === 'UNI') {
+                attributes.push('@unique');
+            }
+            let default_attribute = getPrismaDefault(column, prisma_type.type, prisma_enum);
+            if (default_attribute) attributes.push(default_attribute);
+            if (prisma_type.native) attributes.push(prisma_type.native);
+            if (field_name !== column.columnName) {
+                attributes.push(`@map(${quotePrismaString(column.columnName)})`);
+            }
+
+            let optional = column.allowsNull() && !single_primary;
+            fields.push({
+                name: field_name,
+                type: prisma_type.type + (optional ? '?' : ''),
+                attributes,
+                comment: column.columnComment,
+            });
+        }
+
+        fields.push(...(relation_fields.get(table.tableName) || []));
+
+        if (primary && primary.columns.length > 1) {
+            block_attributes.push(`@@id(${formatIndexFields(primary, field_names)})`);
+        } else if (!primary) {
+            let primary_columns = table.getColumns().filter(c => c.isPrimaryKey());
+            if (primary_columns.length > 1) {
+                let names = primary_columns.map(c => field_names.get(c.columnName));
+                block_attributes.push(`@@id([${names.join(', ')}])`);
+            }
+        }
+
+        for (let index of table.indexes) {
+            if (index.isPrimary()) continue;
+            if (index.columns.some(part => part.columnName === null)) {
+                block_attributes.push(
+                    `// Index ${index.indexName} has functional key parts, which Prisma does not support`
+                );
+                continue;
+            }
+            if (index.indexType === 'SPATIAL') {
+                block_attributes.push(
+                    `// SPATIAL index ${index.indexName} is not supported by Prisma`
+                );
+                continue;
+            }
+            let map = `map: ${quotePrismaString(index.indexName)}`;
+            let index_fields = formatIndexFields(index, field_names);
+            if (index.indexType === 'FULLTEXT') {
+                preview_features.add('fullTextIndex');
+                block_attributes.push(`@@fulltext(${index_fields}, ${map})`);
+            } else if (index.unique) {
+                if (index.columns.length === 1 && !index.columns[0].subPart) continue;
+                block_attributes.push(`@@unique(${index_fields}, ${map})`);
+            } else {
+                block_attributes.push(`@@index(${index_fields}, ${map})`);
+            }
+        }
+
+        if (model_name !== table.tableName) {
+            block_attributes.push(`@@map(${quotePrismaString(table.tableName)})`);
+        }
+
+        let keyword = 'model';
+        let lines = [];
+        if (table.tableComment) {
+            for (let line of table.tableComment.split(/\r?\n/)) lines.push(`/// ${line}`);
+        }
+        if (table.isView()) {
+            keyword = 'view';
+            preview_features.add('views');
+        } else if (!has_primary && !hasRequiredUniqueIndex(table)) {
+            lines.push(
+                '/// The underlying table does not contain a valid unique identifier and can therefore currently not be handled by Prisma Client.'
+            );
+            block_attributes.push('@@ignore');
+        }
+
+        lines.push(`${keyword} ${model_name} {`);
+        lines.push(...renderPrismaFields(fields));
+        if (block_attributes.length) {
+            lines.push('');
+            lines.push(...block_attributes.map(attribute => `  ${attribute}`));
+        }
+        lines.push('}');
+        blocks.push(lines.join('\n'));
+    }
+
+    for (let prisma_enum of enums) {
+        let lines = [`enum ${prisma_enum.name} {`];
+        for (let item of prisma_enum.values) {
+            let map = item.name !== item.value ? ` @map(${quotePrismaString(item.value)})` : '';
+            lines.push(`  ${item.name}${map}`);
+        }
+        lines.push('}');
+        blocks.push(lines.join('\n'));
+    }
+
+    let generator = ['generator client {', '  provider = "prisma-client-js"'];
+    if (preview_features.size) {
+        let features = Array.from(preview_features).map(quotePrismaString).join(', ');
+        generator.push(`  previewFeatures = [${features}]`);
+    }
+    generator.push('}');
+
+    let header = [
+        generator.join('\n'),
+        ['datasource db {', '  provider = "mysql"', '  url      = env("DATABASE_URL")', '}'].join(
+            '\n'
+        ),
+    ];
+    return [...header, ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Checks whether a table has a unique index over NOT NULL columns, which Prisma can use
+ * to identify rows instead of a primary key
+ * @param {import("./tools.js").MySQLTable} table
+ * @returns {boolean}
+ */
+function hasRequiredUniqueIndex(table) {
+    return table.indexes.some(
+        index =>
+            index.unique &&
+            index.columns.every(
+                part => part.columnName !== null && !table.getColumn(part.columnName)?.allowsNull()
+            )
+    );
+}
+
+/**
+ * Converts column metadata, indexes and foreign keys to a Prisma schema
+ * @param {import("./tools.js").ColumnMetadataRaw[]} data
+ * @param {import("./tools.js").IndexColumnRaw[]} [indexes=[]] Rows of INFORMATION_SCHEMA.STATISTICS
+ * @param {import("./tools.js").ForeignKeyColumnRaw[]} [foreignKeys=[]] Foreign key column rows
+ * @param {Object[]} [tables=[]] Rows of INFORMATION_SCHEMA.TABLES
+ * @returns {string}
+ */
+export function convertColumnMetadataToPrisma(data, indexes = [], foreignKeys = [], tables = []) {
+    if (data.length === 0) return '';
+    return generatePrismaSchema(
+        createDatabaseModel(data[0].TABLE_SCHEMA, { columns: data, indexes, foreignKeys, tables })
+    );
+}
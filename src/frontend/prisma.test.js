@@ -0,0 +1,129 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { generatePrismaSchema, getPrismaType } from './prisma.js';
+import { columnRow, foreignKeyRow, idColumnRow, indexRows } from '../../test/_schema_rows.js';
+
+/**
+ * Employees with a manager, transfers with two keys to accounts and a table whose name
+ * and enum values are no Prisma identifiers
+ */
+function introspectRelations() {
+    return createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('employees'),
+            columnRow('employees', 'manager_id', {
+                COLUMN_TYPE: 'int unsigned',
+                IS_NULLABLE: 'YES',
+            }),
+            idColumnRow('accounts'),
+            idColumnRow('transfers'),
+            columnRow('transfers', 'from_account_id', { COLUMN_TYPE: 'int unsigned' }),
+            columnRow('transfers', 'to_account_id', { COLUMN_TYPE: 'int unsigned' }),
+            idColumnRow('task-list'),
+            columnRow('task-list', 'status', {
+                DATA_TYPE: 'enum',
+                COLUMN_TYPE: "enum('open','in progress','2nd')",
+                COLUMN_DEFAULT: 'in progress',
+            }),
+        ],
+        indexes: ['employees', 'accounts', 'transfers', 'task-list'].flatMap(table =>
+            indexRows(table, 'PRIMARY', ['id'])
+        ),
+        foreignKeys: [
+            foreignKeyRow('employees', 'manager_id', 'employees', { DELETE_RULE: 'SET NULL' }),
+            foreignKeyRow('transfers', 'from_account_id', 'accounts'),
+            foreignKeyRow('transfers', 'to_account_id', 'accounts'),
+        ],
+    });
+}
+
+/**
+ * Returns the lines of a schema with the alignment spaces collapsed
+ * @param {string} schema
+ * @returns {string[]}
+ */
+function schemaLines(schema) {
+    return schema.split('\n').map(line => line.trim().replace(/\s+/g, ' '));
+}
+
+test('a self-reference gets a named relation on both sides', t => {
+    let lines = schemaLines(generatePrismaSchema(introspectRelations()));
+    t.true(
+        lines.includes(
+            'employees Employees? @relation("fk_employees_manager_id", fields: [manager_id], references: [id], onDelete: SetNull, onUpdate: Restrict, map: "fk_employees_manager_id")'
+        )
+    );
+    t.true(
+        lines.includes(
+            'employees_fk_employees_manager_id Employees[] @relation("fk_employees_manager_id")'
+        )
+    );
+});
+
+test('several keys to the same table get relations named after the constraints', t => {
+    let lines = schemaLines(generatePrismaSchema(introspectRelations()));
+    t.true(
+        lines.includes(
+            'accounts Accounts @relation("fk_transfers_from_account_id", fields: [from_account_id], references: [id], onDelete: Cascade, onUpdate: Restrict, map: "fk_transfers_from_account_id")'
+        )
+    );
+    t.true(
+        lines.includes(
+            'accounts_fk_transfers_to_account_id Accounts @relation("fk_transfers_to_account_id", fields: [to_account_id], references: [id], onDelete: Cascade, onUpdate: Restrict, map: "fk_transfers_to_account_id")'
+        )
+    );
+    t.true(lines.includes('transfers Transfers[] @relation("fk_transfers_from_account_id")'));
+    t.true(
+        lines.includes(
+            'transfers_fk_transfers_to_account_id Transfers[] @relation("fk_transfers_to_account_id")'
+        )
+    );
+});
+
+test('maps table names and enum values that are no identifiers', t => {
+    let schema = generatePrismaSchema(introspectRelations());
+    let lines = schemaLines(schema);
+    t.true(lines.includes('model TaskList {'));
+    t.true(lines.includes('@@map("task-list")'));
+    t.true(lines.includes('@@map("employees")'));
+    t.true(lines.includes('status TaskListStatus @default(in_progress)'));
+    t.true(
+        schema.includes(
+            'enum TaskListStatus {\n  open\n  in_progress @map("in progress")\n  v2nd @map("2nd")\n}'
+        )
+    );
+});
+
+test('returns the scalar types with their native attributes', t => {
+    let db = createDatabaseModel('shop', {
+        columns: [
+            columnRow('items', 'name', {
+                DATA_TYPE: 'varchar',
+                COLUMN_TYPE: 'varchar(100)',
+                CHARACTER_MAXIMUM_LENGTH: 100,
+            }),
+            columnRow('items', 'price', {
+                DATA_TYPE: 'decimal',
+                COLUMN_TYPE: 'decimal(10,2)',
+                NUMERIC_PRECISION: 10,
+                NUMERIC_SCALE: 2,
+            }),
+            columnRow('items', 'stock', {
+                DATA_TYPE: 'smallint',
+                COLUMN_TYPE: 'smallint unsigned',
+            }),
+            columnRow('items', 'active', { DATA_TYPE: 'bit', COLUMN_TYPE: 'bit(1)' }),
+            columnRow('items', 'notes', { DATA_TYPE: 'text', COLUMN_TYPE: 'text' }),
+            columnRow('items', 'count', {}),
+        ],
+    });
+    let types = Array.from(db.tables.get('items').columns.values()).map(getPrismaType);
+    t.deepEqual(types, [
+        { type: 'String', native: '@db.VarChar(100)' },
+        { type: 'Decimal', native: '@db.Decimal(10, 2)' },
+        { type: 'Int', native: '@db.UnsignedSmallInt' },
+        { type: 'Boolean', native: '@db.Bit(1)' },
+        { type: 'String', native: '@db.Text' },
+        { type: 'Int', native: '' },
+    ]);
+});
@@ -0,0 +1,475 @@
+// @ts-check
+
+import { NameMapper, pascalCase, toIdentifier } from './naming.js';
+import { formatPropertyAccess, formatTsPropertyName, quoteIdentifier } from './tools.js';
+import { quoteJsString, TypeMapper } from './type_mapping.js';
+
+/**
+ * Column of a table with the names used in the generated module
+ * @typedef {Object} RepositoryColumn
+ * @property {import("./tools.js").MySQLTableColumn} column
+ * @property {string} property Property name of the row objects
+ * @property {string} param Parameter name of lookup methods, a valid identifier
+ * @property {string} type Type of the property, including null
+ */
+
+/** Helpers that are the same in every generated module */
+const READ_HELPERS = `/**
+ * Pool or connection of mysql2/promise
+ * @typedef {import('mysql2/promise').Pool|import('mysql2/promise').Connection} Queryable
+ */
+
+/**
+ * Returns the quoted column of a property
+ * @param {string} property
+ * @returns {string}
+ * @throws {Error} If the row has no such property
+ */
+function getColumn(property) {
+    if (!Object.hasOwn(COLUMNS, property)) {
+        throw new Error(\`Unknown property "\${property}" of \${TABLE}\`);
+    }
+    return COLUMNS[property];
+}
+
+/**
+ * Checks a LIMIT or OFFSET value. The number is written into the statement, as
+ * placeholders there fail with the prepared statements of some MySQL versions.
+ * @param {any} value
+ * @param {string} name
+ * @returns {number}
+ * @throws {Error} If the value is not a non-negative integer
+ */
+function toCount(value, name) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(\`"\${name}" must be a non-negative integer\`);
+    }
+    return value;
+}
+
+/**
+ * Runs a SELECT statement
+ * @param {Queryable} db
+ * @param {string} sql
+ * @param {any[]} values
+ * @returns {Promise<Object<string, any>[]>}
+ */
+async function select(db, sql, values) {
+    const [rows] = await db.execute(sql, values);
+    return /** @type {Object<string, any>[]} */ (rows);
+}`;
+
+/** Helpers of the modules of tables, which write rows */
+const WRITE_HELPERS = `/** @typedef {import('mysql2/promise').ResultSetHeader} ResultSetHeader */
+
+/**
+ * Returns the quoted columns and the database values of the defined properties
+ * @param {Object<string, any>} values Values by property name
+ * @param {string[]} properties Properties that may be written
+ * @returns {{columns: string[], values: any[]}}
+ * @throws {Error} If a property cannot be written
+ */
+function toColumnValues(values, properties) {
+    /** @type {{columns: string[], values: any[]}} */
+    const result = { columns: [], values: [] };
+    for (const [property, value] of Object.entries(values)) {
+        if (value === undefined) continue;
+        if (!properties.includes(property)) {
+            throw new Error(\`Property "\${property}" of \${TABLE} cannot be written\`);
+        }
+        result.columns.push(COLUMNS[property]);
+        result.values.push(toDatabaseValue(property, value));
+    }
+    return result;
+}
+
+/**
+ * Runs an INSERT, UPDATE or DELETE statement
+ * @param {Queryable} db
+ * @param {string} sql
+ * @param {any[]} values
+ * @returns {Promise<ResultSetHeader>}
+ */
+async function execute(db, sql, values) {
+    const [result] = await db.execute(sql, values);
+    return /** @type {ResultSetHeader} */ (result);
+}`;
+
+/**
+ * Returns the columns of a unique index, or null if the index cannot be used to look up
+ * rows, e.g. because it has an expression key part
+ * @param {import("./tools.js").MySQLTableIndex} index
+ * @param {Map<string, RepositoryColumn>} columns Columns by column name
+ * @returns {RepositoryColumn[]|null}
+ */
+function getIndexColumns(index, columns) {
+    let result = [];
+    for (let part of index.columns) {
+        let column = part.columnName === null ? undefined : columns.get(part.columnName);
+        if (!column) return null;
+        result.push(column);
+    }
+    return result.length > 0 ? result : null;
+}
+
+/**
+ * Returns the columns of the primary key in key order, or null if the table has none.
+ * Without loaded indexes the key is derived from COLUMN_KEY.
+ * @param {import("./tools.js").MySQLTable} table
+ * @param {Map<string, RepositoryColumn>} columns Columns by column name
+ * @returns {RepositoryColumn[]|null}
+ */
+function getPrimaryKeyColumns(table, columns) {
+    let primary = table.indexes.find(index => index.isPrimary());
+    if (primary) return getIndexColumns(primary, columns);
+    if (table.indexes.length > 0) return null;
+
+    let result = Array.from(columns.values()).filter(({ column }) => column.isPrimaryKey());
+    return result.length > 0 ? result : null;
+}
+
+/**
+ * Returns the WHERE condition of a key, e.g. "`order_id` = ? AND `product_id` = ?"
+ * @param {RepositoryColumn[]} key
+ * @returns {string}
+ */
+function formatKeyCondition(key) {
+    return key.map(({ column }) => `${quoteIdentifier(column.columnName)} = ?`).join(' AND ');
+}
+
+/**
+ * Returns the JSDoc parameters, the parameter list and the placeholder values of a key.
+ * A single column is passed as it is, a composite key as an object by property name.
+ * @param {RepositoryColumn[]} key
+ * @returns {{docs: string[], params: string, values: string}}
+ */
+function formatKeyParams(key) {
+    if (key.length === 1) {
+        return {
+            docs: [`     * @param {${key[0].type}} ${key[0].param}`],
+            params: key[0].param,
+            values: key[0].param,
+        };
+    }
+    let fields = key.map(({ property, type }) => `${formatTsPropertyName(property)}: ${type}`);
+    return {
+        docs: [`     * @param {{${fields.join(', ')}}} key Primary key`],
+        params: 'key',
+        values: key.map(({ property }) => formatPropertyAccess('key', property)).join(', '),
+    };
+}
+
+/**
+ * Generates the repository module of a table: a class with parameterized CRUD statements
+ * for mysql2/promise, which reads and writes rows as objects by property name.
+ * Views are read only; tables without primary key get no findById, update and delete.
+ * @param {import("./tools.js").MySQLTable} table
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @param {import("./naming.js").NamingOptions} [options.naming] Overrides of the default naming
+ * @returns {string}
+ */
+export function generateRepositoryModule(table, options = {}) {
+    let mapper = new TypeMapper(options.typeMapping);
+    let naming = new NameMapper(options.naming);
+
+    let class_name = naming.getClassName(table.tableName);
+    let row_type = `${class_name}Row`;
+
+    /** @type {Map<string, RepositoryColumn>} */
+    let columns = new Map();
+    for (let column of table.getColumns()) {
+        let property = naming.getPropertyName(table.tableName, column.columnName);
+        columns.set(column.columnName, {
+            column,
+            property,
+            param: toIdentifier(property),
+            type: mapper.getType(column) + (column.allowsNull() ? '|null' : ''),
+        });
+    }
+    let all_columns = Array.from(columns.values());
+
+    let read_only = table.isView();
+    let primary_key = read_only ? null : getPrimaryKeyColumns(table, columns);
+    let writable_properties = all_columns
+        .filter(
+            ({ column }) =>
+                !column.isAutoIncrement() &&
+                (column.isGenerated === undefined || column.isGenerated === 'NEVER')
+        )
+        .map(({ property }) => property);
+    let select_sql =
+        `SELECT ${all_columns.map(({ column }) => quoteIdentifier(column.columnName)).join(', ')}` +
+        ` FROM ${quoteIdentifier(table.tableName)}`;
+
+    let output = ['// @ts-check', ''];
+
+    output.push('/**');
+    output.push(` * Row of the ${read_only ? 'view' : 'table'} \`${table.tableName}\``);
+    output.push(` * @typedef {Object} ${row_type}`);
+    for (let { column, property, type } of all_columns) {
+        let comment = column.columnComment ? ` ${column.columnComment.replace(/\s+/g, ' ')}` : '';
+        output.push(
+            ` * @property {${type}} ${formatTsPropertyName(property)}${comment}`.replace(
+                /\*\//g,
+                '*\\/'
+            )
+        );
+    }
+    output.push(' */', '');
+
+    output.push(`const TABLE = ${quoteJsString(quoteIdentifier(table.tableName))};`, '');
+    output.push('/** Quoted columns by property name, the properties that can be filtered by */');
+    output.push('const COLUMNS = Object.freeze({');
+    for (let { column, property } of all_columns) {
+        output.push(
+            `    ${formatTsPropertyName(property)}: ${quoteJsString(quoteIdentifier(column.columnName))},`
+        );
+    }
+    output.push('});', '');
+
+    if (!read_only) {
+        output.push(
+            '/** Properties written by insert() and update(), without auto-increment and generated columns */'
+        );
+        output.push(
+            `const WRITABLE_PROPERTIES = [${writable_properties.map(quoteJsString).join(', ')}];`,
+            ''
+        );
+    }
+    output.push(`const SELECT_SQL = ${quoteJsString(select_sql)};`, '');
+    if (primary_key) {
+        output.push(`const KEY_CONDITION = ${quoteJsString(formatKeyCondition(primary_key))};`, '');
+    }
+
+    output.push('/**');
+    output.push(' * Converts a result row to an object by property name');
+    output.push(' * @param {Object<string, any>} row');
+    output.push(` * @returns {${row_type}}`);
+    output.push(' */');
+    output.push('function fromRow(row) {');
+    output.push('    return {');
+    for (let { column, property } of all_columns) {
+        let value = formatPropertyAccess('row', column.columnName);
+        output.push(
+            `        ${formatTsPropertyName(property)}: ${mapper.getCastExpression(column, value)},`
+        );
+    }
+    output.push('    };');
+    output.push('}', '');
+
+    output.push('/**');
+    output.push(' * Converts a property value to the value written to the database');
+    output.push(' * @param {string} property');
+    output.push(' * @param {any} value');
+    output.push(' * @returns {any}');
+    output.push(' */');
+    output.push('function toDatabaseValue(property, value) {');
+    let conversions = all_columns
+        .map(({ column, property }) => ({
+            property,
+            conversion: mapper.getDatabaseValueExpression(column, 'value'),
+        }))
+        .filter(({ conversion }) => conversion !== 'value');
+    if (conversions.length > 0) {
+        output.push('    switch (property) {');
+        for (let { property, conversion } of conversions) {
+            output.push(`        case ${quoteJsString(property)}:`);
+            output.push(`            return ${conversion};`);
+        }
+        output.push('    }');
+    }
+    output.push('    return value;');
+    output.push('}', '');
+
+    output.push(READ_HELPERS, '');
+    if (!read_only) output.push(WRITE_HELPERS, '');
+
+    output.push('/**');
+    output.push(
+        ` * Data access of the ${read_only ? 'view' : 'table'} \`${table.tableName}\`. All statements are prepared with`
+    );
+    output.push(' * placeholders, and columns come from COLUMNS only.');
+    if (!read_only && !primary_key) {
+        output.push(
+            ' * The table has no primary key, so rows cannot be found, updated or deleted by id.'
+        );
+    }
+    output.push(' */');
+    output.push(`export class ${class_name}Repository {`);
+    output.push('    /** @type {Queryable} */');
+    output.push('    db;', '');
+    output.push('    /**');
+    output.push('     * @param {Queryable} db Pool or connection of mysql2/promise');
+    output.push('     */');
+    output.push('    constructor(db) {');
+    output.push('        this.db = db;');
+    output.push('    }');
+
+    let key = primary_key ? formatKeyParams(primary_key) : null;
+    if (primary_key && key) {
+        output.push('', '    /**');
+        output.push('     * Finds a row by primary key');
+        output.push(...key.docs);
+        output.push(`     * @returns {Promise<${row_type}|null>}`);
+        output.push('     */');
+        output.push(`    async findById(${key.params}) {`);
+        output.push(
+            `        const rows = await select(this.db, \`\${SELECT_SQL} WHERE \${KEY_CONDITION} LIMIT 1\`, [${key.values}]);`
+        );
+        output.push('        return rows.length > 0 ? fromRow(rows[0]) : null;');
+        output.push('    }');
+    }
+
+    // Lookups by the unique indexes other than the primary key
+    let method_names = new Set(['findById', 'findMany']);
+    for (let index of table.indexes) {
+        if (!index.unique || index.isPrimary()) continue;
+        let index_columns = getIndexColumns(index, columns);
+        if (!index_columns) continue;
+        let method_name =
+            'findBy' +
+            index_columns.map(({ property, param }) => pascalCase(property) || param).join('And');
+        if (method_names.has(method_name)) continue;
+        method_names.add(method_name);
+
+        let params = index_columns.map(({ param }) => param).join(', ');
+        let condition = quoteJsString(` WHERE ${formatKeyCondition(index_columns)} LIMIT 1`);
+        output.push('', '    /**');
+        output.push(`     * Finds a row by the unique index \`${index.indexName}\``);
+        for (let { param, type } of index_columns) {
+            output.push(`     * @param {${type}} ${param}`);
+        }
+        output.push(`     * @returns {Promise<${row_type}|null>}`);
+        output.push('     */');
+        output.push(`    async ${method_name}(${params}) {`);
+        output.push(
+            `        const rows = await select(this.db, SELECT_SQL + ${condition}, [${params}]);`
+        );
+        output.push('        return rows.length > 0 ? fromRow(rows[0]) : null;');
+        output.push('    }');
+    }
+
+    output.push('', '    /**');
+    output.push(
+        '     * Finds the rows whose properties equal the values of the filter, null matches NULL.'
+    );
+    output.push('     * Unknown properties throw an error, so the filter may come from a request.');
+    output.push(`     * @param {Partial<${row_type}>} [filter] Values by property name`);
+    output.push(
+        `     * @param {{orderBy?: keyof ${row_type}, descending?: boolean, limit?: number, offset?: number}} [options]`
+    );
+    output.push('     * Order and page of the rows, offset is used together with limit');
+    output.push(`     * @returns {Promise<${row_type}[]>}`);
+    output.push('     */');
+    output.push('    async findMany(filter = {}, options = {}) {');
+    output.push('        const conditions = [];');
+    output.push('        const values = [];');
+    output.push('        for (const [property, value] of Object.entries(filter)) {');
+    output.push('            if (value === undefined) continue;');
+    output.push('            if (value === null) {');
+    output.push('                conditions.push(`${getColumn(property)} IS NULL`);');
+    output.push('            } else {');
+    output.push('                conditions.push(`${getColumn(property)} = ?`);');
+    output.push('                values.push(toDatabaseValue(property, value));');
+    output.push('            }');
+    output.push('        }');
+    output.push('');
+    output.push('        let sql = SELECT_SQL;');
+    output.push("        if (conditions.length > 0) sql += ` WHERE ${conditions.join(' AND ')}`;");
+    output.push('        if (options.orderBy !== undefined) {');
+    output.push(
+        "            sql += ` ORDER BY ${getColumn(options.orderBy)}${options.descending ? ' DESC' : ''}`;"
+    );
+    output.push('        }');
+    output.push('        if (options.limit !== undefined) {');
+    output.push("            sql += ` LIMIT ${toCount(options.limit, 'limit')}`;");
+    output.push(
+        "            if (options.offset !== undefined) sql += ` OFFSET ${toCount(options.offset, 'offset')}`;"
+    );
+    output.push('        }');
+    output.push('        return (await select(this.db, sql, values)).map(fromRow);');
+    output.push('    }');
+
+    if (!read_only) {
+        output.push('', '    /**');
+        output.push(
+            '     * Inserts a row. Auto-increment and generated columns are filled in by the database,'
+        );
+        output.push('     * missing properties get the column default.');
+        output.push(`     * @param {Partial<${row_type}>} values Values by property name`);
+        output.push(
+            '     * @returns {Promise<ResultSetHeader>} `insertId` is the new auto-increment value'
+        );
+        output.push('     */');
+        output.push('    async insert(values) {');
+        output.push('        const row = toColumnValues(values, WRITABLE_PROPERTIES);');
+        output.push("        const placeholders = row.columns.map(() => '?').join(', ');");
+        output.push('        return execute(');
+        output.push('            this.db,');
+        output.push(
+            "            `INSERT INTO ${TABLE} (${row.columns.join(', ')}) VALUES (${placeholders})`,"
+        );
+        output.push('            row.values');
+        output.push('        );');
+        output.push('    }');
+    }
+
+    if (primary_key && key) {
+        output.push('', '    /**');
+        output.push('     * Updates the row with the primary key');
+        output.push(...key.docs);
+        output.push(`     * @param {Partial<${row_type}>} changes Values by property name`);
+        output.push(
+            '     * @returns {Promise<ResultSetHeader>} `affectedRows` is 0 if there is no such row'
+        );
+        output.push('     * @throws {Error} If there are no changes');
+        output.push('     */');
+        output.push(`    async update(${key.params}, changes) {`);
+        output.push('        const row = toColumnValues(changes, WRITABLE_PROPERTIES);');
+        output.push(
+            "        if (row.columns.length === 0) throw new Error('No values to update');"
+        );
+        output.push(
+            "        const assignments = row.columns.map(column => `${column} = ?`).join(', ');"
+        );
+        output.push('        return execute(');
+        output.push('            this.db,');
+        output.push('            `UPDATE ${TABLE} SET ${assignments} WHERE ${KEY_CONDITION}`,');
+        output.push(`            [...row.values, ${key.values}]`);
+        output.push('        );');
+        output.push('    }');
+
+        output.push('', '    /**');
+        output.push('     * Deletes the row with the primary key');
+        output.push(...key.docs);
+        output.push(
+            '     * @returns {Promise<ResultSetHeader>} `affectedRows` is 0 if there is no such row'
+        );
+        output.push('     */');
+        output.push(`    async delete(${key.params}) {`);
+        output.push(
+            `        return execute(this.db, \`DELETE FROM \${TABLE} WHERE \${KEY_CONDITION}\`, [${key.values}]);`
+        );
+        output.push('    }');
+    }
+
+    output.push('}', '');
+    return output.join('\n');
+}
+
+/**
+ * Creates a repository module per table, named after the table, e.g. "users.repository.js"
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @param {import("./naming.js").NamingOptions} [options.naming] Overrides of the default naming
+ * @returns {import("./format_registry.js").OutputFile[]}
+ */
+export function createRepositoryFiles(db, options = {}) {
+    let naming = new NameMapper(options.naming);
+    return Array.from(db.tables.values()).map(table => ({
+        name: `${naming.getFileName(table.tableName)}.repository.js`,
+        content: generateRepositoryModule(table, options),
+    }));
+}
@@ -0,0 +1,167 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { createRepositoryFiles, generateRepositoryModule } from './repository.js';
+import { columnRow, idColumnRow, indexRows } from '../../test/_schema_rows.js';
+
+/**
+ * Imports the code of a generated module
+ * @param {string} code
+ */
+function importCode(code) {
+    return import(`data:text/javascript,${encodeURIComponent(code)}`);
+}
+
+/**
+ * Returns a fake mysql2/promise pool, which records the statements and returns the rows
+ * @param {Object<string, any>[]} [rows]
+ */
+function createPool(rows = []) {
+    /** @type {{sql: string, values: any[]}[]} */
+    let calls = [];
+    return {
+        calls,
+        /**
+         * @param {string} sql
+         * @param {any[]} values
+         */
+        async execute(sql, values) {
+            calls.push({ sql, values });
+            return [sql.startsWith('SELECT') ? rows : { affectedRows: 1, insertId: 7 }];
+        },
+    };
+}
+
+/** A table with a unique index, one with a composite primary key and a view */
+function introspectRepositoryTables() {
+    return createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('users'),
+            columnRow('users', 'email', { DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(100)' }),
+            columnRow('users', 'meta', {
+                DATA_TYPE: 'json',
+                COLUMN_TYPE: 'json',
+                IS_NULLABLE: 'YES',
+            }),
+            columnRow('users', 'created_on', { DATA_TYPE: 'date', COLUMN_TYPE: 'date' }),
+            columnRow('users', 'label', {
+                DATA_TYPE: 'varchar',
+                COLUMN_TYPE: 'varchar(110)',
+                IS_GENERATED: 'ALWAYS',
+                EXTRA: 'VIRTUAL GENERATED',
+                GENERATION_EXPRESSION: 'upper(`email`)',
+            }),
+            columnRow('order_items', 'order_id'),
+            columnRow('order_items', 'product_id'),
+            columnRow('order_items', 'quantity'),
+            columnRow('active_users', 'email', {
+                DATA_TYPE: 'varchar',
+                COLUMN_TYPE: 'varchar(100)',
+            }),
+        ],
+        indexes: [
+            ...indexRows('users', 'PRIMARY', ['id']),
+            ...indexRows('users', 'uq_users_email', ['email'], { NON_UNIQUE: 0 }),
+            ...indexRows('order_items', 'PRIMARY', ['order_id', 'product_id']),
+        ],
+        tables: [
+            { TABLE_NAME: 'users', TABLE_TYPE: 'BASE TABLE' },
+            { TABLE_NAME: 'order_items', TABLE_TYPE: 'BASE TABLE' },
+            { TABLE_NAME: 'active_users', TABLE_TYPE: 'VIEW' },
+        ],
+    });
+}
+
+/**
+ * Imports the repository module of the users table
+ * @returns {Promise<any>}
+ */
+async function importUserRepository() {
+    let table = introspectRepositoryTables().tables.get('users');
+    let { UserRepository } = await importCode(
+        generateRepositoryModule(table, { naming: { singular: true } })
+    );
+    return UserRepository;
+}
+
+test('finds rows by primary key, unique index and filter', async t => {
+    let UserRepository = await importUserRepository();
+    let pool = createPool([
+        { id: 1, email: 'a@example.com', meta: null, created_on: '2024-01-31', label: 'A' },
+    ]);
+    let users = new UserRepository(pool);
+
+    let user = await users.findById(1);
+    t.deepEqual(user.created_on, new Date(2024, 0, 31));
+    t.is(user.email, 'a@example.com');
+    await users.findByEmail('a@example.com');
+    await users.findMany({ meta: null, email: 'a@example.com' }, { orderBy: 'id', limit: 10 });
+
+    t.deepEqual(
+        pool.calls.map(({ sql }) => sql.replace(/^SELECT .* FROM `users`/, '')),
+        [
+            ' WHERE `id` = ? LIMIT 1',
+            ' WHERE `email` = ? LIMIT 1',
+            ' WHERE `meta` IS NULL AND `email` = ? ORDER BY `id` LIMIT 10',
+        ]
+    );
+    t.deepEqual(pool.calls[2].values, ['a@example.com']);
+    await t.throwsAsync(() => users.findMany({ password: 'x' }), {
+        message: 'Unknown property "password" of `users`',
+    });
+    await t.throwsAsync(() => users.findMany({}, { limit: -1 }), {
+        message: '"limit" must be a non-negative integer',
+    });
+});
+
+test('writes converted values and rejects generated columns', async t => {
+    let UserRepository = await importUserRepository();
+    let pool = createPool();
+    let users = new UserRepository(pool);
+
+    t.is((await users.insert({ email: 'a@example.com', meta: { a: 1 } })).insertId, 7);
+    await users.update(1, { meta: [1] });
+    await users.delete(1);
+    t.deepEqual(pool.calls, [
+        {
+            sql: 'INSERT INTO `users` (`email`, `meta`) VALUES (?, ?)',
+            values: ['a@example.com', '{"a":1}'],
+        },
+        { sql: 'UPDATE `users` SET `meta` = ? WHERE `id` = ?', values: ['[1]', 1] },
+        { sql: 'DELETE FROM `users` WHERE `id` = ?', values: [1] },
+    ]);
+    await t.throwsAsync(() => users.insert({ label: 'A' }), {
+        message: 'Property "label" of `users` cannot be written',
+    });
+    await t.throwsAsync(() => users.update(1, {}), { message: 'No values to update' });
+});
+
+test('composite keys are passed as objects and views are read only', async t => {
+    let db = introspectRepositoryTables();
+    let { OrderItemsRepository } = await importCode(
+        generateRepositoryModule(db.tables.get('order_items'))
+    );
+    let pool = createPool();
+    await new OrderItemsRepository(pool).delete({ order_id: 1, product_id: 2 });
+    t.deepEqual(pool.calls, [
+        {
+            sql: 'DELETE FROM `order_items` WHERE `order_id` = ? AND `product_id` = ?',
+            values: [1, 2],
+        },
+    ]);
+
+    let view = generateRepositoryModule(db.tables.get('active_users'));
+    t.true(view.includes('Data access of the view `active_users`'));
+    for (let method of ['findById', 'insert', 'update', 'delete']) {
+        t.false(view.includes(`async ${method}(`), method);
+    }
+});
+
+test('creates a module per table', t => {
+    let files = createRepositoryFiles(introspectRepositoryTables(), {
+        naming: { files: 'camelCase' },
+    });
+    t.deepEqual(
+        files.map(({ name }) => name),
+        ['users.repository.js', 'orderItems.repository.js', 'activeUsers.repository.js']
+    );
+});
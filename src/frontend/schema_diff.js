@@ -0,0 +1,455 @@
+// @ts-check
+
+import { escapeSqlString, quoteIdentifier } from './tools.js';
+
+/** Column properties compared by the diff */
+const COMPARED_COLUMN_FIELDS = [
+    'columnType',
+    'isNullable',
+    'columnDefault',
+    'extra',
+    'columnComment',
+    'characterSetName',
+    'collationName',
+    'generationExpression',
+];
+
+/** Table properties compared by the diff, when known on both sides */
+const COMPARED_TABLE_FIELDS = ['engine', 'tableCollation', 'tableComment'];
+
+/**
+ * @typedef {Object} ValueChange
+ * @property {any} from Value in the source schema
+ * @property {any} to Value in the target schema
+ */
+
+/**
+ * @typedef {Object} ColumnDiff
+ * @property {string} columnName
+ * @property {Object<string, ValueChange>} changes Changed column properties
+ * @property {import("./tools.js").MySQLTableColumn} from
+ * @property {import("./tools.js").MySQLTableColumn} to
+ */
+
+/**
+ * @template T
+ * @typedef {Object} ItemDiff
+ * @property {string} name
+ * @property {T} from
+ * @property {T} to
+ */
+
+/**
+ * @typedef {Object} TableDiff
+ * @property {string} tableName
+ * @property {import("./tools.js").MySQLTable} from
+ * @property {import("./tools.js").MySQLTable} to
+ * @property {import("./tools.js").MySQLTableColumn[]} addedColumns
+ * @property {import("./tools.js").MySQLTableColumn[]} removedColumns
+ * @property {ColumnDiff[]} changedColumns
+ * @property {import("./tools.js").MySQLTableIndex[]} addedIndexes
+ * @property {import("./tools.js").MySQLTableIndex[]} removedIndexes
+ * @property {ItemDiff<import("./tools.js").MySQLTableIndex>[]} changedIndexes
+ * @property {import("./tools.js").MySQLForeignKey[]} addedForeignKeys
+ * @property {import("./tools.js").MySQLForeignKey[]} removedForeignKeys
+ * @property {ItemDiff<import("./tools.js").MySQLForeignKey>[]} changedForeignKeys
+ * @property {Object<string, ValueChange>} options Changed table properties (engine, collation, comment)
+ */
+
+/**
+ * @typedef {Object} SchemaDiff
+ * @property {string} from Source database name
+ * @property {string} to Target database name
+ * @property {import("./tools.js").MySQLTable[]} addedTables Tables that exist only in the target
+ * @property {import("./tools.js").MySQLTable[]} removedTables Tables that exist only in the source
+ * @property {TableDiff[]} changedTables Tables that exist in both and differ
+ */
+
+/**
+ * Compares two lists of named items by a signature
+ * @template T
+ * @param {T[]} from_items
+ * @param {T[]} to_items
+ * @param {(item: T) => string} getName
+ * @param {(item: T) => string} getSignature
+ * @returns {{added: T[], removed: T[], changed: ItemDiff<T>[]}}
+ */
+function diffNamedItems(from_items, to_items, getName, getSignature) {
+    let from_map = new Map(from_items.map(item => [getName(item), item]));
+    let to_map = new Map(to_items.map(item => [getName(item), item]));
+
+    let added = to_items.filter(item => !from_map.has(getName(item)));
+    let removed = from_items.filter(item => !to_map.has(getName(item)));
+    /** @type {ItemDiff<T>[]} */
+    let changed = [];
+    for (let [name, from] of from_map) {
+        let to = to_map.get(name);
+        if (to && getSignature(from) !== getSignature(to)) changed.push({ name, from, to });
+    }
+    return { added, removed, changed };
+}
+
+/**
+ * Returns a string that identifies the structure of an index
+ * @param {import("./tools.js").MySQLTableIndex} index
+ * @returns {string}
+ */
+function getIndexSignature(index) {
+    return index.getIndexDefinition();
+}
+
+/**
+ * Returns a string that identifies the structure of a foreign key, ignoring the schema
+ * of the referenced table when it is the table's own schema
+ * @param {import("./tools.js").MySQLForeignKey} foreign_key
+ * @returns {string}
+ */
+function getForeignKeySignature(foreign_key) {
+    return JSON.stringify([
+        foreign_key.columnNames,
+        foreign_key.referencedTableSchema === foreign_key.tableSchema
+            ? ''
+            : foreign_key.referencedTableSchema,
+        foreign_key.referencedTableName,
+        foreign_key.referencedColumnNames,
+        foreign_key.updateRule,
+        foreign_key.deleteRule,
+    ]);
+}
+
+/**
+ * Compares two versions of a table
+ * @param {import("./tools.js").MySQLTable} from
+ * @param {import("./tools.js").MySQLTable} to
+ * @returns {TableDiff}
+ */
+function diffTables(from, to) {
+    let columns = diffNamedItems(
+        from.getColumns(),
+        to.getColumns(),
+        column => column.columnName,
+        () => ''
+    );
+
+    /** @type {ColumnDiff[]} */
+    let changed_columns = [];
+    for (let from_column of from.getColumns()) {
+        let to_column = to.getColumn(from_column.columnName);
+        if (!to_column) continue;
+
+        /** @type {Object<string, ValueChange>} */
+        let changes = {};
+        for (let field of COMPARED_COLUMN_FIELDS) {
+            let from_value = from_column[field] ?? null;
+            let to_value = to_column[field] ?? null;
+            if (from_value !== to_value) changes[field] = { from: from_value, to: to_value };
+        }
+        if (Object.keys(changes).length > 0) {
+            changed_columns.push({
+                columnName: from_column.columnName,
+                changes,
+                from: from_column,
+                to: to_column,
+            });
+        }
+    }
+
+    let indexes = diffNamedItems(
+        from.indexes,
+        to.indexes,
+        index => index.indexName,
+        getIndexSignature
+    );
+    let foreign_keys = diffNamedItems(
+        from.foreignKeys,
+        to.foreignKeys,
+        foreign_key => foreign_key.constraintName,
+        getForeignKeySignature
+    );
+
+    /** @type {Object<string, ValueChange>} */
+    let options = {};
+    for (let field of COMPARED_TABLE_FIELDS) {
+        if (from[field] === null || to[field] === null) continue;
+        if (from[field] !== to[field]) options[field] = { from: from[field], to: to[field] };
+    }
+
+    return {
+        tableName: to.tableName,
+        from,
+        to,
+        addedColumns: columns.added,
+        removedColumns: columns.removed,
+        changedColumns: changed_columns,
+        addedIndexes: indexes.added,
+        removedIndexes: indexes.removed,
+        changedIndexes: indexes.changed,
+        addedForeignKeys: foreign_keys.added,
+        removedForeignKeys: foreign_keys.removed,
+        changedForeignKeys: foreign_keys.changed,
+        options,
+    };
+}
+
+/**
+ * Checks if a table diff has no changes
+ * @param {TableDiff} table_diff
+ * @returns {boolean}
+ */
+function isTableDiffEmpty(table_diff) {
+    return (
+        table_diff.addedColumns.length === 0 &&
+        table_diff.removedColumns.length === 0 &&
+        table_diff.changedColumns.length === 0 &&
+        table_diff.addedIndexes.length === 0 &&
+        table_diff.removedIndexes.length === 0 &&
+        table_diff.changedIndexes.length === 0 &&
+        table_diff.addedForeignKeys.length === 0 &&
+        table_diff.removedForeignKeys.length === 0 &&
+        table_diff.changedForeignKeys.length === 0 &&
+        Object.keys(table_diff.options).length === 0
+    );
+}
+
+/**
+ * Compares two database schemas. The diff describes how to turn `from` into `to`.
+ * @param {import("./tools.js").MySQLDatabase} from Source schema, e.g. staging
+ * @param {import("./tools.js").MySQLDatabase} to Target schema, e.g. production
+ * @returns {SchemaDiff}
+ */
+export function diffDatabases(from, to) {
+    let tables = diffNamedItems(
+        Array.from(from.tables.values()),
+        Array.from(to.tables.values()),
+        table => table.tableName,
+        () => ''
+    );
+
+    let changed_tables = [];
+    for (let from_table of from.tables.values()) {
+        let to_table = to.tables.get(from_table.tableName);
+        if (!to_table) continue;
+        let table_diff = diffTables(from_table, to_table);
+        if (!isTableDiffEmpty(table_diff)) changed_tables.push(table_diff);
+    }
+
+    return {
+        from: from.databaseName,
+        to: to.databaseName,
+        addedTables: tables.added,
+        removedTables: tables.removed,
+        changedTables: changed_tables,
+    };
+}
+
+/**
+ * Checks if two schemas are identical
+ * @param {SchemaDiff} diff
+ * @returns {boolean}
+ */
+export function isSchemaDiffEmpty(diff) {
+    return (
+        diff.addedTables.length === 0 &&
+        diff.removedTables.length === 0 &&
+        diff.changedTables.length === 0
+    );
+}
+
+/**
+ * Converts a diff to a JSON-serializable structure with names and definitions
+ * @param {SchemaDiff} diff
+ * @returns {Object}
+ */
+export function serializeSchemaDiff(diff) {
+    return {
+        from: diff.from,
+        to: diff.to,
+        addedTables: diff.addedTables.map(table => table.tableName),
+        removedTables: diff.removedTables.map(table => table.tableName),
+        changedTables: diff.changedTables.map(table_diff => ({
+            tableName: table_diff.tableName,
+            addedColumns: table_diff.addedColumns.map(column => column.columnName),
+            removedColumns: table_diff.removedColumns.map(column => column.columnName),
+            changedColumns: table_diff.changedColumns.map(column_diff => ({
+                columnName: column_diff.columnName,
+                changes: column_diff.changes,
+            })),
+            addedIndexes: table_diff.addedIndexes.map(index => index.getIndexDefinition()),
+            removedIndexes: table_diff.removedIndexes.map(index => index.getIndexDefinition()),
+            changedIndexes: table_diff.changedIndexes.map(item => ({
+                indexName: item.name,
+                from: item.from.getIndexDefinition(),
+                to: item.to.getIndexDefinition(),
+            })),
+            addedForeignKeys: table_diff.addedForeignKeys.map(fk => fk.getConstraintDefinition()),
+            removedForeignKeys: table_diff.removedForeignKeys.map(fk =>
+                fk.getConstraintDefinition()
+            ),
+            changedForeignKeys: table_diff.changedForeignKeys.map(item => ({
+                constraintName: item.name,
+                from: item.from.getConstraintDefinition(),
+                to: item.to.getConstraintDefinition(),
+            })),
+            options: table_diff.options,
+        })),
+    };
+}
+
+/**
+ * Returns the DROP clause of an index
+ * @param {import("./tools.js").MySQLTableIndex} index
+ * @returns {string}
+ */
+function getDropIndexClause(index) {
+    return index.isPrimary()
+        ? 'DROP PRIMARY KEY'
+        : `DROP INDEX ${quoteIdentifier(index.indexName)}`;
+}
+
+/**
+ * Returns the column definition options that emit the column charset only when it
+ * differs from the table default
+ * @param {import("./tools.js").MySQLTable} table
+ * @returns {{charset: string|null, collation: string|null}}
+ */
+function getTableCharsetOptions(table) {
+    return { charset: table.getTableCharset(), collation: table.tableCollation };
+}
+
+/**
+ * Generates SQL statements that migrate the source schema of the diff to the target one.
+ * Statements are ordered so that they can be run one by one: foreign keys and indexes are
+ * dropped first, then tables are created and altered, then indexes and foreign keys are
+ * added, and removed tables are dropped last.
+ * @param {SchemaDiff} diff
+ * @returns {string}
+ */
+export function generateMigrationSql(diff) {
+    let output = [`-- Migration of ${diff.from} to ${diff.to}`];
+
+    if (isSchemaDiffEmpty(diff)) {
+        output.push('-- No differences found');
+        return output.join('\n');
+    }
+
+    /** @type {string[]} */
+    let drop_foreign_keys = [];
+    /** @type {string[]} */
+    let drop_indexes = [];
+    /** @type {string[]} */
+    let create_tables = [];
+    /** @type {string[]} */
+    let alter_tables = [];
+    /** @type {string[]} */
+    let add_indexes = [];
+    /** @type {string[]} */
+    let add_foreign_keys = [];
+    /** @type {string[]} */
+    let drop_tables = [];
+
+    for (let table of diff.removedTables) {
+        let table_name = quoteIdentifier(table.tableName);
+        for (let foreign_key of table.foreignKeys) {
+            drop_foreign_keys.push(
+                `ALTER TABLE ${table_name} DROP FOREIGN KEY ${quoteIdentifier(foreign_key.constraintName)};`
+            );
+        }
+        drop_tables.push(`DROP TABLE ${table_name};`);
+    }
+
+    for (let table of diff.addedTables) {
+        create_tables.push(table.generateCreateTableQuery({ foreignKeys: false }));
+        for (let foreign_key of table.foreignKeys) {
+            add_foreign_keys.push(
+                `ALTER TABLE ${quoteIdentifier(table.tableName)} ADD ${foreign_key.getConstraintDefinition()};`
+            );
+        }
+    }
+
+    for (let table_diff of diff.changedTables) {
+        let table_name = quoteIdentifier(table_diff.tableName);
+        let to = table_diff.to;
+        let charset_options = getTableCharsetOptions(to);
+
+        for (let foreign_key of [
+            ...table_diff.removedForeignKeys,
+            ...table_diff.changedForeignKeys.map(item => item.from),
+        ]) {
+            drop_foreign_keys.push(
+                `ALTER TABLE ${table_name} DROP FOREIGN KEY ${quoteIdentifier(foreign_key.constraintName)};`
+            );
+        }
+
+        for (let index of [
+            ...table_diff.removedIndexes,
+            ...table_diff.changedIndexes.map(item => item.from),
+        ]) {
+            drop_indexes.push(`ALTER TABLE ${table_name} ${getDropIndexClause(index)};`);
+        }
+
+        let clauses = [];
+        let to_columns = to.getColumns().sort((a, b) => a.ordinalPosition - b.ordinalPosition);
+        for (let column of table_diff.addedColumns) {
+            let position = to_columns.indexOf(column);
+            let placement =
+                position <= 0
+                    ? ' FIRST'
+                    : ` AFTER ${quoteIdentifier(to_columns[position - 1].columnName)}`;
+            clauses.push(
+                `ADD COLUMN ${to.generateColumnDefinition(column, charset_options)}${placement}`
+            );
+        }
+        for (let column_diff of table_diff.changedColumns) {
+            clauses.push(
+                `MODIFY COLUMN ${to.generateColumnDefinition(column_diff.to, charset_options)}`
+            );
+        }
+        for (let column of table_diff.removedColumns) {
+            clauses.push(`DROP COLUMN ${quoteIdentifier(column.columnName)}`);
+        }
+
+        if (table_diff.options.engine) {
+            clauses.push(`ENGINE=${to.engine}`);
+        }
+        if (table_diff.options.tableCollation) {
+            clauses.push(`DEFAULT CHARSET=${to.getTableCharset()} COLLATE=${to.tableCollation}`);
+        }
+        if (table_diff.options.tableComment) {
+            clauses.push(`COMMENT='${escapeSqlString(to.tableComment)}'`);
+        }
+
+        if (clauses.length > 0) {
+            alter_tables.push(`ALTER TABLE ${table_name}\n  ${clauses.join(',\n  ')};`);
+        }
+
+        for (let index of [
+            ...table_diff.addedIndexes,
+            ...table_diff.changedIndexes.map(item => item.to),
+        ]) {
+            add_indexes.push(`ALTER TABLE ${table_name} ADD ${index.getIndexDefinition()};`);
+        }
+
+        for (let foreign_key of [
+            ...table_diff.addedForeignKeys,
+            ...table_diff.changedForeignKeys.map(item => item.to),
+        ]) {
+            add_foreign_keys.push(
+                `ALTER TABLE ${table_name} ADD ${foreign_key.getConstraintDefinition()};`
+            );
+        }
+    }
+
+    for (let statements of [
+        drop_foreign_keys,
+        drop_indexes,
+        create_tables,
+        alter_tables,
+        add_indexes,
+        add_foreign_keys,
+        drop_tables,
+    ]) {
+        if (statements.length > 0) output.push('', ...statements);
+    }
+
+    return output.join('\n');
+}
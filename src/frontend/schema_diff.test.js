@@ -0,0 +1,157 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { diffDatabases, generateMigrationSql, isSchemaDiffEmpty } from './schema_diff.js';
+import { columnRow, idColumnRow, indexRows } from '../../test/_schema_rows.js';
+
+/**
+ * Returns a version of the schema to compare
+ * @param {import("./tools.js").ColumnMetadataRaw[]} columns
+ * @param {import("./tools.js").IndexColumnRaw[]} [indexes]
+ */
+function version(columns, indexes = []) {
+    return createDatabaseModel('shop', { columns, indexes });
+}
+
+test('equal schemas have an empty diff', t => {
+    let columns = [idColumnRow('users'), columnRow('users', 'age')];
+    let diff = diffDatabases(version(columns), version(columns));
+    t.true(isSchemaDiffEmpty(diff));
+});
+
+test('detects added, removed and changed tables and columns', t => {
+    let from = version([
+        idColumnRow('users'),
+        columnRow('users', 'age'),
+        columnRow('users', 'nickname', { DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(50)' }),
+        idColumnRow('logs'),
+    ]);
+    let to = version([
+        idColumnRow('users'),
+        columnRow('users', 'age', { COLUMN_TYPE: 'int unsigned' }),
+        columnRow('users', 'email', { DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(100)' }),
+        idColumnRow('orders'),
+    ]);
+
+    let diff = diffDatabases(from, to);
+    t.deepEqual(
+        diff.addedTables.map(table => table.tableName),
+        ['orders']
+    );
+    t.deepEqual(
+        diff.removedTables.map(table => table.tableName),
+        ['logs']
+    );
+    let [users] = diff.changedTables;
+    t.deepEqual(
+        users.addedColumns.map(column => column.columnName),
+        ['email']
+    );
+    t.deepEqual(
+        users.removedColumns.map(column => column.columnName),
+        ['nickname']
+    );
+    t.deepEqual(users.changedColumns[0].changes.columnType, {
+        from: 'int',
+        to: 'int unsigned',
+    });
+});
+
+test('migration SQL quotes literal defaults of dates, times and texts', t => {
+    let from = version([idColumnRow('users')]);
+    let to = version([
+        idColumnRow('users'),
+        columnRow('users', 'birth', {
+            DATA_TYPE: 'date',
+            COLUMN_TYPE: 'date',
+            COLUMN_DEFAULT: '2000-01-01',
+        }),
+        columnRow('users', 'seen_at', {
+            DATA_TYPE: 'datetime',
+            COLUMN_TYPE: 'datetime',
+            COLUMN_DEFAULT: '2020-01-01 00:00:00',
+        }),
+        columnRow('users', 'starts', {
+            DATA_TYPE: 'time',
+            COLUMN_TYPE: 'time',
+            COLUMN_DEFAULT: '08:00:00',
+        }),
+        columnRow('users', 'bio', {
+            DATA_TYPE: 'tinytext',
+            COLUMN_TYPE: 'tinytext',
+            COLUMN_DEFAULT: "it's me",
+        }),
+        columnRow('users', 'created_at', {
+            DATA_TYPE: 'timestamp',
+            COLUMN_TYPE: 'timestamp',
+            COLUMN_DEFAULT: 'CURRENT_TIMESTAMP',
+            EXTRA: 'DEFAULT_GENERATED',
+        }),
+        columnRow('users', 'score', {
+            DATA_TYPE: 'decimal',
+            COLUMN_TYPE: 'decimal(5,2)',
+            COLUMN_DEFAULT: '1.50',
+        }),
+        columnRow('users', 'flags', {
+            DATA_TYPE: 'bit',
+            COLUMN_TYPE: 'bit(3)',
+            COLUMN_DEFAULT: "b'101'",
+        }),
+        columnRow('users', 'token', {
+            DATA_TYPE: 'binary',
+            COLUMN_TYPE: 'binary(3)',
+            COLUMN_DEFAULT: '0x616263',
+        }),
+        columnRow('users', 'uuid', {
+            DATA_TYPE: 'varchar',
+            COLUMN_TYPE: 'varchar(36)',
+            COLUMN_DEFAULT: 'uuid()',
+            EXTRA: 'DEFAULT_GENERATED',
+        }),
+    ]);
+
+    let sql = generateMigrationSql(diffDatabases(from, to));
+    t.regex(sql, /`birth` date NOT NULL DEFAULT '2000-01-01'/);
+    t.regex(sql, /`seen_at` datetime NOT NULL DEFAULT '2020-01-01 00:00:00'/);
+    t.regex(sql, /`starts` time NOT NULL DEFAULT '08:00:00'/);
+    t.regex(sql, /`bio` tinytext NOT NULL DEFAULT 'it''s me'/);
+    t.regex(sql, /`created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP /);
+    t.regex(sql, /`score` decimal\(5,2\) NOT NULL DEFAULT 1\.50 /);
+    t.regex(sql, /`flags` bit\(3\) NOT NULL DEFAULT b'101' /);
+    t.regex(sql, /`token` binary\(3\) NOT NULL DEFAULT 0x616263 /);
+    t.regex(sql, /`uuid` varchar\(36\) NOT NULL DEFAULT \(uuid\(\)\) /);
+});
+
+test('migration SQL unescapes the generation expression of INFORMATION_SCHEMA', t => {
+    let email = columnRow('users', 'email', { DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(100)' });
+    let from = version([idColumnRow('users'), email]);
+    let to = version([
+        idColumnRow('users'),
+        email,
+        columnRow('users', 'label', {
+            DATA_TYPE: 'varchar',
+            COLUMN_TYPE: 'varchar(110)',
+            IS_GENERATED: 'ALWAYS',
+            EXTRA: 'STORED GENERATED',
+            GENERATION_EXPRESSION: "concat(`email`,_utf8mb4\\' \\')",
+        }),
+    ]);
+
+    let sql = generateMigrationSql(diffDatabases(from, to));
+    t.true(
+        sql.includes(
+            "ADD COLUMN `label` varchar(110) GENERATED ALWAYS AS (concat(`email`,_utf8mb4' ')) STORED NOT NULL AFTER `email`"
+        )
+    );
+});
+
+test('migration SQL adds and drops indexes', t => {
+    let columns = [idColumnRow('users'), columnRow('users', 'age')];
+    let from = version(columns, indexRows('users', 'PRIMARY', ['id']));
+    let to = version(columns, [
+        ...indexRows('users', 'PRIMARY', ['id']),
+        ...indexRows('users', 'idx_age', ['age']),
+    ]);
+
+    t.regex(generateMigrationSql(diffDatabases(from, to)), /ADD KEY `idx_age` \(`age`\)/);
+    t.regex(generateMigrationSql(diffDatabases(to, from)), /DROP INDEX `idx_age`/);
+});
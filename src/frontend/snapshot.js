@@ -0,0 +1,181 @@
+// @ts-check
+
+/** Identifies snapshot files written by this tool */
+export const SNAPSHOT_FORMAT = 'mysql-to-json-snapshot';
+
+/** Current snapshot file version */
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Introspection result of a single database
+ * @typedef {Object} SnapshotDatabase
+ * @property {import("./tools.js").ColumnMetadataRaw[]} columns Rows of INFORMATION_SCHEMA.COLUMNS
+ * @property {any[]} indexes Rows of INFORMATION_SCHEMA.STATISTICS
+ * @property {import("./tools.js").ForeignKeyColumnRaw[]} foreignKeys Foreign key column rows
+ * @property {any[]} tables Rows of INFORMATION_SCHEMA.TABLES
+ * @property {any[]} [views] Rows of INFORMATION_SCHEMA.VIEWS
+ * @property {any[]} [routines] Rows of INFORMATION_SCHEMA.ROUTINES
+ * @property {any[]} [parameters] Rows of INFORMATION_SCHEMA.PARAMETERS
+ * @property {any[]} [triggers] Rows of INFORMATION_SCHEMA.TRIGGERS
+ * @property {any[]} [events] Rows of INFORMATION_SCHEMA.EVENTS
+ */
+
+/**
+ * Keys of the database objects other than tables. They are missing in snapshots written
+ * by older versions of the tool.
+ */
+export const SNAPSHOT_OBJECT_KEYS = ['views', 'routines', 'parameters', 'triggers', 'events'];
+
+/**
+ * Schema snapshot file
+ * @typedef {Object} Snapshot
+ * @property {string} format Always SNAPSHOT_FORMAT
+ * @property {number} version Snapshot file version
+ * @property {string} createdAt ISO date of the snapshot
+ * @property {Object<string, SnapshotDatabase>} databases Introspection results by database name
+ */
+
+/**
+ * Validates a parsed snapshot file. Throws an error if the object is not a snapshot
+ * or was written by a newer version of the tool.
+ * @param {any} obj
+ * @returns {Snapshot}
+ * @throws {Error} If the object is invalid
+ */
+export function assertSnapshot(obj) {
+    if (typeof obj !== 'object' || obj === null) {
+        throw new Error('Snapshot must be a non-null object');
+    }
+    if (obj.format !== SNAPSHOT_FORMAT) {
+        throw new Error(`Not a snapshot file: expected format "${SNAPSHOT_FORMAT}"`);
+    }
+    if (typeof obj.version !== 'number' || obj.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version: ${obj.version}`);
+    }
+    if (typeof obj.databases !== 'object' || obj.databases === null) {
+        throw new Error('Snapshot has no databases');
+    }
+
+    for (const [name, database] of Object.entries(obj.databases)) {
+        for (const key of ['columns', 'indexes', 'foreignKeys', 'tables']) {
+            if (!Array.isArray(database[key])) {
+                throw new Error(`Invalid snapshot database ${name}: ${key} must be an array`);
+            }
+        }
+        for (const key of SNAPSHOT_OBJECT_KEYS) {
+            if (database[key] !== undefined && !Array.isArray(database[key])) {
+                throw new Error(`Invalid snapshot database ${name}: ${key} must be an array`);
+            }
+        }
+    }
+
+    return obj;
+}
+
+/**
+ * Creates an empty snapshot
+ * @returns {Snapshot}
+ */
+export function createEmptySnapshot() {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        createdAt: new Date().toISOString(),
+        databases: {},
+    };
+}
+
+/**
+ * Parses a list of names parameter (e.g. table_names), which is sent either as an array,
+ * a JSON string or a comma-separated string.
+ * @param {string[]|string|undefined} names
+ * @returns {string[]}
+ */
+export function parseNameList(names) {
+    /** @type {string[]|string} */
+    let tableNamesArray = names || '';
+    if (typeof tableNamesArray === 'string') {
+        let text = tableNamesArray;
+        try {
+            tableNamesArray = JSON.parse(text);
+        } catch (e) {
+            // fallback: treat as comma-separated string
+            tableNamesArray = text.split(',').map(s => s.trim());
+        }
+    }
+    if (!Array.isArray(tableNamesArray)) return [];
+    return tableNamesArray.filter(name => name !== '');
+}
+
+/**
+ * Answers an API method from a snapshot instead of a live database.
+ * Supports the same methods and parameters as the server API.
+ * @param {Snapshot} snapshot
+ * @param {string} method API method, e.g. "tables.list"
+ * @param {Object} [params]
+ * @returns {{result: any, error: false}|{result: null, error: string}}
+ */
+export function querySnapshot(snapshot, method, params = {}) {
+    if (method == 'database.list') {
+        return { result: Object.keys(snapshot.databases), error: false };
+    }
+
+    let database = snapshot.databases[params.database_name];
+    if (!database) {
+        return { result: null, error: `Unknown database '${params.database_name}' in snapshot` };
+    }
+    return querySnapshotDatabase(database, method, params);
+}
+
+/**
+ * Answers an API method about a single database from its introspection result.
+ * @param {SnapshotDatabase} database
+ * @param {string} method API method, e.g. "indexes.list"
+ * @param {Object} [params]
+ * @returns {{result: any, error: false}|{result: null, error: string}}
+ */
+export function querySnapshotDatabase(database, method, params = {}) {
+    let table_names = parseNameList(params.table_names);
+    /**
+     * @param {any[]} rows
+     * @param {(row: any) => string[]} getTableNames
+     */
+    const filter = (rows, getTableNames) =>
+        table_names.length === 0
+            ? rows
+            : rows.filter(row => getTableNames(row).some(name => table_names.includes(name)));
+
+    switch (method) {
+        case 'tables.list':
+            return { result: database.columns, error: false };
+        case 'tables.info':
+            return { result: filter(database.tables, row => [row.TABLE_NAME]), error: false };
+        case 'indexes.list':
+            return { result: filter(database.indexes, row => [row.TABLE_NAME]), error: false };
+        case 'foreign_keys.list':
+            return {
+                result: filter(database.foreignKeys, row => [
+                    row.TABLE_NAME,
+                    row.REFERENCED_TABLE_NAME,
+                ]),
+                error: false,
+            };
+        case 'views.list':
+            return { result: filter(database.views || [], row => [row.TABLE_NAME]), error: false };
+        case 'routines.list':
+            return { result: database.routines || [], error: false };
+        case 'parameters.list':
+            return { result: database.parameters || [], error: false };
+        case 'triggers.list':
+            return {
+                result: filter(database.triggers || [], row => [row.EVENT_OBJECT_TABLE]),
+                error: false,
+            };
+        case 'events.list':
+            return { result: database.events || [], error: false };
+        case 'tables.show_create':
+            return { result: null, error: 'SHOW CREATE TABLE is not stored in snapshots' };
+        default:
+            return { result: null, error: 'Unknown method' };
+    }
+}
@@ -0,0 +1,109 @@
+import test from 'ava';
+import {
+    assertSnapshot,
+    createEmptySnapshot,
+    parseNameList,
+    querySnapshot,
+    querySnapshotDatabase,
+} from './snapshot.js';
+
+/** A snapshot of one database with keys of orders referencing users */
+function createShopSnapshot() {
+    let snapshot = createEmptySnapshot();
+    snapshot.databases.shop = {
+        columns: [
+            { TABLE_NAME: 'users', COLUMN_NAME: 'id' },
+            { TABLE_NAME: 'orders', COLUMN_NAME: 'user_id' },
+        ],
+        indexes: [
+            { TABLE_NAME: 'users', INDEX_NAME: 'PRIMARY' },
+            { TABLE_NAME: 'orders', INDEX_NAME: 'PRIMARY' },
+            { TABLE_NAME: 'logs', INDEX_NAME: 'PRIMARY' },
+        ],
+        foreignKeys: [{ TABLE_NAME: 'orders', REFERENCED_TABLE_NAME: 'users' }],
+        tables: [{ TABLE_NAME: 'users' }, { TABLE_NAME: 'orders' }, { TABLE_NAME: 'logs' }],
+    };
+    return snapshot;
+}
+
+test('parses name lists sent as arrays, JSON and comma-separated strings', t => {
+    t.deepEqual(parseNameList(['users', 'orders']), ['users', 'orders']);
+    t.deepEqual(parseNameList('["users","orders"]'), ['users', 'orders']);
+    t.deepEqual(parseNameList('users, orders'), ['users', 'orders']);
+    t.deepEqual(parseNameList(''), []);
+    t.deepEqual(parseNameList(undefined), []);
+});
+
+test('filters the rows by table names', t => {
+    let snapshot = createShopSnapshot();
+    /** @param {any} table_names */
+    const indexTables = table_names =>
+        querySnapshot(snapshot, 'indexes.list', {
+            database_name: 'shop',
+            table_names,
+        }).result.map(row => row.TABLE_NAME);
+
+    t.deepEqual(indexTables(['users', 'orders']), ['users', 'orders']);
+    t.deepEqual(indexTables('["logs"]'), ['logs']);
+    t.deepEqual(indexTables(undefined), ['users', 'orders', 'logs']);
+
+    // Foreign keys are listed for the referencing and the referenced table
+    let { result } = querySnapshot(snapshot, 'foreign_keys.list', {
+        database_name: 'shop',
+        table_names: '["users"]',
+    });
+    t.is(result.length, 1);
+    t.is(querySnapshot(snapshot, 'tables.list', { database_name: 'shop' }).result.length, 2);
+});
+
+test('lists the databases and rejects unknown databases and methods', t => {
+    let snapshot = createShopSnapshot();
+    t.deepEqual(querySnapshot(snapshot, 'database.list'), { result: ['shop'], error: false });
+    t.deepEqual(querySnapshot(snapshot, 'tables.list', { database_name: 'blog' }), {
+        result: null,
+        error: "Unknown database 'blog' in snapshot",
+    });
+    t.deepEqual(querySnapshot(snapshot, 'tables.drop', { database_name: 'shop' }), {
+        result: null,
+        error: 'Unknown method',
+    });
+});
+
+test('validates snapshot files', t => {
+    t.is(assertSnapshot(createShopSnapshot()).version, 1);
+    t.throws(() => assertSnapshot({ format: 'other' }), {
+        message: 'Not a snapshot file: expected format "mysql-to-json-snapshot"',
+    });
+    t.throws(() => assertSnapshot({ ...createShopSnapshot(), version: 99 }), {
+        message: 'Unsupported snapshot version: 99',
+    });
+    let broken = createShopSnapshot();
+    broken.databases.shop.indexes = /** @type {any} */ (null);
+    t.throws(() => assertSnapshot(broken), {
+        message: 'Invalid snapshot database shop: indexes must be an array',
+    });
+});
+
+test('answers the methods of a loaded database with its views and triggers', t => {
+    let database = {
+        ...createShopSnapshot().databases.shop,
+        views: [{ TABLE_NAME: 'active_users' }],
+        triggers: [
+            { TRIGGER_NAME: 'users_bi', EVENT_OBJECT_TABLE: 'users' },
+            { TRIGGER_NAME: 'orders_bi', EVENT_OBJECT_TABLE: 'orders' },
+        ],
+    };
+    let params = { table_names: ['users', 'active_users'] };
+    t.deepEqual(querySnapshotDatabase(database, 'views.list', params).result, database.views);
+    t.deepEqual(
+        querySnapshotDatabase(database, 'triggers.list', params).result.map(
+            row => row.TRIGGER_NAME
+        ),
+        ['users_bi']
+    );
+    t.deepEqual(querySnapshotDatabase(database, 'routines.list'), { result: [], error: false });
+    t.deepEqual(querySnapshotDatabase(database, 'tables.show_create', params), {
+        result: null,
+        error: 'SHOW CREATE TABLE is not stored in snapshots',
+    });
+});
@@ -0,0 +1,60 @@
+// @ts-check
+
+/**
+ * Tables to work with, as glob patterns ("*" matches any characters, "?" one character)
+ * @typedef {Object} TableFilter
+ * @property {string[]} [include] Patterns of the tables to include, default is all tables
+ * @property {string[]} [exclude] Patterns of the tables to skip, applied after include
+ */
+
+/**
+ * Converts a glob pattern to a regular expression that matches the whole name
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validates a table filter, e.g. of a config file
+ * @param {any} obj
+ * @returns {TableFilter}
+ * @throws {Error} If the filter is invalid
+ */
+export function assertTableFilter(obj) {
+    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+        throw new Error('Table filter must be an object with "include" and/or "exclude"');
+    }
+    for (const [key, value] of Object.entries(obj)) {
+        if (key !== 'include' && key !== 'exclude') {
+            throw new Error(`Unknown table filter option "${key}"`);
+        }
+        if (!Array.isArray(value) || value.some(pattern => typeof pattern !== 'string')) {
+            throw new Error(`Table filter "${key}" must be an array of patterns`);
+        }
+    }
+    return obj;
+}
+
+/**
+ * Returns the names that match the filter, in their original order
+ * @param {string[]} names
+ * @param {TableFilter} [filter]
+ * @returns {string[]}
+ */
+export function filterTableNames(names, filter = {}) {
+    let include = (filter.include || ['*']).map(globToRegExp);
+    let exclude = (filter.exclude || []).map(globToRegExp);
+    return names.filter(
+        name => include.some(re => re.test(name)) && !exclude.some(re => re.test(name))
+    );
+}
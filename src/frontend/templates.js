@@ -0,0 +1,674 @@
+// @ts-check
+
+import { camelCase, NameMapper, pascalCase, pluralize, singularize, snakeCase } from './naming.js';
+import { TypeMapper } from './type_mapping.js';
+
+/**
+ * Code template with the settings of its front matter
+ * @typedef {Object} CodeTemplate
+ * @property {string} name Name of the output format, e.g. "laravel-model"
+ * @property {string} label Label of the button in the web interface
+ * @property {string} extension File extension including the leading dot
+ * @property {'database'|'table'} per Whether the template writes one file or one file per table
+ * @property {string|null} file Template of the file name, e.g. "{{ table.tableName | pascalCase }}.php"
+ * @property {string} body The template text after the front matter
+ * @property {number} bodyLine Line of the body in the template file, for error messages
+ */
+
+/**
+ * Variables and helpers a template is rendered with
+ * @typedef {Object} TemplateScope
+ * @property {Object<string, any>} vars
+ * @property {TypeMapper} mapper
+ * @property {NameMapper} naming
+ */
+
+/**
+ * @typedef {(scope: TemplateScope) => any} TemplateExpression
+ */
+
+/**
+ * @typedef {(scope: TemplateScope, output: string[]) => void} TemplateNode
+ */
+
+/**
+ * Filters of `{{ value | filter }}` and `{{ value | filter: arg }}`
+ * @type {Object<string, (value: any, args: any[], scope: TemplateScope) => any>}
+ */
+export const TEMPLATE_FILTERS = {
+    camelCase: value => camelCase(toText(value)),
+    pascalCase: value => pascalCase(toText(value)),
+    snakeCase: value => snakeCase(toText(value)),
+    singularize: value => singularize(toText(value)),
+    pluralize: value => pluralize(toText(value)),
+    upper: value => toText(value).toUpperCase(),
+    lower: value => toText(value).toLowerCase(),
+    jsType: (value, args, scope) => {
+        if (typeof value?.columnType !== 'string') {
+            throw new Error('jsType needs a column');
+        }
+        return scope.mapper.getType(value);
+    },
+    className: (value, args, scope) => scope.naming.getClassName(getTableName(value)),
+    propertyName: (value, args, scope) => {
+        if (typeof value?.columnName !== 'string') {
+            throw new Error('propertyName needs a column');
+        }
+        return scope.naming.getPropertyName(value.tableName, value.columnName);
+    },
+    variableName: (value, args, scope) => scope.naming.getVariableName(getTableName(value)),
+    fileName: (value, args, scope) => scope.naming.getFileName(getTableName(value)),
+    default: (value, args) => (isTruthy(value) ? value : args[0]),
+    join: (value, args) =>
+        toList(value)
+            .map(toText)
+            .join(args[0] ?? ', '),
+    map: (value, args) => toList(value).map(item => getProperty(item, String(args[0]))),
+    length: value => (typeof value === 'string' ? value.length : toList(value).length),
+    json: value => JSON.stringify(value),
+};
+
+/**
+ * Returns the text of a value as it is written to the output
+ * @param {any} value
+ * @returns {string}
+ */
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toText).join(', ');
+    return String(value);
+}
+
+/**
+ * Returns the name of a table, given the table or its name
+ * @param {any} value
+ * @returns {string}
+ */
+function getTableName(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value?.tableName === 'string') return value.tableName;
+    throw new Error(`${JSON.stringify(value)} is not a table`);
+}
+
+/**
+ * Returns the items of a list, a Map (its values) or another iterable
+ * @param {any} value
+ * @returns {any[]}
+ */
+function toList(value) {
+    if (value === null || value === undefined) return [];
+    if (value instanceof Map) return Array.from(value.values());
+    if (typeof value !== 'string' && typeof value[Symbol.iterator] === 'function') {
+        return Array.from(value);
+    }
+    throw new Error(`${JSON.stringify(value)} is not a list`);
+}
+
+/**
+ * Checks a condition the way templates do: empty lists, Maps and strings are false
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value instanceof Map || value instanceof Set) return value.size > 0;
+    return Boolean(value);
+}
+
+/**
+ * Reads a property of a value; properties of null are undefined
+ * @param {any} value
+ * @param {string} name
+ * @returns {any}
+ */
+function getProperty(value, name) {
+    if (value === null || value === undefined) return undefined;
+    if (name.startsWith('_') || name === 'constructor' || name === 'prototype') {
+        throw new Error(`Property "${name}" cannot be used in templates`);
+    }
+    if (value instanceof Map) return name === 'size' ? value.size : value.get(name);
+    return value[name];
+}
+
+/** Tokens of template expressions */
+const EXPRESSION_TOKEN_RE =
+    /\s*(?:(==|!=|<=|>=|[<>|:,().])|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(\d+(?:\.\d+)?)|([A-Za-z_$][\w$]*))/y;
+
+/**
+ * Compiles an expression: variables with properties and calls of methods without
+ * arguments (`table.getColumns()`), string and number literals, filters, comparisons,
+ * `not`, `and`, `or` and parentheses.
+ * @param {string} source
+ * @returns {TemplateExpression}
+ * @throws {Error} If the expression is invalid
+ */
+export function compileExpression(source) {
+    /** @type {{type: 'op'|'string'|'number'|'name', value: string}[]} */
+    let tokens = [];
+    EXPRESSION_TOKEN_RE.lastIndex = 0;
+    while (EXPRESSION_TOKEN_RE.lastIndex < source.length) {
+        let start = EXPRESSION_TOKEN_RE.lastIndex;
+        let match = EXPRESSION_TOKEN_RE.exec(source);
+        if (!match) {
+            if (source.slice(start).trim() === '') break;
+            throw new Error(`Unexpected "${source.slice(start).trim()}" in "${source.trim()}"`);
+        }
+        if (match[1]) tokens.push({ type: 'op', value: match[1] });
+        else if (match[2]) tokens.push({ type: 'string', value: match[2] });
+        else if (match[3]) tokens.push({ type: 'number', value: match[3] });
+        else if (match[4]) tokens.push({ type: 'name', value: match[4] });
+        else break;
+    }
+
+    let pos = 0;
+    const peek = () => tokens[pos]?.value;
+    /** @param {string} value */
+    const expect = value => {
+        if (peek() !== value) {
+            throw new Error(`Expected "${value}" in "${source.trim()}"`);
+        }
+        pos++;
+    };
+
+    /** @returns {TemplateExpression} */
+    const parseOr = () => {
+        let left = parseAnd();
+        while (peek() === 'or') {
+            pos++;
+            let a = left;
+            let b = parseAnd();
+            left = scope => isTruthy(a(scope)) || isTruthy(b(scope));
+        }
+        return left;
+    };
+
+    /** @returns {TemplateExpression} */
+    const parseAnd = () => {
+        let left = parseNot();
+        while (peek() === 'and') {
+            pos++;
+            let a = left;
+            let b = parseNot();
+            left = scope => isTruthy(a(scope)) && isTruthy(b(scope));
+        }
+        return left;
+    };
+
+    /** @returns {TemplateExpression} */
+    const parseNot = () => {
+        if (peek() === 'not') {
+            pos++;
+            let operand = parseNot();
+            return scope => !isTruthy(operand(scope));
+        }
+        return parseComparison();
+    };
+
+    /** @returns {TemplateExpression} */
+    const parseComparison = () => {
+        let left = parseFiltered();
+        let operator = peek();
+        if (!['==', '!=', '<', '>', '<=', '>='].includes(operator)) return left;
+        pos++;
+        let right = parseFiltered();
+        switch (operator) {
+            case '==':
+                return scope => left(scope) == right(scope);
+            case '!=':
+                return scope => left(scope) != right(scope);
+            case '<':
+                return scope => left(scope) < right(scope);
+            case '>':
+                return scope => left(scope) > right(scope);
+            case '<=':
+                return scope => left(scope) <= right(scope);
+            default:
+                return scope => left(scope) >= right(scope);
+        }
+    };
+
+    /** @returns {TemplateExpression} */
+    const parseFiltered = () => {
+        let value = parsePrimary();
+        while (peek() === '|') {
+            pos++;
+            let token = tokens[pos++];
+            if (token?.type !== 'name' || !TEMPLATE_FILTERS[token.value]) {
+                throw new Error(`Unknown filter "${token?.value ?? ''}" in "${source.trim()}"`);
+            }
+            let filter = TEMPLATE_FILTERS[token.value];
+            /** @type {TemplateExpression[]} */
+            let args = [];
+            if (peek() === ':') {
+                do {
+                    pos++;
+                    args.push(parsePrimary());
+                } while (peek() === ',');
+            }
+            let input = value;
+            value = scope =>
+                filter(
+                    input(scope),
+                    args.map(arg => arg(scope)),
+                    scope
+                );
+        }
+        return value;
+    };
+
+    /** @returns {TemplateExpression} */
+    const parsePrimary = () => {
+        let token = tokens[pos++];
+        if (!token) throw new Error(`Unexpected end of "${source.trim()}"`);
+        if (token.value === '(' && token.type === 'op') {
+            let inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'string') {
+            let value = token.value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(.)/g, '$1');
+            return () => value;
+        }
+        if (token.type === 'number') {
+            let value = Number(token.value);
+            return () => value;
+        }
+        if (token.type !== 'name') {
+            throw new Error(`Unexpected "${token.value}" in "${source.trim()}"`);
+        }
+        if (token.value === 'true' || token.value === 'false' || token.value === 'null') {
+            let value = JSON.parse(token.value);
+            return () => value;
+        }
+
+        let name = token.value;
+        /** @type {TemplateExpression} */
+        let value = scope => {
+            if (!(name in scope.vars)) throw new Error(`Unknown variable "${name}"`);
+            return scope.vars[name];
+        };
+        for (;;) {
+            if (peek() === '.') {
+                pos++;
+                let property = tokens[pos++];
+                if (property?.type !== 'name') {
+                    throw new Error(`Expected a property name in "${source.trim()}"`);
+                }
+                let object = value;
+                value = scope => getProperty(object(scope), property.value);
+                if (peek() === '(') {
+                    pos++;
+                    expect(')');
+                    value = scope => {
+                        let target = object(scope);
+                        let method = getProperty(target, property.value);
+                        if (typeof method !== 'function') {
+                            throw new Error(`"${property.value}" is not a method`);
+                        }
+                        return method.call(target);
+                    };
+                }
+            } else {
+                return value;
+            }
+        }
+    };
+
+    let expression = parseOr();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected "${tokens[pos].value}" in "${source.trim()}"`);
+    }
+    return expression;
+}
+
+/**
+ * Splits a template into text, `{{ output }}`, `{% tag %}` and `{# comment #}` tokens.
+ * A line holding nothing but a tag or a comment is left out of the output entirely.
+ * @param {string} source
+ * @param {number} first_line Line number of the first line of the source
+ * @returns {{type: 'text'|'output'|'tag'|'comment', value: string, line: number}[]}
+ */
+function tokenizeTemplate(source, first_line) {
+    /** @type {{type: 'text'|'output'|'tag'|'comment', value: string, line: number}[]} */
+    let tokens = [];
+    let re = /\{\{([\s\S]*?)\}\}|\{%([\s\S]*?)%\}|\{#[\s\S]*?#\}/g;
+    let line = first_line;
+    let last = 0;
+    let match;
+    while ((match = re.exec(source))) {
+        let text = source.slice(last, match.index);
+        tokens.push({ type: 'text', value: text, line });
+        line += text.split('\n').length - 1;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'output', value: match[1].trim(), line });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'tag', value: match[2].trim(), line });
+        } else {
+            tokens.push({ type: 'comment', value: '', line });
+        }
+        line += match[0].split('\n').length - 1;
+        last = re.lastIndex;
+    }
+    tokens.push({ type: 'text', value: source.slice(last), line });
+
+    // Texts and the other tokens alternate. Decide on the original texts before trimming,
+    // as the text between two tags is trimmed by both.
+    let standalone = tokens.map((token, i) => {
+        if (token.type !== 'tag' && token.type !== 'comment') return false;
+        // The end of a text is the end of a line only at the end of the source
+        let before = tokens[i - 1].value;
+        let after = tokens[i + 1].value;
+        let line_start = (i === 1 ? /(^|\n)[ \t]*$/ : /\n[ \t]*$/).test(before);
+        let line_end = (i === tokens.length - 2 ? /^[ \t]*(\r?\n|$)/ : /^[ \t]*\r?\n/).test(after);
+        return line_start && line_end;
+    });
+    standalone.forEach((is_standalone, i) => {
+        if (!is_standalone) return;
+        tokens[i - 1].value = tokens[i - 1].value.replace(/[ \t]*$/, '');
+        tokens[i + 1].value = tokens[i + 1].value.replace(/^[ \t]*(\r?\n)?/, '');
+    });
+    return tokens;
+}
+
+/**
+ * Compiles a template. Besides `{{ expression }}` it supports
+ * `{% for item in list %}...{% endfor %}` with a `loop` variable (index, index0, first,
+ * last, length), `{% if condition %}...{% elif condition %}...{% else %}...{% endif %}`
+ * and `{# comments #}`.
+ * @param {string} source
+ * @param {number} [first_line=1] Line number of the first line, for error messages
+ * @returns {TemplateNode}
+ * @throws {Error} If the template is invalid, with the line of the error
+ */
+export function compileTemplate(source, first_line = 1) {
+    let tokens = tokenizeTemplate(source, first_line);
+    let pos = 0;
+
+    /**
+     * @param {string} message
+     * @param {number} line
+     * @returns {never}
+     */
+    const fail = (message, line) => {
+        throw new Error(`Line ${line}: ${message}`);
+    };
+
+    /**
+     * Compiles the nodes up to one of the end tags
+     * @param {string[]} end_tags
+     * @returns {{nodes: TemplateNode[], end: string|null, token: any}}
+     */
+    const parseNodes = end_tags => {
+        /** @type {TemplateNode[]} */
+        let nodes = [];
+        while (pos < tokens.length) {
+            let token = tokens[pos++];
+            if (token.type === 'text') {
+                let text = token.value;
+                if (text !== '') nodes.push((scope, output) => output.push(text));
+                continue;
+            }
+            if (token.type === 'comment') continue;
+
+            /** @type {TemplateExpression} */
+            let expression;
+            if (token.type === 'output') {
+                try {
+                    expression = compileExpression(token.value);
+                } catch (err) {
+                    fail(err.message, token.line);
+                }
+                nodes.push(
+                    withLine(token.line, (scope, output) => output.push(toText(expression(scope))))
+                );
+                continue;
+            }
+
+            let [keyword] = token.value.split(/\s+/, 1);
+            if (end_tags.includes(keyword)) return { nodes, end: keyword, token };
+            if (keyword === 'for') nodes.push(parseFor(token));
+            else if (keyword === 'if') nodes.push(parseIf(token));
+            else fail(`Unexpected {% ${token.value} %}`, token.line);
+        }
+        return { nodes, end: null, token: null };
+    };
+
+    /**
+     * @param {{value: string, line: number}} token
+     * @returns {TemplateNode}
+     */
+    const parseFor = token => {
+        let match = /^for\s+([A-Za-z_$][\w$]*)\s+in\s+(.+)$/s.exec(token.value);
+        if (!match)
+            fail(`Invalid {% ${token.value} %}, expected {% for item in list %}`, token.line);
+        let [, name, list_source] = match;
+        /** @type {TemplateExpression} */
+        let list;
+        try {
+            list = compileExpression(list_source);
+        } catch (err) {
+            fail(err.message, token.line);
+        }
+        let body = parseNodes(['endfor']);
+        if (!body.end) fail('{% for %} without {% endfor %}', token.line);
+
+        return withLine(token.line, (scope, output) => {
+            let items = toList(list(scope));
+            items.forEach((item, index) => {
+                let vars = Object.create(scope.vars);
+                vars[name] = item;
+                vars.loop = {
+                    index: index + 1,
+                    index0: index,
+                    first: index === 0,
+                    last: index === items.length - 1,
+                    length: items.length,
+                };
+                renderNodes(body.nodes, { ...scope, vars }, output);
+            });
+        });
+    };
+
+    /**
+     * @param {{value: string, line: number}} token
+     * @returns {TemplateNode}
+     */
+    const parseIf = token => {
+        /** @type {{condition: TemplateExpression|null, nodes: TemplateNode[]}[]} */
+        let branches = [];
+        let current = token;
+        for (;;) {
+            /** @type {TemplateExpression|null} */
+            let condition = null;
+            let keyword = current.value.split(/\s+/, 1)[0];
+            if (keyword !== 'else') {
+                let condition_source = current.value.slice(keyword.length);
+                if (condition_source.trim() === '')
+                    fail(`{% ${keyword} %} needs a condition`, current.line);
+                try {
+                    condition = compileExpression(condition_source);
+                } catch (err) {
+                    fail(err.message, current.line);
+                }
+            }
+            let body = parseNodes(keyword === 'else' ? ['endif'] : ['elif', 'else', 'endif']);
+            if (!body.end) fail('{% if %} without {% endif %}', token.line);
+            branches.push({ condition, nodes: body.nodes });
+            if (body.end === 'endif') break;
+            current = body.token;
+        }
+
+        return withLine(token.line, (scope, output) => {
+            for (let branch of branches) {
+                if (!branch.condition || isTruthy(branch.condition(scope))) {
+                    renderNodes(branch.nodes, scope, output);
+                    return;
+                }
+            }
+        });
+    };
+
+    let result = parseNodes([]);
+    return (scope, output) => renderNodes(result.nodes, scope, output);
+}
+
+/**
+ * Adds the line of a node to the errors it throws
+ * @param {number} line
+ * @param {TemplateNode} node
+ * @returns {TemplateNode}
+ */
+function withLine(line, node) {
+    return (scope, output) => {
+        try {
+            node(scope, output);
+        } catch (err) {
+            if (/^Line \d+: /.test(err.message)) throw err;
+            throw new Error(`Line ${line}: ${err.message}`);
+        }
+    };
+}
+
+/**
+ * @param {TemplateNode[]} nodes
+ * @param {TemplateScope} scope
+ * @param {string[]} output
+ */
+function renderNodes(nodes, scope, output) {
+    for (let node of nodes) node(scope, output);
+}
+
+/** Settings of the front matter */
+const FRONT_MATTER_KEYS = ['name', 'label', 'extension', 'per', 'file'];
+
+/**
+ * Reads a template file. The file may start with a front matter of `key: value` lines
+ * between `---` lines:
+ *
+ *     ---
+ *     name: laravel-model
+ *     label: 🐘 Laravel models
+ *     per: table
+ *     file: {{ table.tableName | singularize | pascalCase }}.php
+ *     ---
+ *
+ * The name defaults to the file name without extensions, the extension to the one before
+ * the last, e.g. ".php" of "model.php.tpl".
+ * @param {string} source
+ * @param {string} file_name Name of the file, without directories
+ * @returns {CodeTemplate}
+ * @throws {Error} If the front matter or the template is invalid
+ */
+export function parseTemplateFile(source, file_name) {
+    let settings = {};
+    let body = source.replace(/^﻿/, '');
+    let body_line = 1;
+
+    let front_matter = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(body);
+    if (front_matter) {
+        let lines = front_matter[1].split(/\r?\n/);
+        lines.forEach((line, i) => {
+            if (line.trim() === '' || line.trim().startsWith('#')) return;
+            let match = /^\s*([A-Za-z]+)\s*:\s*(.*?)\s*$/.exec(line);
+            if (!match) throw new Error(`Line ${i + 2}: expected "key: value"`);
+            if (!FRONT_MATTER_KEYS.includes(match[1])) {
+                throw new Error(`Line ${i + 2}: unknown setting "${match[1]}"`);
+            }
+            settings[match[1]] = match[2].replace(/^(["'])(.*)\1$/, '$2');
+        });
+        body = body.slice(front_matter[0].length);
+        body_line = lines.length + 3;
+    }
+
+    let parts = file_name.split('.');
+    let name = settings.name || parts[0];
+    let extension =
+        settings.extension || (parts.length > 2 ? `.${parts[parts.length - 2]}` : '.txt');
+    let per = settings.per || 'database';
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+        throw new Error(`Template name "${name}" must consist of letters, digits, "-" and "_"`);
+    }
+    if (!extension.startsWith('.')) {
+        throw new Error('"extension" must start with a dot');
+    }
+    if (per !== 'database' && per !== 'table') {
+        throw new Error('"per" must be "database" or "table"');
+    }
+
+    let template = {
+        name,
+        label: settings.label || name,
+        extension,
+        per,
+        file: settings.file || null,
+        body,
+        bodyLine: body_line,
+    };
+    // Syntax errors are reported when the template is loaded, not when it is used
+    compileTemplate(template.body, template.bodyLine);
+    if (template.file) compileTemplate(template.file);
+    return template;
+}
+
+/**
+ * Renders a template on a database model. The variables are `database` (the name),
+ * `db` (the MySQLDatabase), `tables` and, for templates written per table, `table`.
+ * @param {CodeTemplate} template
+ * @param {import("./tools.js").MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Type mapping of the jsType filter
+ * @param {import("./naming.js").NamingOptions} [options.naming] Naming of the className, propertyName, variableName and fileName filters
+ * @returns {import("./format_registry.js").OutputFile[]}
+ * @throws {Error} If rendering fails
+ */
+export function renderTemplateFiles(template, db, options = {}) {
+    let body = compileTemplate(template.body, template.bodyLine);
+    let file = compileTemplate(
+        template.file ||
+            (template.per === 'table'
+                ? `{{ table | fileName }}${template.extension}`
+                : `{{ database }}${template.extension}`)
+    );
+    let mapper = new TypeMapper(options.typeMapping);
+    let naming = new NameMapper(options.naming);
+    let tables = Array.from(db.tables.values());
+    // Without a prototype, names such as "constructor" are unknown variables
+    let globals = Object.assign(Object.create(null), {
+        database: db.databaseName,
+        db,
+        tables,
+    });
+
+    /**
+     * @param {Object<string, any>} vars
+     * @returns {import("./format_registry.js").OutputFile}
+     */
+    const render = vars => {
+        let content = [];
+        let name = [];
+        body({ vars, mapper, naming }, content);
+        try {
+            file({ vars, mapper, naming }, name);
+        } catch (err) {
+            throw new Error(`File name: ${err.message}`);
+        }
+        return { name: name.join('').trim(), content: content.join('') };
+    };
+
+    if (template.per === 'database') return [render(globals)];
+    return tables.map(table => render(Object.assign(Object.create(globals), { table })));
+}
+
+/**
+ * Creates an output format that renders a template
+ * @param {CodeTemplate} template
+ * @returns {import("./format_registry.js").FormatPlugin}
+ */
+export function createTemplateFormat(template) {
+    return {
+        name: template.name,
+        label: template.label,
+        extension: template.extension,
+        generate: (db, options) => renderTemplateFiles(template, db, options),
+    };
+}
@@ -0,0 +1,172 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { NameMapper } from './naming.js';
+import { TypeMapper } from './type_mapping.js';
+import { compileTemplate, parseTemplateFile, renderTemplateFiles } from './templates.js';
+import { columnRow, idColumnRow } from '../../test/_schema_rows.js';
+
+/** Two tables with names that the naming filters change */
+function introspectCatalog() {
+    return createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('order_items'),
+            columnRow('order_items', 'unit_price', {
+                DATA_TYPE: 'decimal',
+                COLUMN_TYPE: 'decimal(8,2)',
+            }),
+            idColumnRow('categories'),
+        ],
+    });
+}
+
+/**
+ * Renders a template with the order_items table as `table`
+ * @param {string} source
+ * @param {number} [first_line]
+ * @returns {string}
+ */
+function render(source, first_line) {
+    let db = introspectCatalog();
+    let output = [];
+    let vars = { database: 'shop', db, table: db.tables.get('order_items') };
+    compileTemplate(source, first_line)(
+        { vars, mapper: new TypeMapper(), naming: new NameMapper() },
+        output
+    );
+    return output.join('');
+}
+
+test('applies the name filters', t => {
+    t.is(
+        render(
+            '{{ table.tableName | camelCase }} {{ table.tableName | pascalCase }} ' +
+                "{{ 'OrderItems' | snakeCase }} {{ table.tableName | singularize }} " +
+                "{{ 'category' | pluralize }} {{ database | upper }} {{ 'SHOP' | lower }}"
+        ),
+        'orderItems OrderItems order_items order_item categories SHOP shop'
+    );
+    t.is(
+        render(
+            '{{ table | className }} {{ table | variableName }} {{ table | fileName }} ' +
+                "{{ 'categories' | className }}"
+        ),
+        'OrderItems order_items order_items Categories'
+    );
+});
+
+test('applies the column, list and value filters', t => {
+    t.is(
+        render(
+            '{% for column in table.columns %}{{ column | propertyName }}: {{ column | jsType }};{% endfor %}'
+        ),
+        'id: number;unit_price: string;'
+    );
+    t.is(
+        render(
+            "{{ table.columns | map: 'columnName' | join: ' + ' }} ({{ table.columns | length }})"
+        ),
+        'id + unit_price (2)'
+    );
+    t.is(
+        render("{{ table.tableComment | default: 'none' }} {{ table.tableName | json }}"),
+        'none "order_items"'
+    );
+});
+
+test('loop variables count the items', t => {
+    t.is(
+        render(
+            '{% for column in table.columns %}{{ loop.index }}/{{ loop.length }} {{ column.columnName }}' +
+                '{% if not loop.last %}, {% endif %}{% endfor %}'
+        ),
+        '1/2 id, 2/2 unit_price'
+    );
+});
+
+test('errors name the line of the template', t => {
+    t.throws(() => render('{{ table.tableName }}\n{{ tables }}'), {
+        message: 'Line 2: Unknown variable "tables"',
+    });
+    t.throws(() => render('\n\n{{ table.tableName | title }}'), {
+        message: 'Line 3: Unknown filter "title" in "table.tableName | title"',
+    });
+    t.throws(() => render('{% if table %}\n{{ table.constructor }}\n{% endif %}', 10), {
+        message: 'Line 11: Property "constructor" cannot be used in templates',
+    });
+    t.throws(() => render('{{ table._columns }}'), {
+        message: 'Line 1: Property "_columns" cannot be used in templates',
+    });
+    t.throws(() => render('{% for column in table.columns %}\n'), {
+        message: 'Line 1: {% for %} without {% endfor %}',
+    });
+});
+
+test('tags alone on a line leave no blank line', t => {
+    t.is(
+        render(
+            '{# one line per column #}\n{% for column in table.columns %}\n  {{ column.columnName }}\n{% endfor %}\n'
+        ),
+        '  id\n  unit_price\n'
+    );
+});
+
+test('text after a tag on the same line keeps its indent', t => {
+    t.is(
+        render('{% for column in table.columns %}  {{ column.columnName }};\n{% endfor %}'),
+        '  id;\n  unit_price;\n'
+    );
+    t.is(render('{% if true %}  yes{% endif %}'), '  yes');
+});
+
+test('the front matter defaults to the file name', t => {
+    let template = parseTemplateFile('{{ database }}\n', 'model.php.tpl');
+    t.like(template, {
+        name: 'model',
+        label: 'model',
+        extension: '.php',
+        per: 'database',
+        file: null,
+        bodyLine: 1,
+    });
+
+    let with_settings = parseTemplateFile(
+        '---\nname: laravel-model\nper: table\n---\n{{ table.tableName }}\n',
+        'model.php.tpl'
+    );
+    t.like(with_settings, {
+        name: 'laravel-model',
+        label: 'laravel-model',
+        per: 'table',
+        bodyLine: 5,
+    });
+    t.throws(() => parseTemplateFile('---\nname: x\n---\n\n{{ nope | title }}', 'x.tpl'), {
+        message: 'Line 5: Unknown filter "title" in "nope | title"',
+    });
+    t.throws(() => parseTemplateFile('---\nper: row\n---\n', 'x.tpl'), {
+        message: '"per" must be "database" or "table"',
+    });
+});
+
+test('writes one file per database or per table', t => {
+    let db = introspectCatalog();
+    let per_database = parseTemplateFile('{{ tables | length }} tables', 'list.md.tpl');
+    t.deepEqual(renderTemplateFiles(per_database, db), [{ name: 'shop.md', content: '2 tables' }]);
+
+    let per_table = parseTemplateFile(
+        '---\nper: table\n---\n{{ table | className }}',
+        'model.php.tpl'
+    );
+    t.deepEqual(
+        renderTemplateFiles(per_table, db).map(file => file.name),
+        ['order_items.php', 'categories.php']
+    );
+
+    let named = parseTemplateFile(
+        '---\nper: table\nfile: {{ table.tableName | singularize | pascalCase }}.php\n---\n',
+        'model.php.tpl'
+    );
+    t.deepEqual(
+        renderTemplateFiles(named, db).map(file => file.name),
+        ['OrderItem.php', 'Category.php']
+    );
+});
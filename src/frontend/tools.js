@@ -1,6 +1,7 @@
 // @ts-check
 
-import { hasStringDataType } from './mysql_schema_helpers';
+import { quoteJsString, TypeMapper } from './type_mapping.js';
+import { NameMapper } from './naming.js';
 
 /**
  * Database column metadata object describing a table column's structure
@@ -55,6 +56,109 @@ import { hasStringDataType } from './mysql_schema_helpers';
  * @property {string|null} generationExpression - Generation expression
  */
 
+/**
+ * Foreign key column row from INFORMATION_SCHEMA.KEY_COLUMN_USAGE joined with REFERENTIAL_CONSTRAINTS
+ * @typedef {Object} ForeignKeyColumnRaw
+ * @property {string} CONSTRAINT_SCHEMA Database/schema name containing the constraint
+ * @property {string} CONSTRAINT_NAME Name of the constraint
+ * @property {string} TABLE_SCHEMA Database/schema name containing the referencing table
+ * @property {string} TABLE_NAME Name of the referencing table
+ * @property {string} COLUMN_NAME Name of the referencing column
+ * @property {number} ORDINAL_POSITION Column position within the constraint (1-based index)
+ * @property {string} REFERENCED_TABLE_SCHEMA Database/schema name containing the referenced table
+ * @property {string} REFERENCED_TABLE_NAME Name of the referenced table
+ * @property {string} REFERENCED_COLUMN_NAME Name of the referenced column
+ * @property {'CASCADE'|'SET NULL'|'SET DEFAULT'|'RESTRICT'|'NO ACTION'} UPDATE_RULE ON UPDATE rule
+ * @property {'CASCADE'|'SET NULL'|'SET DEFAULT'|'RESTRICT'|'NO ACTION'} DELETE_RULE ON DELETE rule
+ */
+
+/**
+ * Index column row from INFORMATION_SCHEMA.STATISTICS
+ * @typedef {Object} IndexColumnRaw
+ * @property {string} TABLE_SCHEMA Database/schema name containing the table
+ * @property {string} TABLE_NAME Name of the table
+ * @property {number|string} NON_UNIQUE 0 if the index is unique, 1 otherwise
+ * @property {string} INDEX_NAME Name of the index ('PRIMARY' for the primary key)
+ * @property {number} SEQ_IN_INDEX Column position within the index (1-based index)
+ * @property {string|null} COLUMN_NAME Name of the column (null for functional key parts)
+ * @property {'A'|'D'|null} COLLATION Sort order: A - ascending, D - descending, null - not sorted
+ * @property {number|null} CARDINALITY Estimated number of unique values
+ * @property {number|null} SUB_PART Number of indexed characters for prefix indexes
+ * @property {string} INDEX_TYPE Index method (BTREE, FULLTEXT, HASH, SPATIAL)
+ * @property {string} [INDEX_COMMENT] Index comment
+ * @property {'YES'|'NO'} [IS_VISIBLE] Whether the index is visible to the optimizer
+ * @property {string|null} [EXPRESSION] Expression of a functional key part
+ */
+
+/** Data types whose defaults are written as numbers */
+const NUMERIC_DATA_TYPES = [
+    'tinyint',
+    'smallint',
+    'mediumint',
+    'int',
+    'integer',
+    'bigint',
+    'decimal',
+    'numeric',
+    'float',
+    'double',
+    'real',
+    'year',
+    'bool',
+    'boolean',
+];
+
+/**
+ * Quotes an SQL identifier with backticks
+ * @param {string} name
+ * @returns {string}
+ */
+function quoteIdentifier(name) {
+    return `\`${name.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Escapes string for an SQL string literal
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeSqlString(str) {
+    return str.replace(/\\/g, '\\\\').replace(/'/g, "''");
+}
+
+/**
+ * Returns the generation expression of INFORMATION_SCHEMA.COLUMNS as it is written in
+ * DDL. MySQL escapes the quotes of string literals there with backslashes, e.g.
+ * "concat(`email`,_utf8mb4\' \')" for "concat(`email`,_utf8mb4' ')".
+ * @param {string|null|undefined} expression
+ * @returns {string|null}
+ */
+function unescapeGenerationExpression(expression) {
+    if (!expression) return expression ?? null;
+    return expression.replace(/\\(.)/gs, '$1');
+}
+
+/**
+ * Converts a numeric metadata value, which is a number, a string (BIGINT) or null
+ * @param {number|string|null|undefined} value
+ * @returns {number|null}
+ */
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    let number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Converts a date metadata value, which is a Date or a string in snapshots
+ * @param {Date|string|null|undefined} value
+ * @returns {string|null}
+ */
+function toDateStringOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
 /**
  * Validate a raw column metadata object against the expected structure and types.
  * Throws an error if the object is invalid.
@@ -334,7 +438,7 @@ class MySQLTableColumn {
         this.privileges = rawMetadata.PRIVILEGES;
         this.columnComment = rawMetadata.COLUMN_COMMENT;
         this.isGenerated = rawMetadata.IS_GENERATED;
-        this.generationExpression = rawMetadata.GENERATION_EXPRESSION;
+        this.generationExpression = unescapeGenerationExpression(rawMetadata.GENERATION_EXPRESSION);
     }
 
     /**
@@ -385,6 +489,298 @@ class MySQLTableColumn {
     }
 }
 
+/**
+ * Class representing a foreign key constraint, possibly spanning several columns
+ */
+class MySQLForeignKey {
+    /**
+     * Name of the constraint
+     * @type {string}
+     */
+    constraintName;
+
+    /**
+     * Database/schema name containing the referencing table
+     * @type {string}
+     */
+    tableSchema;
+
+    /**
+     * Name of the referencing table
+     * @type {string}
+     */
+    tableName;
+
+    /**
+     * Referencing columns in constraint order
+     * @type {string[]}
+     */
+    columnNames = [];
+
+    /**
+     * Database/schema name containing the referenced table
+     * @type {string}
+     */
+    referencedTableSchema;
+
+    /**
+     * Name of the referenced table
+     * @type {string}
+     */
+    referencedTableName;
+
+    /**
+     * Referenced columns in constraint order
+     * @type {string[]}
+     */
+    referencedColumnNames = [];
+
+    /**
+     * ON UPDATE rule
+     * @type {string}
+     */
+    updateRule;
+
+    /**
+     * ON DELETE rule
+     * @type {string}
+     */
+    deleteRule;
+
+    /**
+     * Creates a foreign key from the first row of the constraint
+     * @param {ForeignKeyColumnRaw} row
+     */
+    constructor(row) {
+        this.constraintName = row.CONSTRAINT_NAME;
+        this.tableSchema = row.TABLE_SCHEMA;
+        this.tableName = row.TABLE_NAME;
+        this.referencedTableSchema = row.REFERENCED_TABLE_SCHEMA;
+        this.referencedTableName = row.REFERENCED_TABLE_NAME;
+        this.updateRule = row.UPDATE_RULE;
+        this.deleteRule = row.DELETE_RULE;
+    }
+
+    /**
+     * Generates the FOREIGN KEY clause of a CREATE TABLE statement
+     * @returns {string}
+     */
+    getConstraintDefinition() {
+        let referenced_table = quoteIdentifier(this.referencedTableName);
+        if (this.referencedTableSchema && this.referencedTableSchema !== this.tableSchema) {
+            referenced_table = `${quoteIdentifier(this.referencedTableSchema)}.${referenced_table}`;
+        }
+
+        let definition =
+            `CONSTRAINT ${quoteIdentifier(this.constraintName)} FOREIGN KEY (${this.columnNames.map(quoteIdentifier).join(', ')})` +
+            ` REFERENCES ${referenced_table} (${this.referencedColumnNames.map(quoteIdentifier).join(', ')})`;
+
+        // RESTRICT and NO ACTION are the same in InnoDB and the default
+        if (this.deleteRule && !['RESTRICT', 'NO ACTION'].includes(this.deleteRule)) {
+            definition += ` ON DELETE ${this.deleteRule}`;
+        }
+        if (this.updateRule && !['RESTRICT', 'NO ACTION'].includes(this.updateRule)) {
+            definition += ` ON UPDATE ${this.updateRule}`;
+        }
+        return definition;
+    }
+
+    /**
+     * Get a JSON representation of the foreign key
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            ...this,
+        };
+    }
+}
+
+/**
+ * Groups foreign key column rows into constraints
+ * @param {ForeignKeyColumnRaw[]} rows
+ * @returns {MySQLForeignKey[]}
+ */
+function createForeignKeysFromRawData(rows) {
+    /** @type {Map<string, MySQLForeignKey>} */
+    let foreign_keys = new Map();
+
+    let sorted_rows = [...rows].sort((a, b) => a.ORDINAL_POSITION - b.ORDINAL_POSITION);
+    for (let row of sorted_rows) {
+        let key = `${row.TABLE_SCHEMA}.${row.TABLE_NAME}.${row.CONSTRAINT_NAME}`;
+        let foreign_key = foreign_keys.get(key);
+        if (!foreign_key) {
+            foreign_key = new MySQLForeignKey(row);
+            foreign_keys.set(key, foreign_key);
+        }
+        foreign_key.columnNames.push(row.COLUMN_NAME);
+        foreign_key.referencedColumnNames.push(row.REFERENCED_COLUMN_NAME);
+    }
+
+    return Array.from(foreign_keys.values());
+}
+
+/**
+ * Class representing a table index, possibly spanning several columns
+ */
+class MySQLTableIndex {
+    /**
+     * Name of the index ('PRIMARY' for the primary key)
+     * @type {string}
+     */
+    indexName;
+
+    /**
+     * Name of the table
+     * @type {string}
+     */
+    tableName;
+
+    /**
+     * Whether the index is unique
+     * @type {boolean}
+     */
+    unique;
+
+    /**
+     * Index method (BTREE, FULLTEXT, HASH, SPATIAL)
+     * @type {string}
+     */
+    indexType;
+
+    /**
+     * Index comment
+     * @type {string}
+     */
+    comment;
+
+    /**
+     * Whether the index is visible to the optimizer
+     * @type {boolean}
+     */
+    visible;
+
+    /**
+     * Key parts in index order
+     * @type {{columnName: string|null, subPart: number|null, descending: boolean, expression: string|null}[]}
+     */
+    columns = [];
+
+    /**
+     * Creates an index from the first row of the index
+     * @param {IndexColumnRaw} row
+     */
+    constructor(row) {
+        this.indexName = row.INDEX_NAME;
+        this.tableName = row.TABLE_NAME;
+        this.unique = Number(row.NON_UNIQUE) === 0;
+        this.indexType = row.INDEX_TYPE;
+        this.comment = row.INDEX_COMMENT || '';
+        this.visible = row.IS_VISIBLE !== 'NO';
+    }
+
+    /**
+     * Check if the index is the primary key
+     * @returns {boolean}
+     */
+    isPrimary() {
+        return this.indexName === 'PRIMARY';
+    }
+
+    /**
+     * Get the names of the indexed columns
+     * @returns {string[]}
+     */
+    getColumnNames() {
+        return this.columns.filter(c => c.columnName !== null).map(c => String(c.columnName));
+    }
+
+    /**
+     * Generates the key definition of a CREATE TABLE statement,
+     * e.g. "UNIQUE KEY `uq_email` (`email`(50))"
+     * @returns {string}
+     */
+    getIndexDefinition() {
+        let parts = this.columns.map(column => {
+            let part =
+                column.columnName !== null
+                    ? quoteIdentifier(column.columnName)
+                    : `(${column.expression})`;
+            if (column.subPart) part += `(${column.subPart})`;
+            if (column.descending) part += ' DESC';
+            return part;
+        });
+
+        let definition;
+        if (this.isPrimary()) {
+            definition = `PRIMARY KEY (${parts.join(', ')})`;
+        } else {
+            let kind = 'KEY';
+            if (this.indexType === 'FULLTEXT') kind = 'FULLTEXT KEY';
+            else if (this.indexType === 'SPATIAL') kind = 'SPATIAL KEY';
+            else if (this.unique) kind = 'UNIQUE KEY';
+            definition = `${kind} ${quoteIdentifier(this.indexName)} (${parts.join(', ')})`;
+        }
+
+        if (this.indexType === 'HASH') definition += ' USING HASH';
+        if (this.comment) definition += ` COMMENT '${escapeSqlString(this.comment)}'`;
+        if (!this.visible) definition += ' INVISIBLE';
+        return definition;
+    }
+
+    /**
+     * Get a JSON representation of the index
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            ...this,
+        };
+    }
+}
+
+/**
+ * Returns the position of an index kind in SHOW CREATE TABLE: the primary key first,
+ * then unique keys, then other keys, and FULLTEXT keys last
+ * @param {MySQLTableIndex} index
+ * @returns {number}
+ */
+function getIndexDefinitionRank(index) {
+    if (index.isPrimary()) return 0;
+    if (index.unique) return 1;
+    if (index.indexType === 'FULLTEXT') return 3;
+    return 2;
+}
+
+/**
+ * Groups index column rows into indexes
+ * @param {IndexColumnRaw[]} rows
+ * @returns {MySQLTableIndex[]}
+ */
+function createIndexesFromRawData(rows) {
+    /** @type {Map<string, MySQLTableIndex>} */
+    let indexes = new Map();
+
+    let sorted_rows = [...rows].sort((a, b) => a.SEQ_IN_INDEX - b.SEQ_IN_INDEX);
+    for (let row of sorted_rows) {
+        let key = `${row.TABLE_SCHEMA}.${row.TABLE_NAME}.${row.INDEX_NAME}`;
+        let index = indexes.get(key);
+        if (!index) {
+            index = new MySQLTableIndex(row);
+            indexes.set(key, index);
+        }
+        index.columns.push({
+            columnName: row.COLUMN_NAME,
+            subPart:
+                row.SUB_PART === null || row.SUB_PART === undefined ? null : Number(row.SUB_PART),
+            descending: row.COLLATION === 'D',
+            expression: row.EXPRESSION || null,
+        });
+    }
+
+    return Array.from(indexes.values());
+}
+
 class MySQLDatabase {
     /** @type {string} */
     databaseName;
@@ -416,6 +812,54 @@ class MySQLDatabase {
     addTable(table) {
         this.tables.set(table.tableName, table);
     }
+
+    /**
+     * Attaches foreign keys to the tables of the database: as outgoing relations
+     * to the referencing table and as incoming relations to the referenced table.
+     *
+     * @param {ForeignKeyColumnRaw[]} rows - Foreign key column rows.
+     */
+    setForeignKeys(rows) {
+        for (let table of this.tables.values()) {
+            table.foreignKeys = [];
+            table.referencedBy = [];
+        }
+
+        for (let foreign_key of createForeignKeysFromRawData(rows)) {
+            if (foreign_key.tableSchema === this.databaseName) {
+                this.tables.get(foreign_key.tableName)?.foreignKeys.push(foreign_key);
+            }
+            if (foreign_key.referencedTableSchema === this.databaseName) {
+                this.tables.get(foreign_key.referencedTableName)?.referencedBy.push(foreign_key);
+            }
+        }
+    }
+
+    /**
+     * Attaches indexes to the tables of the database.
+     *
+     * @param {IndexColumnRaw[]} rows - Rows of INFORMATION_SCHEMA.STATISTICS.
+     */
+    setIndexes(rows) {
+        for (let table of this.tables.values()) {
+            table.indexes = [];
+        }
+
+        for (let index of createIndexesFromRawData(rows)) {
+            this.tables.get(index.tableName)?.indexes.push(index);
+        }
+    }
+
+    /**
+     * Attaches table metadata to the tables of the database.
+     *
+     * @param {Object[]} rows - Rows of INFORMATION_SCHEMA.TABLES.
+     */
+    setTablesInfo(rows) {
+        for (let row of rows) {
+            this.tables.get(row.TABLE_NAME)?.setTableInfo(row);
+        }
+    }
 }
 
 class MySQLTable {
@@ -423,6 +867,76 @@ class MySQLTable {
     tableName;
     /** @type {Map<string, MySQLTableColumn>} */
     columns = new Map();
+    /**
+     * Foreign keys declared in this table (outgoing relations)
+     * @type {MySQLForeignKey[]}
+     */
+    foreignKeys = [];
+    /**
+     * Foreign keys of other tables that reference this table (incoming relations)
+     * @type {MySQLForeignKey[]}
+     */
+    referencedBy = [];
+    /**
+     * Indexes of the table
+     * @type {MySQLTableIndex[]}
+     */
+    indexes = [];
+    /**
+     * Storage engine (e.g. 'InnoDB'), null if unknown
+     * @type {string|null}
+     */
+    engine = null;
+    /**
+     * Default collation of the table (e.g. 'utf8mb4_unicode_ci'), null if unknown
+     * @type {string|null}
+     */
+    tableCollation = null;
+    /**
+     * Table comment
+     * @type {string}
+     */
+    tableComment = '';
+    /**
+     * Table type: 'BASE TABLE', 'VIEW' or 'SYSTEM VIEW', null if unknown
+     * @type {string|null}
+     */
+    tableType = null;
+    /**
+     * Row format (e.g. 'Dynamic'), null if unknown
+     * @type {string|null}
+     */
+    rowFormat = null;
+    /**
+     * Number of rows; an estimate for InnoDB tables, null if unknown
+     * @type {number|null}
+     */
+    rowEstimate = null;
+    /**
+     * Size of the data in bytes, null if unknown
+     * @type {number|null}
+     */
+    dataLength = null;
+    /**
+     * Size of the indexes in bytes, null if unknown
+     * @type {number|null}
+     */
+    indexLength = null;
+    /**
+     * Next AUTO_INCREMENT value, null if the table has no auto-increment column or it is unknown
+     * @type {number|null}
+     */
+    autoIncrement = null;
+    /**
+     * Creation time of the table, null if unknown
+     * @type {string|null}
+     */
+    createTime = null;
+    /**
+     * Time of the last change of the data, null if unknown or not tracked by the engine
+     * @type {string|null}
+     */
+    updateTime = null;
 
     /**
      * Creates MySQLTable instance from table name and columns data
@@ -466,12 +980,114 @@ class MySQLTable {
     }
 
     /**
-     * Generates CREATE TABLE SQL statement based on table metadata
+     * Imports table metadata from a row of INFORMATION_SCHEMA.TABLES
+     * @param {Object} row
+     */
+    setTableInfo(row) {
+        this.engine = row.ENGINE || null;
+        this.tableCollation = row.TABLE_COLLATION || null;
+        this.tableComment = row.TABLE_COMMENT || '';
+        this.tableType = row.TABLE_TYPE || null;
+        this.rowFormat = row.ROW_FORMAT || null;
+        this.rowEstimate = toNumberOrNull(row.TABLE_ROWS);
+        this.dataLength = toNumberOrNull(row.DATA_LENGTH);
+        this.indexLength = toNumberOrNull(row.INDEX_LENGTH);
+        this.autoIncrement = toNumberOrNull(row.AUTO_INCREMENT);
+        this.createTime = toDateStringOrNull(row.CREATE_TIME);
+        this.updateTime = toDateStringOrNull(row.UPDATE_TIME);
+    }
+
+    /**
+     * Checks whether the table is a view
+     * @returns {boolean}
+     */
+    isView() {
+        return this.tableType === 'VIEW' || this.tableType === 'SYSTEM VIEW';
+    }
+
+    /**
+     * Get the default charset of the table, derived from its collation
+     * @returns {string|null}
+     */
+    getTableCharset() {
+        return this.tableCollation ? this.tableCollation.split('_')[0] : null;
+    }
+
+    /**
+     * Generates the column definition of a CREATE/ALTER TABLE statement
+     * @param {MySQLTableColumn} column
+     * @param {Object} [options]
+     * @param {string|null} [options.charset] Default charset of the table; the column charset is emitted if it differs (null - always)
+     * @param {string|null} [options.collation] Default collation of the table; the column collation is emitted if it differs (null - always)
+     * @returns {string}
+     */
+    generateColumnDefinition(column, options = {}) {
+        // Базовое определение колонки
+        let definition = `${quoteIdentifier(column.columnName)} ${column.columnType}`;
+
+        // CHARACTER SET / COLLATE
+        if (
+            column.characterSetName &&
+            options.charset !== undefined &&
+            column.characterSetName !== options.charset
+        ) {
+            definition += ` CHARACTER SET ${column.characterSetName}`;
+        }
+        if (
+            column.collationName &&
+            options.collation !== undefined &&
+            column.collationName !== options.collation
+        ) {
+            definition += ` COLLATE ${column.collationName}`;
+        }
+
+        // GENERATED
+        if (column.generationExpression && column.isGenerated && column.isGenerated !== 'NEVER') {
+            let storage = /STORED/i.test(column.extra) ? 'STORED' : 'VIRTUAL';
+            definition += ` GENERATED ALWAYS AS (${column.generationExpression}) ${storage}`;
+        }
+
+        // NOT NULL
+        if (!column.allowsNull()) {
+            definition += ' NOT NULL';
+        }
+
+        // DEFAULT
+        if (column.columnDefault !== null) {
+            const defaultValue = this.#formatDefaultValue(column);
+            definition += ` DEFAULT ${defaultValue}`;
+        }
+
+        // ON UPDATE
+        let on_update = /on update (CURRENT_TIMESTAMP(\(\d*\))?)/i.exec(column.extra);
+        if (on_update) {
+            definition += ` ON UPDATE ${on_update[1].toUpperCase()}`;
+        }
+
+        // AUTO_INCREMENT
+        if (column.isAutoIncrement()) {
+            definition += ' AUTO_INCREMENT';
+        }
+
+        // COMMENT
+        if (column.columnComment) {
+            definition += ` COMMENT '${this.#escapeString(column.columnComment)}'`;
+        }
+
+        return definition;
+    }
+
+    /**
+     * Generates CREATE TABLE SQL statement based on table metadata.
+     * Keys are generated from the indexes of the table (INFORMATION_SCHEMA.STATISTICS); if no
+     * indexes are loaded, they are derived from COLUMN_KEY, which cannot express composite,
+     * prefix or FULLTEXT keys and does not know the index names.
      * @param {Object} [options] Additional options
-     * @param {string} [options.engine] Storage engine (e.g. 'InnoDB')
-     * @param {string} [options.charset] Default charset (e.g. 'utf8mb4')
-     * @param {string} [options.collation] Default collation (e.g. 'utf8mb4_unicode_ci')
-     * @param {string} [options.comment] Table comment
+     * @param {string|null} [options.engine] Storage engine (e.g. 'InnoDB'), default is the table engine
+     * @param {string} [options.charset] Default charset (e.g. 'utf8mb4'), default is the table charset
+     * @param {string} [options.collation] Default collation (e.g. 'utf8mb4_unicode_ci'), default is the table collation
+     * @param {string} [options.comment] Table comment, default is the table comment
+     * @param {boolean} [options.foreignKeys=true] Include FOREIGN KEY clauses
      * @returns {string} CREATE TABLE SQL query
      */
     generateCreateTableQuery(options = {}) {
@@ -480,112 +1096,118 @@ class MySQLTable {
             throw new Error(`Table ${this.tableName} has no columns`);
         }
 
+        const engine = options.engine !== undefined ? options.engine : this.engine;
+        // Without table metadata the defaults of the database apply, and every column
+        // gets its charset and collation
+        const charset = options.charset || this.getTableCharset();
+        const collation = options.collation || this.tableCollation;
+        const comment = options.comment !== undefined ? options.comment : this.tableComment;
+
         // Собираем определения колонок
         const columnDefinitions = [];
-        const primaryKeys = [];
-        const uniqueKeys = [];
-        const indexes = [];
-
         for (const column of columns) {
-            // Базовое определение колонки
-            let definition = `\`${column.columnName}\` ${column.columnType}`;
-
-            // NOT NULL
-            if (!column.allowsNull()) {
-                definition += ' NOT NULL';
-            }
-
-            // DEFAULT
-            if (column.columnDefault !== null) {
-                const defaultValue = this.#formatDefaultValue(column);
-                definition += ` DEFAULT ${defaultValue}`;
-            }
-
-            // AUTO_INCREMENT
-            if (column.isAutoIncrement()) {
-                definition += ' AUTO_INCREMENT';
-            }
-
-            // COMMENT
-            if (column.columnComment) {
-                definition += ` COMMENT '${this.#escapeString(column.columnComment)}'`;
-            }
-
-            columnDefinitions.push(definition);
-
-            // Индексы
-            if (column.isPrimaryKey()) {
-                primaryKeys.push(`\`${column.columnName}\``);
-            } else if (column.columnKey === 'UNI') {
-                uniqueKeys.push(`\`${column.columnName}\``);
-            } else if (column.columnKey === 'MUL') {
-                indexes.push(`\`${column.columnName}\``);
-            }
+            columnDefinitions.push(this.generateColumnDefinition(column, { charset, collation }));
         }
 
-        // Добавляем PRIMARY KEY
-        if (primaryKeys.length > 0) {
-            columnDefinitions.push(`PRIMARY KEY (${primaryKeys.join(', ')})`);
+        // Добавляем ключи
+        if (this.indexes.length > 0) {
+            const indexes = [...this.indexes].sort(
+                (a, b) => getIndexDefinitionRank(a) - getIndexDefinitionRank(b)
+            );
+            for (const index of indexes) {
+                columnDefinitions.push(index.getIndexDefinition());
+            }
+        } else {
+            columnDefinitions.push(...this.#generateKeysFromColumnKeys());
         }
 
-        // Добавляем UNIQUE ключи
-        for (const uniqueCol of uniqueKeys) {
-            columnDefinitions.push(
-                `UNIQUE KEY \`${uniqueCol.replace(/`/g, '')}_unique\` (${uniqueCol})`
-            );
+        // Добавляем FOREIGN KEY
+        if (options.foreignKeys !== false) {
+            for (const foreignKey of this.foreignKeys) {
+                columnDefinitions.push(foreignKey.getConstraintDefinition());
+            }
         }
 
         // Собираем полный запрос
-        let query = `CREATE TABLE \`${this.tableName}\` (\n  `;
+        let query = `CREATE TABLE ${quoteIdentifier(this.tableName)} (\n  `;
         query += columnDefinitions.join(',\n  ');
         query += '\n)';
 
         // Добавляем ENGINE если указан
-        if (options.engine) {
-            query += ` ENGINE=${options.engine}`;
+        if (engine) {
+            query += ` ENGINE=${engine}`;
         }
 
         // Добавляем CHARSET и COLLATION
-        const charset = options.charset || columns[0].characterSetName || 'utf8mb4';
-        const collation = options.collation || columns[0].collationName || 'utf8mb4_unicode_ci';
-        query += ` DEFAULT CHARSET=${charset} COLLATE=${collation}`;
+        if (charset) {
+            query += ` DEFAULT CHARSET=${charset}`;
+        }
+        if (collation) {
+            query += ` COLLATE=${collation}`;
+        }
 
         // Добавляем COMMENT таблицы
-        if (options.comment) {
-            query += ` COMMENT='${this.#escapeString(options.comment)}'`;
+        if (comment) {
+            query += ` COMMENT='${this.#escapeString(comment)}'`;
         }
 
         return query + ';';
     }
 
     /**
-     * Formats default value for SQL query
+     * Generates key definitions from the COLUMN_KEY of the columns,
+     * used when no index metadata is loaded
+     * @returns {string[]}
+     */
+    #generateKeysFromColumnKeys() {
+        const primaryKeys = [];
+        const keys = [];
+
+        for (const column of this.getColumns()) {
+            const name = quoteIdentifier(column.columnName);
+            if (column.isPrimaryKey()) {
+                primaryKeys.push(name);
+            } else if (column.columnKey === 'UNI') {
+                keys.push(`UNIQUE KEY ${name} (${name})`);
+            } else if (column.columnKey === 'MUL') {
+                keys.push(`KEY ${name} (${name})`);
+            }
+        }
+
+        if (primaryKeys.length > 0) {
+            keys.unshift(`PRIMARY KEY (${primaryKeys.join(', ')})`);
+        }
+        return keys;
+    }
+
+    /**
+     * Formats default value for SQL query. Literal defaults are quoted, as SHOW CREATE TABLE
+     * prints them; numbers, bit and hex literals, CURRENT_TIMESTAMP and expressions are not.
      * @param {MySQLTableColumn} column
      * @returns {string}
      */
     #formatDefaultValue(column) {
-        if (column.columnDefault === null) return 'NULL';
+        let value = column.columnDefault;
+        if (value === null) return 'NULL';
 
-        // Для строковых типов
-        if (['char', 'varchar', 'text', 'enum', 'set'].includes(column.dataType.toLowerCase())) {
-            return `'${this.#escapeString(column.columnDefault)}'`;
-        }
+        if (/^CURRENT_TIMESTAMP(\(\d*\))?$/i.test(value)) return value.toUpperCase();
+
+        // Для выражений (MySQL 8.0.13+)
+        if (/DEFAULT_GENERATED/i.test(column.extra)) return `(${value})`;
 
-        // Для временных типов
+        // Bit values are reported as b'101', binary values as 0x616263 by MySQL 8
+        if (/^b'[01]*'$/i.test(value) || /^0x[\da-f]*$/i.test(value)) return value;
+
+        // Для чисел
         if (
-            ['timestamp', 'datetime'].includes(column.dataType.toLowerCase()) &&
-            column.columnDefault.toUpperCase() === 'CURRENT_TIMESTAMP'
+            NUMERIC_DATA_TYPES.includes(column.dataType.toLowerCase()) &&
+            /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i.test(value)
         ) {
-            return 'CURRENT_TIMESTAMP';
+            return value;
         }
 
-        // Для бинарных данных
-        if (['blob', 'binary'].includes(column.dataType.toLowerCase())) {
-            return `x'${column.columnDefault}'`;
-        }
-
-        // Для остальных типов (числа, булевы и т.д.)
-        return column.columnDefault;
+        // Strings, dates, times, ENUM, SET and binary values of older servers
+        return `'${this.#escapeString(value)}'`;
     }
 
     /**
@@ -599,16 +1221,13 @@ class MySQLTable {
 }
 
 /**
- *
- * @param {ColumnMetadataRaw[]} data
- * @returns {string}
+ * Builds a MySQLDatabase model from raw column metadata rows
+ * @param {ColumnMetadataRaw[]} data Rows of INFORMATION_SCHEMA.COLUMNS of a single database
+ * @param {ForeignKeyColumnRaw[]} [foreignKeys=[]] Foreign key column rows
+ * @returns {MySQLDatabase}
  */
-function convertColumnMetadataToJsCode(data) {
-    if (data.length === 0) {
-        return '';
-    }
-
-    let db = new MySQLDatabase(data[0].TABLE_SCHEMA);
+function createDatabaseFromColumnMetadata(data, foreignKeys = []) {
+    let db = new MySQLDatabase(data.length > 0 ? data[0].TABLE_SCHEMA : '');
 
     for (let i = 0; i < data.length; i++) {
         let jsonData = data[i];
@@ -623,6 +1242,80 @@ function convertColumnMetadataToJsCode(data) {
         table.addColumn(column);
     }
 
+    db.setForeignKeys(foreignKeys);
+
+    return db;
+}
+
+/**
+ * Builds a MySQLDatabase model from the full introspection result of a database
+ * @param {string} databaseName Database name
+ * @param {Object} data Introspection result, e.g. a database of a snapshot
+ * @param {ColumnMetadataRaw[]} data.columns Rows of INFORMATION_SCHEMA.COLUMNS
+ * @param {IndexColumnRaw[]} [data.indexes] Rows of INFORMATION_SCHEMA.STATISTICS
+ * @param {ForeignKeyColumnRaw[]} [data.foreignKeys] Foreign key column rows
+ * @param {Object[]} [data.tables] Rows of INFORMATION_SCHEMA.TABLES
+ * @returns {MySQLDatabase}
+ */
+function createDatabaseModel(databaseName, data) {
+    let db = createDatabaseFromColumnMetadata(data.columns);
+    db.databaseName = databaseName;
+    db.setForeignKeys(data.foreignKeys || []);
+    db.setIndexes(data.indexes || []);
+    db.setTablesInfo(data.tables || []);
+    return db;
+}
+
+/**
+ * Generates CREATE TABLE statements of the tables of a database model
+ * @param {MySQLDatabase} db
+ * @returns {string}
+ */
+function generateCreateTableSql(db) {
+    let statements = Array.from(db.tables.values()).map(table => table.generateCreateTableQuery());
+
+    // Tables may reference tables that are created later
+    if (Array.from(db.tables.values()).some(table => table.foreignKeys.length > 0)) {
+        statements.unshift('SET FOREIGN_KEY_CHECKS = 0;');
+        statements.push('SET FOREIGN_KEY_CHECKS = 1;');
+    }
+
+    return statements.join('\n\n');
+}
+
+/**
+ * Generates CREATE TABLE statements of the tables
+ * @param {ColumnMetadataRaw[]} data
+ * @param {IndexColumnRaw[]} [indexes=[]] Rows of INFORMATION_SCHEMA.STATISTICS
+ * @param {ForeignKeyColumnRaw[]} [foreignKeys=[]] Foreign key column rows
+ * @param {Object[]} [tables=[]] Rows of INFORMATION_SCHEMA.TABLES
+ * @returns {string}
+ */
+function convertColumnMetadataToSql(data, indexes = [], foreignKeys = [], tables = []) {
+    if (data.length === 0) {
+        return '';
+    }
+
+    return generateCreateTableSql(
+        createDatabaseModel(data[0].TABLE_SCHEMA, {
+            columns: data,
+            indexes,
+            foreignKeys,
+            tables,
+        })
+    );
+}
+
+/**
+ * Generates JavaScript object literals with the column metadata and the relations of the
+ * tables of a database model
+ * @param {MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {import("./naming.js").NamingOptions} [options.naming] Overrides of the default naming
+ * @returns {string}
+ */
+function generateJsObjectsCode(db, options = {}) {
+    let naming = new NameMapper(options.naming);
     let output = [
         `
 /**
@@ -655,9 +1348,10 @@ function convertColumnMetadataToJsCode(data) {
     ];
 
     for (let table of db.tables.values()) {
-        output.push(`export const ${table.tableName} = {`);
+        output.push(`export const ${naming.getVariableName(table.tableName)} = {`);
         for (let column of table.getColumns()) {
-            output.push(`    ${column.columnName}: {`);
+            let property = naming.getPropertyName(table.tableName, column.columnName);
+            output.push(`    ${formatTsPropertyName(property)}: {`);
             for (let [key, value] of Object.entries(column.toJSON())) {
                 output.push(`        ${key}: ${JSON.stringify(value)},`);
             }
@@ -666,9 +1360,35 @@ function convertColumnMetadataToJsCode(data) {
         output.push(`};`);
     }
 
+    let relations = [];
+    for (let table of db.tables.values()) {
+        if (table.foreignKeys.length === 0 && table.referencedBy.length === 0) continue;
+        relations.push(`    ${naming.getVariableName(table.tableName)}: {`);
+        relations.push(`        foreignKeys: ${JSON.stringify(table.foreignKeys)},`);
+        relations.push(`        referencedBy: ${JSON.stringify(table.referencedBy)},`);
+        relations.push(`    },`);
+    }
+    if (relations.length > 0) {
+        output.push(`\nexport const foreignKeys = {`, ...relations, `};`);
+    }
+
     return output.join('\n');
 }
 
+/**
+ *
+ * @param {ColumnMetadataRaw[]} data
+ * @param {ForeignKeyColumnRaw[]} [foreignKeys=[]] Foreign key column rows
+ * @returns {string}
+ */
+function convertColumnMetadataToJsCode(data, foreignKeys = []) {
+    if (data.length === 0) {
+        return '';
+    }
+
+    return generateJsObjectsCode(createDatabaseFromColumnMetadata(data, foreignKeys));
+}
+
 /**
  *
  * @param {string} tableName
@@ -678,60 +1398,317 @@ function convertTableNameToJsClassName(tableName) {
     return result;
 }
 
+/** Type of the `columns` metadata of the generated classes */
+const JS_CLASS_COLUMN_TYPEDEF = `/**
+ * @typedef {Object} ColumnInfo
+ * @property {string} column Column name
+ * @property {string} type Column type, e.g. "varchar(255)"
+ * @property {boolean} nullable Whether the column allows NULL
+ * @property {boolean} primaryKey Whether the column is part of the primary key
+ * @property {boolean} autoIncrement Whether the column is AUTO_INCREMENT
+ * @property {boolean} generated Whether the column is a generated column
+ * @property {string|null} default Default value as reported by MySQL
+ * @property {string} comment Column comment
+ */`;
+
+/**
+ * Returns the lines of a JSDoc comment text, e.g. a column comment
+ * @param {string} text
+ * @param {string} indent
+ * @returns {string[]}
+ */
+function formatJsDocLines(text, indent) {
+    return text
+        .split(/\r?\n/)
+        .map(line => `${indent} * ${line.replace(/\*\//g, '*\\/')}`.trimEnd());
+}
+
+/**
+ * Generates a class per table of a database model. Instances are created from values by
+ * property name (`new UsersItem({...})`) or from database rows (`UsersItem.fromRow(row)`);
+ * `toRow()` returns the values by column name again, converted back for the driver (e.g.
+ * JSON text, SET lists). Missing values get the column default; values the database fills
+ * in (auto-increment, generated and expression defaults) stay undefined and are left out of
+ * `toRow()`, as are generated columns.
+ * @param {MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @param {import("./naming.js").NamingOptions} [options.naming] Overrides of the default naming
+ * @param {boolean} [options.immutable=false] Freeze the instances and add a `with(changes)` method
+ * @returns {string}
+ */
+function generateJsClassCode(db, options = {}) {
+    let mapper = new TypeMapper(options.typeMapping);
+    let naming = new NameMapper(options.naming);
+
+    let output = [JS_CLASS_COLUMN_TYPEDEF];
+
+    for (let table of db.tables.values()) {
+        let class_name = `${naming.getClassName(table.tableName)}Item`;
+        let columns = table.getColumns().map(column => ({
+            column,
+            property: naming.getPropertyName(table.tableName, column.columnName),
+            generated: column.isGenerated !== undefined && column.isGenerated !== 'NEVER',
+            default_value: mapper.getDefaultExpression(column),
+        }));
+
+        output.push('', '/**');
+        output.push(` * Row of the ${table.isView() ? 'view' : 'table'} \`${table.tableName}\``);
+        if (table.tableComment) output.push(...formatJsDocLines(table.tableComment, ''));
+        if (options.immutable)
+            output.push(' *', ' * Instances are frozen, `with()` returns a changed copy.');
+        output.push(' */');
+        output.push(`export class ${class_name} {`);
+
+        output.push('    /**');
+        output.push('     * Columns of the properties, by property name');
+        output.push('     * @type {Readonly<Object<string, ColumnInfo>>}');
+        output.push('     */');
+        output.push('    static columns = Object.freeze({');
+        for (let { column, property, generated } of columns) {
+            let info = {
+                column: column.columnName,
+                type: column.columnType,
+                nullable: column.allowsNull(),
+                primaryKey: column.isPrimaryKey(),
+                autoIncrement: column.isAutoIncrement(),
+                generated,
+                default: column.columnDefault,
+                comment: column.columnComment || '',
+            };
+            let fields = Object.entries(info).map(
+                ([key, value]) =>
+                    `${key}: ${typeof value === 'string' ? quoteJsString(value) : value}`
+            );
+            output.push(`        ${formatTsPropertyName(property)}: { ${fields.join(', ')} },`);
+        }
+        output.push('    });');
+
+        for (let { column, property, generated, default_value } of columns) {
+            // Values the database fills in are unknown until the row is read back
+            let filled_by_database =
+                default_value === null &&
+                (column.isAutoIncrement() || generated || column.columnDefault !== null);
+            let type =
+                mapper.getType(column) +
+                (column.allowsNull() ? '|null' : '') +
+                (filled_by_database ? '|undefined' : '');
+            let description = `\`${column.columnName}\` ${column.columnType}`;
+            if (column.columnComment) description += `: ${column.columnComment}`;
+
+            output.push('', '    /**');
+            output.push(...formatJsDocLines(description, '    '));
+            output.push(`     * @type {${type}}`);
+            output.push('     */');
+            output.push(`    ${formatTsPropertyName(property)};`);
+        }
+
+        output.push('', '    /**');
+        output.push(
+            '     * @param {Object<string, any>} [data] Values by property name, missing values get'
+        );
+        output.push('     * the column default');
+        output.push('     */');
+        output.push('    constructor(data = {}) {');
+        for (let { column, property, default_value } of columns) {
+            let value = formatPropertyAccess('data', property);
+            let cast = mapper.getCastExpression(column, value);
+            output.push(
+                `        ${formatPropertyAccess('this', property)} = ${value} === undefined ? ${default_value ?? 'undefined'} : ${cast};`
+            );
+        }
+        if (options.immutable) output.push('        Object.freeze(this);');
+        output.push('    }');
+
+        output.push('', '    /**');
+        output.push('     * Creates an instance from a database row, keyed by column name');
+        output.push('     * @param {Object<string, any>} row');
+        output.push(`     * @returns {${class_name}}`);
+        output.push('     */');
+        output.push('    static fromRow(row) {');
+        output.push(`        return new ${class_name}({`);
+        for (let { column, property } of columns) {
+            output.push(
+                `            ${formatTsPropertyName(property)}: ${formatPropertyAccess('row', column.columnName)},`
+            );
+        }
+        output.push('        });');
+        output.push('    }');
+
+        output.push('', '    /**');
+        output.push(
+            '     * Returns the values by column name, e.g. for an INSERT, converted to the values'
+        );
+        output.push(
+            '     * the driver writes. Undefined values and generated columns are left out, so the'
+        );
+        output.push('     * database fills them in.');
+        output.push('     * @returns {Object<string, any>}');
+        output.push('     */');
+        output.push('    toRow() {');
+        output.push('        let row = {');
+        for (let { column, property, generated } of columns) {
+            // The database computes generated columns and rejects values for them
+            if (generated) continue;
+            let value = mapper.getDatabaseValueExpression(
+                column,
+                formatPropertyAccess('this', property)
+            );
+            output.push(`            ${formatTsPropertyName(column.columnName)}: ${value},`);
+        }
+        output.push('        };');
+        output.push(
+            '        return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== undefined));'
+        );
+        output.push('    }');
+
+        if (options.immutable) {
+            output.push('', '    /**');
+            output.push('     * Returns a copy with changed values');
+            output.push('     * @param {Object<string, any>} changes Values by property name');
+            output.push(`     * @returns {${class_name}}`);
+            output.push('     */');
+            output.push('    with(changes) {');
+            output.push(`        return new ${class_name}({ ...this, ...changes });`);
+            output.push('    }');
+        }
+
+        output.push('}');
+    }
+
+    return output.join('\n');
+}
+
 /**
  *
  * @param {ColumnMetadataRaw[]} data
+ * @param {Object} [options]
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @param {boolean} [options.immutable=false] Freeze the instances
  * @returns {string}
  */
-function convertColumnMetadataToJsClassCode(data) {
+function convertColumnMetadataToJsClassCode(data, options = {}) {
     if (data.length === 0) {
         return '';
     }
 
-    let db = new MySQLDatabase(data[0].TABLE_SCHEMA);
+    return generateJsClassCode(createDatabaseFromColumnMetadata(data), options);
+}
 
-    for (let i = 0; i < data.length; i++) {
-        let jsonData = data[i];
-        let column = new MySQLTableColumn();
-        column.importFromRawData(jsonData);
+/**
+ * Returns a property access expression, e.g. "data.id" or "data['order-id']"
+ * @param {string} object
+ * @param {string} name
+ * @returns {string}
+ */
+function formatPropertyAccess(object, name) {
+    let property = formatTsPropertyName(name);
+    return property === name ? `${object}.${name}` : `${object}[${property}]`;
+}
 
-        let table = db.tables.get(column.tableName);
-        if (!table) {
-            table = new MySQLTable(column.tableName);
-            db.addTable(table);
-        }
-        table.addColumn(column);
-    }
+/**
+ * Returns the property name, quoted if it is not a valid identifier
+ * @param {string} name
+ * @returns {string}
+ */
+function formatTsPropertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name.replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Checks if a column value may be omitted on INSERT
+ * @param {MySQLTableColumn} column
+ * @returns {boolean}
+ */
+function isColumnOptionalOnInsert(column) {
+    return (
+        column.isAutoIncrement() ||
+        column.columnDefault !== null ||
+        column.allowsNull() ||
+        (column.isGenerated !== undefined && column.isGenerated !== 'NEVER')
+    );
+}
 
-    let output = [``];
+/**
+ * Generates TypeScript interfaces of the tables of a database model
+ * @param {MySQLDatabase} db
+ * @param {Object} [options]
+ * @param {boolean} [options.variants=true] Also emit `<Table>Insert` and `<Table>Update` interfaces
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @param {import("./naming.js").NamingOptions} [options.naming] Overrides of the default naming
+ * @returns {string}
+ */
+function generateTsCode(db, options = {}) {
+    let variants = options.variants !== false;
+    let mapper = new TypeMapper(options.typeMapping);
+    let naming = new NameMapper(options.naming);
+    let output = [];
+
+    /**
+     * @param {string} name
+     * @param {MySQLTableColumn[]} columns
+     * @param {(column: MySQLTableColumn) => boolean} isOptional
+     */
+    const pushInterface = (name, columns, isOptional) => {
+        output.push(`export interface ${name} {`);
+        for (let column of columns) {
+            if (column.columnComment) {
+                output.push(`    /** ${column.columnComment.replace(/\*\//g, '*\\/')} */`);
+            }
+            let type = mapper.getType(column) + (column.allowsNull() ? ' | null' : '');
+            let optional = isOptional(column) ? '?' : '';
+            let property = naming.getPropertyName(column.tableName, column.columnName);
+            output.push(`    ${formatTsPropertyName(property)}${optional}: ${type};`);
+        }
+        output.push(`}\n`);
+    };
 
     for (let table of db.tables.values()) {
-        output.push(`export class ${convertTableNameToJsClassName(table.tableName)}Item {`);
-        for (let column of table.getColumns()) {
-            output.push(`    /** @type {${hasStringDataType(column) ? 'string' : 'number'}} */`);
-            output.push(`    ${column.columnName};`);
+        let name = naming.getClassName(table.tableName);
+        let columns = table.getColumns();
+
+        pushInterface(name, columns, () => false);
+        if (variants) {
+            pushInterface(`${name}Insert`, columns, isColumnOptionalOnInsert);
+            pushInterface(`${name}Update`, columns, () => true);
         }
 
-        output.push(`    constructor(data) {`);
-        for (let column of table.getColumns()) {
-            if (hasStringDataType(column)) {
-                output.push(
-                    `        this.${column.columnName} = String(data.${column.columnName});`
-                );
-            } else {
+        // Renamed properties need the column names to read and write rows
+        let renamed = columns.filter(
+            column =>
+                naming.getPropertyName(table.tableName, column.columnName) !== column.columnName
+        );
+        if (renamed.length > 0) {
+            output.push(`export const ${name}Columns = {`);
+            for (let column of columns) {
+                let property = naming.getPropertyName(table.tableName, column.columnName);
                 output.push(
-                    `        this.${column.columnName} = Number(data.${column.columnName});`
+                    `    ${formatTsPropertyName(property)}: '${column.columnName.replace(/'/g, "\\'")}',`
                 );
             }
+            output.push(`} as const;\n`);
         }
-        output.push(`    }`);
-
-        output.push(`};`);
     }
 
     return output.join('\n');
 }
 
+/**
+ * Converts column metadata to TypeScript interfaces, one per table
+ * @param {ColumnMetadataRaw[]} data
+ * @param {Object} [options]
+ * @param {boolean} [options.variants=true] Also emit `<Table>Insert` and `<Table>Update` interfaces
+ * @param {import("./type_mapping.js").TypeMappingOptions} [options.typeMapping] Overrides of the default type mapping
+ * @returns {string}
+ */
+function convertColumnMetadataToTsCode(data, options = {}) {
+    if (data.length === 0) {
+        return '';
+    }
+
+    return generateTsCode(createDatabaseFromColumnMetadata(data), options);
+}
+
 /**
  * Returns a string with the first letter uppercased
  * @param {string} str The string to modify
@@ -741,4 +1718,27 @@ function upperCaseFirstLetter(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-export { convertColumnMetadataToJsCode, convertColumnMetadataToJsClassCode };
+export {
+    MySQLDatabase,
+    MySQLTable,
+    MySQLTableColumn,
+    MySQLForeignKey,
+    MySQLTableIndex,
+    createDatabaseFromColumnMetadata,
+    createDatabaseModel,
+    createForeignKeysFromRawData,
+    createIndexesFromRawData,
+    quoteIdentifier,
+    escapeSqlString,
+    formatPropertyAccess,
+    formatTsPropertyName,
+    convertTableNameToJsClassName,
+    generateCreateTableSql,
+    generateJsObjectsCode,
+    generateJsClassCode,
+    generateTsCode,
+    convertColumnMetadataToJsCode,
+    convertColumnMetadataToJsClassCode,
+    convertColumnMetadataToTsCode,
+    convertColumnMetadataToSql,
+};
@@ -0,0 +1,91 @@
+import test from 'ava';
+import { createDatabaseModel, generateJsClassCode } from './tools.js';
+import { columnRow, idColumnRow } from '../../test/_schema_rows.js';
+
+/**
+ * Imports the code of the generated classes as a module
+ * @param {string} code
+ */
+function importCode(code) {
+    return import(`data:text/javascript,${encodeURIComponent(code)}`);
+}
+
+/** Users with columns of the types that fromRow() and toRow() convert */
+function introspectUsers() {
+    return createDatabaseModel('shop', {
+        columns: [
+            idColumnRow('users'),
+            columnRow('users', 'email', { DATA_TYPE: 'varchar', COLUMN_TYPE: 'varchar(100)' }),
+            columnRow('users', 'is_active', {
+                DATA_TYPE: 'tinyint',
+                COLUMN_TYPE: 'tinyint(1)',
+                COLUMN_DEFAULT: '1',
+            }),
+            columnRow('users', 'meta', {
+                DATA_TYPE: 'json',
+                COLUMN_TYPE: 'json',
+                IS_NULLABLE: 'YES',
+            }),
+            columnRow('users', 'roles', {
+                DATA_TYPE: 'set',
+                COLUMN_TYPE: "set('admin','editor')",
+                COLUMN_DEFAULT: '',
+            }),
+            columnRow('users', 'label', {
+                DATA_TYPE: 'varchar',
+                COLUMN_TYPE: 'varchar(110)',
+                IS_GENERATED: 'ALWAYS',
+                EXTRA: 'VIRTUAL GENERATED',
+                GENERATION_EXPRESSION: 'upper(`email`)',
+            }),
+        ],
+    });
+}
+
+test('classes convert rows to instances with defaults', async t => {
+    let { UsersItem } = await importCode(
+        generateJsClassCode(introspectUsers(), { naming: { properties: 'camelCase' } })
+    );
+
+    let user = UsersItem.fromRow({ id: 1, email: 'a@b.c', meta: '{"a":1}', roles: 'admin,editor' });
+    t.is(user.isActive, true);
+    t.deepEqual(user.meta, { a: 1 });
+    t.deepEqual(user.roles, ['admin', 'editor']);
+    t.is(UsersItem.columns.isActive.column, 'is_active');
+    t.true(UsersItem.columns.label.generated);
+});
+
+test('toRow converts values back and leaves out generated columns', async t => {
+    let { UsersItem } = await importCode(generateJsClassCode(introspectUsers()));
+
+    let user = UsersItem.fromRow({
+        id: 1,
+        email: 'a@b.c',
+        meta: '{"a":1}',
+        roles: 'admin,editor',
+        label: 'A@B.C',
+    });
+    t.is(user.label, 'A@B.C');
+    t.deepEqual(user.toRow(), {
+        id: 1,
+        email: 'a@b.c',
+        is_active: true,
+        meta: '{"a":1}',
+        roles: 'admin,editor',
+    });
+
+    let empty = new UsersItem({ email: 'a@b.c', meta: null });
+    t.deepEqual(empty.toRow(), { email: 'a@b.c', is_active: true, meta: null, roles: '' });
+});
+
+test('immutable classes are frozen and copied by with()', async t => {
+    let { UsersItem } = await importCode(
+        generateJsClassCode(introspectUsers(), { immutable: true })
+    );
+
+    let user = new UsersItem({ email: 'a@b.c' });
+    let changed = user.with({ email: 'd@e.f' });
+    t.true(Object.isFrozen(user));
+    t.is(user.email, 'a@b.c');
+    t.is(changed.email, 'd@e.f');
+});
@@ -0,0 +1,384 @@
+// @ts-check
+
+import { getEnumValues, hasBooleanDataType } from './mysql_schema_helpers.js';
+
+/**
+ * Kind of value a column holds, independent of the generated language
+ * @typedef {'boolean'|'integer'|'bigint'|'decimal'|'float'|'year'|'date'|'time'|'string'|'enum'|'set'|'json'|'binary'|'bit'|'geometry'} ColumnValueKind
+ */
+
+/**
+ * How column values are represented in generated code. The defaults keep BIGINT and
+ * DECIMAL values exact, as mysql2 does with `supportBigNumbers` and `bigNumberStrings`.
+ * @typedef {Object} TypeMappingOptions
+ * @property {'string'|'bigint'|'number'} [bigint] BIGINT values. "number" loses precision above 2^53
+ * @property {'string'|'number'} [decimal] DECIMAL/NUMERIC values. "number" is not exact
+ * @property {'Date'|'string'} [date] DATE, DATETIME and TIMESTAMP values; strings are ISO 8601
+ * local times, e.g. "2024-01-31T12:00:00"
+ * @property {'parsed'|'string'} [json] JSON values, parsed or as JSON text
+ * @property {'array'|'string'} [set] SET values, an array of members or a comma-separated string
+ * @property {'Buffer'|'base64'} [binary] BLOB/BINARY values
+ * @property {'number'|'Buffer'} [bit] BIT(n) values with n > 1, BIT(1) is a boolean
+ * @property {Object<string, string>} [types] Type per column type (e.g. "tinyint(1)") or data type (e.g. "point")
+ * @property {Object<string, string>} [columns] Type per column, keyed by "table.column"
+ */
+
+/** @type {Required<Omit<TypeMappingOptions, 'types'|'columns'>>} */
+export const defaultTypeMapping = {
+    bigint: 'string',
+    decimal: 'string',
+    date: 'Date',
+    json: 'parsed',
+    set: 'array',
+    binary: 'Buffer',
+    bit: 'number',
+};
+
+/** Allowed values of the type mapping options */
+const TYPE_MAPPING_VALUES = {
+    bigint: ['string', 'bigint', 'number'],
+    decimal: ['string', 'number'],
+    date: ['Date', 'string'],
+    json: ['parsed', 'string'],
+    set: ['array', 'string'],
+    binary: ['Buffer', 'base64'],
+    bit: ['number', 'Buffer'],
+};
+
+/**
+ * Validates type mapping options, e.g. loaded from a config file
+ * @param {any} obj
+ * @returns {TypeMappingOptions}
+ * @throws {Error} If an option is unknown or has an invalid value
+ */
+export function assertTypeMapping(obj) {
+    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+        throw new Error('Type mapping must be an object');
+    }
+    for (const [key, value] of Object.entries(obj)) {
+        if (key === 'types' || key === 'columns') {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                throw new Error(`Type mapping "${key}" must be an object`);
+            }
+            for (const [name, type] of Object.entries(value)) {
+                if (typeof type !== 'string' || type === '') {
+                    throw new Error(`Type mapping "${key}.${name}" must be a non-empty string`);
+                }
+            }
+            continue;
+        }
+        if (!TYPE_MAPPING_VALUES[key]) {
+            throw new Error(`Unknown type mapping option "${key}"`);
+        }
+        if (!TYPE_MAPPING_VALUES[key].includes(value)) {
+            throw new Error(
+                `Type mapping "${key}" must be one of: ${TYPE_MAPPING_VALUES[key].join(', ')}`
+            );
+        }
+    }
+    return obj;
+}
+
+/**
+ * Detects the kind of value a column holds
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @returns {ColumnValueKind}
+ */
+export function getColumnValueKind(column) {
+    let data_type = column.dataType.toLowerCase();
+    let column_type = column.columnType.toLowerCase();
+
+    if (data_type === 'bit') return column_type === 'bit(1)' ? 'boolean' : 'bit';
+    if (data_type === 'bool' || data_type === 'boolean') return 'boolean';
+    if (data_type === 'bigint') return 'bigint';
+    if (/^(tinyint|smallint|mediumint|int|integer)$/.test(data_type)) {
+        return hasBooleanDataType(column) ? 'boolean' : 'integer';
+    }
+    if (data_type === 'decimal' || data_type === 'numeric') return 'decimal';
+    if (/^(float|double|real)$/.test(data_type)) return 'float';
+    if (data_type === 'year') return 'year';
+    if (/^(date|datetime|timestamp)$/.test(data_type)) return 'date';
+    if (data_type === 'time') return 'time';
+    if (data_type === 'enum') return 'enum';
+    if (data_type === 'set') return 'set';
+    if (data_type === 'json') return 'json';
+    if (/blob|binary/.test(data_type)) return 'binary';
+    if (/geometry|point|linestring|polygon|geomcollection|geometrycollection/.test(data_type)) {
+        return 'geometry';
+    }
+    return 'string';
+}
+
+/**
+ * Returns a JavaScript string literal in single quotes
+ * @param {string} value
+ * @returns {string}
+ */
+export function quoteJsString(value) {
+    let escaped = value
+        .replace(/\\/g, '\\\\')
+        .replace(/'/g, "\\'")
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+    return `'${escaped}'`;
+}
+
+/**
+ * Returns a union of string literals, e.g. "'a' | 'b'"
+ * @param {string[]} values
+ * @returns {string}
+ */
+function formatLiteralUnion(values) {
+    return values.map(quoteJsString).join(' | ');
+}
+
+/**
+ * Maps MySQL columns to TypeScript/JSDoc types and to the JavaScript expressions that
+ * convert raw driver values to these types. All generators use it, so the same column
+ * gets the same type in every output.
+ */
+export class TypeMapper {
+    /**
+     * @type {Required<Omit<TypeMappingOptions, 'types'|'columns'>> & {types: Object<string, string>, columns: Object<string, string>}}
+     */
+    options;
+
+    /**
+     * @param {TypeMappingOptions} [options] Overrides of the default mapping
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...defaultTypeMapping,
+            ...options,
+            types: { ...options.types },
+            columns: { ...options.columns },
+        };
+    }
+
+    /**
+     * Returns the type configured for the column in `types` or `columns`, if any
+     * @param {import("./tools.js").MySQLTableColumn} column
+     * @returns {string|null}
+     */
+    getOverride(column) {
+        let { columns, types } = this.options;
+        return (
+            columns[`${column.tableName}.${column.columnName}`] ||
+            types[column.columnType.toLowerCase()] ||
+            types[column.dataType.toLowerCase()] ||
+            null
+        );
+    }
+
+    /**
+     * Returns the TypeScript type of a column value, without null.
+     * The type is valid in JSDoc comments as well.
+     * @param {import("./tools.js").MySQLTableColumn} column
+     * @returns {string}
+     */
+    getType(column) {
+        let override = this.getOverride(column);
+        if (override) return override;
+
+        let options = this.options;
+        switch (getColumnValueKind(column)) {
+            case 'boolean':
+                return 'boolean';
+            case 'integer':
+            case 'float':
+            case 'year':
+                return 'number';
+            case 'bigint':
+                return options.bigint;
+            case 'decimal':
+                return options.decimal;
+            case 'date':
+                return options.date;
+            case 'enum': {
+                let values = getEnumValues(column);
+                return values.length ? formatLiteralUnion(values) : 'string';
+            }
+            case 'set': {
+                if (options.set === 'string') return 'string';
+                let values = getEnumValues(column);
+                return values.length ? `(${formatLiteralUnion(values)})[]` : 'string[]';
+            }
+            case 'json':
+                return options.json === 'parsed' ? 'unknown' : 'string';
+            case 'binary':
+                return options.binary === 'Buffer' ? 'Buffer' : 'string';
+            case 'bit':
+                return options.bit;
+            case 'geometry':
+                return 'unknown';
+            default:
+                return 'string';
+        }
+    }
+
+    /**
+     * Returns a JavaScript expression that converts a raw value of the column, as returned
+     * by the driver or parsed from JSON, to the mapped type. Null values stay null.
+     * @param {import("./tools.js").MySQLTableColumn} column
+     * @param {string} value Expression of the raw value, e.g. "data.id"
+     * @returns {string}
+     */
+    getCastExpression(column, value) {
+        let cast = this.#getNonNullCastExpression(column, value);
+        if (cast === value) return cast;
+        return `${value} == null ? null : ${cast}`;
+    }
+
+    /**
+     * Returns a JavaScript expression that converts a value of the mapped type to a value
+     * mysql2 can write to the column, e.g. parsed JSON back to text. Returns the value
+     * expression itself if the driver takes the value as it is.
+     * @param {import("./tools.js").MySQLTableColumn} column
+     * @param {string} value Expression of the value, e.g. "values.meta"
+     * @returns {string}
+     */
+    getDatabaseValueExpression(column, value) {
+        if (this.getOverride(column)) return value;
+
+        let options = this.options;
+        let conversion = value;
+        switch (getColumnValueKind(column)) {
+            case 'bigint':
+                if (options.bigint === 'bigint') {
+                    conversion = `typeof ${value} === 'bigint' ? String(${value}) : ${value}`;
+                }
+                break;
+            case 'set':
+                conversion = `Array.isArray(${value}) ? ${value}.join(',') : ${value}`;
+                break;
+            case 'json':
+                if (options.json === 'parsed') conversion = `JSON.stringify(${value})`;
+                break;
+            case 'binary':
+                if (options.binary === 'base64') {
+                    conversion = `typeof ${value} === 'string' ? Buffer.from(${value}, 'base64') : ${value}`;
+                }
+                break;
+        }
+        if (conversion === value) return value;
+        return `${value} == null ? ${value} : ${conversion}`;
+    }
+
+    /**
+     * Returns a JavaScript expression of the column default in the mapped type, e.g. "'new'",
+     * "0" or "null". Returns null if the database computes the value: auto-increment and
+     * generated columns, expression defaults such as CURRENT_TIMESTAMP, NOT NULL columns
+     * without default and defaults the mapping cannot express.
+     * @param {import("./tools.js").MySQLTableColumn} column
+     * @returns {string|null}
+     */
+    getDefaultExpression(column) {
+        if (column.isAutoIncrement()) return null;
+        if (column.isGenerated !== undefined && column.isGenerated !== 'NEVER') return null;
+
+        let value = column.columnDefault;
+        if (value === null) return column.allowsNull() ? 'null' : null;
+        if (
+            /DEFAULT_GENERATED/i.test(column.extra) ||
+            /^current_timestamp(\(\d*\))?$/i.test(value)
+        ) {
+            return null;
+        }
+        if (this.getOverride(column)) return null;
+
+        // MariaDB returns string defaults quoted
+        let quoted = /^'(.*)'$/s.exec(value);
+        if (quoted) value = quoted[1].replace(/''/g, "'");
+
+        let options = this.options;
+        switch (getColumnValueKind(column)) {
+            case 'boolean':
+                return value === '1' || value === "b'1'" ? 'true' : 'false';
+            case 'integer':
+            case 'float':
+            case 'year':
+                return /^[-+]?\d+(\.\d+)?(e[-+]?\d+)?$/i.test(value) ? String(Number(value)) : null;
+            case 'bigint':
+                if (!/^-?\d+$/.test(value)) return null;
+                if (options.bigint === 'bigint') return `${value}n`;
+                return options.bigint === 'number' ? value : quoteJsString(value);
+            case 'decimal':
+                if (!/^-?\d+(\.\d+)?$/.test(value)) return null;
+                return options.decimal === 'number' ? String(Number(value)) : quoteJsString(value);
+            case 'date': {
+                if (/^0000-00-00/.test(value)) return null;
+                // Without a time, "new Date()" would read the date as UTC
+                let iso = /^\d{4}-\d{2}-\d{2}$/.test(value)
+                    ? `${value}T00:00:00`
+                    : value.replace(' ', 'T');
+                return options.date === 'Date'
+                    ? `new Date(${quoteJsString(iso)})`
+                    : quoteJsString(iso);
+            }
+            case 'set':
+                if (options.set === 'string') return quoteJsString(value);
+                return `[${value.split(',').filter(Boolean).map(quoteJsString).join(', ')}]`;
+            case 'time':
+            case 'enum':
+            case 'string':
+                return quoteJsString(value);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * @param {import("./tools.js").MySQLTableColumn} column
+     * @param {string} value
+     * @returns {string}
+     */
+    #getNonNullCastExpression(column, value) {
+        if (this.getOverride(column)) return value;
+
+        let options = this.options;
+        switch (getColumnValueKind(column)) {
+            case 'boolean':
+                // BIT(1) is returned as a Buffer
+                return `typeof ${value} === 'object' ? ${value}[0] === 1 : Boolean(Number(${value}))`;
+            case 'integer':
+            case 'float':
+            case 'year':
+                return `Number(${value})`;
+            case 'bigint':
+                if (options.bigint === 'bigint') return `BigInt(${value})`;
+                return options.bigint === 'number' ? `Number(${value})` : `String(${value})`;
+            case 'decimal':
+                return options.decimal === 'number' ? `Number(${value})` : `String(${value})`;
+            case 'date': {
+                // Strings of the driver are local times, as the defaults. Without a time,
+                // "new Date()" would read a date as UTC.
+                let iso = `String(${value}).replace(' ', 'T').replace(/^\\d{4}-\\d{2}-\\d{2}$/, '$&T00:00:00')`;
+                if (options.date === 'Date') {
+                    return `${value} instanceof Date ? ${value} : new Date(typeof ${value} === 'string' ? ${iso} : ${value})`;
+                }
+                let local = `new Date(${value}.getTime() - ${value}.getTimezoneOffset() * 60000)`;
+                return `${value} instanceof Date ? ${local}.toISOString().replace(/(\\.000)?Z$/, '') : ${iso}`;
+            }
+            case 'set':
+                return options.set === 'array'
+                    ? `Array.isArray(${value}) ? ${value} : String(${value}).split(',').filter(Boolean)`
+                    : `Array.isArray(${value}) ? ${value}.join(',') : String(${value})`;
+            case 'json':
+                return options.json === 'parsed'
+                    ? `typeof ${value} === 'string' ? JSON.parse(${value}) : ${value}`
+                    : `typeof ${value} === 'string' ? ${value} : JSON.stringify(${value})`;
+            case 'binary':
+                return options.binary === 'Buffer'
+                    ? `Buffer.isBuffer(${value}) ? ${value} : Buffer.from(${value}, 'base64')`
+                    : `Buffer.isBuffer(${value}) ? ${value}.toString('base64') : String(${value})`;
+            case 'bit':
+                return options.bit === 'Buffer'
+                    ? value
+                    : `typeof ${value} === 'object' ? ${value}.reduce((n, b) => n * 256 + b, 0) : Number(${value})`;
+            case 'geometry':
+                return value;
+            default:
+                return `String(${value})`;
+        }
+    }
+}
@@ -0,0 +1,138 @@
+import test from 'ava';
+import { createDatabaseModel } from './tools.js';
+import { TypeMapper, assertTypeMapping } from './type_mapping.js';
+import { columnRow } from '../../test/_schema_rows.js';
+
+/**
+ * Returns the column model of a column row
+ * @param {Partial<import("./tools.js").ColumnMetadataRaw>} fields
+ */
+function createColumn(fields) {
+    let db = createDatabaseModel('shop', { columns: [columnRow('users', 'value', fields)] });
+    return db.tables.get('users').columns.get('value');
+}
+
+/**
+ * Evaluates a cast expression of the mapper for a raw value
+ * @param {TypeMapper} mapper
+ * @param {import("./tools.js").MySQLTableColumn} column
+ * @param {any} value
+ */
+function cast(mapper, column, value) {
+    return new Function('value', `return ${mapper.getCastExpression(column, 'value')};`)(value);
+}
+
+const DATE = { DATA_TYPE: 'date', COLUMN_TYPE: 'date' };
+const DATETIME = { DATA_TYPE: 'datetime', COLUMN_TYPE: 'datetime' };
+
+test('maps column types to TypeScript types', t => {
+    let mapper = new TypeMapper();
+    t.is(
+        mapper.getType(createColumn({ COLUMN_TYPE: 'tinyint(1)', DATA_TYPE: 'tinyint' })),
+        'boolean'
+    );
+    t.is(mapper.getType(createColumn({ DATA_TYPE: 'bigint', COLUMN_TYPE: 'bigint' })), 'string');
+    t.is(
+        mapper.getType(createColumn({ DATA_TYPE: 'decimal', COLUMN_TYPE: 'decimal(5,2)' })),
+        'string'
+    );
+    t.is(mapper.getType(createColumn(DATE)), 'Date');
+    t.is(
+        mapper.getType(createColumn({ DATA_TYPE: 'enum', COLUMN_TYPE: "enum('a','b')" })),
+        "'a' | 'b'"
+    );
+    t.is(
+        mapper.getType(createColumn({ DATA_TYPE: 'set', COLUMN_TYPE: "set('a','b')" })),
+        "('a' | 'b')[]"
+    );
+    t.is(
+        new TypeMapper({ bigint: 'bigint' }).getType(
+            createColumn({ DATA_TYPE: 'bigint', COLUMN_TYPE: 'bigint' })
+        ),
+        'bigint'
+    );
+    t.is(
+        new TypeMapper({ columns: { 'users.value': 'Point' } }).getType(createColumn({})),
+        'Point'
+    );
+});
+
+test('reads date strings as local times', t => {
+    let mapper = new TypeMapper();
+    t.deepEqual(cast(mapper, createColumn(DATE), '2024-01-31'), new Date(2024, 0, 31));
+    t.deepEqual(
+        cast(mapper, createColumn(DATETIME), '2024-01-31 12:30:00'),
+        new Date(2024, 0, 31, 12, 30)
+    );
+    let date = new Date(2024, 0, 31);
+    t.is(cast(mapper, createColumn(DATE), date), date);
+    t.is(cast(mapper, createColumn({ ...DATE, IS_NULLABLE: 'YES' }), null), null);
+});
+
+test('date strings are ISO 8601 local times like the defaults', t => {
+    let mapper = new TypeMapper({ date: 'string' });
+    let column = createColumn({ ...DATETIME, COLUMN_DEFAULT: '2024-01-31 12:30:00' });
+    t.is(mapper.getDefaultExpression(column), "'2024-01-31T12:30:00'");
+    t.is(cast(mapper, column, '2024-01-31 12:30:00'), '2024-01-31T12:30:00');
+    t.is(cast(mapper, column, new Date(2024, 0, 31, 12, 30)), '2024-01-31T12:30:00');
+    t.is(cast(mapper, column, new Date(2024, 0, 31, 12, 30, 0, 250)), '2024-01-31T12:30:00.250');
+    t.is(cast(mapper, createColumn(DATE), '2024-01-31'), '2024-01-31T00:00:00');
+});
+
+test('returns the defaults in the mapped type', t => {
+    let mapper = new TypeMapper();
+    t.is(
+        mapper.getDefaultExpression(createColumn({ ...DATE, COLUMN_DEFAULT: '2000-01-01' })),
+        "new Date('2000-01-01T00:00:00')"
+    );
+    t.is(
+        mapper.getDefaultExpression(
+            createColumn({
+                DATA_TYPE: 'decimal',
+                COLUMN_TYPE: 'decimal(5,2)',
+                COLUMN_DEFAULT: '1.50',
+            })
+        ),
+        "'1.50'"
+    );
+    t.is(
+        mapper.getDefaultExpression(
+            createColumn({ DATA_TYPE: 'set', COLUMN_TYPE: "set('a','b')", COLUMN_DEFAULT: 'a,b' })
+        ),
+        "['a', 'b']"
+    );
+    t.is(
+        mapper.getDefaultExpression(
+            createColumn({ ...DATETIME, COLUMN_DEFAULT: 'CURRENT_TIMESTAMP' })
+        ),
+        null
+    );
+    t.is(mapper.getDefaultExpression(createColumn({ EXTRA: 'auto_increment' })), null);
+});
+
+test('converts values back for the driver', t => {
+    let mapper = new TypeMapper({ bigint: 'bigint' });
+    let json = createColumn({ DATA_TYPE: 'json', COLUMN_TYPE: 'json' });
+    let set = createColumn({ DATA_TYPE: 'set', COLUMN_TYPE: "set('a','b')" });
+    let bigint = createColumn({ DATA_TYPE: 'bigint', COLUMN_TYPE: 'bigint' });
+    t.is(mapper.getDatabaseValueExpression(json, 'v'), 'v == null ? v : JSON.stringify(v)');
+    t.is(
+        mapper.getDatabaseValueExpression(set, 'v'),
+        "v == null ? v : Array.isArray(v) ? v.join(',') : v"
+    );
+    t.is(
+        mapper.getDatabaseValueExpression(bigint, 'v'),
+        "v == null ? v : typeof v === 'bigint' ? String(v) : v"
+    );
+    t.is(mapper.getDatabaseValueExpression(createColumn({}), 'v'), 'v');
+});
+
+test('validates type mapping options', t => {
+    t.deepEqual(assertTypeMapping({ date: 'string' }), { date: 'string' });
+    t.throws(() => assertTypeMapping({ date: 'moment' }), {
+        message: 'Type mapping "date" must be one of: Date, string',
+    });
+    t.throws(() => assertTypeMapping({ dates: 'Date' }), {
+        message: 'Unknown type mapping option "dates"',
+    });
+});
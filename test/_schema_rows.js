@@ -0,0 +1,107 @@
+// @ts-check
+
+/**
+ * Builders of introspection rows for the tests of the schema modules. Every builder
+ * returns a row with the values of a plain column, index or key, which the fields override.
+ */
+
+/**
+ * Returns a row of INFORMATION_SCHEMA.COLUMNS, an "int NOT NULL" column by default
+ * @param {string} table_name
+ * @param {string} column_name
+ * @param {Partial<import("../src/frontend/tools.js").ColumnMetadataRaw>} [fields]
+ * @returns {import("../src/frontend/tools.js").ColumnMetadataRaw}
+ */
+export function columnRow(table_name, column_name, fields = {}) {
+    return {
+        TABLE_CATALOG: 'def',
+        TABLE_SCHEMA: 'shop',
+        TABLE_NAME: table_name,
+        COLUMN_NAME: column_name,
+        ORDINAL_POSITION: 1,
+        COLUMN_DEFAULT: null,
+        IS_NULLABLE: 'NO',
+        DATA_TYPE: 'int',
+        CHARACTER_MAXIMUM_LENGTH: null,
+        CHARACTER_OCTET_LENGTH: null,
+        NUMERIC_PRECISION: 10,
+        NUMERIC_SCALE: 0,
+        DATETIME_PRECISION: null,
+        CHARACTER_SET_NAME: null,
+        COLLATION_NAME: null,
+        COLUMN_TYPE: 'int',
+        COLUMN_KEY: '',
+        EXTRA: '',
+        PRIVILEGES: 'select,insert,update,references',
+        COLUMN_COMMENT: '',
+        IS_GENERATED: 'NEVER',
+        GENERATION_EXPRESSION: null,
+        ...fields,
+    };
+}
+
+/**
+ * Returns the row of an auto-increment "int unsigned" primary key column
+ * @param {string} table_name
+ * @param {string} [column_name="id"]
+ * @returns {import("../src/frontend/tools.js").ColumnMetadataRaw}
+ */
+export function idColumnRow(table_name, column_name = 'id') {
+    return columnRow(table_name, column_name, {
+        COLUMN_TYPE: 'int unsigned',
+        COLUMN_KEY: 'PRI',
+        EXTRA: 'auto_increment',
+    });
+}
+
+/**
+ * Returns the rows of INFORMATION_SCHEMA.STATISTICS of an index, one per column
+ * @param {string} table_name
+ * @param {string} index_name "PRIMARY" for the primary key
+ * @param {string[]} column_names
+ * @param {Partial<import("../src/frontend/tools.js").IndexColumnRaw>} [fields]
+ * @returns {import("../src/frontend/tools.js").IndexColumnRaw[]}
+ */
+export function indexRows(table_name, index_name, column_names, fields = {}) {
+    return column_names.map((column_name, i) => ({
+        TABLE_SCHEMA: 'shop',
+        TABLE_NAME: table_name,
+        NON_UNIQUE: index_name === 'PRIMARY' ? 0 : 1,
+        INDEX_NAME: index_name,
+        SEQ_IN_INDEX: i + 1,
+        COLUMN_NAME: column_name,
+        COLLATION: 'A',
+        CARDINALITY: 0,
+        SUB_PART: null,
+        INDEX_TYPE: 'BTREE',
+        INDEX_COMMENT: '',
+        IS_VISIBLE: 'YES',
+        EXPRESSION: null,
+        ...fields,
+    }));
+}
+
+/**
+ * Returns the row of a single column foreign key
+ * @param {string} table_name
+ * @param {string} column_name
+ * @param {string} referenced_table_name
+ * @param {Partial<import("../src/frontend/tools.js").ForeignKeyColumnRaw>} [fields]
+ * @returns {import("../src/frontend/tools.js").ForeignKeyColumnRaw}
+ */
+export function foreignKeyRow(table_name, column_name, referenced_table_name, fields = {}) {
+    return {
+        CONSTRAINT_SCHEMA: 'shop',
+        CONSTRAINT_NAME: `fk_${table_name}_${column_name}`,
+        TABLE_SCHEMA: 'shop',
+        TABLE_NAME: table_name,
+        COLUMN_NAME: column_name,
+        ORDINAL_POSITION: 1,
+        REFERENCED_TABLE_SCHEMA: 'shop',
+        REFERENCED_TABLE_NAME: referenced_table_name,
+        REFERENCED_COLUMN_NAME: 'id',
+        UPDATE_RULE: 'RESTRICT',
+        DELETE_RULE: 'CASCADE',
+        ...fields,
+    };
+}